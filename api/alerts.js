@@ -0,0 +1,112 @@
+import { createAlertDelivery, redactTarget } from '../lib/alertDelivery.js';
+import { normalizeRule, RULE_TYPES } from '../lib/alertRules.js';
+import { createSnapshotStoreFromEnv } from '../lib/snapshotStore.js';
+
+const store = createSnapshotStoreFromEnv();
+const delivery = createAlertDelivery({ store });
+
+const RULE_LIMIT = 100;
+const DELIVER_LIMIT = 50;
+
+// Alerts pushed by a browser carry only what the templates read
+const normalizeAlert = (alert) => {
+  if (!alert || typeof alert.id !== 'string' || typeof alert.message !== 'string') return null;
+  const token = typeof alert.token?.address === 'string' && typeof alert.token?.chain === 'string'
+    ? { address: alert.token.address, chain: alert.token.chain, symbol: String(alert.token.symbol || '').slice(0, 20) }
+    : null;
+  const wallet = typeof alert.wallet === 'string' ? alert.wallet : null;
+  // Token alerts need a token; wallet activity alerts a wallet and chain
+  if (!token && !(wallet && typeof alert.chain === 'string')) return null;
+  return {
+    id: alert.id.slice(0, 200),
+    ruleId: String(alert.ruleId || alert.id).slice(0, 60),
+    type: String(alert.type || ''),
+    token,
+    wallet,
+    chain: token ? token.chain : alert.chain,
+    severity: ['info', 'medium', 'high'].includes(alert.severity) ? alert.severity : 'info',
+    message: alert.message.slice(0, 500),
+    timestamp: Number(alert.timestamp) || Date.now()
+  };
+};
+
+// Alert delivery targets, server-side alert rules and the delivery log.
+//   GET                                          -> { targets, rules, log }
+//   POST { action: 'saveTarget', target }        -> { target }
+//   POST { action: 'removeTarget', id }          -> { targets }
+//   POST { action: 'test', id }                  -> { results }
+//   POST { action: 'setRules', rules }           -> { rules }
+//   POST { action: 'deliver', alerts }           -> { results }
+// Target secrets (webhook URLs, bot tokens, passwords) are never returned.
+// Every request needs an `X-Alerts-Token` header matching ALERTS_TOKEN; without
+// ALERTS_TOKEN configured the route stays closed. Same-origin only (no CORS):
+// targets make the server send requests, so nothing else should drive them.
+export default async function handler(req, res) {
+  const accessToken = process.env.ALERTS_TOKEN;
+  if (!accessToken) {
+    return res.status(503).json({ error: 'Alert delivery is disabled: set ALERTS_TOKEN to enable it' });
+  }
+  if (req.headers['x-alerts-token'] !== accessToken) {
+    return res.status(401).json({ error: 'Alert delivery is access-protected' });
+  }
+  if (store.unavailable) {
+    return res.status(503).json({ error: store.unavailable });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const [targets, rules, log] = await Promise.all([
+        delivery.getTargets(),
+        store.read('alert_rules', []),
+        delivery.getLog()
+      ]);
+      return res.status(200).json({ targets: targets.map(redactTarget), rules, log });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { action, target, id, rules, alerts } = req.body || {};
+
+    switch (action) {
+      case 'saveTarget':
+        try {
+          return res.status(200).json({ target: redactTarget(await delivery.saveTarget(target)) });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+      case 'removeTarget':
+        await delivery.removeTarget(id);
+        return res.status(200).json({ targets: (await delivery.getTargets()).map(redactTarget) });
+
+      case 'test':
+        return res.status(200).json({ results: await delivery.test(id) });
+
+      case 'setRules': {
+        // The collector only sees snapshots; trade and wallet rules stay in the browser
+        const valid = (Array.isArray(rules) ? rules : [])
+          .map(normalizeRule)
+          .filter(rule => rule && RULE_TYPES[rule.type].on === 'snapshot')
+          .slice(0, RULE_LIMIT);
+        await store.write('alert_rules', valid);
+        return res.status(200).json({ rules: valid });
+      }
+
+      case 'deliver': {
+        const valid = (Array.isArray(alerts) ? alerts : []).map(normalizeAlert).filter(Boolean);
+        if (valid.length > DELIVER_LIMIT) {
+          return res.status(400).json({ error: `At most ${DELIVER_LIMIT} alerts per request` });
+        }
+        return res.status(200).json({ results: await delivery.deliver(valid) });
+      }
+
+      default:
+        return res.status(400).json({ error: 'Unknown action' });
+    }
+  } catch (error) {
+    console.error('Alert delivery error:', error);
+    return res.status(500).json({ error: 'Alert delivery unavailable', details: error.message });
+  }
+}
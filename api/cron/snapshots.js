@@ -0,0 +1,31 @@
+import { createAlertDelivery } from '../../lib/alertDelivery.js';
+import { collectSnapshots } from '../../lib/collector.js';
+import { createSnapshotStoreFromEnv } from '../../lib/snapshotStore.js';
+
+const store = createSnapshotStoreFromEnv();
+const delivery = createAlertDelivery({ store });
+
+// Scheduled by `crons` in vercel.json. Vercel sends CRON_SECRET as a bearer
+// token; without the secret configured the route stays closed.
+export default async function handler(req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (store.unavailable) {
+    return res.status(503).json({ error: store.unavailable });
+  }
+
+  try {
+    const results = await collectSnapshots({ store, delivery });
+    return res.status(200).json({
+      collected: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok && !r.skipped).length,
+      skipped: results.filter(r => r.skipped).length,
+      results
+    });
+  } catch (error) {
+    console.error('Snapshot collection failed:', error);
+    return res.status(500).json({ error: 'Snapshot collection failed', details: error.message });
+  }
+}
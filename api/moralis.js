@@ -1,9 +1,96 @@
+import { validateEndpoint } from '../lib/routes.js';
+import { createResponseCache, createStoreFromEnv } from '../lib/cache.js';
+import { fetchWithRetry, getRetryPolicy, parseRetryAfter } from '../lib/fetchWithRetry.js';
+import { getUpstreamFetch } from '../lib/fixtures.js';
+import { ProviderError } from '../lib/providers/common.js';
+import { fetchCovalentHolders } from '../lib/providers/covalent.js';
+import {
+  fetchHeliusHolders,
+  fetchHeliusToken,
+  fetchHeliusTransfers,
+  fetchHeliusWalletTokens,
+  fetchHeliusWalletHistory
+} from '../lib/providers/helius.js';
+import { fetchPendleMarkets, fetchPendleToken } from '../lib/providers/pendle.js';
+import { fetchContractCodes } from '../lib/providers/rpc.js';
+
+// Serverless functions time out quickly, so the proxy only absorbs short
+// waits and hands longer Retry-After values back to the client to honour.
+const PROXY_RETRY_BUDGET = 8000;
+
+// Shared across invocations while the function instance stays warm
+const responseCache = createResponseCache(createStoreFromEnv(), {
+  shouldCache: (result) => result.status === 200
+});
+
+// Network access for upstream calls; replays recorded fixtures when
+// UPSTREAM_FIXTURES_DIR is set (see lib/fixtures.js)
+const upstreamFetch = getUpstreamFetch();
+
+// Adapter-backed sources assemble one response from several upstream calls
+const runProvider = async (load) => {
+  try {
+    return { status: 200, body: await load() };
+  } catch (error) {
+    if (!(error instanceof ProviderError)) throw error;
+    console.error('Provider error:', error.message, error.details || '');
+    return {
+      status: error.status,
+      body: {
+        error: error.message,
+        details: error.details,
+        ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+      }
+    };
+  }
+};
+
+// Helius route pattern -> adapter, the adapter's address option and cache TTL (seconds)
+const HELIUS_ROUTES = {
+  '/holders/:solanaAddress': { adapter: fetchHeliusHolders, addressAs: 'mint', ttl: 300 },
+  '/tokens/:solanaAddress': { adapter: fetchHeliusToken, addressAs: 'mint', ttl: 600 },
+  '/transfers/:solanaAddress': { adapter: fetchHeliusTransfers, addressAs: 'mint', ttl: 120 },
+  '/wallets/:solanaAddress/tokens': { adapter: fetchHeliusWalletTokens, addressAs: 'owner', ttl: 120 },
+  '/wallets/:solanaAddress/history': { adapter: fetchHeliusWalletHistory, addressAs: 'owner', ttl: 120 }
+};
+
+// Pendle route pattern -> adapter and cache TTL (seconds)
+const PENDLE_ROUTES = {
+  '/markets': { adapter: fetchPendleMarkets, ttl: 600 },
+  '/tokens/:evmAddress': { adapter: fetchPendleToken, ttl: 300 }
+};
+
+// A chain's Pendle market list through the response cache. The active list
+// shares its entry with the /markets route, so token lookups resolve against
+// it instead of downloading both lists per token.
+const cachedPendleMarkets = async (options, status) => {
+  const key = status === 'active'
+    ? `pendle:/markets?chain=${options.chain}`
+    : `pendle:/markets?chain=${options.chain}&status=${status}`;
+  const { value } = await responseCache.fetch(key, PENDLE_ROUTES['/markets'].ttl, () =>
+    runProvider(() => fetchPendleMarkets({ ...options, status })));
+  if (value.status !== 200) {
+    throw new ProviderError(value.body.error, { status: value.status, retryAfter: value.body.retryAfter, details: value.body.details });
+  }
+  return value.body.markets;
+};
+
+// Pick the route table for a request; untagged requests go to Moralis
+const resolveSource = (source, chain, endpoint) => {
+  if (source) return source;
+  if (chain === 'solana' || endpoint.startsWith('/solana') || endpoint.startsWith('/token/mainnet')) {
+    return 'moralis-solana';
+  }
+  return 'moralis';
+};
+
 // Enhanced API handler with rate limiting awareness
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Cache, Retry-After');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -15,31 +102,46 @@ export default async function handler(req, res) {
 
   const { endpoint, chain, source } = req.query;
 
-  if (!endpoint) {
+  if (!endpoint || typeof endpoint !== 'string') {
     return res.status(400).json({ error: 'Missing endpoint parameter' });
   }
 
+  const routeSource = resolveSource(source, chain, endpoint);
+  const validation = validateEndpoint(routeSource, endpoint);
+  if (!validation.allowed) {
+    return res.status(403).json({
+      error: validation.message,
+      code: validation.code,
+      source: routeSource,
+      details: validation.detail
+    });
+  }
+  const safeEndpoint = validation.endpoint;
+
   const moralisApiKey = process.env.MORALIS_API_KEY;
   const coingeckoApiKey = process.env.COINGECKO_API_KEY;
+  const covalentApiKey = process.env.COVALENT_API_KEY;
+  const heliusApiKey = process.env.HELIUS_API_KEY;
 
   try {
     let apiUrl;
+    let loadFromProvider = null;
     let headers = { 'Accept': 'application/json' };
     let cacheDuration = 60; // Default 1 minute cache
 
     // Route to DexScreener API (free, no API key needed)
-    if (source === 'dexscreener') {
-      apiUrl = `https://api.dexscreener.com${endpoint}`;
+    if (routeSource === 'dexscreener') {
+      apiUrl = `https://api.dexscreener.com${safeEndpoint}`;
       cacheDuration = 30; // 30 sec cache for real-time data
     }
     // Route to GeckoTerminal API (free, no API key needed)
-    else if (source === 'geckoterminal') {
-      apiUrl = `https://api.geckoterminal.com/api/v2${endpoint}`;
+    else if (routeSource === 'geckoterminal') {
+      apiUrl = `https://api.geckoterminal.com/api/v2${safeEndpoint}`;
       cacheDuration = 60; // 1 min cache for trades
     }
     // Route to CoinGecko for market overview data and search
-    else if (source === 'coingecko') {
-      apiUrl = `https://api.coingecko.com/api/v3${endpoint}`;
+    else if (routeSource === 'coingecko') {
+      apiUrl = `https://api.coingecko.com/api/v3${safeEndpoint}`;
       if (coingeckoApiKey) {
         headers['x-cg-demo-api-key'] = coingeckoApiKey;
       }
@@ -53,12 +155,76 @@ export default async function handler(req, res) {
         cacheDuration = 600; // 10 min for coin details
       }
     }
+    // Full EVM holder lists via Covalent (GoldRush)
+    else if (routeSource === 'covalent') {
+      if (!covalentApiKey && !process.env.UPSTREAM_FIXTURES_DIR) {
+        return res.status(500).json({ error: 'Covalent API key not configured' });
+      }
+      const query = new URLSearchParams(safeEndpoint.split('?')[1]);
+      const address = validation.path.split('/')[2];
+      cacheDuration = 900; // 15 min; walking every page is expensive
+      loadFromProvider = () => fetchCovalentHolders({
+        chain: query.get('chain'),
+        address,
+        apiKey: covalentApiKey,
+        limit: Number(query.get('limit')) || 100,
+        maxPages: Number(process.env.COVALENT_MAX_PAGES) || undefined,
+        fetchImpl: upstreamFetch,
+        retryPolicy: getRetryPolicy(routeSource, { budget: PROXY_RETRY_BUDGET })
+      });
+    }
+    // Solana holders, transfers and wallets via Helius
+    else if (routeSource === 'helius') {
+      if (!heliusApiKey && !process.env.UPSTREAM_FIXTURES_DIR) {
+        return res.status(500).json({ error: 'Helius API key not configured' });
+      }
+      const query = new URLSearchParams(safeEndpoint.split('?')[1]);
+      const { adapter, addressAs, ttl } = HELIUS_ROUTES[validation.route];
+      cacheDuration = ttl;
+      loadFromProvider = () => adapter({
+        [addressAs]: validation.path.split('/')[2],
+        apiKey: heliusApiKey,
+        limit: Number(query.get('limit')) || undefined,
+        before: query.get('before') || undefined,
+        fetchImpl: upstreamFetch,
+        retryPolicy: getRetryPolicy(routeSource, { budget: PROXY_RETRY_BUDGET })
+      });
+    }
+    // Pendle markets and PT/YT/SY/LP token lookups (public API, no key)
+    else if (routeSource === 'pendle') {
+      const query = new URLSearchParams(safeEndpoint.split('?')[1]);
+      const { adapter, ttl } = PENDLE_ROUTES[validation.route];
+      const options = {
+        chain: query.get('chain'),
+        fetchImpl: upstreamFetch,
+        retryPolicy: getRetryPolicy(routeSource, { budget: PROXY_RETRY_BUDGET })
+      };
+      cacheDuration = ttl;
+      loadFromProvider = () => adapter({
+        ...options,
+        address: validation.path.split('/')[2],
+        loadMarkets: (status) => cachedPendleMarkets(options, status)
+      });
+    }
+    // Contract checks (eth_getCode) for holder classification
+    else if (routeSource === 'rpc') {
+      const query = new URLSearchParams(safeEndpoint.split('?')[1]);
+      const chain = query.get('chain');
+      cacheDuration = 86400; // 1 day; an address rarely gains or loses code
+      loadFromProvider = () => fetchContractCodes({
+        chain,
+        addresses: query.get('addresses').split(','),
+        rpcUrl: process.env[`RPC_URL_${chain.toUpperCase()}`],
+        fetchImpl: upstreamFetch,
+        retryPolicy: getRetryPolicy(routeSource, { budget: PROXY_RETRY_BUDGET })
+      });
+    }
     // Route to Solana API
-    else if (chain === 'solana' || endpoint.startsWith('/solana') || endpoint.startsWith('/token/mainnet')) {
+    else if (routeSource === 'moralis-solana') {
       if (!moralisApiKey) {
         return res.status(500).json({ error: 'Moralis API key not configured' });
       }
-      apiUrl = `https://solana-gateway.moralis.io${endpoint}`;
+      apiUrl = `https://solana-gateway.moralis.io${safeEndpoint}`;
       headers['X-API-Key'] = moralisApiKey;
       
       // Adjust cache for Solana endpoints
@@ -75,7 +241,7 @@ export default async function handler(req, res) {
       if (!moralisApiKey) {
         return res.status(500).json({ error: 'Moralis API key not configured' });
       }
-      apiUrl = `https://deep-index.moralis.io/api/v2.2${endpoint}`;
+      apiUrl = `https://deep-index.moralis.io/api/v2.2${safeEndpoint}`;
       headers['X-API-Key'] = moralisApiKey;
       
       // Adjust cache for EVM endpoints
@@ -83,44 +249,66 @@ export default async function handler(req, res) {
         cacheDuration = 300; // 5 min for holders
       } else if (endpoint.includes('/price')) {
         cacheDuration = 60; // 1 min for price
-      } else if (endpoint.includes('/transfers')) {
-        cacheDuration = 120; // 2 min for transfers
+      } else if (endpoint.includes('/transfers') || endpoint.includes('/swaps')) {
+        cacheDuration = 120; // 2 min for transfers and swaps
       } else if (endpoint.includes('/metadata')) {
         cacheDuration = 3600; // 1 hour for metadata
       }
     }
     
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers
+    // Identical requests share one upstream call and one cache entry.
+    // The key deliberately excludes API keys; they never vary per caller.
+    const cacheKey = `${routeSource}:${safeEndpoint}`;
+    const { value: upstream, cacheStatus } = await responseCache.fetch(cacheKey, cacheDuration, async () => {
+      if (loadFromProvider) return runProvider(loadFromProvider);
+
+      const response = await fetchWithRetry(apiUrl, {
+        method: 'GET',
+        headers
+      }, getRetryPolicy(routeSource, { budget: PROXY_RETRY_BUDGET, fetchImpl: upstreamFetch }));
+
+      // Still rate limited after our own retries
+      if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        return {
+          status: 429,
+          body: {
+            error: 'Rate limited. Please try again later.',
+            retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : 60,
+            message: 'Upstream rate limit exceeded after retries.'
+          }
+        };
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`API Error from ${apiUrl}:`, errorText);
+        return {
+          status: response.status,
+          body: {
+            error: `API error: ${response.status}`,
+            details: errorText,
+            url: apiUrl
+          }
+        };
+      }
+
+      return { status: 200, body: await response.json() };
     });
 
-    // Handle rate limiting
-    if (response.status === 429) {
-      const retryAfter = response.headers.get('Retry-After') || '60';
-      return res.status(429).json({ 
-        error: 'Rate limited. Please try again later.',
-        retryAfter: parseInt(retryAfter),
-        message: 'API rate limit exceeded. The app will automatically retry.'
-      });
-    }
+    res.setHeader('X-Cache', cacheStatus);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`API Error from ${apiUrl}:`, errorText);
-      return res.status(response.status).json({ 
-        error: `API error: ${response.status}`,
-        details: errorText,
-        url: apiUrl
-      });
+    if (upstream.status !== 200) {
+      if (upstream.body.retryAfter) {
+        res.setHeader('Retry-After', String(upstream.body.retryAfter));
+      }
+      return res.status(upstream.status).json(upstream.body);
     }
-
-    const data = await response.json();
     
     // Set cache headers based on endpoint type
     res.setHeader('Cache-Control', `s-maxage=${cacheDuration}, stale-while-revalidate=${cacheDuration * 2}`);
     
-    return res.status(200).json(data);
+    return res.status(200).json(upstream.body);
   } catch (error) {
     console.error('API Error:', error);
     return res.status(500).json({ 
@@ -0,0 +1,71 @@
+import { createSnapshotStoreFromEnv, normalizeWatchlistEntry, sameToken, sharedSnapshotKey, WATCHLIST_LIMIT } from '../lib/snapshotStore.js';
+
+const store = createSnapshotStoreFromEnv();
+
+// Shared snapshot history and the collector's watchlist.
+//   GET  ?token=<address>&chain=<chain>   -> { snapshots }
+//   GET                                   -> { watchlist }
+//   POST { action: 'add' | 'remove', token } -> { watchlist }
+// Writes need an `X-Watchlist-Token` header matching WATCHLIST_TOKEN; without
+// WATCHLIST_TOKEN configured the watchlist is read-only, since every entry
+// spends the collector's provider quota.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Watchlist-Token');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (store.unavailable) {
+    return res.status(503).json({ error: store.unavailable });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { token, chain } = req.query;
+
+      if (!token) {
+        return res.status(200).json({ watchlist: await store.getWatchlist() });
+      }
+
+      const entry = normalizeWatchlistEntry({ address: token, chain });
+      if (!entry) {
+        return res.status(400).json({ error: 'Invalid token or chain' });
+      }
+      res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
+      return res.status(200).json({ snapshots: await store.list(sharedSnapshotKey(entry)) });
+    }
+
+    if (req.method === 'POST') {
+      const writeToken = process.env.WATCHLIST_TOKEN;
+      if (!writeToken) {
+        return res.status(503).json({ error: 'Watchlist writes are disabled: set WATCHLIST_TOKEN to enable them' });
+      }
+      if (req.headers['x-watchlist-token'] !== writeToken) {
+        return res.status(401).json({ error: 'Watchlist is write-protected' });
+      }
+
+      const { action, token } = req.body || {};
+      const entry = normalizeWatchlistEntry(token);
+      if (!entry || !['add', 'remove'].includes(action)) {
+        return res.status(400).json({ error: 'Expected { action: "add" | "remove", token: { address, chain } }' });
+      }
+
+      const watchlist = await store.getWatchlist();
+      const others = watchlist.filter(t => !sameToken(t, entry));
+      if (action === 'add' && others.length >= WATCHLIST_LIMIT) {
+        return res.status(400).json({ error: `Watchlist is limited to ${WATCHLIST_LIMIT} tokens` });
+      }
+
+      const updated = action === 'add' ? [...others, entry] : others;
+      await store.setWatchlist(updated);
+      return res.status(200).json({ watchlist: updated });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Snapshot store error:', error);
+    return res.status(500).json({ error: 'Snapshot store unavailable', details: error.message });
+  }
+}
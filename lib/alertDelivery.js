@@ -0,0 +1,402 @@
+// Pushes alert-engine alerts (lib/alertRules.js) to chat webhooks and email.
+// A delivery target is
+//
+//   { id, type, name, enabled, config: {...}, template, subject,
+//     minSeverity, cooldownMinutes, dedupHours }
+//
+// Targets, the dedup/cooldown state and the delivery log are JSON documents
+// in the shared snapshot store (store.read / store.write).
+//
+// Targets may only point at public hosts: every webhook URL and SMTP host is
+// resolved before sending and refused when it lands on a private, loopback
+// or link-local address. ALERT_ALLOW_PRIVATE_TARGETS=1 lifts that for local
+// development (e.g. `npm run mock-alerts`).
+
+import { randomUUID } from 'node:crypto';
+import { lookup } from 'node:dns/promises';
+import net from 'node:net';
+import { fetchWithRetry, getRetryPolicy } from './fetchWithRetry.js';
+import { sendMail, SmtpError } from './smtp.js';
+
+// ============================================
+// TARGET TYPES
+// ============================================
+
+// `secrets` are never sent back to the browser
+export const TARGET_TYPES = {
+  discord: { label: 'Discord webhook', fields: ['url'], secrets: ['url'] },
+  slack: { label: 'Slack webhook', fields: ['url'], secrets: ['url'] },
+  telegram: { label: 'Telegram bot', fields: ['botToken', 'chatId', 'apiBase'], secrets: ['botToken'] },
+  webhook: { label: 'JSON webhook', fields: ['url', 'headers'], secrets: ['url', 'headers'] },
+  email: {
+    label: 'Email (SMTP)',
+    fields: ['host', 'port', 'secure', 'username', 'password', 'from', 'to'],
+    secrets: ['password']
+  }
+};
+
+export const DEFAULT_TEMPLATES = {
+  discord: '**{{severityLabel}}** {{message}}\n{{scope}} · {{time}}\n{{link}}',
+  slack: '*{{severityLabel}}* {{message}}\n{{scope}} · {{time}}\n{{link}}',
+  telegram: '{{severityLabel}}: {{message}}\n{{scope}} · {{time}}\n{{link}}',
+  webhook: '{{message}}',
+  email: '{{message}}\n\nToken: {{symbol}} ({{token}}) on {{chain}}\nWallet: {{wallet}}\nSeverity: {{severity}}\nTime: {{time}}\n\n{{link}}'
+};
+
+export const DEFAULT_SUBJECT = '[{{severityLabel}}] {{scope}}';
+
+const SEVERITY_ORDER = { info: 0, medium: 1, high: 2 };
+const SEVERITY_LABELS = { info: 'Info', medium: 'Alert', high: 'Whale alert' };
+
+export const DEFAULT_COOLDOWN_MINUTES = 30;
+export const DEFAULT_DEDUP_HOURS = 24;
+export const DELIVERY_LOG_LIMIT = 200;
+const TARGET_LIMIT = 20;
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+// Wallet activity alerts have no token, only the wallet's chain
+const alertChain = (alert) => alert.token?.chain || alert.chain || '';
+
+// Deep link back into the dashboard when ALERT_APP_URL is set
+const alertLink = (alert, appUrl) => {
+  if (!appUrl) return '';
+  const url = new URL(appUrl);
+  if (alert.token) url.searchParams.set('token', alert.token.address);
+  if (alert.wallet) url.searchParams.set('wallet', alert.wallet);
+  url.searchParams.set('chain', alertChain(alert));
+  return url.toString();
+};
+
+export const templateVariables = (alert, { appUrl } = {}) => {
+  const symbol = alert.token ? alert.token.symbol || alert.token.address : '';
+  const chain = alertChain(alert);
+  const wallet = alert.wallet || '';
+  return {
+    message: alert.message,
+    severity: alert.severity,
+    severityLabel: SEVERITY_LABELS[alert.severity] || 'Alert',
+    type: alert.type,
+    symbol: symbol || '-',
+    token: alert.token?.address || '-',
+    chain,
+    wallet: wallet || '-',
+    scope: `${symbol || `${wallet.slice(0, 6)}...${wallet.slice(-4)}`} on ${chain}`,
+    time: new Date(alert.timestamp).toISOString(),
+    link: alertLink(alert, appUrl)
+  };
+};
+
+// "{{name}}" placeholders; unknown names render empty. Trailing blank lines
+// (e.g. an empty {{link}}) are trimmed.
+export const renderTemplate = (template, variables) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => variables[name] ?? '').replace(/\s+$/, '');
+
+// ============================================
+// SENDERS
+// ============================================
+
+const postJson = async (url, body, { headers = {}, fetchImpl }) => {
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    // A redirect could point anywhere, past the host check
+    redirect: 'error'
+  }, { ...getRetryPolicy('alerts'), fetchImpl });
+
+  // The log is readable through /api/alerts, so the body stays server-side
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    console.warn(`Alert target answered ${response.status}:`, details.slice(0, 200));
+    throw new Error(`HTTP ${response.status}`);
+  }
+};
+
+const SENDERS = {
+  discord: ({ config }, { text }, options) =>
+    postJson(config.url, { content: text.slice(0, 2000) }, options),
+
+  slack: ({ config }, { text }, options) =>
+    postJson(config.url, { text }, options),
+
+  telegram: ({ config }, { text }, options) =>
+    postJson(`${config.apiBase || 'https://api.telegram.org'}/bot${config.botToken}/sendMessage`, {
+      chat_id: config.chatId,
+      text: text.slice(0, 4096),
+      disable_web_page_preview: true
+    }, options),
+
+  webhook: ({ config }, { text, alert }, options) =>
+    postJson(config.url, { text, alert }, { ...options, headers: config.headers || {} }),
+
+  email: ({ config }, { text, subject }, { sendMailImpl }) =>
+    sendMailImpl({
+      host: config.host,
+      port: Number(config.port) || undefined,
+      secure: config.secure === undefined ? undefined : !!config.secure,
+      username: config.username,
+      password: config.password,
+      from: config.from,
+      to: config.to,
+      subject,
+      text
+    })
+};
+
+export const sendToTarget = async (target, alert, {
+  fetchImpl = fetch,
+  sendMailImpl = sendMail,
+  appUrl,
+  lookupImpl = lookup,
+  allowPrivate = false
+} = {}) => {
+  if (!allowPrivate) await assertPublicTarget(target, { lookupImpl });
+  const variables = templateVariables(alert, { appUrl });
+  const text = renderTemplate(target.template || DEFAULT_TEMPLATES[target.type], variables);
+  const subject = renderTemplate(target.subject || DEFAULT_SUBJECT, variables);
+  return SENDERS[target.type](target, { text, subject, alert }, { fetchImpl, sendMailImpl });
+};
+
+// ============================================
+// TARGET VALIDATION
+// ============================================
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Private (RFC 1918, CGNAT, ULA), loopback, link-local, unspecified and
+// multicast ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Hosts a target sends to: the webhook URL's, Telegram's API base or the SMTP host
+const targetHosts = ({ type, config = {} }) => {
+  if (type === 'email') return [config.host];
+  const url = type === 'telegram' ? config.apiBase || 'https://api.telegram.org' : config.url;
+  return [new URL(url).hostname.replace(/^\[|\]$/g, '')];
+};
+
+// Throws unless every address the target's hosts resolve to is public
+export const assertPublicTarget = async (target, { lookupImpl = lookup } = {}) => {
+  for (const host of targetHosts(target)) {
+    const addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await lookupImpl(host, { all: true }).catch(() => {
+        throw new Error(`Cannot resolve ${host}`);
+      });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`${host} resolves to a private address`);
+    }
+  }
+};
+
+// Returns an error message, or null when the target can be saved
+export const validateTarget = (target) => {
+  if (!target || !TARGET_TYPES[target.type]) return 'Unknown target type';
+  const c = target.config || {};
+
+  switch (target.type) {
+    case 'discord':
+    case 'slack':
+    case 'webhook':
+      if (!isHttpUrl(c.url)) return 'A valid http(s) URL is required';
+      if (c.headers && (typeof c.headers !== 'object' || Array.isArray(c.headers))) return 'Headers must be an object';
+      break;
+    case 'telegram':
+      if (!c.botToken || !c.chatId) return 'Bot token and chat id are required';
+      if (c.apiBase && !isHttpUrl(c.apiBase)) return 'API base must be an http(s) URL';
+      break;
+    case 'email':
+      if (!c.host || !c.from || !c.to) return 'SMTP host, from and to are required';
+      if (/[\r\n]/.test(`${c.host}${c.from}${c.to}`)) return 'SMTP host and addresses cannot contain line breaks';
+      break;
+  }
+  if (target.minSeverity && !(target.minSeverity in SEVERITY_ORDER)) return 'Unknown severity';
+  return null;
+};
+
+const MASK = '••••••';
+
+// Keep only the known config fields
+export const normalizeTarget = (target, existing = null) => {
+  const spec = TARGET_TYPES[target.type];
+  const config = {};
+  spec.fields.forEach(field => {
+    const value = target.config?.[field];
+    // A masked secret coming back from the browser means "unchanged"
+    config[field] = value === MASK && existing ? existing.config[field] : value;
+  });
+
+  return {
+    id: existing?.id || `target_${randomUUID().slice(0, 8)}`,
+    type: target.type,
+    name: String(target.name || spec.label).slice(0, 60),
+    enabled: target.enabled !== false,
+    config,
+    template: typeof target.template === 'string' && target.template.trim() ? target.template.slice(0, 2000) : null,
+    subject: typeof target.subject === 'string' && target.subject.trim() ? target.subject.slice(0, 200) : null,
+    minSeverity: target.minSeverity || 'info',
+    cooldownMinutes: Math.max(0, Number(target.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) || 0),
+    dedupHours: Math.max(0, Number(target.dedupHours ?? DEFAULT_DEDUP_HOURS) || 0)
+  };
+};
+
+// Secrets are masked before targets go back to the browser
+export const redactTarget = (target) => ({
+  ...target,
+  config: Object.fromEntries(Object.entries(target.config).map(([field, value]) => [
+    field,
+    TARGET_TYPES[target.type].secrets.includes(field) && value ? MASK : value
+  ]))
+});
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// Dedup: the same alert id is sent to a target once per `dedupHours`.
+// Cooldown: after a send, further alerts from the same rule about the same
+// token and wallet are held back for `cooldownMinutes`.
+const cooldownKey = (target, alert) =>
+  `${target.id}|${alert.ruleId}|${alertChain(alert)}:${(alert.token?.address || '').toLowerCase()}|${(alert.wallet || '').toLowerCase()}`;
+
+const pruneState = (state, targets, now) => {
+  const byId = new Map(targets.map(t => [t.id, t]));
+  const keep = (entries, windowOf) => Object.fromEntries(Object.entries(entries).filter(([key, at]) => {
+    const target = byId.get(key.split('|')[0]);
+    return target && now - at < windowOf(target);
+  }));
+  return {
+    sent: keep(state.sent || {}, t => t.dedupHours * 3600000),
+    cooldown: keep(state.cooldown || {}, t => t.cooldownMinutes * 60000)
+  };
+};
+
+// Delivery errors land in the readable log; SMTP replies stay server-side
+const logError = (error) => {
+  if (error instanceof SmtpError) {
+    console.warn('SMTP delivery failed:', error.message);
+    return error.code ? `SMTP ${error.code}` : 'SMTP delivery failed';
+  }
+  return error.message;
+};
+
+export const createAlertDelivery = ({
+  store,
+  fetchImpl = fetch,
+  sendMailImpl = sendMail,
+  lookupImpl = lookup,
+  appUrl = process.env.ALERT_APP_URL,
+  allowPrivate = process.env.ALERT_ALLOW_PRIVATE_TARGETS === '1',
+  now = Date.now
+}) => {
+  const getTargets = () => store.read('alert_targets', []);
+  const getLog = () => store.read('alert_log', []);
+
+  const appendLog = async (entries) => {
+    if (entries.length === 0) return;
+    const log = await getLog();
+    await store.write('alert_log', [...entries.reverse(), ...log].slice(0, DELIVERY_LOG_LIMIT));
+  };
+
+  return {
+    getTargets,
+    getLog,
+
+    async saveTarget(target) {
+      if (!TARGET_TYPES[target?.type]) throw new Error('Unknown target type');
+      const targets = await getTargets();
+      const existing = targets.find(t => t.id === target.id && t.type === target.type) || null;
+      if (!existing && targets.length >= TARGET_LIMIT) throw new Error(`Limited to ${TARGET_LIMIT} targets`);
+
+      const saved = normalizeTarget(target, existing);
+      const error = validateTarget(saved);
+      if (error) throw new Error(error);
+      if (!allowPrivate) await assertPublicTarget(saved, { lookupImpl });
+      await store.write('alert_targets', existing
+        ? targets.map(t => (t.id === saved.id ? saved : t))
+        : [...targets, saved]);
+      return saved;
+    },
+
+    async removeTarget(id) {
+      await store.write('alert_targets', (await getTargets()).filter(t => t.id !== id));
+    },
+
+    // Sends each alert to every enabled target that wants it. Returns the log
+    // entries written for this call.
+    async deliver(alerts, { targetId = null, force = false } = {}) {
+      const allTargets = await getTargets();
+      const targets = allTargets.filter(t => (targetId ? t.id === targetId : t.enabled));
+      const at = now();
+      // Pruned against every target so a test or a disabled target keeps the others' state
+      const state = pruneState(await store.read('alert_delivery_state', {}), allTargets, at);
+      const entries = [];
+
+      for (const alert of alerts) {
+        for (const target of targets) {
+          if ((SEVERITY_ORDER[alert.severity] ?? 0) < (SEVERITY_ORDER[target.minSeverity] ?? 0) && !force) continue;
+
+          const entry = { at, targetId: target.id, targetName: target.name, alertId: alert.id, message: alert.message };
+          const sentKey = `${target.id}|${alert.id}`;
+          const coolKey = cooldownKey(target, alert);
+
+          if (!force && state.sent[sentKey]) {
+            entries.push({ ...entry, status: 'duplicate' });
+            continue;
+          }
+          if (!force && state.cooldown[coolKey]) {
+            entries.push({ ...entry, status: 'cooldown' });
+            continue;
+          }
+
+          try {
+            await sendToTarget(target, alert, { fetchImpl, sendMailImpl, appUrl, lookupImpl, allowPrivate });
+            if (target.dedupHours > 0) state.sent[sentKey] = at;
+            if (target.cooldownMinutes > 0) state.cooldown[coolKey] = at;
+            entries.push({ ...entry, status: 'sent' });
+          } catch (error) {
+            entries.push({ ...entry, status: 'failed', error: logError(error) });
+          }
+        }
+      }
+
+      await store.write('alert_delivery_state', state);
+      await appendLog([...entries]);
+      return entries;
+    },
+
+    // Sample alert to check a target's settings; skips dedup and cooldown
+    test(targetId) {
+      return this.deliver([{
+        id: `test:${now()}`,
+        ruleId: 'test',
+        type: 'test',
+        token: { address: '0x808507121b80c02388fad14726482e061b8da827', chain: 'eth', symbol: 'PENDLE' },
+        wallet: null,
+        severity: 'info',
+        message: 'Test alert from the smart money tracker',
+        timestamp: now()
+      }], { targetId, force: true });
+    }
+  };
+};
@@ -0,0 +1,305 @@
+// Alert rule engine. Rules are plain objects so they can be stored anywhere
+// (localStorage, service worker, server):
+//
+//   { id, type, token: { address, chain, symbol } | null, wallet: string | null,
+//     params: {...}, enabled }
+//
+// `token: null` applies the rule to every tracked token; `wallet` narrows
+// holder and trade conditions to one address (wallet activity rules: every
+// tracked wallet unless set). Evaluation is pure: it returns
+// alerts and leaves storing/delivering them to the caller. Alert ids are
+// deterministic, so evaluating the same data twice yields the same ids.
+
+// ============================================
+// RULE TYPES
+// ============================================
+
+export const RULE_TYPES = {
+  balance_change: {
+    label: 'Holder balance change',
+    params: { threshold: { label: 'Change above (%)', default: 10, min: 0.01 } },
+    on: 'snapshot'
+  },
+  enters_top: {
+    label: 'New holder enters top N',
+    params: { topN: { label: 'Top N', default: 10, min: 1 } },
+    on: 'snapshot'
+  },
+  exits_top: {
+    label: 'Top N holder exits',
+    params: { topN: { label: 'Top N', default: 10, min: 1 } },
+    on: 'snapshot'
+  },
+  large_trade: {
+    label: 'Single trade above $',
+    params: { minUsd: { label: 'Trade value above ($)', default: 100000, min: 1 } },
+    on: 'transactions'
+  },
+  concentration: {
+    label: 'Top 10 concentration crosses',
+    params: { threshold: { label: 'Top 10 share (%)', default: 50, min: 0.01 } },
+    on: 'snapshot'
+  },
+  wallet_activity: {
+    label: 'Tracked wallet transacts',
+    params: {},
+    on: 'wallet'
+  },
+  maturity: {
+    label: 'Pendle market matures within N days',
+    params: { days: { label: 'Days before maturity', default: 7, min: 1 } },
+    on: 'maturity'
+  }
+};
+
+export const defaultParams = (type) => Object.fromEntries(
+  Object.entries(RULE_TYPES[type]?.params || {}).map(([name, spec]) => [name, spec.default])
+);
+
+export const createRule = ({ type, token = null, wallet = null, params = {} }, now = Date.now()) => ({
+  id: `rule_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  token: token ? { address: token.address, chain: token.chain, symbol: token.symbol || '' } : null,
+  wallet: wallet || null,
+  params: { ...defaultParams(type), ...params },
+  enabled: true,
+  createdAt: now
+});
+
+// Rules arriving from a browser (e.g. synced to the server); null if invalid
+export const normalizeRule = (rule) => {
+  const spec = RULE_TYPES[rule?.type];
+  if (!spec || typeof rule.id !== 'string' || rule.id.length > 60) return null;
+
+  const params = {};
+  for (const [name, param] of Object.entries(spec.params)) {
+    const value = Number(rule.params?.[name]);
+    if (!Number.isFinite(value) || value < param.min) return null;
+    params[name] = value;
+  }
+
+  const token = rule.token && typeof rule.token.address === 'string' && typeof rule.token.chain === 'string'
+    ? { address: rule.token.address, chain: rule.token.chain, symbol: String(rule.token.symbol || '').slice(0, 20) }
+    : null;
+
+  return {
+    id: rule.id,
+    type: rule.type,
+    token,
+    wallet: typeof rule.wallet === 'string' && rule.wallet ? rule.wallet : null,
+    params,
+    enabled: rule.enabled !== false,
+    createdAt: Number(rule.createdAt) || Date.now()
+  };
+};
+
+const short = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '');
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+const formatAmount = (n) => Number(n || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+const DAY = 24 * 60 * 60 * 1000;
+
+export const describeRule = (rule) => {
+  const p = rule.params || {};
+  const subject = rule.wallet ? `Wallet ${short(rule.wallet)}` : 'Any holder';
+  const scope = rule.token ? rule.token.symbol || short(rule.token.address) : 'any tracked token';
+
+  switch (rule.type) {
+    case 'balance_change':
+      return `${subject} changes its balance of ${scope} by more than ${p.threshold}%`;
+    case 'enters_top':
+      return `${rule.wallet ? subject : 'A new holder'} enters the top ${p.topN} of ${scope}`;
+    case 'exits_top':
+      return `${rule.wallet ? subject : 'A holder'} exits the top ${p.topN} of ${scope}`;
+    case 'large_trade':
+      return `${rule.wallet ? `${subject} makes a` : 'A'} trade of ${scope} above $${formatAmount(p.minUsd)}`;
+    case 'concentration':
+      return `Top 10 concentration of ${scope} crosses ${p.threshold}%`;
+    case 'wallet_activity':
+      return `${rule.wallet ? subject : 'Any tracked wallet'} makes a new transaction`;
+    case 'maturity':
+      return `The Pendle market of ${scope} matures within ${p.days} day${p.days === 1 ? '' : 's'}`;
+    default:
+      return rule.type;
+  }
+};
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const appliesTo = (rule, token) => rule.enabled !== false && (
+  !rule.token || (rule.token.chain === token.chain && sameAddress(rule.token.address, token.address))
+);
+
+// Enabled rules checked `on` 'snapshot', 'transactions', ... that cover `token`
+export const rulesFor = (rules, token, on) => rules.filter(rule => RULE_TYPES[rule.type]?.on === on && appliesTo(rule, token));
+
+// `token` is null for wallet activity alerts
+const createAlert = (rule, token, key, fields) => ({
+  id: `${rule.id}:${key}`,
+  ruleId: rule.id,
+  type: rule.type,
+  token: token ? { address: token.address, chain: token.chain, symbol: token.symbol || '' } : null,
+  wallet: null,
+  severity: 'info',
+  read: false,
+  ...fields
+});
+
+const rankOf = (holders, address) => {
+  const index = holders.findIndex(h => sameAddress(h.address, address));
+  return index === -1 ? null : index + 1;
+};
+
+const topShare = (snapshot, n = 10) => snapshot.holders.slice(0, n).reduce((sum, h) => sum + (h.percentage || 0), 0);
+
+// Compare a new snapshot with the one before it
+export const evaluateSnapshotRules = (rules, { token, previous, current }) => {
+  if (!previous || !current) return [];
+  const alerts = [];
+  const label = token.symbol || short(token.address);
+  const at = current.timestamp;
+
+  rules.filter(rule => RULE_TYPES[rule.type]?.on === 'snapshot' && appliesTo(rule, token)).forEach(rule => {
+    const p = rule.params || {};
+    const watched = (address) => !rule.wallet || sameAddress(rule.wallet, address);
+
+    if (rule.type === 'balance_change') {
+      const before = new Map(previous.holders.map(h => [h.address?.toLowerCase(), h]));
+      current.holders.filter(h => watched(h.address)).forEach(holder => {
+        const prev = before.get(holder.address?.toLowerCase());
+        if (!prev || !(prev.balance > 0)) return;
+        const change = ((holder.balance - prev.balance) / prev.balance) * 100;
+        if (Math.abs(change) <= p.threshold) return;
+        alerts.push(createAlert(rule, token, `${holder.address.toLowerCase()}:${at}`, {
+          wallet: holder.address,
+          severity: Math.abs(change) >= p.threshold * 3 ? 'high' : 'medium',
+          message: `${short(holder.address)} ${change > 0 ? 'increased' : 'reduced'} ${label} balance by ${Math.abs(change).toFixed(1)}% (${formatAmount(prev.balance)} → ${formatAmount(holder.balance)})`,
+          timestamp: at,
+          data: { before: prev.balance, after: holder.balance, changePercent: change }
+        }));
+      });
+    }
+
+    if (rule.type === 'enters_top') {
+      current.holders.slice(0, p.topN).forEach((holder, i) => {
+        if (!watched(holder.address)) return;
+        const previousRank = rankOf(previous.holders, holder.address);
+        if (previousRank !== null && previousRank <= p.topN) return;
+        alerts.push(createAlert(rule, token, `${holder.address.toLowerCase()}:${at}`, {
+          wallet: holder.address,
+          severity: 'medium',
+          message: `${short(holder.address)} entered the ${label} top ${p.topN} at #${i + 1}${previousRank ? ` (was #${previousRank})` : ''} holding ${formatAmount(holder.balance)}`,
+          timestamp: at,
+          data: { rank: i + 1, previousRank, balance: holder.balance }
+        }));
+      });
+    }
+
+    if (rule.type === 'exits_top') {
+      previous.holders.slice(0, p.topN).forEach((holder, i) => {
+        if (!watched(holder.address)) return;
+        const currentRank = rankOf(current.holders, holder.address);
+        if (currentRank !== null && currentRank <= p.topN) return;
+        alerts.push(createAlert(rule, token, `${holder.address.toLowerCase()}:${at}`, {
+          wallet: holder.address,
+          severity: 'medium',
+          message: `${short(holder.address)} left the ${label} top ${p.topN} (was #${i + 1}${currentRank ? `, now #${currentRank}` : ''})`,
+          timestamp: at,
+          data: { previousRank: i + 1, rank: currentRank, balance: holder.balance }
+        }));
+      });
+    }
+
+    if (rule.type === 'concentration') {
+      const before = topShare(previous);
+      const after = topShare(current);
+      const crossedUp = before <= p.threshold && after > p.threshold;
+      const crossedDown = before > p.threshold && after <= p.threshold;
+      if (crossedUp || crossedDown) {
+        alerts.push(createAlert(rule, token, `${at}`, {
+          severity: crossedUp ? 'high' : 'medium',
+          message: `${label} top 10 concentration ${crossedUp ? 'rose above' : 'fell below'} ${p.threshold}% (${before.toFixed(1)}% → ${after.toFixed(1)}%)`,
+          timestamp: at,
+          data: { before, after }
+        }));
+      }
+    }
+  });
+
+  return alerts;
+};
+
+const TRANSACTION_KINDS = { buy: 'Buy', sell: 'Sell', mint: 'Mint', burn: 'Burn' };
+
+// Check a batch of the app's normalized transactions
+// ({ transaction_hash, block_timestamp, usdValue, trader_address, from_address, to_address, type })
+export const evaluateTransactionRules = (rules, { token, transactions }) => {
+  const alerts = [];
+  const label = token.symbol || short(token.address);
+
+  rules.filter(rule => RULE_TYPES[rule.type]?.on === 'transactions' && appliesTo(rule, token)).forEach(rule => {
+    (transactions || []).forEach(tx => {
+      if (!tx.transaction_hash || !(tx.usdValue > rule.params.minUsd)) return;
+      const parties = [tx.trader_address, tx.from_address, tx.to_address].filter(Boolean);
+      if (rule.wallet && !parties.some(a => sameAddress(a, rule.wallet))) return;
+
+      const wallet = rule.wallet || tx.trader_address || tx.from_address || null;
+      alerts.push(createAlert(rule, token, tx.transaction_hash, {
+        wallet,
+        severity: tx.usdValue >= rule.params.minUsd * 5 ? 'high' : 'medium',
+        message: `${TRANSACTION_KINDS[tx.type] || 'Transfer'} of ${formatAmount(tx.amount)} ${label} ($${formatAmount(tx.usdValue)})${wallet ? ` by ${short(wallet)}` : ''}`,
+        timestamp: new Date(tx.block_timestamp).getTime() || Date.now(),
+        data: { hash: tx.transaction_hash, usdValue: tx.usdValue, amount: tx.amount, kind: tx.type }
+      }));
+    });
+  });
+
+  return alerts;
+};
+
+// New transactions of a tracked wallet ({ address, chain, label }), in the
+// wallet history shape ({ hash, block_timestamp, category, summary }).
+// The caller passes only transactions it has not seen before.
+export const evaluateWalletRules = (rules, { wallet, transactions }) => {
+  const alerts = [];
+  const name = wallet.label || short(wallet.address);
+
+  rules
+    .filter(rule => RULE_TYPES[rule.type]?.on === 'wallet' && rule.enabled !== false)
+    .filter(rule => !rule.wallet || sameAddress(rule.wallet, wallet.address))
+    .forEach(rule => {
+      (transactions || []).forEach(tx => {
+        if (!tx.hash) return;
+        alerts.push(createAlert(rule, null, tx.hash, {
+          wallet: wallet.address,
+          chain: wallet.chain,
+          message: `${name}: ${tx.summary || `${tx.category || 'transaction'} ${short(tx.hash)}`}`,
+          timestamp: new Date(tx.block_timestamp).getTime() || Date.now(),
+          data: { hash: tx.hash, category: tx.category }
+        }));
+      });
+    });
+
+  return alerts;
+};
+
+// A tracked Pendle token's market ({ address, name, expiry }) close to
+// maturity. The alert id only depends on the market, so each rule fires once
+// per market however many of its tokens are tracked.
+export const evaluateMaturityRules = (rules, { token, market, now = Date.now() }) => {
+  if (!market?.expiry || market.expiry <= now) return [];
+  const daysLeft = (market.expiry - now) / DAY;
+  const label = token.symbol || short(token.address);
+  const date = new Date(market.expiry).toISOString().slice(0, 10);
+
+  return rules
+    .filter(rule => RULE_TYPES[rule.type]?.on === 'maturity' && appliesTo(rule, token))
+    .filter(rule => daysLeft <= rule.params.days)
+    .map(rule => createAlert(rule, token, `${market.address.toLowerCase()}:${market.expiry}`, {
+      severity: daysLeft <= 1 ? 'high' : 'medium',
+      message: `${market.name || label} Pendle market (${label}) matures in ${Math.ceil(daysLeft)} day${Math.ceil(daysLeft) === 1 ? '' : 's'} on ${date}`,
+      timestamp: now,
+      data: { market: market.address, expiry: market.expiry, daysLeft }
+    }));
+};
@@ -0,0 +1,160 @@
+// Server-side response cache for the API proxy.
+// Stores share one async interface: get(key) -> value | null, set(key, value, ttlSeconds).
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// ============================================
+// STORES
+// ============================================
+
+// In-process store; survives between invocations of a warm serverless instance
+export const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      // Map keeps insertion order, so the first keys are the oldest writes
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+// One JSON file per key; useful for local development and long-running servers
+export const createFileStore = ({ dir = join(tmpdir(), 'smart-money-proxy-cache') } = {}) => {
+  const pathFor = (key) => join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  let ready = null;
+
+  return {
+    async get(key) {
+      try {
+        const { value, expiresAt } = JSON.parse(await readFile(pathFor(key), 'utf8'));
+        if (Date.now() > expiresAt) {
+          await unlink(pathFor(key)).catch(() => {});
+          return null;
+        }
+        return value;
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, value, ttlSeconds) {
+      ready = ready || mkdir(dir, { recursive: true });
+      await ready;
+      await writeFile(pathFor(key), JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    }
+  };
+};
+
+// Redis-compatible store over the REST protocol (Upstash, Vercel KV and friends)
+export const createRedisStore = ({ url, token, prefix = 'proxy:' }) => {
+  const command = async (args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+    if (!response.ok) {
+      throw new Error(`Redis error: ${response.status}`);
+    }
+    const { result } = await response.json();
+    return result;
+  };
+
+  return {
+    async get(key) {
+      try {
+        const raw = await command(['GET', prefix + key]);
+        return raw ? JSON.parse(raw) : null;
+      } catch (e) {
+        console.warn('Redis cache read failed:', e.message);
+        return null;
+      }
+    },
+
+    async set(key, value, ttlSeconds) {
+      try {
+        await command(['SET', prefix + key, JSON.stringify(value), 'EX', String(ttlSeconds)]);
+      } catch (e) {
+        console.warn('Redis cache write failed:', e.message);
+      }
+    }
+  };
+};
+
+// PROXY_CACHE_STORE=memory|file|redis picks the backend (memory by default)
+export const createStoreFromEnv = (env = process.env) => {
+  switch (env.PROXY_CACHE_STORE) {
+    case 'file':
+      return createFileStore({ dir: env.PROXY_CACHE_DIR || undefined });
+    case 'redis':
+      if (env.PROXY_CACHE_REDIS_URL && env.PROXY_CACHE_REDIS_TOKEN) {
+        return createRedisStore({ url: env.PROXY_CACHE_REDIS_URL, token: env.PROXY_CACHE_REDIS_TOKEN });
+      }
+      console.warn('PROXY_CACHE_STORE=redis without PROXY_CACHE_REDIS_URL/TOKEN, using memory');
+      return createMemoryStore();
+    default:
+      return createMemoryStore();
+  }
+};
+
+// ============================================
+// RESPONSE CACHE
+// ============================================
+
+// Wraps a store with request coalescing: concurrent misses for the same key
+// share one loader call. Only results accepted by `shouldCache` are stored.
+export const createResponseCache = (store, { shouldCache = () => true } = {}) => {
+  const inflight = new Map();
+
+  return {
+    async fetch(key, ttlSeconds, loader) {
+      if (inflight.has(key)) {
+        const { value, hit } = await inflight.get(key);
+        return { value, cacheStatus: hit ? 'HIT' : 'COALESCED' };
+      }
+
+      const pending = (async () => {
+        const cached = await store.get(key);
+        if (cached !== null && cached !== undefined) {
+          return { value: cached, hit: true };
+        }
+
+        const value = await loader();
+        if (ttlSeconds > 0 && shouldCache(value)) {
+          await store.set(key, value, ttlSeconds).catch(e => console.warn('Cache write failed:', e.message));
+        }
+        return { value, hit: false };
+      })();
+
+      inflight.set(key, pending);
+      try {
+        const { value, hit } = await pending;
+        return { value, cacheStatus: hit ? 'HIT' : 'MISS' };
+      } finally {
+        inflight.delete(key);
+      }
+    }
+  };
+};
@@ -0,0 +1,102 @@
+// Holder address classification, and the "non-circulating" view of a
+// holder list that leaves out pools, burn addresses, treasuries, bridges,
+// exchanges and other contracts and re-bases everyone else's share.
+//
+// Signals, strongest first: entity labels (labels.js), known burn
+// addresses, the token's DEX pools, the provider's owner label (Moralis
+// `owner_address_label`) and whether the address holds code: the provider's
+// `is_contract` flag, or an eth_getCode lookup where the provider has none.
+
+export const ADDRESS_CLASSES = {
+  burn: { label: 'Burn', circulating: false },
+  pool: { label: 'DEX Pool', circulating: false },
+  treasury: { label: 'Treasury / Vesting', circulating: false },
+  bridge: { label: 'Bridge', circulating: false },
+  exchange: { label: 'Exchange', circulating: false },
+  contract: { label: 'Contract', circulating: false },
+  wallet: { label: 'Wallet', circulating: true }
+};
+
+const BURN_ADDRESSES = new Set([
+  '0x0000000000000000000000000000000000000000',
+  '0x000000000000000000000000000000000000dead',
+  '0xdead000000000000000042069420694206942069',
+  '1nc1nerator11111111111111111111111111111111'
+]);
+
+const TREASURY_PATTERN = /\b(treasury|vesting|vester|timelock|team|foundation|reserve|escrow)\b/i;
+
+const LABEL_CLASSES = {
+  burn: 'burn',
+  dex: 'pool',
+  treasury: 'treasury',
+  bridge: 'bridge',
+  cex: 'exchange',
+  protocol: 'contract'
+};
+
+const normalize = (address) => (address?.startsWith('0x') ? address.toLowerCase() : address);
+
+// `entity` is the resolved label (or null); `pools` a Set of normalized
+// pool addresses for the token; `isContract` the eth_getCode result for
+// holders the provider did not flag (undefined when unknown)
+export const classifyHolder = (holder, { entity = null, pools = new Set(), isContract } = {}) => {
+  const address = normalize(holder.owner_address);
+
+  if (BURN_ADDRESSES.has(address)) return 'burn';
+  if (entity && LABEL_CLASSES[entity.category]) return LABEL_CLASSES[entity.category];
+  if (pools.has(address)) return 'pool';
+  if (holder.owner_address_label && TREASURY_PATTERN.test(holder.owner_address_label)) return 'treasury';
+  // The provider's flag wins; the lookup only fills in where it has none
+  const flagged = holder.is_contract === undefined || holder.is_contract === null
+    ? isContract === true
+    : holder.is_contract === true || holder.is_contract === 'true';
+  if (flagged) return 'contract';
+  return 'wallet';
+};
+
+// Map of normalized address -> class for a holder list. `hasCode(address,
+// chain)` answers from eth_getCode lookups: true, false or undefined.
+export const classifyHolders = (holders, { resolve = () => null, hasCode = () => undefined, chain, pools = [] } = {}) => {
+  const poolSet = new Set(pools.filter(Boolean).map(normalize));
+  return new Map(holders.map(h => [
+    normalize(h.owner_address),
+    classifyHolder(h, {
+      entity: resolve(h.owner_address, h.chain || chain),
+      pools: poolSet,
+      isContract: hasCode(h.owner_address, h.chain || chain)
+    })
+  ]));
+};
+
+export const classOf = (classes, address) => classes.get(normalize(address)) || 'wallet';
+
+// Circulating holders only, with `percentage_relative_to_total_supply`
+// re-based onto the supply left after the excluded holders. Only holders
+// in the list are known, so supply held outside it is assumed circulating.
+export const excludeNonCirculating = (holders, classes) => {
+  const excluded = [];
+  const kept = [];
+  holders.forEach(h => {
+    if (ADDRESS_CLASSES[classOf(classes, h.owner_address)].circulating) kept.push(h);
+    else excluded.push(h);
+  });
+
+  const share = (h) => parseFloat(h.percentage_relative_to_total_supply || 0) || 0;
+  const excludedPercent = Math.min(100, excluded.reduce((sum, h) => sum + share(h), 0));
+  const scale = excludedPercent < 100 ? 100 / (100 - excludedPercent) : 0;
+
+  const byClass = {};
+  excluded.forEach(h => {
+    const key = classOf(classes, h.owner_address);
+    byClass[key] = byClass[key] || { count: 0, percent: 0 };
+    byClass[key].count++;
+    byClass[key].percent += share(h);
+  });
+
+  return {
+    holders: kept.map(h => ({ ...h, percentage_relative_to_total_supply: share(h) * scale })),
+    excludedPercent,
+    byClass
+  };
+};
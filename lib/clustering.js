@@ -0,0 +1,218 @@
+// Wallet clustering: link holder addresses that look like one owner and
+// group them with union-find. Links come from the token transfers the
+// tracker has loaded, so they only see what that window covers:
+// - common funder: the same address made the first transfer we see into
+//   each of them
+// - direct transfers: they sent each other the token more than once
+// - funding window: both received their first transfer we see within a
+//   few blocks (or minutes) of each other
+//
+// Each heuristic has a weight; a pair's confidence combines the weights of
+// every link between them as 1 - Π(1 - weight). A cluster is as strong as
+// its weakest join.
+
+export const CLUSTER_HEURISTICS = {
+  commonFunder: { label: 'Common funder', weight: 0.6 },
+  directTransfers: { label: 'Direct transfers', weight: 0.5 },
+  fundingWindow: { label: 'Funded together', weight: 0.3 },
+  manual: { label: 'Merged manually', weight: 1 }
+};
+
+export const CLUSTER_DEFAULTS = {
+  minConfidence: 0.5,
+  minDirectTransfers: 2,
+  windowBlocks: 25,
+  windowMs: 5 * 60 * 1000,
+  // A funder that seeds more holders than this is a distributor (airdrop,
+  // exchange hot wallet, vesting contract), not one owner
+  maxFunderFanout: 8
+};
+
+// EVM addresses compare case-insensitively; Solana's base58 addresses are
+// case-sensitive and stay as they are
+export const clusterAddress = (address) => {
+  const value = address || '';
+  return value.startsWith('0x') ? value.toLowerCase() : value;
+};
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const toTime = (value) => new Date(value).getTime() || 0;
+
+// First transfer into each address, oldest first across the list
+const firstFundings = (transfers, members) => {
+  const first = new Map();
+  transfers
+    .filter(t => t.from_address && t.to_address)
+    .forEach(t => {
+      const to = clusterAddress(t.to_address);
+      if (!members.has(to)) return;
+      const time = toTime(t.block_timestamp);
+      const existing = first.get(to);
+      if (!existing || time < existing.time) {
+        first.set(to, {
+          funder: clusterAddress(t.from_address),
+          time,
+          block: t.block_number != null ? Number(t.block_number) : null
+        });
+      }
+    });
+  return first;
+};
+
+const sameWindow = (a, b, { windowBlocks, windowMs }) => (a.block != null && b.block != null
+  ? Math.abs(a.block - b.block) <= windowBlocks
+  : Math.abs(a.time - b.time) <= windowMs);
+
+// Links between `addresses` found in `transfers`. `ignore(address)` drops
+// funders and counterparties that are not wallets (pools, exchanges, burn
+// addresses), which would otherwise link unrelated holders.
+export const findClusterLinks = (addresses, transfers, { ignore = () => false, ...options } = {}) => {
+  const settings = { ...CLUSTER_DEFAULTS, ...options };
+  const members = new Set(addresses.map(clusterAddress));
+  const links = [];
+
+  // Common funder and funding window
+  const fundings = firstFundings(transfers, members);
+  const byFunder = new Map();
+  fundings.forEach((funding, address) => {
+    if (ignore(funding.funder)) return;
+    if (!byFunder.has(funding.funder)) byFunder.set(funding.funder, []);
+    byFunder.get(funding.funder).push(address);
+  });
+  byFunder.forEach((funded, funder) => {
+    if (funded.length < 2 || funded.length > settings.maxFunderFanout) return;
+    funded.forEach((a, i) => funded.slice(i + 1).forEach(b => {
+      links.push({ a, b, heuristic: 'commonFunder', evidence: funder });
+    }));
+  });
+
+  const funded = [...fundings.entries()].sort((x, y) => x[1].time - y[1].time);
+  funded.forEach(([a, fa], i) => {
+    for (let j = i + 1; j < funded.length; j++) {
+      const [b, fb] = funded[j];
+      if (!sameWindow(fa, fb, settings)) continue;
+      links.push({ a, b, heuristic: 'fundingWindow', evidence: fa.block != null && fb.block != null ? `blocks ${fa.block}/${fb.block}` : null });
+    }
+  });
+
+  // Repeated direct transfers, either direction
+  const direct = new Map();
+  transfers.forEach(t => {
+    const from = clusterAddress(t.from_address);
+    const to = clusterAddress(t.to_address);
+    if (from === to || !members.has(from) || !members.has(to)) return;
+    const key = pairKey(from, to);
+    direct.set(key, (direct.get(key) || 0) + 1);
+  });
+  direct.forEach((count, key) => {
+    if (count < settings.minDirectTransfers) return;
+    const [a, b] = key.split('|');
+    links.push({ a, b, heuristic: 'directTransfers', evidence: `${count} transfers` });
+  });
+
+  return links;
+};
+
+// Union-find over pairs at or above `minConfidence`. `overrides.merges` are
+// [a, b] pairs joined regardless of evidence; `overrides.splits` addresses
+// never join automatically. Returns [{ id, members, confidence, reasons }]
+// for clusters of two or more; `reasons` lists the heuristics that held.
+export const buildClusters = (links, { merges = [], splits = [] } = {}, { minConfidence = CLUSTER_DEFAULTS.minConfidence } = {}) => {
+  const split = new Set(splits.map(clusterAddress));
+  const pairs = new Map();
+
+  const addLink = (a, b, heuristic) => {
+    const key = pairKey(a, b);
+    const pair = pairs.get(key) || { a, b, miss: 1, heuristics: new Set() };
+    if (!pair.heuristics.has(heuristic)) {
+      pair.miss *= 1 - CLUSTER_HEURISTICS[heuristic].weight;
+      pair.heuristics.add(heuristic);
+    }
+    pairs.set(key, pair);
+  };
+
+  links.forEach(({ a, b, heuristic }) => {
+    if (split.has(a) || split.has(b)) return;
+    addLink(a, b, heuristic);
+  });
+  merges.forEach(([a, b]) => addLink(clusterAddress(a), clusterAddress(b), 'manual'));
+
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(x) !== root) {
+      const next = parent.get(x);
+      parent.set(x, root);
+      x = next;
+    }
+    return root;
+  };
+
+  // Strongest pairs first, so each join records the best evidence available
+  const joins = [...pairs.values()]
+    .map(pair => ({ ...pair, confidence: 1 - pair.miss }))
+    .filter(pair => pair.confidence >= minConfidence)
+    .sort((x, y) => y.confidence - x.confidence);
+
+  const clusters = new Map();
+  joins.forEach(pair => {
+    const rootA = find(pair.a);
+    const rootB = find(pair.b);
+    if (rootA === rootB) return;
+    parent.set(rootB, rootA);
+    const merged = {
+      confidence: Math.min(pair.confidence, clusters.get(rootA)?.confidence ?? 1, clusters.get(rootB)?.confidence ?? 1),
+      reasons: new Set([...(clusters.get(rootA)?.reasons || []), ...(clusters.get(rootB)?.reasons || []), ...pair.heuristics])
+    };
+    clusters.delete(rootB);
+    clusters.set(rootA, merged);
+  });
+
+  const members = new Map();
+  parent.forEach((_, address) => {
+    const root = find(address);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(address);
+  });
+
+  return [...clusters.entries()].map(([root, cluster]) => {
+    const list = members.get(root).sort();
+    return {
+      id: list[0],
+      members: list,
+      confidence: cluster.confidence,
+      reasons: [...cluster.reasons]
+    };
+  });
+};
+
+// Holder rows with each cluster folded into one row in the same shape
+// (summed balance, share and USD value) carrying `cluster` and its member
+// rows. Members missing from `holders` are left out of the totals.
+export const groupHolders = (holders, clusters) => {
+  const byAddress = new Map(holders.map(h => [clusterAddress(h.owner_address), h]));
+  const clustered = new Set();
+  const rows = [];
+
+  clusters.forEach(cluster => {
+    const memberRows = cluster.members.map(address => byAddress.get(address)).filter(Boolean);
+    if (memberRows.length < 2) return;
+    memberRows.forEach(h => clustered.add(clusterAddress(h.owner_address)));
+
+    const sum = (field) => memberRows.reduce((total, h) => total + (parseFloat(h[field]) || 0), 0);
+    rows.push({
+      owner_address: `cluster:${cluster.id}`,
+      balance_formatted: memberRows.reduce((total, h) => total + (parseFloat(h.balance_formatted || h.balance) || 0), 0),
+      percentage_relative_to_total_supply: sum('percentage_relative_to_total_supply'),
+      usd_value: sum('usd_value'),
+      cluster: { ...cluster, holders: memberRows }
+    });
+  });
+
+  holders.forEach(h => {
+    if (!clustered.has(clusterAddress(h.owner_address))) rows.push(h);
+  });
+  return rows;
+};
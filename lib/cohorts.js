@@ -0,0 +1,151 @@
+// Holder cohorts from snapshot history. A holder's entry is the earliest of
+// the first snapshot listing them and any first-seen time the caller knows
+// from transfers or trades; cohorts are entry weeks (Monday, UTC).
+//
+// Snapshots only list the top holders, so "left" means dropped out of that
+// list, not necessarily sold everything.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const HOLDER_SEGMENTS = {
+  diamond: { label: 'Diamond hands', description: 'Held since entry for the minimum period without selling more than a small part' },
+  churner: { label: 'Churners', description: 'Dropped out and came back, or turned over their balance' },
+  steady: { label: 'Steady', description: 'Held for the minimum period but trimmed along the way' },
+  recent: { label: 'Recent', description: 'Arrived too recently to judge' }
+};
+
+export const SEGMENT_DEFAULTS = {
+  minDays: 30,
+  // Largest fall from peak balance a diamond hand can show
+  maxTrim: 0.1,
+  // Bought and sold more than this many times their peak balance
+  churnTurnover: 1
+};
+
+// Monday 00:00 UTC of the week containing `timestamp`
+export const weekStart = (timestamp) => {
+  const date = new Date(timestamp);
+  const day = (date.getUTCDay() + 6) % 7;
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+};
+
+const lower = (address) => (address || '').toLowerCase();
+
+// Earliest incoming transfer or buy per address, as { address: ms }
+export const firstSeenTimes = (transfers = [], trades = []) => {
+  const firstSeen = {};
+  const see = (address, value) => {
+    const time = new Date(value).getTime();
+    if (!address || !time) return;
+    const key = lower(address);
+    if (!firstSeen[key] || time < firstSeen[key]) firstSeen[key] = time;
+  };
+  transfers.forEach(t => see(t.to_address, t.block_timestamp));
+  trades.filter(t => t.type === 'buy').forEach(t => see(t.trader_address, t.block_timestamp));
+  return firstSeen;
+};
+
+// Per address: balance in every snapshot (0 when not listed), oldest first
+const timelines = (snapshots) => {
+  const byAddress = new Map();
+  snapshots.forEach((snapshot, index) => {
+    snapshot.holders.forEach(h => {
+      const key = lower(h.address);
+      if (!byAddress.has(key)) byAddress.set(key, { address: h.address, first: index, balances: new Array(snapshots.length).fill(0) });
+      byAddress.get(key).balances[index] = h.balance;
+    });
+  });
+  return byAddress;
+};
+
+// Segment for one timeline from its first listing to the latest snapshot
+const segmentOf = (timeline, entry, now, settings) => {
+  const held = timeline.balances.slice(timeline.first);
+  const exits = held.filter((balance, i) => i > 0 && balance > 0 && held[i - 1] === 0).length;
+  const peak = Math.max(...held);
+  const current = held[held.length - 1];
+  const moved = held.reduce((sum, balance, i) => sum + (i > 0 ? Math.abs(balance - held[i - 1]) : 0), 0);
+  const turnover = peak > 0 ? (moved - Math.max(0, current - held[0])) / peak : 0;
+  let runningPeak = 0;
+  let trimmed = 0;
+  held.forEach(balance => {
+    runningPeak = Math.max(runningPeak, balance);
+    if (runningPeak > 0) trimmed = Math.max(trimmed, (runningPeak - balance) / runningPeak);
+  });
+
+  if (exits > 0 || turnover > settings.churnTurnover) return 'churner';
+  if (now - entry < settings.minDays * DAY) return 'recent';
+  return trimmed <= settings.maxTrim ? 'diamond' : 'steady';
+};
+
+// Cohorts by entry week, each with a retention curve (share of the cohort
+// still listed) and its share of supply for every week from entry on, using
+// the last snapshot of each week. `holders` covers the latest snapshot's
+// holders with their entry, cohort and segment.
+export const buildCohorts = (snapshots, { firstSeen = {}, now = Date.now(), ...options } = {}) => {
+  const settings = { ...SEGMENT_DEFAULTS, ...options };
+  if (snapshots.length === 0) return { weeks: [], cohorts: [], holders: [] };
+
+  const lastOfWeek = new Map();
+  snapshots.forEach(snapshot => lastOfWeek.set(weekStart(snapshot.timestamp), snapshot));
+  const weeks = [...lastOfWeek.keys()].sort((a, b) => a - b);
+
+  const latest = snapshots[snapshots.length - 1];
+  const latestListed = new Set(latest.holders.map(h => lower(h.address)));
+  const byAddress = timelines(snapshots);
+  const cohortMap = new Map();
+  const holders = [];
+
+  byAddress.forEach((timeline, key) => {
+    const listedAt = snapshots[timeline.first].timestamp;
+    const entry = Math.min(listedAt, firstSeen[key] ?? listedAt);
+    const week = weekStart(entry);
+    if (!cohortMap.has(week)) cohortMap.set(week, []);
+    cohortMap.get(week).push(key);
+
+    if (latestListed.has(key)) {
+      holders.push({
+        address: timeline.address,
+        entry,
+        cohort: week,
+        daysHeld: (now - entry) / DAY,
+        segment: segmentOf(timeline, entry, now, settings)
+      });
+    }
+  });
+
+  const cohorts = [...cohortMap.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([week, members]) => {
+      const memberSet = new Set(members);
+      const series = weeks
+        .filter(w => w >= weekStart(week))
+        .map(w => {
+          const listed = lastOfWeek.get(w).holders.filter(h => memberSet.has(lower(h.address)));
+          return {
+            week: w,
+            retained: listed.length / members.length,
+            percentage: listed.reduce((sum, h) => sum + (h.percentage || 0), 0)
+          };
+        });
+      return {
+        week,
+        size: members.length,
+        current: members.filter(m => latestListed.has(m)).length,
+        series
+      };
+    });
+
+  return { weeks, cohorts, holders };
+};
+
+// Count and supply share per segment for the latest snapshot
+export const segmentSummary = (holders, latest) => {
+  const share = new Map(latest.holders.map(h => [lower(h.address), h.percentage || 0]));
+  const summary = Object.fromEntries(Object.keys(HOLDER_SEGMENTS).map(key => [key, { count: 0, percentage: 0 }]));
+  holders.forEach(h => {
+    summary[h.segment].count++;
+    summary[h.segment].percentage += share.get(lower(h.address)) || 0;
+  });
+  return summary;
+};
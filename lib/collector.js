@@ -0,0 +1,180 @@
+// Server-side snapshot collector: snapshots every token in the shared
+// watchlist so history keeps building when nobody has the tracker open.
+// Used by scripts/collect-snapshots.js and the /api/cron/snapshots route.
+// With a `delivery` (lib/alertDelivery.js), the server's alert rules are
+// checked against each new snapshot and matches are pushed to its targets.
+
+import { getRetryPolicy } from './fetchWithRetry.js';
+import { getUpstreamFetch } from './fixtures.js';
+import { fetchProviderJson } from './providers/common.js';
+import { fetchCovalentHolders } from './providers/covalent.js';
+import { fetchHeliusHolders, fetchHeliusToken } from './providers/helius.js';
+import { evaluateSnapshotRules } from './alertRules.js';
+import { createSnapshot } from './snapshots.js';
+import { sharedSnapshotKey } from './snapshotStore.js';
+import { reportedSupply } from './supply.js';
+
+const MORALIS_API = 'https://deep-index.moralis.io/api/v2.2';
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+
+// Covalent pages per token: snapshots keep the top holders, and the whole
+// watchlist has to fit in one cron invocation (maxDuration 300s)
+export const COLLECTOR_MAX_PAGES = 5;
+export const COLLECTOR_BUDGET_MS = 240 * 1000;
+
+// Same provider the browser would use by default, preferring full lists
+export const pickHolderProvider = (chain, env = process.env) => {
+  if (chain === 'solana') return env.HELIUS_API_KEY ? 'helius' : null;
+  if (env.COVALENT_API_KEY) return 'covalent';
+  return env.MORALIS_API_KEY ? 'moralis' : null;
+};
+
+export const fetchTokenHolders = async (token, { env = process.env, fetchImpl } = {}) => {
+  const provider = pickHolderProvider(token.chain, env);
+
+  if (provider === 'helius') {
+    const data = await fetchHeliusHolders({
+      mint: token.address,
+      apiKey: env.HELIUS_API_KEY,
+      fetchImpl,
+      retryPolicy: getRetryPolicy('helius')
+    });
+    return data.result;
+  }
+
+  if (provider === 'covalent') {
+    const data = await fetchCovalentHolders({
+      chain: token.chain,
+      address: token.address,
+      apiKey: env.COVALENT_API_KEY,
+      limit: 100,
+      maxPages: COLLECTOR_MAX_PAGES,
+      fetchImpl,
+      retryPolicy: getRetryPolicy('covalent')
+    });
+    return data.result;
+  }
+
+  if (provider === 'moralis') {
+    const data = await fetchProviderJson(
+      `${MORALIS_API}/erc20/${token.address}/owners?chain=${token.chain}&limit=100&order=DESC`,
+      { method: 'GET', headers: { 'Accept': 'application/json', 'X-API-Key': env.MORALIS_API_KEY } },
+      { provider: 'Moralis', fetchImpl, retryPolicy: getRetryPolicy('moralis') }
+    );
+    return data.result || [];
+  }
+
+  throw new Error(`No holder provider configured for ${token.chain}`);
+};
+
+// Price and reported supply, from the same sources as the browser's token
+// info: CoinGecko when the token has an id, else Moralis metadata (EVM,
+// supply only) or Helius (Solana)
+const fetchTokenMarket = async (token, { env = process.env, fetchImpl } = {}) => {
+  if (token.coingeckoId) {
+    const headers = { 'Accept': 'application/json' };
+    if (env.COINGECKO_API_KEY) headers['x-cg-demo-api-key'] = env.COINGECKO_API_KEY;
+    const data = await fetchProviderJson(
+      `${COINGECKO_API}/coins/${token.coingeckoId}?localization=false&tickers=false&community_data=false&developer_data=false`,
+      { method: 'GET', headers },
+      { provider: 'CoinGecko', fetchImpl, retryPolicy: getRetryPolicy('coingecko') }
+    );
+    return {
+      price: data.market_data?.current_price?.usd ?? null,
+      supply: reportedSupply({
+        total_supply: data.market_data?.total_supply,
+        circulating_supply: data.market_data?.circulating_supply
+      })
+    };
+  }
+
+  if (token.chain === 'solana') {
+    if (!env.HELIUS_API_KEY) return { price: null, supply: null };
+    const data = await fetchHeliusToken({
+      mint: token.address,
+      apiKey: env.HELIUS_API_KEY,
+      fetchImpl,
+      retryPolicy: getRetryPolicy('helius')
+    });
+    return { price: data.usd_price, supply: reportedSupply(data) };
+  }
+
+  if (!env.MORALIS_API_KEY) return { price: null, supply: null };
+  const data = await fetchProviderJson(
+    `${MORALIS_API}/erc20/metadata?chain=${token.chain}&addresses[]=${token.address}`,
+    { method: 'GET', headers: { 'Accept': 'application/json', 'X-API-Key': env.MORALIS_API_KEY } },
+    { provider: 'Moralis', fetchImpl, retryPolicy: getRetryPolicy('moralis') }
+  );
+  return { price: null, supply: reportedSupply(data?.[0]) };
+};
+
+// Snapshot each watchlist token in turn, starting where the previous run
+// stopped. One failing token never stops the run; the per-token results say
+// what happened, including tokens `skipped` once `budgetMs` was spent.
+export const collectSnapshots = async ({
+  store,
+  delivery = null,
+  env = process.env,
+  fetchImpl = getUpstreamFetch(env),
+  now = Date.now,
+  log = console.log,
+  budgetMs = COLLECTOR_BUDGET_MS
+}) => {
+  const watchlist = await store.getWatchlist();
+  const rules = delivery ? await store.read('alert_rules', []) : [];
+  const results = [];
+  const startedAt = now();
+
+  const offset = (Number(await store.read('collector_offset', 0)) || 0) % Math.max(1, watchlist.length);
+  const queue = [...watchlist.slice(offset), ...watchlist.slice(0, offset)];
+  let reached = 0;
+
+  for (const token of queue) {
+    const label = `${token.symbol || token.address} (${token.chain})`;
+    if (now() - startedAt >= budgetMs) {
+      results.push({ address: token.address, chain: token.chain, ok: false, skipped: true, error: 'Run time budget spent' });
+      continue;
+    }
+    reached++;
+
+    try {
+      const holders = await fetchTokenHolders(token, { env, fetchImpl });
+      if (holders.length === 0) throw new Error('No holders returned');
+
+      const { price, supply } = await fetchTokenMarket(token, { env, fetchImpl }).catch(error => {
+        log(`Price and supply unavailable for ${label}: ${error.message}`);
+        return { price: null, supply: null };
+      });
+      const snapshots = await store.append(sharedSnapshotKey(token), createSnapshot(holders, { timestamp: now(), price, supply }));
+
+      log(`Snapshot saved for ${label}: ${holders.length} holders, ${snapshots.length} stored`);
+      const result = { address: token.address, chain: token.chain, ok: true, holders: holders.length, stored: snapshots.length };
+
+      if (rules.length > 0 && snapshots.length > 1) {
+        const alerts = evaluateSnapshotRules(rules, {
+          token,
+          previous: snapshots[snapshots.length - 2],
+          current: snapshots[snapshots.length - 1]
+        });
+        // Delivery problems are logged per target; they never fail the snapshot
+        const deliveries = alerts.length > 0 ? await delivery.deliver(alerts).catch(error => {
+          log(`Alert delivery failed for ${label}: ${error.message}`);
+          return [];
+        }) : [];
+        result.alerts = alerts.length;
+        result.delivered = deliveries.filter(d => d.status === 'sent').length;
+      }
+
+      results.push(result);
+    } catch (error) {
+      log(`Snapshot failed for ${label}: ${error.message}`);
+      results.push({ address: token.address, chain: token.chain, ok: false, error: error.message });
+    }
+  }
+
+  const skipped = queue.length - reached;
+  if (skipped > 0) log(`Time budget spent: ${skipped} tokens skipped, next run starts with them`);
+  if (watchlist.length > 0) await store.write('collector_offset', (offset + reached) % watchlist.length);
+
+  return results;
+};
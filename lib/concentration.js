@@ -0,0 +1,94 @@
+// Concentration metrics for a holder list in snapshot shape
+// ({ balance, percentage } per holder, largest first).
+//
+// Providers only return the top holders, so Gini and the Lorenz curve
+// describe inequality *within that list*, while HHI and the Nakamoto
+// coefficient use each holder's share of total supply and are exact as far
+// as the list reaches (the long tail adds almost nothing to HHI).
+
+export const CONCENTRATION_METRICS = {
+  gini: { label: 'Gini', description: 'Inequality among the listed holders (0 = equal, 1 = one holder)', format: (v) => v.toFixed(3), higherIsConcentrated: true },
+  hhi: { label: 'HHI', description: 'Sum of squared supply shares in % (10,000 = one holder)', format: (v) => Math.round(v).toLocaleString(), higherIsConcentrated: true },
+  nakamoto: { label: 'Nakamoto', description: 'Fewest holders that together hold 51% of supply', format: (v) => String(v), higherIsConcentrated: false },
+  top10: { label: 'Top 10 %', description: 'Supply share of the 10 largest holders', format: (v) => `${v.toFixed(1)}%`, higherIsConcentrated: true }
+};
+
+export const NAKAMOTO_THRESHOLD = 51;
+
+// Listed holders at zero count: one holder with everything scores the
+// maximum for the list, (n - 1) / n
+export const gini = (values) => {
+  const sorted = values.filter(v => v >= 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  if (n < 2 || total <= 0) return 0;
+  const weighted = sorted.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+};
+
+export const hhi = (percentages) => percentages.reduce((sum, p) => sum + p * p, 0);
+
+// null when the listed holders together hold less than the threshold
+export const nakamoto = (percentages, threshold = NAKAMOTO_THRESHOLD) => {
+  const sorted = [...percentages].sort((a, b) => b - a);
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i];
+    if (cumulative >= threshold) return i + 1;
+  }
+  return null;
+};
+
+// Cumulative share of holders (poorest first) against cumulative share of
+// the listed balance, as `points + 1` [x, y] pairs from [0, 0] to [1, 1]
+export const lorenzCurve = (values, points = 20) => {
+  const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  if (sorted.length === 0 || total <= 0) return [[0, 0], [1, 1]];
+
+  const cumulative = [0];
+  sorted.forEach(v => cumulative.push(cumulative[cumulative.length - 1] + v));
+
+  return Array.from({ length: points + 1 }, (_, i) => {
+    const x = i / points;
+    const position = x * sorted.length;
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length, lower + 1);
+    const y = cumulative[lower] + (cumulative[upper] - cumulative[lower]) * (position - lower);
+    return [x, y / total];
+  });
+};
+
+export const concentrationMetrics = (holders) => {
+  const balances = holders.map(h => h.balance || 0);
+  const percentages = holders.map(h => h.percentage || 0);
+  const hasShares = percentages.some(p => p > 0);
+
+  return {
+    gini: gini(balances),
+    hhi: hasShares ? hhi(percentages) : null,
+    nakamoto: hasShares ? nakamoto(percentages) : null,
+    top10: hasShares ? [...percentages].sort((a, b) => b - a).slice(0, 10).reduce((sum, p) => sum + p, 0) : null,
+    holderCount: holders.length
+  };
+};
+
+// Metrics per snapshot, oldest first. Snapshots stored before metrics were
+// recorded get them computed from their holder list.
+export const concentrationHistory = (snapshots) => snapshots.map(snapshot => ({
+  timestamp: snapshot.timestamp,
+  ...(snapshot.concentration || concentrationMetrics(snapshot.holders))
+}));
+
+// Direction of a metric over a history: 'decentralizing', 're-concentrating'
+// or 'stable' when the relative move stays within `tolerance`
+export const concentrationTrend = (history, metric, tolerance = 0.02) => {
+  const values = history.map(point => point[metric]).filter(v => v !== null && v !== undefined);
+  if (values.length < 2) return null;
+  const first = values[0];
+  const last = values[values.length - 1];
+  const change = first !== 0 ? (last - first) / Math.abs(first) : last - first;
+  if (Math.abs(change) <= tolerance) return { direction: 'stable', change };
+  const concentrating = CONCENTRATION_METRICS[metric].higherIsConcentrated ? change > 0 : change < 0;
+  return { direction: concentrating ? 're-concentrating' : 'decentralizing', change };
+};
@@ -0,0 +1,125 @@
+// Shared fetch layer with retry, used by the API proxy and the browser client.
+// Retries 429 and 5xx responses (and network failures) with jittered
+// exponential backoff, honours Retry-After, and stops once the per-source
+// retry budget is spent. No Node or browser specific APIs in here.
+
+// ============================================
+// RETRY POLICIES
+// ============================================
+
+// retries: max extra attempts, budget: max total time spent waiting (ms)
+export const RETRY_POLICIES = {
+  coingecko: { retries: 3, baseDelay: 2000, maxDelay: 30000, budget: 60000 },
+  moralis: { retries: 3, baseDelay: 1000, maxDelay: 15000, budget: 30000 },
+  'moralis-solana': { retries: 3, baseDelay: 1000, maxDelay: 15000, budget: 30000 },
+  geckoterminal: { retries: 3, baseDelay: 2000, maxDelay: 30000, budget: 60000 },
+  helius: { retries: 3, baseDelay: 1000, maxDelay: 15000, budget: 30000 },
+  covalent: { retries: 3, baseDelay: 1000, maxDelay: 15000, budget: 30000 },
+  pendle: { retries: 3, baseDelay: 1000, maxDelay: 15000, budget: 30000 },
+  rpc: { retries: 2, baseDelay: 1000, maxDelay: 10000, budget: 20000 },
+  dexscreener: { retries: 2, baseDelay: 1000, maxDelay: 10000, budget: 20000 },
+  alerts: { retries: 2, baseDelay: 1000, maxDelay: 5000, budget: 10000 },
+  default: { retries: 2, baseDelay: 1000, maxDelay: 10000, budget: 20000 }
+};
+
+export const getRetryPolicy = (source, overrides = {}) => ({
+  ...(RETRY_POLICIES[source] || RETRY_POLICIES.default),
+  ...overrides
+});
+
+// ============================================
+// HELPERS
+// ============================================
+
+export const isRetryableStatus = (status) => status === 429 || (status >= 500 && status !== 501);
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// "Full jitter" backoff: uniform between 0 and the capped exponential delay
+export const backoffDelay = (attempt, { baseDelay, maxDelay }, random = Math.random) =>
+  Math.round(random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt)));
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('Aborted'));
+  }, { once: true });
+});
+
+export class RetryExhaustedError extends Error {
+  constructor(message, { attempts } = {}) {
+    super(message);
+    this.name = 'RetryExhaustedError';
+    this.attempts = attempts;
+  }
+}
+
+// ============================================
+// FETCH WITH RETRY
+// ============================================
+
+// Resolves with the final Response. A retryable response that is still
+// failing when the budget runs out is returned as-is (callers already
+// handle !response.ok); only exhausted network failures throw.
+//
+// options.retryOn(response) picks which responses are retried (429 and 5xx
+// by default); network failures always are.
+// options.onRetry({ attempt, retries, delay, status, error }) fires before each wait.
+export const fetchWithRetry = async (url, init = {}, options = {}) => {
+  const {
+    retries = RETRY_POLICIES.default.retries,
+    baseDelay = RETRY_POLICIES.default.baseDelay,
+    maxDelay = RETRY_POLICIES.default.maxDelay,
+    budget = RETRY_POLICIES.default.budget,
+    onRetry,
+    retryOn = (response) => isRetryableStatus(response.status),
+    fetchImpl = fetch,
+    random = Math.random
+  } = options;
+
+  let waited = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let error = null;
+
+    try {
+      response = await fetchImpl(url, init);
+    } catch (e) {
+      if (init.signal?.aborted) throw e;
+      error = e;
+    }
+
+    if (response && !retryOn(response)) {
+      return response;
+    }
+
+    const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+    const delay = retryAfter !== null
+      ? Math.max(retryAfter, backoffDelay(attempt, { baseDelay, maxDelay }, random))
+      : backoffDelay(attempt, { baseDelay, maxDelay }, random);
+
+    if (attempt >= retries || waited + delay > budget) {
+      if (response) return response;
+      throw new RetryExhaustedError(`Request failed after ${attempt + 1} attempts: ${error.message}`, {
+        attempts: attempt + 1
+      });
+    }
+
+    if (onRetry) {
+      onRetry({ attempt: attempt + 1, retries, delay, status: response?.status, error });
+    }
+
+    waited += delay;
+    await sleep(delay, init.signal);
+  }
+};
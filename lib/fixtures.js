@@ -0,0 +1,53 @@
+// Recorded upstream responses for offline development.
+//
+// UPSTREAM_FIXTURES_DIR=<dir> makes provider adapters replay responses from
+// <dir> instead of calling the network. Add UPSTREAM_FIXTURES_MODE=record to
+// hit the network and save every response there for later replay.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// Stable, readable file name for a request. `api-key` query values are
+// dropped so keys never end up on disk; POST bodies (JSON-RPC) are hashed.
+export const fixtureName = (url, init = {}) => {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('api-key');
+  const { host, pathname, search } = parsed;
+  const body = init.body ? `_${createHash('sha1').update(init.body).digest('hex').slice(0, 12)}` : '';
+  return `${host}${pathname}${search}${body}`
+    .replace(/[^A-Za-z0-9.-]+/g, '_')
+    .slice(0, 200) + '.json';
+};
+
+const fixtureResponse = ({ status = 200, body }) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+export const createFixtureFetch = ({ dir, mode = 'replay', fetchImpl = fetch }) => async (url, init = {}) => {
+  const file = join(dir, fixtureName(url, init));
+
+  if (mode === 'record') {
+    const response = await fetchImpl(url, init);
+    const body = await response.json().catch(() => null);
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, JSON.stringify({ url: url.replace(/api-key=[^&]+/, 'api-key=REDACTED'), status: response.status, body }, null, 2));
+    return fixtureResponse({ status: response.status, body });
+  }
+
+  try {
+    return fixtureResponse(JSON.parse(await readFile(file, 'utf8')));
+  } catch {
+    return fixtureResponse({ status: 404, body: { error: `No fixture recorded for ${url}`, fixture: file } });
+  }
+};
+
+// The fetch implementation adapters should use given the environment
+export const getUpstreamFetch = (env = process.env) => {
+  if (!env.UPSTREAM_FIXTURES_DIR) return fetch;
+  return createFixtureFetch({ dir: env.UPSTREAM_FIXTURES_DIR, mode: env.UPSTREAM_FIXTURES_MODE || 'replay' });
+};
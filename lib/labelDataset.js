@@ -0,0 +1,56 @@
+// Bundled entity labels (see labels.js for the record shape). Bump
+// `version` whenever entries change so users can tell which set they have.
+// Public, well-known addresses only; anything uncertain belongs in a user
+// label instead.
+
+export const LABEL_DATASET = {
+  version: '2026.10.1',
+  labels: [
+    // Exchanges
+    { address: '0x28c6c06298d514db089934071355e5743bf21d60', entity: 'Binance 14', category: 'cex', chain: 'evm' },
+    { address: '0xf977814e90da44bfa03b6295a0616a897441acec', entity: 'Binance 8', category: 'cex', chain: 'evm' },
+    { address: '0xbe0eb53f46cd790cd13851d5eff43d12404d33e8', entity: 'Binance 7', category: 'cex', chain: 'eth' },
+    { address: '0x21a31ee1afc51d94c2efccaa2092ad1028285549', entity: 'Binance 15', category: 'cex', chain: 'eth' },
+    { address: '0xdfd5293d8e347dfe59e90efd55b2956a1343963d', entity: 'Binance 16', category: 'cex', chain: 'eth' },
+    { address: '0x71660c4005ba85c37ccec55d0c4493e66fe775d3', entity: 'Coinbase 1', category: 'cex', chain: 'eth' },
+    { address: '0x503828976d22510aad0201ac7ec88293211d23da', entity: 'Coinbase 2', category: 'cex', chain: 'eth' },
+    { address: '0xa9d1e08c7793af67e9d92fe308d5697fb81d3e43', entity: 'Coinbase 10', category: 'cex', chain: 'eth' },
+    { address: '0x267be1c1d684f78cb4f6a176c4911b741e4ffdc0', entity: 'Kraken 4', category: 'cex', chain: 'eth' },
+    { address: '0x2910543af39aba0cd09dbb2d50200b3e800a63d2', entity: 'Kraken', category: 'cex', chain: 'eth' },
+    { address: '0x6cc5f688a315f3dc28a7781717a9a798a59fda7b', entity: 'OKX', category: 'cex', chain: 'eth' },
+    { address: '0xf89d7b9c864f589bbf53a82105107622b35eaa40', entity: 'Bybit', category: 'cex', chain: 'evm' },
+    { address: '0x0d0707963952f2fba59dd06f2b425ace40b492fe', entity: 'Gate.io', category: 'cex', chain: 'eth' },
+
+    // Bridges
+    { address: '0x8315177ab297ba92a06054ce80a67ed4dbd7ed3a', entity: 'Arbitrum Bridge', category: 'bridge', chain: 'eth' },
+    { address: '0xa3a7b6f88361f48403514059f1f16c8e78d60eec', entity: 'Arbitrum ERC20 Gateway', category: 'bridge', chain: 'eth' },
+    { address: '0xcee284f754e854890e311e3280b767f80797180d', entity: 'Arbitrum Custom Gateway', category: 'bridge', chain: 'eth' },
+    { address: '0x99c9fc46f92e8a1c0dec1b1747d010903e884be1', entity: 'Optimism Gateway', category: 'bridge', chain: 'eth' },
+    { address: '0x3154cf16ccdb4c6d922629664174b904d80f2c35', entity: 'Base Bridge', category: 'bridge', chain: 'eth' },
+    { address: '0x40ec5b33f54e0e8a33a975908c5ba1c14e5bbbdf', entity: 'Polygon ERC20 Bridge', category: 'bridge', chain: 'eth' },
+    { address: '0x3ee18b2214aff97000d974cf647e7c347e8fa585', entity: 'Wormhole Token Bridge', category: 'bridge', chain: 'eth' },
+
+    // Funds and market makers
+    { address: '0x0000006daea1723962647b7e189d311d757fb793', entity: 'Wintermute', category: 'fund', chain: 'evm' },
+    { address: '0xf584f8728b874a6a5c7a8d4d387c9aae9172d621', entity: 'Jump Trading', category: 'fund', chain: 'eth' },
+
+    // DEX routers and aggregators
+    { address: '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', entity: 'Uniswap V2 Router', category: 'dex', chain: 'eth' },
+    { address: '0xe592427a0aece92de3edee1f18e0157c05861564', entity: 'Uniswap V3 Router', category: 'dex', chain: 'evm' },
+    { address: '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', entity: 'Uniswap V3 Router 2', category: 'dex', chain: 'evm' },
+    { address: '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad', entity: 'Uniswap Universal Router', category: 'dex', chain: 'evm' },
+    { address: '0x1111111254eeb25477b68fb85ed929f73a960582', entity: '1inch Router v5', category: 'dex', chain: 'evm' },
+    { address: '0x111111125421ca6dc452d289314280a0f8842a65', entity: '1inch Router v6', category: 'dex', chain: 'evm' },
+    { address: '0xdef1c0ded9bec7f1a1670819833240f027b25eff', entity: '0x Exchange Proxy', category: 'dex', chain: 'evm' },
+    { address: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', entity: 'Raydium AMM Authority', category: 'dex', chain: 'solana' },
+
+    // Protocols
+    { address: '0x888888888889758f76e7103c6cbf23abbf58f946', entity: 'Pendle Router', category: 'protocol', chain: 'evm' },
+    { address: '0x4f30a9d41b80ecc5b94306ab4364951ae3170210', entity: 'Pendle vePENDLE', category: 'protocol', chain: 'eth' },
+
+    // Burn addresses
+    { address: '0x000000000000000000000000000000000000dead', entity: 'Burn Address', category: 'burn', chain: 'evm' },
+    { address: '0x0000000000000000000000000000000000000000', entity: 'Null Address', category: 'burn', chain: 'evm' },
+    { address: '1nc1nerator11111111111111111111111111111111', entity: 'Solana Incinerator', category: 'burn', chain: 'solana' }
+  ]
+};
@@ -0,0 +1,145 @@
+// Entity labels: who an address belongs to (exchange hot wallet, bridge,
+// fund, DEX contract, ...). The bundled dataset ships in labelDataset.js;
+// labels the user adds or imports from CSV override it per address.
+//
+// A label is { address, entity, category, chain }. `chain` is a NETWORKS
+// key, or 'evm' for an address that means the same thing on every EVM
+// chain (exchange EOAs, CREATE2 deployments).
+
+export const LABEL_CATEGORIES = {
+  cex: { label: 'Exchange', color: '#f0b90b' },
+  bridge: { label: 'Bridge', color: '#28a0f0' },
+  fund: { label: 'Fund / MM', color: '#a855f7' },
+  dex: { label: 'DEX / LP', color: '#3fb950' },
+  protocol: { label: 'Protocol', color: '#58a6ff' },
+  treasury: { label: 'Treasury / Vesting', color: '#db61a2' },
+  burn: { label: 'Burn', color: '#8b949e' },
+  other: { label: 'Other', color: '#8b949e' }
+};
+
+export const ANY_EVM = 'evm';
+
+const CHAINS = ['eth', 'arbitrum', 'base', 'polygon', 'bsc', 'solana', ANY_EVM];
+const EVM_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Solana addresses are case-sensitive; EVM ones are not
+const normalizeAddress = (address) => (address.startsWith('0x') ? address.toLowerCase() : address);
+
+export const labelKey = (address, chain) => `${chain}:${normalizeAddress(address)}`;
+
+// Returns a clean label, or null with the reason in `error`
+export const normalizeLabel = ({ address, entity, category, chain } = {}) => {
+  const cleanAddress = String(address || '').trim();
+  const isEvm = EVM_ADDRESS.test(cleanAddress);
+  if (!isEvm && !SOLANA_ADDRESS.test(cleanAddress)) return { error: `Invalid address "${cleanAddress}"` };
+
+  const cleanEntity = String(entity || '').trim().slice(0, 60);
+  if (!cleanEntity) return { error: `Missing entity name for ${cleanAddress}` };
+
+  const cleanCategory = String(category || '').trim().toLowerCase() || 'other';
+  if (!LABEL_CATEGORIES[cleanCategory]) return { error: `Unknown category "${category}"` };
+
+  const cleanChain = String(chain || '').trim().toLowerCase() || (isEvm ? ANY_EVM : 'solana');
+  if (!CHAINS.includes(cleanChain) || (cleanChain === 'solana') === isEvm) {
+    return { error: `Chain "${chain}" does not fit ${cleanAddress}` };
+  }
+
+  return { label: { address: normalizeAddress(cleanAddress), entity: cleanEntity, category: cleanCategory, chain: cleanChain } };
+};
+
+// Lookup over the bundled labels plus user overrides. A user label wins
+// over any bundled one; within each set the exact chain beats 'evm'.
+export const createLabelIndex = (dataset, userLabels = []) => {
+  const toMap = (labels, source) => new Map(labels.map(l => [labelKey(l.address, l.chain), { ...l, source }]));
+  const sets = [toMap(userLabels, 'user'), toMap(dataset.labels, 'bundled')];
+
+  const find = (map, address, chain) => map.get(labelKey(address, chain))
+    || (chain !== 'solana' ? map.get(labelKey(address, ANY_EVM)) : null)
+    || null;
+
+  return {
+    version: dataset.version,
+    size: new Set(sets.flatMap(map => [...map.keys()])).size,
+    resolve: (address, chain) => {
+      if (!address) return null;
+      return find(sets[0], address, chain) || find(sets[1], address, chain);
+    }
+  };
+};
+
+// ============================================
+// CSV
+// ============================================
+
+export const CSV_COLUMNS = ['address', 'entity', 'category', 'chain'];
+
+// Minimal CSV field splitting with quoted fields ("a, b" and "" escapes)
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+};
+
+// `address,entity[,category[,chain]]` per line. A header row naming the
+// columns may reorder them; without one the order above is assumed.
+export const parseLabelCsv = (text) => {
+  const lines = String(text || '').split(/\r?\n/);
+  const labels = [];
+  const errors = [];
+  let columns = CSV_COLUMNS;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const fields = splitCsvLine(line);
+
+    if (labels.length === 0 && errors.length === 0 && fields.some(f => f.toLowerCase() === 'address')) {
+      columns = fields.map(f => f.toLowerCase());
+      return;
+    }
+
+    const row = Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+    const { label, error } = normalizeLabel(row);
+    if (label) labels.push(label);
+    else errors.push({ line: index + 1, message: error });
+  });
+
+  return { labels, errors };
+};
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+export const labelsToCsv = (labels) => [
+  CSV_COLUMNS.join(','),
+  ...labels.map(l => CSV_COLUMNS.map(column => csvField(String(l[column] || ''))).join(','))
+].join('\n');
+
+// Merge imported labels into the user's list, replacing same-address entries
+export const mergeLabels = (existing, incoming) => {
+  const byKey = new Map(existing.map(l => [labelKey(l.address, l.chain), l]));
+  incoming.forEach(l => byKey.set(labelKey(l.address, l.chain), l));
+  return [...byKey.values()];
+};
@@ -0,0 +1,86 @@
+// Per-token trader leaderboard from observed DEX trades (the tracker's
+// GeckoTerminal buy/sell list). Realized PnL and win rate come from the
+// wallet PnL engine using average cost over the trades in the window, so a
+// sell of tokens bought before the window start does not count.
+
+import { computePnl, movementsFromTrades } from './pnl.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const LEADERBOARD_WINDOWS = {
+  '24h': { label: '24H', ms: DAY },
+  '7d': { label: '7D', ms: 7 * DAY },
+  '30d': { label: '30D', ms: 30 * DAY },
+  all: { label: 'All', ms: null }
+};
+
+export const LEADERBOARD_SORTS = {
+  netBought: { label: 'Net Bought', value: (t) => t.netBought },
+  realized: { label: 'Realized PnL', value: (t) => t.realized },
+  winRate: { label: 'Win Rate', value: (t) => (t.winRate === null ? -Infinity : t.winRate) },
+  volume: { label: 'Volume', value: (t) => t.volume }
+};
+
+const tradeTime = (trade) => new Date(trade.block_timestamp).getTime() || 0;
+
+// Price of the most recent trade, used to value what traders still hold
+export const lastTradePrice = (trades) => {
+  const latest = trades
+    .filter(t => t.amount > 0 && t.usdValue > 0)
+    .reduce((best, t) => (!best || tradeTime(t) > tradeTime(best) ? t : best), null);
+  return latest ? latest.usdValue / latest.amount : null;
+};
+
+// One row per trader with at least one buy or sell in the window
+export const buildLeaderboard = (trades, { token, window = 'all', now = Date.now(), currentPrice = null } = {}) => {
+  const span = LEADERBOARD_WINDOWS[window]?.ms;
+  const since = span ? now - span : 0;
+  const byTrader = new Map();
+
+  trades
+    .filter(t => (t.type === 'buy' || t.type === 'sell') && t.trader_address && tradeTime(t) >= since)
+    .forEach(t => {
+      const key = t.trader_address.toLowerCase();
+      if (!byTrader.has(key)) byTrader.set(key, []);
+      byTrader.get(key).push(t);
+    });
+
+  const tokenKey = token.address.toLowerCase();
+  const price = currentPrice ?? lastTradePrice(trades);
+
+  return [...byTrader.entries()].map(([address, traderTrades]) => {
+    const buys = traderTrades.filter(t => t.type === 'buy');
+    const sells = traderTrades.filter(t => t.type === 'sell');
+    const boughtUsd = buys.reduce((sum, t) => sum + (t.usdValue || 0), 0);
+    const soldUsd = sells.reduce((sum, t) => sum + (t.usdValue || 0), 0);
+    const pnl = computePnl(movementsFromTrades(traderTrades, address, token), {
+      method: 'average',
+      currentPrices: price ? { [tokenKey]: price } : {}
+    }).tokens[0];
+    const closed = (pnl?.wins || 0) + (pnl?.losses || 0);
+
+    return {
+      address: traderTrades[0].trader_address,
+      buys: buys.length,
+      sells: sells.length,
+      boughtUsd,
+      soldUsd,
+      netBought: boughtUsd - soldUsd,
+      netAmount: buys.reduce((sum, t) => sum + t.amount, 0) - sells.reduce((sum, t) => sum + t.amount, 0),
+      volume: boughtUsd + soldUsd,
+      realized: pnl?.realized || 0,
+      unrealized: pnl?.unrealized ?? null,
+      winRate: closed > 0 ? pnl.wins / closed : null,
+      closedTrades: closed,
+      firstTrade: Math.min(...traderTrades.map(tradeTime)),
+      lastTrade: Math.max(...traderTrades.map(tradeTime))
+    };
+  });
+};
+
+// Highest first; volume breaks ties
+export const rankTraders = (rows, sortBy = 'netBought') => {
+  const value = (LEADERBOARD_SORTS[sortBy] || LEADERBOARD_SORTS.netBought).value;
+  return [...rows].sort((a, b) => (value(b) - value(a)) || (b.volume - a.volume));
+};
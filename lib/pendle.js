@@ -0,0 +1,90 @@
+// Pendle markets and their tokens.
+// A market splits an SY token (a standardized wrapper around the underlying
+// asset) into a principal token (PT, redeemable 1:1 for the underlying at
+// expiry, so holding it locks in a fixed yield) and a yield token (YT, the
+// variable yield until expiry). The market contract itself is the LP token
+// for its PT/SY pool.
+//
+// Market rows come from the Pendle API via lib/providers/pendle.js; symbols
+// are the fallback for markets the API no longer lists.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Our network keys -> Pendle chain ids (no Pendle markets on Polygon or Solana)
+export const PENDLE_CHAINS = {
+  eth: 1,
+  arbitrum: 42161,
+  base: 8453,
+  bsc: 56
+};
+
+export const PENDLE_TOKEN_KINDS = {
+  pt: { label: 'PT', description: 'Principal token: fixed yield, redeems 1:1 for the underlying at maturity' },
+  yt: { label: 'YT', description: 'Yield token: the variable yield of the underlying until maturity' },
+  sy: { label: 'SY', description: 'Standardized yield wrapper around the underlying' },
+  lp: { label: 'LP', description: 'Liquidity in the market\'s PT/SY pool' }
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+export const isPendleChain = (chain) => Object.hasOwn(PENDLE_CHAINS, chain);
+
+// The API names tokens "<chainId>-<address>"
+export const parseTokenId = (id) => {
+  const address = String(id || '').split('-').pop();
+  return /^0x[a-fA-F0-9]{40}$/.test(address) ? address.toLowerCase() : null;
+};
+
+// A row of /core/v1/<chainId>/markets/active (or /inactive)
+export const normalizeMarket = (raw, chain, { active = true } = {}) => ({
+  chain,
+  address: raw.address.toLowerCase(),
+  name: raw.name,
+  expiry: Date.parse(raw.expiry) || null,
+  pt: parseTokenId(raw.pt),
+  yt: parseTokenId(raw.yt),
+  sy: parseTokenId(raw.sy),
+  underlying: parseTokenId(raw.underlyingAsset),
+  impliedApy: raw.details?.impliedApy ?? null,
+  liquidity: raw.details?.liquidity ?? null,
+  active
+});
+
+// Which of the market's tokens `address` is: 'pt', 'yt', 'sy', 'lp' or null
+export const pendleTokenKind = (market, address) => {
+  const key = (address || '').toLowerCase();
+  if (!key) return null;
+  if (key === market.address) return 'lp';
+  return ['pt', 'yt', 'sy'].find(kind => market[kind] === key) || null;
+};
+
+// { kind, market } for the first market that issued `address`
+export const findPendleToken = (markets, address) => {
+  for (const market of markets) {
+    const kind = pendleTokenKind(market, address);
+    if (kind) return { kind, market };
+  }
+  return null;
+};
+
+// "PT-sUSDE-27MAR2025", "YT-weETH-26DEC2024", "SY-sUSDe" and the market's
+// "PENDLE-LPT" -> { kind, underlyingSymbol, expiry }. Expiries are 00:00 UTC.
+export const parsePendleSymbol = (symbol) => {
+  if (!symbol) return null;
+  if (/^PENDLE-LPT$/i.test(symbol)) return { kind: 'lp', underlyingSymbol: null, expiry: null };
+
+  const match = symbol.match(/^(PT|YT|SY)-(.+?)(?:-(\d{1,2})([A-Z]{3})(\d{4}))?$/i);
+  if (!match) return null;
+  const [, kind, underlyingSymbol, day, month, year] = match;
+  const monthIndex = month ? MONTHS.indexOf(month.toUpperCase()) : -1;
+  return {
+    kind: kind.toLowerCase(),
+    underlyingSymbol,
+    expiry: monthIndex >= 0 ? Date.UTC(Number(year), monthIndex, Number(day)) : null
+  };
+};
+
+// Negative once the market has matured
+export const daysToMaturity = (expiry, now = Date.now()) => (expiry ? (expiry - now) / DAY : null);
+
+export const isMatured = (expiry, now = Date.now()) => !!expiry && expiry <= now;
@@ -0,0 +1,104 @@
+// Whale positioning in one Pendle market: the PT, YT and LP holder lists
+// joined by wallet. Inputs are snapshots in the shape lib/snapshots.js
+// stores ({ holders: [{ address, balance, percentage }] }), one per token.
+//
+// Exposure is in units of the underlying at maturity. PT locks in the
+// fixed yield; YT is long the variable yield on the same notional; an LP
+// token holds `ptPerLp` PT (fixed) plus SY (the underlying, yield-neutral).
+// net = variable - fixed, so positive wallets are long yield.
+//
+// Snapshots only list the top holders, so a wallet missing from one counts
+// as holding none of that token. `ignore(address)` drops holders that are
+// not wallets: the market itself holds the pool's PT, and the YT, SY, router
+// and gauge contracts hold PT and YT in passing.
+
+export const POSITION_STANCES = {
+  fixed: { label: 'Fixed yield', description: 'Net PT: locked in the implied APY' },
+  variable: { label: 'Long yield', description: 'Net YT: betting the underlying APY beats the implied APY' },
+  hedged: { label: 'Hedged', description: 'PT and YT roughly offset' },
+  liquidity: { label: 'LP only', description: 'Provides liquidity without a PT or YT position' }
+};
+
+export const ROTATION_DIRECTIONS = {
+  toVariable: { label: 'PT → YT' },
+  toFixed: { label: 'YT → PT' }
+};
+
+export const POSITION_DEFAULTS = {
+  // |net| within this share of gross exposure counts as hedged
+  hedgeBand: 0.1,
+  // Both legs must move by this share of the wallet's larger gross position
+  minRotation: 0.1
+};
+
+const lower = (address) => (address || '').toLowerCase();
+
+const balances = (snapshot, ignore) => new Map((snapshot?.holders || [])
+  .map(h => [lower(h.address), h])
+  .filter(([address]) => !ignore(address)));
+
+// PT per LP token from the market's totals; half a PT per LP when unknown
+export const ptPerLp = (market) => (market?.totalPt > 0 && market?.totalLp > 0 ? market.totalPt / market.totalLp : 0.5);
+
+const stanceOf = ({ pt, yt, lp, fixed, variable, net }, hedgeBand) => {
+  if (lp > 0 && pt === 0 && yt === 0) return 'liquidity';
+  if (Math.abs(net) <= hedgeBand * (fixed + variable)) return 'hedged';
+  return net > 0 ? 'variable' : 'fixed';
+};
+
+// One row per wallet in any of the lists, largest gross exposure first
+export const marketPositions = ({ pt, yt, lp }, market, { ignore = () => false, ...options } = {}) => {
+  const settings = { ...POSITION_DEFAULTS, ...options };
+  const legs = { pt: balances(pt, ignore), yt: balances(yt, ignore), lp: balances(lp, ignore) };
+  const perLp = ptPerLp(market);
+  const addresses = new Set([...legs.pt.keys(), ...legs.yt.keys(), ...legs.lp.keys()]);
+
+  return [...addresses].map(address => {
+    const row = { address };
+    Object.entries(legs).forEach(([kind, rows]) => {
+      row[kind] = rows.get(address)?.balance || 0;
+      row[`${kind}Share`] = rows.get(address)?.percentage || 0;
+    });
+    row.fixed = row.pt + row.lp * perLp;
+    row.variable = row.yt;
+    row.net = row.variable - row.fixed;
+    row.gross = row.fixed + row.variable;
+    row.stance = stanceOf(row, settings.hedgeBand);
+    return row;
+  }).sort((a, b) => b.gross - a.gross);
+};
+
+// Count and exposure per stance
+export const stanceSummary = (positions) => {
+  const summary = Object.fromEntries(Object.keys(POSITION_STANCES).map(key => [key, { count: 0, fixed: 0, variable: 0 }]));
+  positions.forEach(p => {
+    summary[p.stance].count++;
+    summary[p.stance].fixed += p.fixed;
+    summary[p.stance].variable += p.variable;
+  });
+  return summary;
+};
+
+// Wallets whose PT fell while their YT rose (or the reverse) between two
+// pairs of PT/YT snapshots, keyed by address:
+// { direction, pt: change, yt: change }
+export const findRotations = (previous, current, { ignore = () => false, ...options } = {}) => {
+  const settings = { ...POSITION_DEFAULTS, ...options };
+  const before = { pt: balances(previous.pt, ignore), yt: balances(previous.yt, ignore) };
+  const after = { pt: balances(current.pt, ignore), yt: balances(current.yt, ignore) };
+  const addresses = new Set([...before.pt.keys(), ...before.yt.keys(), ...after.pt.keys(), ...after.yt.keys()]);
+  const rotations = new Map();
+
+  addresses.forEach(address => {
+    const get = (side, kind) => side[kind].get(address)?.balance || 0;
+    const pt = get(after, 'pt') - get(before, 'pt');
+    const yt = get(after, 'yt') - get(before, 'yt');
+    const size = Math.max(get(before, 'pt') + get(before, 'yt'), get(after, 'pt') + get(after, 'yt'));
+    const threshold = settings.minRotation * size;
+    if (Math.abs(pt) < threshold || Math.abs(yt) < threshold || size === 0) return;
+    if (pt < 0 && yt > 0) rotations.set(address, { direction: 'toVariable', pt, yt });
+    else if (pt > 0 && yt < 0) rotations.set(address, { direction: 'toFixed', pt, yt });
+  });
+
+  return rotations;
+};
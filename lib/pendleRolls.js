@@ -0,0 +1,124 @@
+// Maturity calendar and roll tracking for Pendle markets.
+//
+// Around a market's expiry its PT and YT holders either redeem (send PT/YT
+// to the market's YT contract, which burns them for SY, or burn directly),
+// roll into the next maturity on the same underlying (receive that
+// market's PT or YT), sell (send PT/YT anywhere else, usually the market
+// or router), or do nothing. Transfers are in the Moralis ERC-20 transfer
+// shape ({ from_address, to_address, value_decimal, block_timestamp }).
+
+import { supplyEventType } from './supply.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ROLL_STATUSES = {
+  rolled: { label: 'Rolled', description: 'Received PT or YT of the next maturity on the same underlying' },
+  redeemed: { label: 'Redeemed', description: 'Redeemed PT or YT for the underlying' },
+  sold: { label: 'Sold', description: 'Moved PT or YT out without redeeming or rolling' },
+  idle: { label: 'Idle', description: 'No PT or YT movement in the window' }
+};
+
+export const ROLL_DEFAULTS = {
+  // Days either side of expiry in which holders are checked
+  windowDays: 14,
+  topN: 20
+};
+
+const lower = (address) => (address || '').toLowerCase();
+const toTime = (tx) => new Date(tx.block_timestamp).getTime() || 0;
+const amountOf = (tx) => Number(tx.value_decimal ?? tx.amount) || 0;
+
+// Market with the same underlying on the same chain that expires next
+export const nextMaturity = (markets, market) => markets
+  .filter(m => m.chain === market.chain && m.underlying === market.underlying && m.address !== market.address && m.expiry > market.expiry)
+  .sort((a, b) => a.expiry - b.expiry)[0] || null;
+
+export const rollWindow = (market, windowDays = ROLL_DEFAULTS.windowDays) => ({
+  start: market.expiry - windowDays * DAY,
+  end: market.expiry + windowDays * DAY
+});
+
+export const isNearMaturity = (market, now = Date.now(), windowDays = ROLL_DEFAULTS.windowDays) => {
+  if (!market?.expiry) return false;
+  const { start, end } = rollWindow(market, windowDays);
+  return now >= start && now <= end;
+};
+
+// Tracked tokens ({ token, kind, market }) grouped by market, soonest
+// expiry first, each with the next maturity from `markets` (per chain)
+export const maturityCalendar = (entries, markets = {}, now = Date.now()) => {
+  const byMarket = new Map();
+  entries.forEach(({ token, kind, market }) => {
+    if (!market?.expiry) return;
+    const key = `${market.chain}:${market.address}`;
+    if (!byMarket.has(key)) byMarket.set(key, { market, tokens: [] });
+    byMarket.get(key).tokens.push({ token, kind });
+  });
+
+  return [...byMarket.values()]
+    .map(entry => ({
+      ...entry,
+      daysLeft: (entry.market.expiry - now) / DAY,
+      next: nextMaturity(markets[entry.market.chain] || [], entry.market)
+    }))
+    .sort((a, b) => a.market.expiry - b.market.expiry);
+};
+
+// Largest combined PT + YT holders from one PT and one YT snapshot.
+// `ignore(address)` drops addresses that are not wallets (the market,
+// routers), which hold PT in passing rather than a position.
+export const rollCandidates = (ptSnapshot, ytSnapshot, { topN = ROLL_DEFAULTS.topN, ignore = () => false } = {}) => {
+  const rows = new Map();
+  const add = (snapshot, kind) => (snapshot?.holders || []).forEach(h => {
+    const address = lower(h.address);
+    const row = rows.get(address) || { address, pt: 0, yt: 0 };
+    row[kind] += h.balance || 0;
+    rows.set(address, row);
+  });
+  add(ptSnapshot, 'pt');
+  add(ytSnapshot, 'yt');
+  return [...rows.values()]
+    .filter(row => !ignore(row.address))
+    .sort((a, b) => (b.pt + b.yt) - (a.pt + a.yt))
+    .slice(0, topN);
+};
+
+// Status of each candidate from transfers since `since`. `transfers.pt` and
+// `.yt` are the expiring market's, `.nextPt` and `.nextYt` the next one's.
+export const trackRolls = (candidates, market, transfers, { since = 0 } = {}) => {
+  const recent = (list) => (list || []).filter(tx => toTime(tx) >= since);
+  const outgoing = [...recent(transfers.pt), ...recent(transfers.yt)];
+  const incoming = [...recent(transfers.nextPt), ...recent(transfers.nextYt)];
+  const ytContract = lower(market.yt);
+
+  return candidates.map(candidate => {
+    const sent = outgoing.filter(tx => lower(tx.from_address) === candidate.address);
+    const redeemedTxs = sent.filter(tx => lower(tx.to_address) === ytContract || supplyEventType(tx.from_address, tx.to_address) === 'burn');
+    const received = incoming.filter(tx => lower(tx.to_address) === candidate.address);
+    const activity = [...sent, ...received].map(toTime);
+
+    let status = 'idle';
+    if (received.length > 0) status = 'rolled';
+    else if (redeemedTxs.length > 0) status = 'redeemed';
+    else if (sent.length > 0) status = 'sold';
+
+    return {
+      ...candidate,
+      status,
+      redeemed: redeemedTxs.reduce((sum, tx) => sum + amountOf(tx), 0),
+      sent: sent.reduce((sum, tx) => sum + amountOf(tx), 0),
+      rolledInto: received.reduce((sum, tx) => sum + amountOf(tx), 0),
+      lastActivity: activity.length > 0 ? Math.max(...activity) : null
+    };
+  });
+};
+
+export const rollSummary = (rows) => {
+  const summary = Object.fromEntries(Object.keys(ROLL_STATUSES).map(key => [key, { count: 0, pt: 0, yt: 0 }]));
+  rows.forEach(row => {
+    summary[row.status].count++;
+    summary[row.status].pt += row.pt;
+    summary[row.status].yt += row.yt;
+  });
+  return summary;
+};
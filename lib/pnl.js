@@ -0,0 +1,293 @@
+// Wallet profit and loss from a wallet's token movements. No fetching in
+// here: callers turn provider responses into movements with the adapters
+// below and supply historical prices.
+//
+// A movement is { token, symbol, amount, side: 'in' | 'out', trade, price,
+// timestamp, hash }. `trade` marks buys and sells; anything else is a plain
+// transfer. `price` is the USD price per unit when the source knows it.
+//
+// Accounting rules:
+// - buys and transfers in open a lot at the price of the day
+// - sells close lots (by the chosen method) and realize proceeds minus cost
+// - transfers out close lots at cost without realizing anything
+// - selling more than the history shows being held is counted as
+//   `uncovered` and left out, since the cost of those units is unknown
+// - a sell is a win or a loss by the sign of the PnL it realizes
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const COST_METHODS = {
+  fifo: { label: 'FIFO' },
+  lifo: { label: 'LIFO' },
+  average: { label: 'Average cost' }
+};
+
+export const NATIVE_TOKEN = 'native';
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+const toTimestamp = (value) => new Date(value).getTime() || 0;
+
+// Moralis `/wallets/{address}/history` entries. ERC-20 and native legs of
+// a 'token swap' are trades; every other leg is a transfer.
+export const movementsFromMoralisHistory = (history, { nativeSymbol = 'ETH' } = {}) => {
+  const movements = [];
+
+  history.forEach(tx => {
+    const trade = tx.category === 'token swap';
+    const timestamp = toTimestamp(tx.block_timestamp);
+
+    (tx.erc20_transfers || []).forEach(t => {
+      const amount = parseFloat(t.value_formatted) || 0;
+      if (amount <= 0 || t.possible_spam || !t.address && !t.token_address) return;
+      if (t.direction !== 'send' && t.direction !== 'receive') return;
+      movements.push({
+        token: (t.address || t.token_address).toLowerCase(),
+        symbol: t.token_symbol || '?',
+        amount,
+        side: t.direction === 'receive' ? 'in' : 'out',
+        trade,
+        price: null,
+        timestamp,
+        hash: tx.hash
+      });
+    });
+
+    (tx.native_transfers || []).forEach(t => {
+      const amount = parseFloat(t.value_formatted) || 0;
+      if (amount <= 0 || (t.direction !== 'send' && t.direction !== 'receive')) return;
+      movements.push({
+        token: NATIVE_TOKEN,
+        symbol: t.token_symbol || nativeSymbol,
+        amount,
+        side: t.direction === 'receive' ? 'in' : 'out',
+        trade,
+        price: null,
+        timestamp,
+        hash: tx.hash
+      });
+    });
+  });
+
+  return movements;
+};
+
+// The tracker's trade list for one token (GeckoTerminal or transfer
+// derived). These carry their own USD value, so the price is known.
+export const movementsFromTrades = (trades, wallet, token) => {
+  const address = wallet.toLowerCase();
+  return trades
+    .filter(t => (t.type === 'buy' || t.type === 'sell') && t.trader_address?.toLowerCase() === address && t.amount > 0)
+    .map(t => ({
+      token: token.address.toLowerCase(),
+      symbol: token.symbol || '?',
+      amount: t.amount,
+      side: t.type === 'buy' ? 'in' : 'out',
+      trade: true,
+      price: t.usdValue > 0 ? t.usdValue / t.amount : null,
+      timestamp: toTimestamp(t.block_timestamp),
+      hash: t.transaction_hash
+    }));
+};
+
+// The same leg can come from more than one source; keep one per
+// transaction, token and side, preferring the one with a price
+export const mergeMovements = (...lists) => {
+  const byKey = new Map();
+  lists.flat().forEach(m => {
+    const key = `${m.hash}:${m.token}:${m.side}`;
+    const existing = byKey.get(key);
+    if (!existing || (existing.price == null && m.price != null)) {
+      byKey.set(key, existing ? { ...m, trade: existing.trade || m.trade } : m);
+    }
+  });
+  return [...byKey.values()];
+};
+
+// ============================================
+// PRICES
+// ============================================
+
+// Price lookup over CoinGecko `market_chart` series ({ token: [[ms, usd]] }).
+// Returns the nearest point within `tolerance`, or null.
+export const createPriceLookup = (seriesByToken, { tolerance = 2 * DAY } = {}) => (token, timestamp) => {
+  const series = seriesByToken[token];
+  if (!series?.length) return null;
+
+  let lo = 0;
+  let hi = series.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid][0] < timestamp) lo = mid + 1;
+    else hi = mid;
+  }
+  const nearest = [series[lo], series[lo - 1]]
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(a[0] - timestamp) - Math.abs(b[0] - timestamp))[0];
+
+  return Math.abs(nearest[0] - timestamp) <= tolerance ? nearest[1] : null;
+};
+
+// ============================================
+// ENGINE
+// ============================================
+
+// Lots carry a per-unit cost, or null when no price was available. Units
+// from unpriced lots move through the books but never count towards PnL.
+const takeFromLots = (lots, quantity, method) => {
+  let remaining = quantity;
+  let pricedQuantity = 0;
+  let cost = 0;
+
+  while (remaining > 1e-12 && lots.length > 0) {
+    const lot = method === 'lifo' ? lots[lots.length - 1] : lots[0];
+    const used = Math.min(lot.quantity, remaining);
+    if (lot.cost != null) {
+      pricedQuantity += used;
+      cost += used * lot.cost;
+    }
+    lot.quantity -= used;
+    remaining -= used;
+    if (lot.quantity <= 1e-12) {
+      if (method === 'lifo') lots.pop();
+      else lots.shift();
+    }
+  }
+
+  return { pricedQuantity, cost };
+};
+
+// The average method keeps a single pooled lot per token
+const takeFromPool = (pool, quantity) => {
+  const share = pool.quantity > 0 ? quantity / pool.quantity : 0;
+  const pricedQuantity = pool.pricedQuantity * share;
+  const cost = pool.cost * share;
+  pool.quantity -= quantity;
+  pool.pricedQuantity -= pricedQuantity;
+  pool.cost -= cost;
+  return { pricedQuantity, cost };
+};
+
+const heldQuantity = (position) => position.pool
+  ? position.pool.quantity
+  : position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+// Per-token realized/unrealized PnL plus totals. `priceAt(token, ms)` gives
+// historical prices for movements without one; `currentPrices[token]`
+// values what is still held.
+export const computePnl = (movements, { method = 'fifo', priceAt = () => null, currentPrices = {} } = {}) => {
+  const positions = new Map();
+
+  const positionFor = (m) => {
+    if (!positions.has(m.token)) {
+      positions.set(m.token, {
+        token: m.token,
+        symbol: m.symbol,
+        lots: [],
+        pool: method === 'average' ? { quantity: 0, pricedQuantity: 0, cost: 0 } : null,
+        bought: 0,
+        sold: 0,
+        invested: 0,
+        proceeds: 0,
+        realized: 0,
+        trades: 0,
+        wins: 0,
+        losses: 0,
+        unpriced: 0,
+        uncovered: 0
+      });
+    }
+    return positions.get(m.token);
+  };
+
+  [...movements]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(m => {
+      const position = positionFor(m);
+      const price = m.price ?? priceAt(m.token, m.timestamp);
+      if (m.trade) position.trades++;
+
+      if (m.side === 'in') {
+        if (price == null) position.unpriced++;
+        if (m.trade) {
+          position.bought += m.amount;
+          if (price != null) position.invested += m.amount * price;
+        }
+        if (position.pool) {
+          position.pool.quantity += m.amount;
+          if (price != null) {
+            position.pool.pricedQuantity += m.amount;
+            position.pool.cost += m.amount * price;
+          }
+        } else {
+          position.lots.push({ quantity: m.amount, cost: price });
+        }
+        return;
+      }
+
+      const held = heldQuantity(position);
+      const covered = Math.min(m.amount, held);
+      if (m.amount - covered > 1e-12) position.uncovered += m.amount - covered;
+      if (covered <= 0) return;
+
+      const taken = position.pool
+        ? takeFromPool(position.pool, covered)
+        : takeFromLots(position.lots, covered, method);
+
+      if (!m.trade) return;
+      position.sold += covered;
+      if (price == null) {
+        position.unpriced++;
+        return;
+      }
+      position.proceeds += covered * price;
+      if (taken.pricedQuantity <= 0) return;
+      const gain = taken.pricedQuantity * price - taken.cost;
+      position.realized += gain;
+      if (gain > 0) position.wins++;
+      else if (gain < 0) position.losses++;
+    });
+
+  const tokens = [...positions.values()].map(position => {
+    const quantity = heldQuantity(position);
+    const { pricedQuantity, cost } = position.pool || position.lots.reduce((acc, lot) => ({
+      pricedQuantity: acc.pricedQuantity + (lot.cost != null ? lot.quantity : 0),
+      cost: acc.cost + (lot.cost != null ? lot.quantity * lot.cost : 0)
+    }), { pricedQuantity: 0, cost: 0 });
+    const currentPrice = currentPrices[position.token] ?? null;
+
+    return {
+      token: position.token,
+      symbol: position.symbol,
+      quantity: quantity > 1e-12 ? quantity : 0,
+      costBasis: cost,
+      avgCost: pricedQuantity > 0 ? cost / pricedQuantity : null,
+      currentPrice,
+      realized: position.realized,
+      unrealized: currentPrice != null && pricedQuantity > 1e-12 ? pricedQuantity * currentPrice - cost : null,
+      bought: position.bought,
+      sold: position.sold,
+      invested: position.invested,
+      proceeds: position.proceeds,
+      trades: position.trades,
+      wins: position.wins,
+      losses: position.losses,
+      unpriced: position.unpriced,
+      uncovered: position.uncovered
+    };
+  });
+
+  const totals = tokens.reduce((acc, t) => ({
+    realized: acc.realized + t.realized,
+    unrealized: acc.unrealized + (t.unrealized || 0),
+    costBasis: acc.costBasis + t.costBasis
+  }), { realized: 0, unrealized: 0, costBasis: 0 });
+
+  return {
+    method,
+    tokens: tokens.sort((a, b) => Math.abs(b.realized + (b.unrealized || 0)) - Math.abs(a.realized + (a.unrealized || 0))),
+    totals: { ...totals, total: totals.realized + totals.unrealized }
+  };
+};
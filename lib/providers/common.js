@@ -0,0 +1,50 @@
+// Helpers shared by the data provider adapters behind the proxy.
+// Adapters turn several upstream calls into one normalized response, so
+// they surface failures as ProviderError and let the proxy pick the status.
+
+import { fetchWithRetry, parseRetryAfter } from '../fetchWithRetry.js';
+
+export class ProviderError extends Error {
+  constructor(message, { status = 502, retryAfter = null, details } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// fetchWithRetry + JSON decoding; non-2xx responses become ProviderError
+export const fetchProviderJson = async (url, init, { provider, fetchImpl = fetch, retryPolicy = {} }) => {
+  const response = await fetchWithRetry(url, init, { ...retryPolicy, fetchImpl });
+
+  if (response.status === 429) {
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    throw new ProviderError(`${provider} rate limit exceeded after retries.`, {
+      status: 429,
+      retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : 60
+    });
+  }
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new ProviderError(`${provider} error: ${response.status}`, { status: response.status, details });
+  }
+
+  return response.json();
+};
+
+// Integer token amounts arrive as decimal strings; BigInt keeps them exact
+export const toBigInt = (value) => {
+  try {
+    return BigInt(value ?? 0);
+  } catch {
+    return 0n;
+  }
+};
+
+// share / total as a percentage with 4 decimal places of precision
+export const percentOf = (share, total) =>
+  total > 0n ? Number((share * 1000000n) / total) / 10000 : 0;
+
+export const formatUnits = (raw, decimals) => Number(raw) / Math.pow(10, decimals || 0);
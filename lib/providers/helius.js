@@ -0,0 +1,224 @@
+// Helius provider for Solana.
+// Holders come from the largest SPL token accounts, resolved to the wallets
+// that own them; transfers and wallet history from the Enhanced Transactions
+// API; balances from the DAS API. Responses use the same shapes as the
+// Moralis EVM endpoints so the app can treat both chains alike.
+
+import { fetchProviderJson, ProviderError, toBigInt, percentOf, formatUnits } from './common.js';
+
+const HELIUS_RPC = 'https://mainnet.helius-rpc.com';
+const HELIUS_API = 'https://api.helius.xyz/v0';
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+
+const createClient = ({ apiKey, fetchImpl, retryPolicy }) => {
+  const options = { provider: 'Helius', fetchImpl, retryPolicy };
+
+  const rpc = async (method, params) => {
+    const data = await fetchProviderJson(`${HELIUS_RPC}/?api-key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: method, method, params })
+    }, options);
+    if (data.error) {
+      throw new ProviderError(`Helius ${method}: ${data.error.message}`, { status: 502, details: data.error });
+    }
+    return data.result;
+  };
+
+  const transactions = (address, { limit, before }) => {
+    const query = new URLSearchParams({ 'api-key': apiKey, limit: String(limit) });
+    if (before) query.set('before', before);
+    return fetchProviderJson(`${HELIUS_API}/addresses/${address}/transactions?${query}`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' }
+    }, options);
+  };
+
+  return { rpc, transactions };
+};
+
+const toIsoTime = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// ============================================
+// HOLDERS
+// ============================================
+
+// getTokenLargestAccounts returns at most 20 token accounts. Several of them
+// can belong to one wallet, so they are collapsed by owner.
+export const fetchHeliusHolders = async ({ mint, apiKey, fetchImpl, retryPolicy }) => {
+  const { rpc } = createClient({ apiKey, fetchImpl, retryPolicy });
+
+  const [supply, largest] = await Promise.all([
+    rpc('getTokenSupply', [mint]),
+    rpc('getTokenLargestAccounts', [mint])
+  ]);
+  const totalSupply = toBigInt(supply.value.amount);
+  const decimals = supply.value.decimals;
+  const tokenAccounts = (largest.value || []).filter(a => toBigInt(a.amount) > 0n);
+  if (tokenAccounts.length === 0) {
+    return { result: [], total_holders: null, complete: false, provider: 'helius' };
+  }
+
+  const { value: accountInfos } = await rpc('getMultipleAccounts', [
+    tokenAccounts.map(a => a.address),
+    { encoding: 'jsonParsed' }
+  ]);
+
+  const byOwner = new Map();
+  tokenAccounts.forEach((account, i) => {
+    const owner = accountInfos[i]?.data?.parsed?.info?.owner || account.address;
+    const entry = byOwner.get(owner) || { owner, balance: 0n, tokenAccounts: [] };
+    entry.balance += toBigInt(account.amount);
+    entry.tokenAccounts.push(account.address);
+    byOwner.set(owner, entry);
+  });
+
+  // Owners controlled by a program (pools, vaults, PDAs) rather than the
+  // System Program are flagged the way Moralis flags EVM contracts
+  const owners = Array.from(byOwner.values());
+  const { value: ownerInfos } = await rpc('getMultipleAccounts', [
+    owners.map(o => o.owner),
+    { encoding: 'base64', dataSlice: { offset: 0, length: 0 } }
+  ]);
+
+  const result = owners
+    .map((entry, i) => ({
+      owner_address: entry.owner,
+      balance: entry.balance.toString(),
+      balance_formatted: String(formatUnits(entry.balance, decimals)),
+      percentage_relative_to_total_supply: percentOf(entry.balance, totalSupply),
+      is_contract: !!ownerInfos[i] && (ownerInfos[i].executable || ownerInfos[i].owner !== SYSTEM_PROGRAM),
+      token_accounts: entry.tokenAccounts
+    }))
+    .sort((a, b) => (toBigInt(b.balance) > toBigInt(a.balance) ? 1 : -1));
+
+  return { result, total_holders: null, complete: false, decimals, provider: 'helius' };
+};
+
+// ============================================
+// TOKEN TRANSFERS
+// ============================================
+
+// Parsed transfers of one mint, newest first, in the Moralis transfer shape.
+// `cursor` is the signature to pass as `before` for the next page.
+export const fetchHeliusTransfers = async ({ mint, apiKey, limit = 100, before, fetchImpl, retryPolicy }) => {
+  const { transactions } = createClient({ apiKey, fetchImpl, retryPolicy });
+  const txs = await transactions(mint, { limit, before });
+
+  const result = txs.flatMap(tx => (tx.tokenTransfers || [])
+    .filter(t => t.mint === mint)
+    .map(t => ({
+      transaction_hash: tx.signature,
+      block_timestamp: toIsoTime(tx.timestamp),
+      from_address: t.fromUserAccount || null,
+      to_address: t.toUserAccount || null,
+      value_decimal: t.tokenAmount,
+      category: tx.type?.toLowerCase() || 'transfer',
+      program: tx.source
+    })));
+
+  return {
+    result,
+    cursor: txs.length === limit ? txs[txs.length - 1].signature : null
+  };
+};
+
+// ============================================
+// WALLETS
+// ============================================
+
+// Fungible balances (plus native SOL) in the Moralis /wallets/:address/tokens shape
+export const fetchHeliusWalletTokens = async ({ owner, apiKey, fetchImpl, retryPolicy }) => {
+  const { rpc } = createClient({ apiKey, fetchImpl, retryPolicy });
+  const assets = await rpc('getAssetsByOwner', {
+    ownerAddress: owner,
+    page: 1,
+    limit: 1000,
+    displayOptions: { showFungible: true, showNativeBalance: true }
+  });
+
+  const tokens = (assets.items || [])
+    .filter(asset => asset.token_info && toBigInt(asset.token_info.balance) > 0n)
+    .map(asset => {
+      const info = asset.token_info;
+      const balance = formatUnits(info.balance, info.decimals);
+      const price = info.price_info?.price_per_token || 0;
+      return {
+        token_address: asset.id,
+        symbol: info.symbol || asset.content?.metadata?.symbol,
+        name: asset.content?.metadata?.name,
+        logo: asset.content?.links?.image,
+        decimals: info.decimals,
+        balance: String(info.balance),
+        balance_formatted: String(balance),
+        usd_price: price,
+        usd_value: info.price_info?.total_price ?? balance * price
+      };
+    });
+
+  const native = assets.nativeBalance;
+  if (native?.lamports > 0) {
+    tokens.unshift({
+      token_address: SOL_MINT,
+      symbol: 'SOL',
+      name: 'Solana',
+      decimals: 9,
+      balance: String(native.lamports),
+      balance_formatted: String(native.lamports / LAMPORTS_PER_SOL),
+      usd_price: native.price_per_sol || 0,
+      usd_value: native.total_price || 0,
+      native_token: true
+    });
+  }
+
+  return { result: tokens };
+};
+
+// Recent wallet activity in the Moralis /wallets/:address/history shape
+export const fetchHeliusWalletHistory = async ({ owner, apiKey, limit = 50, before, fetchImpl, retryPolicy }) => {
+  const { transactions } = createClient({ apiKey, fetchImpl, retryPolicy });
+  const txs = await transactions(owner, { limit, before });
+
+  const result = txs.map(tx => {
+    const transfer = (tx.tokenTransfers || []).find(t => t.fromUserAccount === owner || t.toUserAccount === owner)
+      || (tx.nativeTransfers || []).find(t => t.fromUserAccount === owner || t.toUserAccount === owner);
+    return {
+      hash: tx.signature,
+      block_timestamp: toIsoTime(tx.timestamp),
+      category: tx.type?.toLowerCase() || 'unknown',
+      summary: tx.description,
+      value: transfer ? String(transfer.tokenAmount ?? transfer.amount / LAMPORTS_PER_SOL) : null,
+      from_address: transfer?.fromUserAccount || tx.feePayer,
+      to_address: transfer?.toUserAccount || null
+    };
+  });
+
+  return {
+    result,
+    cursor: txs.length === limit ? txs[txs.length - 1].signature : null
+  };
+};
+
+// ============================================
+// TOKEN METADATA
+// ============================================
+
+// Symbol, decimals, supply and price for a mint, via DAS getAsset
+export const fetchHeliusToken = async ({ mint, apiKey, fetchImpl, retryPolicy }) => {
+  const { rpc } = createClient({ apiKey, fetchImpl, retryPolicy });
+  const asset = await rpc('getAsset', { id: mint, displayOptions: { showFungible: true } });
+  const info = asset.token_info || {};
+
+  return {
+    address: mint,
+    symbol: info.symbol || asset.content?.metadata?.symbol,
+    name: asset.content?.metadata?.name,
+    logo: asset.content?.links?.image,
+    decimals: info.decimals,
+    total_supply: info.supply !== undefined ? formatUnits(info.supply, info.decimals) : null,
+    usd_price: info.price_info?.price_per_token || null
+  };
+};
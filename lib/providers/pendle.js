@@ -0,0 +1,77 @@
+// Pendle provider.
+// Lists a chain's markets from the Pendle API and resolves a token address
+// to the market that issued it, with the market's current implied and
+// underlying APY. Shapes are normalized by lib/pendle.js.
+
+import { fetchProviderJson, ProviderError } from './common.js';
+import { PENDLE_CHAINS, normalizeMarket, findPendleToken } from '../pendle.js';
+
+const PENDLE_API = 'https://api-v2.pendle.finance/core';
+
+const createClient = ({ chain, fetchImpl, retryPolicy }) => {
+  const chainId = PENDLE_CHAINS[chain];
+  if (!chainId) {
+    throw new ProviderError(`Pendle does not support chain "${chain}"`, { status: 400 });
+  }
+
+  const get = (path) => fetchProviderJson(`${PENDLE_API}${path}`, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' }
+  }, { provider: 'Pendle', fetchImpl, retryPolicy });
+
+  const markets = async (status) => {
+    const data = await get(`/v1/${chainId}/markets/${status}`);
+    return (data.markets || []).map(raw => normalizeMarket(raw, chain, { active: status === 'active' }));
+  };
+
+  return { chainId, get, markets };
+};
+
+// `status` is 'active' (the /markets route) or 'inactive' (matured markets)
+export const fetchPendleMarkets = async ({ chain, status = 'active', fetchImpl, retryPolicy }) => {
+  const client = createClient({ chain, fetchImpl, retryPolicy });
+  const markets = await client.markets(status);
+  return {
+    chain,
+    markets: markets.sort((a, b) => (a.expiry || 0) - (b.expiry || 0)),
+    provider: 'pendle'
+  };
+};
+
+// Active markets first, then matured ones. Addresses Pendle did not issue
+// come back with `kind: null`. `loadMarkets(status)` lets the caller serve
+// the market lists from a cache, so a lookup does not download both lists
+// every time; it defaults to fetching them.
+export const fetchPendleToken = async ({ chain, address, fetchImpl, retryPolicy, loadMarkets }) => {
+  const client = createClient({ chain, fetchImpl, retryPolicy });
+  const listMarkets = loadMarkets || client.markets;
+  const match = findPendleToken(await listMarkets('active'), address)
+    || findPendleToken(await listMarkets('inactive'), address);
+  if (!match) return { address: address.toLowerCase(), chain, kind: null, market: null, provider: 'pendle' };
+
+  // Matured markets may have no current data; keep the listing's figures then
+  let data = {};
+  try {
+    data = await client.get(`/v2/${client.chainId}/markets/${match.market.address}/data`);
+  } catch (error) {
+    if (!(error instanceof ProviderError) || error.status !== 404) throw error;
+  }
+
+  return {
+    address: address.toLowerCase(),
+    chain,
+    kind: match.kind,
+    market: {
+      ...match.market,
+      impliedApy: data.impliedApy ?? match.market.impliedApy,
+      underlyingApy: data.underlyingApy ?? null,
+      ytFloatingApy: data.ytFloatingApy ?? null,
+      liquidity: data.liquidity?.usd ?? match.market.liquidity,
+      assetPriceUsd: data.assetPriceUsd ?? null,
+      totalPt: data.totalPt ?? null,
+      totalSy: data.totalSy ?? null,
+      totalLp: data.totalLp ?? null
+    },
+    provider: 'pendle'
+  };
+};
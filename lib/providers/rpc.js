@@ -0,0 +1,51 @@
+// EVM JSON-RPC provider.
+// Tells contracts from externally owned accounts with eth_getCode, one
+// JSON-RPC batch per request. Holder providers other than Moralis do not
+// flag contracts, so the holder classification asks here instead.
+//
+// Each chain uses a public RPC endpoint unless the proxy passes `rpcUrl`
+// (RPC_URL_<CHAIN> in the environment).
+
+import { fetchProviderJson, ProviderError } from './common.js';
+
+export const RPC_URLS = {
+  eth: 'https://ethereum-rpc.publicnode.com',
+  arbitrum: 'https://arbitrum-one-rpc.publicnode.com',
+  base: 'https://base-rpc.publicnode.com',
+  polygon: 'https://polygon-bor-rpc.publicnode.com',
+  bsc: 'https://bsc-rpc.publicnode.com'
+};
+
+// EIP-7702 accounts carry a delegation designator (0xef0100 + address) as
+// code but are still wallets
+const isDelegation = (code) => /^0xef0100[0-9a-f]{40}$/i.test(code);
+
+// -> { chain, contracts: { <address>: true | false }, provider }
+export const fetchContractCodes = async ({ chain, addresses, rpcUrl, fetchImpl, retryPolicy }) => {
+  const url = rpcUrl || RPC_URLS[chain];
+  if (!url) {
+    throw new ProviderError(`No RPC endpoint for chain "${chain}"`, { status: 400 });
+  }
+
+  const unique = [...new Set(addresses.map(a => a.toLowerCase()))];
+  const batch = unique.map((address, id) => ({ jsonrpc: '2.0', id, method: 'eth_getCode', params: [address, 'latest'] }));
+  const replies = await fetchProviderJson(url, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(batch)
+  }, { provider: 'RPC', fetchImpl, retryPolicy });
+
+  if (!Array.isArray(replies)) {
+    throw new ProviderError('RPC did not answer the batch', { status: 502, details: replies?.error });
+  }
+
+  // Replies may come back in any order; addresses without one stay unknown
+  const contracts = {};
+  replies.forEach(reply => {
+    const address = unique[reply.id];
+    if (!address || reply.error || typeof reply.result !== 'string') return;
+    contracts[address] = reply.result !== '0x' && !isDelegation(reply.result);
+  });
+
+  return { chain, contracts, provider: 'rpc' };
+};
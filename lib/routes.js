@@ -0,0 +1,334 @@
+// Allowlist of upstream endpoints the proxy is willing to forward.
+// Anything not described here is rejected before our API keys are attached.
+
+// ============================================
+// VALUE VALIDATORS
+// ============================================
+
+const EVM_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const SLUG = /^[a-z0-9][a-z0-9._-]{0,99}$/;
+
+const MORALIS_CHAINS = ['eth', 'arbitrum', 'base', 'polygon', 'bsc', '0x1', '0xa4b1', '0x2105', '0x89', '0x38'];
+const COVALENT_CHAINS = ['eth', 'arbitrum', 'base', 'polygon', 'bsc'];
+const RPC_CHAINS = ['eth', 'arbitrum', 'base', 'polygon', 'bsc'];
+const PENDLE_CHAINS = ['eth', 'arbitrum', 'base', 'bsc'];
+const GECKOTERMINAL_NETWORKS = ['eth', 'arbitrum', 'base', 'polygon_pos', 'bsc', 'solana'];
+
+const isEvmAddress = (v) => EVM_ADDRESS.test(v);
+const isSolanaAddress = (v) => SOLANA_ADDRESS.test(v);
+const isAnyAddress = (v) => isEvmAddress(v) || isSolanaAddress(v);
+const isSlug = (v) => SLUG.test(v);
+const isBool = (v) => v === 'true' || v === 'false';
+const oneOf = (values) => (v) => values.includes(v);
+const intRange = (min, max) => (v) => /^\d+$/.test(v) && Number(v) >= min && Number(v) <= max;
+const isIsoDate = (v) => /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(v) && !isNaN(Date.parse(v));
+const isSignature = (v) => /^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(v);
+const isCursor = (v) => typeof v === 'string' && v.length > 0 && v.length <= 2048 && /^[A-Za-z0-9._-]+$/.test(v);
+const isSearchQuery = (v) => v.length > 0 && v.length <= 64 && /^[\w\s.$-]+$/.test(v);
+const listOf = (check, max) => (v) => {
+  const items = v.split(',');
+  return items.length <= max && items.every(check);
+};
+
+// Path segment types referenced as `:name` in route patterns
+const SEGMENTS = {
+  address: isAnyAddress,
+  evmAddress: isEvmAddress,
+  solanaAddress: isSolanaAddress,
+  id: isSlug,
+  network: oneOf(GECKOTERMINAL_NETWORKS)
+};
+
+// ============================================
+// ROUTE TABLE
+// ============================================
+
+const MORALIS_CHAIN = { check: oneOf(MORALIS_CHAINS), required: true };
+
+export const ROUTES = {
+  coingecko: [
+    {
+      path: '/coins/markets',
+      params: {
+        vs_currency: { check: oneOf(['usd']), required: true },
+        order: { check: oneOf(['market_cap_desc', 'market_cap_asc', 'volume_desc', 'volume_asc']) },
+        per_page: { check: intRange(1, 250) },
+        page: { check: intRange(1, 10) },
+        sparkline: { check: isBool },
+        price_change_percentage: { check: listOf(oneOf(['1h', '24h', '7d', '14d', '30d']), 5) }
+      }
+    },
+    {
+      path: '/search',
+      params: { query: { check: isSearchQuery, required: true } }
+    },
+    {
+      path: '/simple/price',
+      params: {
+        ids: { check: listOf(isSlug, 50), required: true },
+        vs_currencies: { check: oneOf(['usd']), required: true }
+      }
+    },
+    {
+      path: '/coins/:id',
+      params: {
+        localization: { check: isBool },
+        tickers: { check: isBool },
+        market_data: { check: isBool },
+        community_data: { check: isBool },
+        developer_data: { check: isBool },
+        sparkline: { check: isBool }
+      }
+    },
+    {
+      path: '/coins/:id/market_chart',
+      params: {
+        vs_currency: { check: oneOf(['usd']), required: true },
+        days: { check: (v) => v === 'max' || intRange(1, 365)(v), required: true }
+      }
+    },
+    {
+      path: '/coins/:id/contract/:address/market_chart',
+      params: {
+        vs_currency: { check: oneOf(['usd']), required: true },
+        days: { check: (v) => v === 'max' || intRange(1, 365)(v), required: true }
+      }
+    }
+  ],
+
+  geckoterminal: [
+    {
+      path: '/networks/:network/tokens/:address/pools',
+      params: { page: { check: intRange(1, 10) } }
+    },
+    {
+      path: '/networks/:network/pools/:address/trades',
+      params: { trade_volume_in_usd_greater_than: { check: intRange(0, 1e9) } }
+    }
+  ],
+
+  dexscreener: [
+    { path: '/latest/dex/tokens/:address', params: {} }
+  ],
+
+  moralis: [
+    {
+      path: '/erc20/metadata',
+      params: {
+        chain: MORALIS_CHAIN,
+        'addresses[]': { check: isEvmAddress, required: true, multiple: 25 }
+      }
+    },
+    {
+      path: '/erc20/:evmAddress/price',
+      params: { chain: MORALIS_CHAIN }
+    },
+    {
+      path: '/erc20/:evmAddress/owners',
+      params: {
+        chain: MORALIS_CHAIN,
+        limit: { check: intRange(1, 100) },
+        order: { check: oneOf(['ASC', 'DESC']) },
+        cursor: { check: isCursor }
+      }
+    },
+    {
+      path: '/erc20/:evmAddress/transfers',
+      params: {
+        chain: MORALIS_CHAIN,
+        limit: { check: intRange(1, 100) },
+        order: { check: oneOf(['ASC', 'DESC']) },
+        cursor: { check: isCursor },
+        from_date: { check: isIsoDate },
+        to_date: { check: isIsoDate }
+      }
+    },
+    {
+      path: '/erc20/:evmAddress/swaps',
+      params: {
+        chain: MORALIS_CHAIN,
+        limit: { check: intRange(1, 100) },
+        order: { check: oneOf(['ASC', 'DESC']) },
+        cursor: { check: isCursor },
+        toDate: { check: isIsoDate }
+      }
+    },
+    {
+      path: '/wallets/:evmAddress/tokens',
+      params: {
+        chain: MORALIS_CHAIN,
+        exclude_spam: { check: isBool },
+        cursor: { check: isCursor }
+      }
+    },
+    {
+      path: '/wallets/:evmAddress/history',
+      params: {
+        chain: MORALIS_CHAIN,
+        limit: { check: intRange(1, 100) },
+        order: { check: oneOf(['ASC', 'DESC']) },
+        cursor: { check: isCursor }
+      }
+    }
+  ],
+
+  'moralis-solana': [
+    { path: '/token/mainnet/:solanaAddress/price', params: {} },
+    { path: '/token/mainnet/:solanaAddress/metadata', params: {} },
+    { path: '/account/mainnet/:solanaAddress/tokens', params: {} },
+    { path: '/account/mainnet/:solanaAddress/portfolio', params: {} },
+    {
+      path: '/token/mainnet/:solanaAddress/swaps',
+      params: {
+        limit: { check: intRange(1, 100) },
+        order: { check: oneOf(['ASC', 'DESC']) },
+        cursor: { check: isCursor },
+        toDate: { check: isIsoDate }
+      }
+    }
+  ],
+
+  // Served by lib/providers/covalent.js rather than forwarded verbatim
+  covalent: [
+    {
+      path: '/holders/:evmAddress',
+      params: {
+        chain: { check: oneOf(COVALENT_CHAINS), required: true },
+        limit: { check: intRange(1, 100) }
+      }
+    }
+  ],
+
+  // Served by lib/providers/helius.js
+  helius: [
+    { path: '/holders/:solanaAddress', params: {} },
+    { path: '/tokens/:solanaAddress', params: {} },
+    {
+      path: '/transfers/:solanaAddress',
+      params: {
+        limit: { check: intRange(1, 100) },
+        before: { check: isSignature }
+      }
+    },
+    { path: '/wallets/:solanaAddress/tokens', params: {} },
+    {
+      path: '/wallets/:solanaAddress/history',
+      params: {
+        limit: { check: intRange(1, 100) },
+        before: { check: isSignature }
+      }
+    }
+  ],
+
+  // Served by lib/providers/rpc.js (eth_getCode)
+  rpc: [
+    {
+      path: '/code',
+      params: {
+        chain: { check: oneOf(RPC_CHAINS), required: true },
+        addresses: { check: listOf(isEvmAddress, 100), required: true }
+      }
+    }
+  ],
+
+  // Served by lib/providers/pendle.js
+  pendle: [
+    {
+      path: '/markets',
+      params: { chain: { check: oneOf(PENDLE_CHAINS), required: true } }
+    },
+    {
+      path: '/tokens/:evmAddress',
+      params: { chain: { check: oneOf(PENDLE_CHAINS), required: true } }
+    }
+  ]
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+const reject = (code, message, detail) => ({ allowed: false, code, message, detail });
+
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/');
+  const pathParts = path.split('/');
+  if (patternParts.length !== pathParts.length) return false;
+
+  return patternParts.every((part, i) => {
+    if (part.startsWith(':')) {
+      const check = SEGMENTS[part.slice(1)];
+      return !!check && check(pathParts[i]);
+    }
+    return part === pathParts[i];
+  });
+};
+
+const validateQuery = (route, searchParams) => {
+  const query = new URLSearchParams();
+  const seen = new Set(searchParams.keys());
+
+  for (const name of seen) {
+    const spec = Object.hasOwn(route.params, name) ? route.params[name] : null;
+    if (!spec) {
+      return reject('PARAM_NOT_ALLOWED', `Query parameter "${name}" is not allowed`, { param: name });
+    }
+
+    const values = searchParams.getAll(name);
+    const max = spec.multiple || 1;
+    if (values.length > max) {
+      return reject('PARAM_NOT_ALLOWED', `Too many values for "${name}"`, { param: name, max });
+    }
+
+    for (const value of values) {
+      if (!spec.check(value)) {
+        return reject('PARAM_INVALID', `Invalid value for "${name}"`, { param: name });
+      }
+      query.append(name, value);
+    }
+  }
+
+  for (const [name, spec] of Object.entries(route.params)) {
+    if (spec.required && !seen.has(name)) {
+      return reject('PARAM_MISSING', `Missing required parameter "${name}"`, { param: name });
+    }
+  }
+
+  return { allowed: true, query };
+};
+
+// Validate a proxied endpoint against the route table for `source`.
+// On success returns the normalized path and a rebuilt query string, so
+// only validated values are ever sent upstream.
+export const validateEndpoint = (source, endpoint) => {
+  const routes = Object.hasOwn(ROUTES, source) ? ROUTES[source] : null;
+  if (!routes) {
+    return reject('SOURCE_NOT_ALLOWED', `Unknown source "${source}"`, { source });
+  }
+
+  if (typeof endpoint !== 'string' || !endpoint.startsWith('/') || endpoint.startsWith('//') || endpoint.length > 4096) {
+    return reject('ENDPOINT_NOT_ALLOWED', 'Malformed endpoint', { endpoint });
+  }
+
+  const [rawPath, rawQuery = ''] = endpoint.split(/\?(.*)/s);
+  if (!/^[A-Za-z0-9/_.-]+$/.test(rawPath) || rawPath.split('/').some(part => part === '.' || part === '..')) {
+    return reject('ENDPOINT_NOT_ALLOWED', 'Malformed endpoint path', { path: rawPath });
+  }
+
+  const route = routes.find(r => matchPath(r.path, rawPath));
+  if (!route) {
+    return reject('ENDPOINT_NOT_ALLOWED', `Endpoint not allowed for source "${source}"`, { path: rawPath });
+  }
+
+  const result = validateQuery(route, new URLSearchParams(rawQuery));
+  if (!result.allowed) return result;
+
+  const queryString = result.query.toString();
+  return {
+    allowed: true,
+    route: route.path,
+    path: rawPath,
+    endpoint: queryString ? `${rawPath}?${queryString}` : rawPath
+  };
+};
@@ -0,0 +1,191 @@
+// Minimal SMTP client for alert emails: one message per connection, plain
+// text, AUTH LOGIN, implicit TLS (`secure`, usually port 465) or STARTTLS
+// when the server offers it. AUTH is refused on a plaintext connection
+// unless the server is localhost. Enough for a relay like SES, Postmark or a
+// local mock; no attachments, pooling or DSN.
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { randomUUID } from 'node:crypto';
+
+export class SmtpError extends Error {
+  constructor(message, { code = null } = {}) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+// Reads complete (possibly multi-line) replies off a socket
+const createReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      waiting.reject(failure);
+      waiting = null;
+      return;
+    }
+    // The last line of a reply is "250 ..." rather than "250-..."
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+    const reply = lines.slice(0, end + 1);
+    lines = lines.slice(end + 1);
+    waiting.resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map(l => l.slice(4)) });
+    waiting = null;
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(new SmtpError('Connection closed by server'));
+
+  const attach = (s) => {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', onClose);
+  };
+  const detach = (s) => {
+    s.off('data', onData);
+    s.off('error', onError);
+    s.off('close', onClose);
+  };
+
+  attach(socket);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      settle();
+    }),
+    // After STARTTLS, replies arrive on the TLS socket instead
+    swap: (from, to) => {
+      detach(from);
+      buffer = '';
+      lines = [];
+      attach(to);
+    }
+  };
+};
+
+const connect = ({ host, port, secure, timeout }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeout}ms`)));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+const upgrade = (socket, { host, timeout }) => new Promise((resolve, reject) => {
+  const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+  secured.setTimeout(timeout, () => secured.destroy(new SmtpError(`SMTP timeout after ${timeout}ms`)));
+  secured.once('error', reject);
+});
+
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Lines starting with "." are escaped so they do not end the DATA section
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${headerValue(from)}`,
+  `To: ${to.map(headerValue).join(', ')}`,
+  `Subject: ${headerValue(subject)}`,
+  `Date: ${new Date().toUTCString()}`,
+  `Message-ID: <${randomUUID()}@${headerValue(from).split('@')[1]?.replace(/>.*/, '') || 'localhost'}>`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  ...String(text).split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+].join('\r\n');
+
+// The bare address of "Name <a@b>" or "a@b". Anything that could end the
+// MAIL FROM / RCPT TO line early is refused rather than cleaned.
+const addressOf = (value) => {
+  const text = String(value);
+  const address = text.match(/<([^>]*)>/)?.[1] ?? text.trim();
+  if (!address || /[\r\n]/.test(text) || /[<>\s]/.test(address)) {
+    throw new SmtpError(`Invalid email address: ${JSON.stringify(text)}`);
+  }
+  return address;
+};
+
+const isLocalHost = (host) => ['localhost', '127.0.0.1', '::1'].includes(String(host).toLowerCase());
+
+export const sendMail = async ({
+  host,
+  port = 587,
+  secure = port === 465,
+  username,
+  password,
+  from,
+  to,
+  subject,
+  text,
+  timeout = 15000
+}) => {
+  if (!host || !from || !to) throw new SmtpError('SMTP host, from and to are required');
+  const recipients = Array.isArray(to) ? to : String(to).split(',').map(s => s.trim()).filter(Boolean);
+  const sender = addressOf(from);
+  const recipientAddresses = recipients.map(addressOf);
+
+  let socket = await connect({ host, port, secure, timeout });
+  const reader = createReader(socket);
+
+  const expect = async (codes) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${reply.code}: ${reply.lines.join(' ')}`, { code: reply.code });
+    }
+    return reply;
+  };
+  const command = (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes);
+  };
+
+  try {
+    await expect([220]);
+    const hello = await command('EHLO localhost', [250]);
+
+    if (!secure && hello.lines.some(l => /^STARTTLS/i.test(l))) {
+      await command('STARTTLS', [220]);
+      const secured = await upgrade(socket, { host, timeout });
+      reader.swap(socket, secured);
+      socket = secured;
+      await command('EHLO localhost', [250]);
+    }
+
+    // Credentials only travel encrypted, except to a relay on this machine
+    if (username) {
+      if (!secure && !(socket instanceof tls.TLSSocket) && !isLocalHost(host)) {
+        throw new SmtpError('Refusing to send SMTP credentials without TLS: the server does not offer STARTTLS');
+      }
+      await command('AUTH LOGIN', [334]);
+      await command(Buffer.from(username).toString('base64'), [334]);
+      await command(Buffer.from(password || '').toString('base64'), [235]);
+    }
+
+    await command(`MAIL FROM:<${sender}>`, [250]);
+    for (const recipient of recipientAddresses) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${formatMessage({ from, to: recipients, subject, text })}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+};
@@ -0,0 +1,168 @@
+// Shared snapshot history for the server-side collector and /api/snapshots.
+// Stores share one async interface:
+//   list(key) -> snapshots (oldest first), append(key, snapshot) -> snapshots,
+//   getWatchlist() -> tokens, setWatchlist(tokens),
+//   read(name, fallback), write(name, value) for other shared JSON documents
+// append() applies the same compaction as the browser store.
+
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { join } from 'node:path';
+import { compactSnapshots, snapshotKey } from './snapshots.js';
+
+const compact = (snapshots) => {
+  const drop = new Set(compactSnapshots(snapshots));
+  return snapshots
+    .filter(s => !drop.has(s.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// ============================================
+// STORES
+// ============================================
+
+// One JSON file per token plus watchlist.json; for local runs and servers
+// with a persistent disk
+export const createJsonFileSnapshotStore = ({ dir = join(process.cwd(), '.data', 'snapshots') } = {}) => {
+  const safeName = (key) => key.replace(/[^A-Za-z0-9_-]/g, '_');
+  const pathFor = (name) => join(dir, `${name}.json`);
+  let ready = null;
+
+  const readJson = async (name, fallback) => {
+    try {
+      return JSON.parse(await readFile(pathFor(name), 'utf8'));
+    } catch {
+      return fallback;
+    }
+  };
+
+  // Write to a temp file and rename so readers never see a partial file
+  const writeJson = async (name, value) => {
+    ready = ready || mkdir(dir, { recursive: true });
+    await ready;
+    const tmp = `${pathFor(name)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(value));
+    await rename(tmp, pathFor(name));
+  };
+
+  return {
+    list: (key) => readJson(`token_${safeName(key)}`, []),
+
+    async append(key, snapshot) {
+      const snapshots = compact([...(await this.list(key)), snapshot]);
+      await writeJson(`token_${safeName(key)}`, snapshots);
+      return snapshots;
+    },
+
+    getWatchlist: () => readJson('watchlist', []),
+    setWatchlist: (tokens) => writeJson('watchlist', tokens),
+
+    read: (name, fallback) => readJson(`doc_${safeName(name)}`, fallback),
+    write: (name, value) => writeJson(`doc_${safeName(name)}`, value)
+  };
+};
+
+// Redis-compatible store over the REST protocol, for serverless deployments
+// where the filesystem does not persist between runs
+export const createRedisSnapshotStore = ({ url, token, prefix = 'snapshots:' }) => {
+  const command = async (args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+    if (!response.ok) {
+      throw new Error(`Redis error: ${response.status}`);
+    }
+    const { result } = await response.json();
+    return result;
+  };
+
+  const readJson = async (key, fallback) => {
+    const raw = await command(['GET', prefix + key]);
+    return raw ? JSON.parse(raw) : fallback;
+  };
+
+  return {
+    list: (key) => readJson(`token:${key}`, []),
+
+    async append(key, snapshot) {
+      const snapshots = compact([...(await this.list(key)), snapshot]);
+      await command(['SET', `${prefix}token:${key}`, JSON.stringify(snapshots)]);
+      return snapshots;
+    },
+
+    getWatchlist: () => readJson('watchlist', []),
+    setWatchlist: (tokens) => command(['SET', `${prefix}watchlist`, JSON.stringify(tokens)]),
+
+    read: (name, fallback) => readJson(`doc:${name}`, fallback),
+    write: (name, value) => command(['SET', `${prefix}doc:${name}`, JSON.stringify(value)])
+  };
+};
+
+// Stand-in when no store can persist here: every call rejects with
+// `reason`, and handlers answer 503 with it before touching the store
+const createUnavailableSnapshotStore = (reason) => {
+  const refuse = async () => {
+    throw new Error(reason);
+  };
+  return {
+    unavailable: reason,
+    list: refuse,
+    append: refuse,
+    getWatchlist: refuse,
+    setWatchlist: refuse,
+    read: refuse,
+    write: refuse
+  };
+};
+
+// SNAPSHOT_STORE=file|redis picks the backend (file by default). Vercel's
+// filesystem is read-only, so deployments there need Redis.
+export const createSnapshotStoreFromEnv = (env = process.env) => {
+  if (env.SNAPSHOT_STORE === 'redis') {
+    const url = env.SNAPSHOT_STORE_REDIS_URL || env.PROXY_CACHE_REDIS_URL;
+    const token = env.SNAPSHOT_STORE_REDIS_TOKEN || env.PROXY_CACHE_REDIS_TOKEN;
+    if (url && token) return createRedisSnapshotStore({ url, token });
+    console.warn('SNAPSHOT_STORE=redis without a Redis URL/token, shared snapshots are disabled');
+    return createUnavailableSnapshotStore('Snapshot store not configured: SNAPSHOT_STORE=redis needs SNAPSHOT_STORE_REDIS_URL and SNAPSHOT_STORE_REDIS_TOKEN');
+  }
+  if (env.VERCEL) {
+    return createUnavailableSnapshotStore('Snapshot store not configured: set SNAPSHOT_STORE=redis with a Redis URL and token (the Vercel filesystem is read-only)');
+  }
+  return createJsonFileSnapshotStore({ dir: env.SNAPSHOT_STORE_DIR || undefined });
+};
+
+// ============================================
+// WATCHLIST
+// ============================================
+
+export const WATCHLIST_LIMIT = 100;
+const WATCHLIST_CHAINS = ['eth', 'arbitrum', 'base', 'polygon', 'bsc', 'solana'];
+
+// Watchlist entries come from browsers; keep only the fields the collector uses
+export const normalizeWatchlistEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const { address, chain, symbol, coingeckoId } = entry;
+  if (!WATCHLIST_CHAINS.includes(chain) || typeof address !== 'string') return null;
+
+  const validAddress = chain === 'solana'
+    ? /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)
+    : /^0x[a-fA-F0-9]{40}$/.test(address);
+  if (!validAddress) return null;
+
+  return {
+    address,
+    chain,
+    symbol: typeof symbol === 'string' ? symbol.slice(0, 20) : '',
+    coingeckoId: typeof coingeckoId === 'string' && /^[a-z0-9][a-z0-9._-]{0,99}$/.test(coingeckoId) ? coingeckoId : null
+  };
+};
+
+// EVM addresses are case-insensitive, so shared history is keyed lowercase
+export const sharedSnapshotKey = ({ address, chain }) =>
+  snapshotKey(chain === 'solana' ? address : address.toLowerCase(), chain);
+
+export const sameToken = (a, b) => a.chain === b.chain && a.address.toLowerCase() === b.address.toLowerCase();
@@ -0,0 +1,255 @@
+// Holder snapshot helpers shared by the browser store and any server-side
+// store. No storage APIs in here: just the record shape and the retention
+// (compaction) rules.
+
+import { concentrationMetrics } from './concentration.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Snapshots younger than `maxAge` keep one entry per `bucket`; anything
+// older than the last tier keeps one per week.
+export const COMPACTION_TIERS = [
+  { maxAge: 7 * DAY, bucket: HOUR },
+  { maxAge: 90 * DAY, bucket: DAY },
+  { maxAge: Infinity, bucket: WEEK }
+];
+
+export const snapshotKey = (tokenAddress, chain) => `${chain}_${tokenAddress}`;
+
+// Store the fields the tracker compares, in holder rank order. `price` is
+// the token's USD price at snapshot time, used to value later diffs,
+// `supply` the reported { total, circulating } supply for reconciling mints
+// and burns, and `concentration` the metrics from concentration.js for
+// charting over time.
+export const createSnapshot = (holders, { timestamp = Date.now(), price = null, supply = null } = {}) => {
+  const rows = holders.map(h => ({
+    address: h.owner_address,
+    balance: parseFloat(h.balance_formatted || h.balance) || 0,
+    percentage: parseFloat(h.percentage_relative_to_total_supply) || 0
+  }));
+  return { timestamp, price, supply, holders: rows, concentration: concentrationMetrics(rows) };
+};
+
+// Returns the timestamps to delete so that each tier keeps only the newest
+// snapshot per bucket. The most recent snapshot is always kept.
+export const compactSnapshots = (snapshots, now = Date.now(), tiers = COMPACTION_TIERS) => {
+  const newestFirst = [...snapshots].sort((a, b) => b.timestamp - a.timestamp);
+  const seenBuckets = new Set();
+  const drop = [];
+
+  newestFirst.forEach((snapshot, i) => {
+    const age = now - snapshot.timestamp;
+    const tierIndex = tiers.findIndex(tier => age < tier.maxAge);
+    const tier = tiers[tierIndex === -1 ? tiers.length - 1 : tierIndex];
+    const bucket = `${tierIndex}:${Math.floor(snapshot.timestamp / tier.bucket)}`;
+
+    if (i > 0 && seenBuckets.has(bucket)) {
+      drop.push(snapshot.timestamp);
+    } else {
+      seenBuckets.add(bucket);
+    }
+  });
+
+  return drop;
+};
+
+// ============================================
+// DIFF
+// ============================================
+
+export const SUMMARY_TIERS = [10, 25, 100];
+
+// Smallest balance a snapshot's top list still includes
+const listThreshold = (snapshot) => (snapshot.holders.length > 0
+  ? Math.min(...snapshot.holders.map(h => h.balance || 0))
+  : 0);
+
+// Full holder diff between two snapshots (`from` older than `to`).
+// Every row carries before/after balance and supply share, the deltas and
+// its rank in each snapshot. Snapshots only hold the top list, so a holder
+// missing from one of them is below that list's threshold, not at zero:
+// entered and exited rows leave that side's balance, share and the deltas
+// null, and the top N sums count only holders listed in both snapshots.
+export const diffSnapshots = (from, to) => {
+  const fromRows = new Map(from.holders.map((h, i) => [h.address, { ...h, rank: i + 1 }]));
+  const toRows = new Map(to.holders.map((h, i) => [h.address, { ...h, rank: i + 1 }]));
+  const addresses = new Set([...fromRows.keys(), ...toRows.keys()]);
+
+  const entered = [];
+  const exited = [];
+  const accumulated = [];
+  const distributed = [];
+
+  addresses.forEach(address => {
+    const before = fromRows.get(address);
+    const after = toRows.get(address);
+    const row = {
+      address,
+      balanceBefore: before ? before.balance || 0 : null,
+      balanceAfter: after ? after.balance || 0 : null,
+      percentageBefore: before ? before.percentage || 0 : null,
+      percentageAfter: after ? after.percentage || 0 : null,
+      rankBefore: before?.rank || null,
+      rankAfter: after?.rank || null,
+      delta: null,
+      percentageDelta: null
+    };
+    if (before && after) {
+      row.delta = row.balanceAfter - row.balanceBefore;
+      row.percentageDelta = row.percentageAfter - row.percentageBefore;
+    }
+
+    if (!before) entered.push(row);
+    else if (!after) exited.push(row);
+    else if (row.delta > 0) accumulated.push(row);
+    else if (row.delta < 0) distributed.push(row);
+  });
+
+  const byDelta = (a, b) => Math.abs(b.delta) - Math.abs(a.delta);
+  [accumulated, distributed].forEach(rows => rows.sort(byDelta));
+  entered.sort((a, b) => b.balanceAfter - a.balanceAfter);
+  exited.sort((a, b) => b.balanceBefore - a.balanceBefore);
+
+  // Top N is taken from the newer snapshot: how much did today's top N
+  // holders add or shed, and how did the top N's combined share move?
+  // Newcomers to the list (`unknown`) have no earlier balance to net against.
+  const shareOfTop = (holders, n) => holders.slice(0, n).reduce((sum, h) => sum + (h.percentage || 0), 0);
+  const summary = SUMMARY_TIERS.map(n => {
+    const cohort = to.holders.slice(0, n).map(h => h.address);
+    const known = cohort.filter(address => fromRows.has(address));
+    return {
+      tier: n,
+      netBalance: known.reduce((sum, address) => sum + toRows.get(address).balance - fromRows.get(address).balance, 0),
+      netPercentage: known.reduce((sum, address) => sum + toRows.get(address).percentage - fromRows.get(address).percentage, 0),
+      unknown: cohort.length - known.length,
+      shareBefore: shareOfTop(from.holders, n),
+      shareAfter: shareOfTop(to.holders, n)
+    };
+  });
+
+  return {
+    entered,
+    exited,
+    accumulated,
+    distributed,
+    summary,
+    thresholdBefore: listThreshold(from),
+    thresholdAfter: listThreshold(to)
+  };
+};
+
+// ============================================
+// HOLDER TIMELINE
+// ============================================
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Balance changes for one address from the app's transfer list.
+// DEX trades credit buys to and debit sells from the trader.
+export const holderTransferEvents = (transfers, address) => (transfers || []).flatMap(t => {
+  const timestamp = new Date(t.block_timestamp).getTime();
+  const amount = t.amount || 0;
+  if (!timestamp || !amount) return [];
+
+  let delta = 0;
+  if (t.type === 'buy' && sameAddress(t.trader_address, address)) delta = amount;
+  else if (t.type === 'sell' && sameAddress(t.trader_address, address)) delta = -amount;
+  else if (t.type === 'transfer') {
+    if (sameAddress(t.to_address, address)) delta += amount;
+    if (sameAddress(t.from_address, address)) delta -= amount;
+  }
+  return delta ? [{ timestamp, delta, hash: t.transaction_hash }] : [];
+});
+
+// One address's balance over time, oldest first. Snapshot points carry the
+// rank and supply share recorded then (rank null = outside the tracked top
+// list). Transfer events fill in detail around the newest snapshot the
+// address appears in: forwards to now, and backwards to the snapshot before.
+export const buildHolderTimeline = (snapshots, address, events = []) => {
+  const points = snapshots.map(snapshot => {
+    const index = snapshot.holders.findIndex(h => sameAddress(h.address, address));
+    const holder = snapshot.holders[index];
+    return {
+      timestamp: snapshot.timestamp,
+      balance: holder ? holder.balance : null,
+      percentage: holder ? holder.percentage : null,
+      rank: holder ? index + 1 : null,
+      source: 'snapshot'
+    };
+  });
+
+  const anchorIndex = points.map(p => p.balance !== null).lastIndexOf(true);
+  const anchor = points[anchorIndex];
+  if (!anchor || events.length === 0) return points;
+
+  const sharePerToken = anchor.balance > 0 ? anchor.percentage / anchor.balance : 0;
+  const lowerBound = points[anchorIndex - 1]?.timestamp ?? -Infinity;
+  const sorted = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  const eventPoint = (event, balance) => ({
+    timestamp: event.timestamp,
+    balance: Math.max(0, balance),
+    percentage: Math.max(0, balance) * sharePerToken,
+    rank: null,
+    source: 'transfer',
+    delta: event.delta,
+    hash: event.hash
+  });
+
+  const filled = [];
+
+  // Backwards from the anchor: the balance right after each earlier event
+  let balance = anchor.balance;
+  sorted
+    .filter(e => e.timestamp < anchor.timestamp && e.timestamp > lowerBound)
+    .reverse()
+    .forEach(event => {
+      filled.push(eventPoint(event, balance));
+      balance -= event.delta;
+    });
+
+  // Forwards from the anchor
+  balance = anchor.balance;
+  sorted
+    .filter(e => e.timestamp > anchor.timestamp)
+    .forEach(event => {
+      balance += event.delta;
+      filled.push(eventPoint(event, balance));
+    });
+
+  return [...points, ...filled].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Classify a timeline: steady accumulation/distribution versus one big move
+export const summarizeTimeline = (points) => {
+  const known = points.filter(p => p.balance !== null);
+  if (known.length < 2) return null;
+
+  const moves = known.slice(1).map((p, i) => ({ timestamp: p.timestamp, change: p.balance - known[i].balance }))
+    .filter(m => m.change !== 0);
+  const netChange = known[known.length - 1].balance - known[0].balance;
+  const largestMove = moves.reduce((best, m) => (!best || Math.abs(m.change) > Math.abs(best.change) ? m : best), null);
+
+  let pattern = 'flat';
+  if (moves.length > 0 && netChange !== 0) {
+    const direction = Math.sign(netChange);
+    const withTrend = moves.filter(m => Math.sign(m.change) === direction).length / moves.length;
+    if (largestMove && Math.sign(largestMove.change) === direction && Math.abs(largestMove.change) >= 0.8 * Math.abs(netChange)) {
+      pattern = direction > 0 ? 'single-buy' : 'single-dump';
+    } else if (withTrend >= 0.7) {
+      pattern = direction > 0 ? 'accumulating' : 'distributing';
+    } else {
+      pattern = 'mixed';
+    }
+  }
+
+  return {
+    netChange,
+    netPercentage: (known[known.length - 1].percentage || 0) - (known[0].percentage || 0),
+    largestMove,
+    pattern,
+    from: known[0].timestamp,
+    to: known[known.length - 1].timestamp
+  };
+};
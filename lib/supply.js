@@ -0,0 +1,116 @@
+// Supply changes from mint and burn transfers (from or to the zero address
+// on EVM chains, no wallet on one side on Solana), bucketed over time and
+// reconciled against the reported total supply.
+//
+// Events are transaction rows as the tracker maps them: { type: 'mint' |
+// 'burn', amount, usdValue, block_timestamp, from_address, to_address }.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export const SUPPLY_EVENT_TYPES = {
+  mint: { label: 'Mint' },
+  burn: { label: 'Burn' }
+};
+
+// Differences below this share of total supply count as reconciled
+export const RECONCILE_TOLERANCE = 0.001;
+
+// 'mint', 'burn' or null for a raw transfer's two sides
+export const supplyEventType = (from, to) => {
+  const isNull = (address) => !address || address.toLowerCase() === ZERO_ADDRESS;
+  if (isNull(from) && !isNull(to)) return 'mint';
+  if (!isNull(from) && isNull(to)) return 'burn';
+  return null;
+};
+
+export const isSupplyEvent = (tx) => tx.type === 'mint' || tx.type === 'burn';
+
+// Reported supply in tokens, as stored with each snapshot. CoinGecko and
+// Helius report tokens; Moralis metadata reports base units plus a
+// formatted copy.
+export const reportedSupply = (info) => {
+  const total = parseFloat(info?.total_supply_formatted ?? info?.total_supply);
+  if (!total) return null;
+  return { total, circulating: parseFloat(info.circulating_supply) || null };
+};
+
+const toTime = (tx) => new Date(tx.block_timestamp).getTime() || 0;
+const signed = (tx) => (tx.type === 'mint' ? tx.amount : -tx.amount);
+
+export const supplyTotals = (events) => events.reduce((totals, tx) => {
+  const side = tx.type === 'mint' ? 'minted' : 'burned';
+  totals[side] += tx.amount || 0;
+  totals[`${side}Usd`] += tx.usdValue || 0;
+  totals.net += signed(tx) || 0;
+  return totals;
+}, { minted: 0, burned: 0, mintedUsd: 0, burnedUsd: 0, net: 0 });
+
+// Hourly buckets for spans under three days, daily otherwise
+export const bucketSize = (events) => {
+  const times = events.map(toTime);
+  const span = times.length > 0 ? Math.max(...times) - Math.min(...times) : 0;
+  return span < 3 * DAY ? HOUR : DAY;
+};
+
+// [{ timestamp, minted, burned, net, cumulative }] oldest first, one entry
+// per bucket that has events; `cumulative` is the net change so far
+export const supplyChangeSeries = (events, bucket = bucketSize(events)) => {
+  const buckets = new Map();
+  events.forEach(tx => {
+    const start = Math.floor(toTime(tx) / bucket) * bucket;
+    const entry = buckets.get(start) || { timestamp: start, minted: 0, burned: 0, net: 0 };
+    if (tx.type === 'mint') entry.minted += tx.amount || 0;
+    else entry.burned += tx.amount || 0;
+    entry.net += signed(tx) || 0;
+    buckets.set(start, entry);
+  });
+
+  let cumulative = 0;
+  return [...buckets.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(entry => {
+      cumulative += entry.net;
+      return { ...entry, cumulative };
+    });
+};
+
+// Compare observed mints and burns with reported supply. `readings` are
+// earlier { timestamp, total, circulating } values (oldest first) and
+// `current` today's. The baseline is the earliest reading taken after the
+// oldest loaded event, so every change since it was observed:
+//   expected total = baseline total + net change since the baseline
+// Without a baseline only the supply implied at the start of the loaded
+// events (current total - net) is available.
+export const reconcileSupply = (events, readings, current) => {
+  const total = Number(current?.total) || null;
+  const circulating = Number(current?.circulating) || null;
+  const net = supplyTotals(events).net;
+  const oldestEvent = events.length > 0 ? Math.min(...events.map(toTime)) : null;
+
+  const baseline = oldestEvent === null ? null : readings.find(r => r.timestamp >= oldestEvent && Number(r.total) > 0) || null;
+  const netSinceBaseline = baseline
+    ? events.filter(tx => toTime(tx) > baseline.timestamp).reduce((sum, tx) => sum + (signed(tx) || 0), 0)
+    : null;
+  const expectedTotal = baseline ? Number(baseline.total) + netSinceBaseline : null;
+  const difference = expectedTotal !== null && total !== null ? total - expectedTotal : null;
+  const relative = difference !== null ? difference / total : null;
+
+  return {
+    total,
+    circulating,
+    nonCirculating: total !== null && circulating !== null ? total - circulating : null,
+    impliedStart: total !== null ? total - net : null,
+    baseline,
+    netSinceBaseline,
+    expectedTotal,
+    difference,
+    relative,
+    status: relative === null ? 'unknown' : Math.abs(relative) <= RECONCILE_TOLERANCE ? 'reconciled' : 'mismatch',
+    circulatingChange: baseline && circulating !== null && Number(baseline.circulating) > 0
+      ? circulating - Number(baseline.circulating)
+      : null
+  };
+};
@@ -0,0 +1,40 @@
+// DEX trades from Moralis swaps (EVM `/erc20/:address/swaps`, Solana
+// `/token/mainnet/:address/swaps`) as the tracker's transaction rows, in the
+// same shape as its GeckoTerminal rows. Used by the page to page trades back
+// and by the service worker for large trade rules.
+
+// Proxy endpoint for one page of a token's swaps, newest first. `cursor`
+// continues a previous page; `toDate` starts below a point in time.
+export const swapsEndpoint = (token, { limit = 100, cursor, toDate } = {}) => {
+  let endpoint = token.chain === 'solana'
+    ? `/token/mainnet/${token.address}/swaps?limit=${limit}&order=DESC`
+    : `/erc20/${token.address}/swaps?chain=${token.chain}&limit=${limit}&order=DESC`;
+  if (toDate) endpoint += `&toDate=${encodeURIComponent(toDate)}`;
+  if (cursor) endpoint += `&cursor=${encodeURIComponent(cursor)}`;
+  return endpoint;
+};
+
+// Solana mints are case-sensitive; EVM addresses are not
+const isTokenAddress = (token, address) => !!address && (token.chain === 'solana'
+  ? address === token.address
+  : address.toLowerCase() === token.address.toLowerCase());
+
+// A swap buys the token when it is the bought side and sells it when it is
+// the sold side; swaps of other pairs are dropped
+export const swapRows = (swaps, token) => (swaps || [])
+  .filter(s => isTokenAddress(token, s.bought?.address) || isTokenAddress(token, s.sold?.address))
+  .map(s => {
+    const isBuy = isTokenAddress(token, s.bought?.address);
+    return {
+      transaction_hash: s.transactionHash,
+      block_timestamp: s.blockTimestamp,
+      block_number: s.blockNumber,
+      trader_address: s.walletAddress || '',
+      amount: Math.abs(parseFloat(isBuy ? s.bought.amount : s.sold.amount)) || 0,
+      usdValue: Math.abs(parseFloat(s.totalValueUsd)) || 0,
+      type: isBuy ? 'buy' : 'sell',
+      source: 'moralis-swaps',
+      pool_name: s.pairLabel || s.exchangeName || 'Unknown Pool',
+      pool_address: s.pairAddress
+    };
+  });
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Snapshot every token in the shared watchlist once and exit.
+// Schedule it with cron (or run it by hand); reads the same environment
+// variables as the API routes, e.g.
+//   MORALIS_API_KEY=... node scripts/collect-snapshots.js
+//
+// --add <chain>:<address>[:<coingeckoId>] adds a token to the watchlist first.
+
+import { createAlertDelivery } from '../lib/alertDelivery.js';
+import { collectSnapshots } from '../lib/collector.js';
+import { createSnapshotStoreFromEnv, normalizeWatchlistEntry, sameToken } from '../lib/snapshotStore.js';
+
+const store = createSnapshotStoreFromEnv();
+if (store.unavailable) {
+  console.error(store.unavailable);
+  process.exit(1);
+}
+const delivery = createAlertDelivery({ store });
+
+const addIndex = process.argv.indexOf('--add');
+if (addIndex !== -1) {
+  const [chain, address, coingeckoId] = (process.argv[addIndex + 1] || '').split(':');
+  const entry = normalizeWatchlistEntry({ chain, address, coingeckoId });
+  if (!entry) {
+    console.error('Usage: --add <chain>:<address>[:<coingeckoId>]');
+    process.exit(1);
+  }
+  const watchlist = await store.getWatchlist();
+  if (!watchlist.some(t => sameToken(t, entry))) {
+    await store.setWatchlist([...watchlist, entry]);
+  }
+}
+
+const results = await collectSnapshots({ store, delivery });
+const failed = results.filter(r => !r.ok && !r.skipped).length;
+const skipped = results.filter(r => r.skipped).length;
+console.log(`Collected ${results.length - failed - skipped}/${results.length} snapshots${skipped ? `, ${skipped} skipped` : ''}`);
+process.exit(failed > 0 && failed === results.length ? 1 : 0);
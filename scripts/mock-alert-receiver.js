@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Local stand-in for the alert delivery targets, so delivery can be tried
+// without network access. Prints everything it receives.
+//
+//   node scripts/mock-alert-receiver.js [--http 8787] [--smtp 2525]
+//
+// Point targets at it:
+//   Discord / Slack / JSON webhook  http://localhost:8787/<anything>
+//   Telegram                        apiBase http://localhost:8787/telegram
+//   Email                           host localhost, port 2525
+// http://localhost:8787/fail/<status> answers with that status, and
+// GET http://localhost:8787/messages lists everything received so far.
+
+import http from 'node:http';
+import net from 'node:net';
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? fallback : Number(process.argv[index + 1]);
+};
+
+const HTTP_PORT = option('--http', 8787);
+const SMTP_PORT = option('--smtp', 2525);
+const received = [];
+
+const record = (entry) => {
+  received.push({ at: new Date().toISOString(), ...entry });
+  console.log(`\n[${entry.channel}] ${entry.path || entry.to || ''}`);
+  console.log(typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body, null, 2));
+};
+
+// ============================================
+// HTTP (webhooks, Telegram Bot API)
+// ============================================
+
+http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/messages') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(received));
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body = raw;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // keep the raw text
+    }
+
+    const failure = req.url.match(/^\/fail\/(\d{3})/);
+    if (failure) {
+      record({ channel: 'http', path: req.url, body, status: Number(failure[1]) });
+      res.writeHead(Number(failure[1]), { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'Simulated failure' }));
+    }
+
+    const channel = req.url.startsWith('/telegram') ? 'telegram' : 'webhook';
+    record({ channel, path: req.url, body });
+
+    // Reply the way each service does on success
+    if (channel === 'telegram') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ok: true, result: { message_id: received.length } }));
+    }
+    if (req.url.includes('slack')) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('ok');
+    }
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(HTTP_PORT, () => console.log(`Webhook receiver on http://localhost:${HTTP_PORT}`));
+
+// ============================================
+// SMTP
+// ============================================
+
+net.createServer((socket) => {
+  const reply = (line) => socket.write(`${line}\r\n`);
+  const envelope = { from: null, to: [] };
+  let buffer = '';
+  let inData = false;
+  let data = [];
+  let authStep = 0;
+
+  reply('220 mock-alert-receiver ESMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          record({ channel: 'smtp', to: envelope.to.join(', '), body: data.join('\n') });
+          data = [];
+          reply('250 OK: queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      if (authStep > 0) {
+        authStep = authStep === 1 ? 2 : 0;
+        reply(authStep === 2 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') {
+        reply('250-mock-alert-receiver');
+        reply('250 AUTH LOGIN');
+      } else if (verb === 'AUTH') {
+        authStep = 1;
+        reply('334 VXNlcm5hbWU6');
+      } else if (verb === 'MAIL') {
+        envelope.from = line.slice(10);
+        envelope.to = [];
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(line.slice(8));
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+  socket.on('error', () => {});
+}).listen(SMTP_PORT, () => console.log(`SMTP receiver on localhost:${SMTP_PORT}`));
@@ -1,4 +1,76 @@
-import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, createContext, useContext } from 'react';
+import { fetchWithRetry, getRetryPolicy } from '../lib/fetchWithRetry.js';
+import {
+  createSnapshot,
+  compactSnapshots,
+  snapshotKey,
+  diffSnapshots,
+  buildHolderTimeline,
+  holderTransferEvents,
+  summarizeTimeline
+} from '../lib/snapshots.js';
+import {
+  RULE_TYPES,
+  defaultParams,
+  createRule,
+  describeRule,
+  evaluateSnapshotRules,
+  evaluateTransactionRules,
+  evaluateMaturityRules,
+  rulesFor
+} from '../lib/alertRules.js';
+import {
+  COST_METHODS,
+  NATIVE_TOKEN,
+  movementsFromMoralisHistory,
+  movementsFromTrades,
+  mergeMovements,
+  createPriceLookup,
+  computePnl
+} from '../lib/pnl.js';
+import { LEADERBOARD_WINDOWS, LEADERBOARD_SORTS, buildLeaderboard, rankTraders } from '../lib/leaderboard.js';
+import {
+  LABEL_CATEGORIES,
+  ANY_EVM,
+  labelKey,
+  createLabelIndex,
+  normalizeLabel,
+  parseLabelCsv,
+  labelsToCsv,
+  mergeLabels
+} from '../lib/labels.js';
+import { LABEL_DATASET } from '../lib/labelDataset.js';
+import { ADDRESS_CLASSES, classifyHolders, classOf, excludeNonCirculating } from '../lib/classification.js';
+import {
+  CONCENTRATION_METRICS,
+  concentrationMetrics,
+  concentrationHistory,
+  concentrationTrend,
+  lorenzCurve
+} from '../lib/concentration.js';
+import { CLUSTER_HEURISTICS, clusterAddress, findClusterLinks, buildClusters, groupHolders } from '../lib/clustering.js';
+import { HOLDER_SEGMENTS, buildCohorts, firstSeenTimes, segmentSummary } from '../lib/cohorts.js';
+import {
+  SUPPLY_EVENT_TYPES,
+  isSupplyEvent,
+  reconcileSupply,
+  reportedSupply,
+  supplyChangeSeries,
+  supplyEventType,
+  supplyTotals
+} from '../lib/supply.js';
+import { swapRows, swapsEndpoint } from '../lib/trades.js';
+import { PENDLE_TOKEN_KINDS, isPendleChain, parsePendleSymbol, daysToMaturity, isMatured } from '../lib/pendle.js';
+import { POSITION_STANCES, ROTATION_DIRECTIONS, marketPositions, stanceSummary, findRotations } from '../lib/pendlePositions.js';
+import {
+  ROLL_STATUSES,
+  maturityCalendar,
+  isNearMaturity,
+  rollWindow,
+  rollCandidates,
+  trackRolls,
+  rollSummary
+} from '../lib/pendleRolls.js';
 
 // ============================================
 // THEME - Minimal Dark (Pendle/DeFi Edge inspired)
@@ -39,12 +111,35 @@ const THEME = {
 // ============================================
 
 const SNAPSHOT_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours in ms
+const TRACKED_RULE_CHECK_INTERVAL = 15 * 60 * 1000; // how often tracked tokens are checked for a due snapshot
 const MARKET_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes for market data
 const TOKENS_PER_PAGE = 25;
 const TRANSACTIONS_PER_PAGE = 25;
+// Time ranges for the transactions tab; older pages load until the range is covered
+const TX_RANGES = {
+  '1h': { label: '1H', ms: 60 * 60 * 1000 },
+  '24h': { label: '24H', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: '7D', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { label: '30D', ms: 30 * 24 * 60 * 60 * 1000 },
+  all: { label: 'All', ms: null }
+};
+const TX_BACKFILL_PAGES = 5; // older pages fetched unprompted per token or range change
+const TX_TOP_BY_VALUE = 100; // transactions shown when no minimum USD is set
 const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours cache TTL
-const API_DELAY = 250; // Delay between API calls (ms)
-const WHALE_CHANGE_THRESHOLD = 10; // % change to trigger alert
+// Token buckets per provider: burst capacity + sustained refill rate
+const RATE_LIMITS = {
+  coingecko: { capacity: 4, refillPerMinute: 10 },      // free tier: 10-30 calls/min
+  moralis: { capacity: 10, refillPerMinute: 120 },
+  geckoterminal: { capacity: 5, refillPerMinute: 30 },  // 30 calls/min
+  dexscreener: { capacity: 5, refillPerMinute: 60 },
+  covalent: { capacity: 2, refillPerMinute: 20 },       // each call walks the full holder list
+  helius: { capacity: 5, refillPerMinute: 60 },
+  rpc: { capacity: 5, refillPerMinute: 60 },
+  pendle: { capacity: 5, refillPerMinute: 60 }
+};
+const WHALE_CHANGE_THRESHOLD = 10; // % change for holder badges when no alert rule sets one
+const PNL_PRICED_TOKENS = 8; // price histories fetched per wallet for PnL
+const LEADERBOARD_SIZE = 25;
 
 // Supported networks
 const NETWORKS = {
@@ -53,51 +148,76 @@ const NETWORKS = {
     explorer: 'https://etherscan.io',
     color: '#627eea',
     coingeckoId: 'ethereum',
+    nativeCoingeckoId: 'ethereum',
+    nativeSymbol: 'ETH',
     geckoTerminalId: 'eth',
-    dexScreenerId: 'ethereum'
+    dexScreenerId: 'ethereum',
+    holderProviders: ['moralis', 'covalent']
   },
   arbitrum: { 
     name: 'Arbitrum', 
     explorer: 'https://arbiscan.io',
     color: '#28a0f0',
     coingeckoId: 'arbitrum-one',
+    nativeCoingeckoId: 'ethereum',
+    nativeSymbol: 'ETH',
     geckoTerminalId: 'arbitrum',
-    dexScreenerId: 'arbitrum'
+    dexScreenerId: 'arbitrum',
+    holderProviders: ['moralis', 'covalent']
   },
   base: { 
     name: 'Base', 
     explorer: 'https://basescan.org',
     color: '#0052ff',
     coingeckoId: 'base',
+    nativeCoingeckoId: 'ethereum',
+    nativeSymbol: 'ETH',
     geckoTerminalId: 'base',
-    dexScreenerId: 'base'
+    dexScreenerId: 'base',
+    holderProviders: ['moralis', 'covalent']
   },
   polygon: { 
     name: 'Polygon', 
     explorer: 'https://polygonscan.com',
     color: '#8247e5',
     coingeckoId: 'polygon-pos',
+    nativeCoingeckoId: 'polygon-ecosystem-token',
+    nativeSymbol: 'POL',
     geckoTerminalId: 'polygon_pos',
-    dexScreenerId: 'polygon'
+    dexScreenerId: 'polygon',
+    holderProviders: ['moralis', 'covalent']
   },
   bsc: { 
     name: 'BNB Chain', 
     explorer: 'https://bscscan.com',
     color: '#f0b90b',
     coingeckoId: 'binance-smart-chain',
+    nativeCoingeckoId: 'binancecoin',
+    nativeSymbol: 'BNB',
     geckoTerminalId: 'bsc',
-    dexScreenerId: 'bsc'
+    dexScreenerId: 'bsc',
+    holderProviders: ['moralis', 'covalent']
   },
   solana: {
     name: 'Solana',
     explorer: 'https://solscan.io',
     color: '#9945ff',
     coingeckoId: 'solana',
+    nativeCoingeckoId: 'solana',
+    nativeSymbol: 'SOL',
     geckoTerminalId: 'solana',
-    dexScreenerId: 'solana'
+    dexScreenerId: 'solana',
+    holderProviders: ['helius']
   }
 };
 
+// Holder data sources, selectable per chain (first entry is the default)
+const HOLDER_PROVIDERS = {
+  moralis: { name: 'Moralis', description: 'Top 100 holders' },
+  covalent: { name: 'Covalent', description: 'Holder count and distribution' },
+  helius: { name: 'Helius', description: 'Largest token accounts by owner' }
+};
+
 // Map CoinGecko asset platform IDs to our network keys
 const COINGECKO_PLATFORM_MAP = {
   'ethereum': 'eth',
@@ -161,52 +281,191 @@ const CacheManager = {
 // SNAPSHOT MANAGER
 // ============================================
 
+// Full snapshot history in IndexedDB, one record per (token, timestamp).
+// Older history is thinned out by compactSnapshots (hourly -> daily -> weekly).
+// Falls back to an in-memory store when IndexedDB is unavailable.
+// The same database holds the observed trade history (TradeHistoryManager)
+// and the loaded transaction history (TransferHistoryManager).
+const SNAPSHOT_DB = { name: 'smart-money-tracker', version: 3, store: 'snapshots', tradeStore: 'trades', transferStore: 'transfers' };
+
 const SnapshotManager = {
-  getKey: (tokenAddress, chain) => `snapshot_${chain}_${tokenAddress}`,
-  
-  save: (tokenAddress, chain, holders) => {
+  db: null,
+  memory: new Map(),
+
+  getKey: (tokenAddress, chain) => snapshotKey(tokenAddress, chain),
+
+  open: () => {
+    if (!SnapshotManager.db) {
+      SnapshotManager.db = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') return resolve(null);
+
+        const request = indexedDB.open(SNAPSHOT_DB.name, SNAPSHOT_DB.version);
+        request.onupgradeneeded = () => {
+          const stores = request.result.objectStoreNames;
+          if (!stores.contains(SNAPSHOT_DB.store)) {
+            request.result.createObjectStore(SNAPSHOT_DB.store, { keyPath: ['key', 'timestamp'] });
+          }
+          if (!stores.contains(SNAPSHOT_DB.tradeStore)) {
+            request.result.createObjectStore(SNAPSHOT_DB.tradeStore, { keyPath: ['key', 'id'] });
+          }
+          if (!stores.contains(SNAPSHOT_DB.transferStore)) {
+            request.result.createObjectStore(SNAPSHOT_DB.transferStore, { keyPath: ['key', 'id'] });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, snapshots will not persist:', request.error);
+          resolve(null);
+        };
+      }).then(async (db) => {
+        if (db) await SnapshotManager.migrateLocalStorage(db);
+        return db;
+      });
+    }
+    return SnapshotManager.db;
+  },
+
+  // Resolves with the request result once the transaction has committed
+  run: async (mode, operation, storeName = SNAPSHOT_DB.store) => {
+    const db = await SnapshotManager.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  keyRange: (key) => IDBKeyRange.bound([key, 0], [key, Infinity]),
+
+  // One-time move of the old localStorage history (snapshot_<chain>_<address>)
+  migrateLocalStorage: async (db) => {
+    const legacyKeys = Object.keys(localStorage).filter(k => k.startsWith('snapshot_'));
+    for (const legacyKey of legacyKeys) {
+      try {
+        const key = legacyKey.slice('snapshot_'.length);
+        const snapshots = JSON.parse(localStorage.getItem(legacyKey) || '[]');
+        await new Promise((resolve, reject) => {
+          const tx = db.transaction(SNAPSHOT_DB.store, 'readwrite');
+          const store = tx.objectStore(SNAPSHOT_DB.store);
+          snapshots.forEach(snapshot => store.put({ ...snapshot, key }));
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+        });
+        localStorage.removeItem(legacyKey);
+      } catch (e) {
+        console.warn(`Could not migrate ${legacyKey}:`, e);
+      }
+    }
+  },
+
+  save: async (tokenAddress, chain, holders, { price, supply } = {}) => {
     const key = SnapshotManager.getKey(tokenAddress, chain);
-    const existing = SnapshotManager.getAll(tokenAddress, chain);
-    
-    const newSnapshot = {
-      timestamp: Date.now(),
-      holders: holders.map(h => ({
-        address: h.owner_address,
-        balance: parseFloat(h.balance_formatted || h.balance) || 0,
-        percentage: parseFloat(h.percentage_relative_to_total_supply) || 0
-      }))
-    };
-    
-    // Keep last 5 snapshots
-    const snapshots = [...existing, newSnapshot].slice(-5);
-    
-    try {
-      localStorage.setItem(key, JSON.stringify(snapshots));
-    } catch {
-      localStorage.setItem(key, JSON.stringify([newSnapshot]));
+    const newSnapshot = createSnapshot(holders, { price, supply });
+
+    if (!(await SnapshotManager.open())) {
+      const snapshots = [...(SnapshotManager.memory.get(key) || []), newSnapshot];
+      SnapshotManager.memory.set(key, snapshots);
+      return snapshots;
     }
-    
-    return snapshots;
+
+    await SnapshotManager.run('readwrite', store => store.put({ ...newSnapshot, key }));
+
+    const snapshots = await SnapshotManager.getLocal(tokenAddress, chain);
+    const drop = new Set(compactSnapshots(snapshots));
+    if (drop.size > 0) {
+      await SnapshotManager.run('readwrite', (store) => {
+        drop.forEach(timestamp => store.delete([key, timestamp]));
+      });
+    }
+
+    // Ask the browser not to evict history under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    return snapshots.filter(s => !drop.has(s.timestamp));
   },
-  
-  getAll: (tokenAddress, chain) => {
+
+  // Snapshots taken in this browser, oldest first
+  getLocal: async (tokenAddress, chain) => {
     const key = SnapshotManager.getKey(tokenAddress, chain);
     try {
-      return JSON.parse(localStorage.getItem(key) || '[]');
-    } catch {
+      if (!(await SnapshotManager.open())) return SnapshotManager.memory.get(key) || [];
+      const records = await SnapshotManager.run('readonly', store => store.getAll(SnapshotManager.keyRange(key)));
+      return records.map(({ key: _key, ...snapshot }) => snapshot);
+    } catch (e) {
+      console.error('Snapshot read failed:', e);
       return [];
     }
   },
-  
-  getLatest: (tokenAddress, chain) => {
-    const snapshots = SnapshotManager.getAll(tokenAddress, chain);
+
+  // History written by the server-side collector (empty when the API or
+  // store isn't available). Cached briefly since several views ask at once.
+  sharedCache: new Map(),
+  getShared: async (tokenAddress, chain) => {
+    const key = SnapshotManager.getKey(tokenAddress, chain);
+    const cached = SnapshotManager.sharedCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < 60000) return cached.snapshots;
+
+    const snapshots = await fetch(`/api/snapshots?token=${encodeURIComponent(tokenAddress)}&chain=${chain}`)
+      .then(response => (response.ok ? response.json() : { snapshots: [] }))
+      .then(data => (data.snapshots || []).map(s => ({ ...s, shared: true })))
+      .catch(() => []);
+    SnapshotManager.sharedCache.set(key, { snapshots, fetchedAt: Date.now() });
+    return snapshots;
+  },
+
+  // Shared history when there is any, plus local snapshots taken since its
+  // latest entry (manual refreshes between collector runs). Oldest first.
+  getAll: async (tokenAddress, chain) => {
+    const [shared, local] = await Promise.all([
+      SnapshotManager.getShared(tokenAddress, chain),
+      SnapshotManager.getLocal(tokenAddress, chain)
+    ]);
+    if (shared.length === 0) return local;
+    const lastShared = shared[shared.length - 1].timestamp;
+    return [...shared, ...local.filter(s => s.timestamp > lastShared)];
+  },
+
+  getLatest: async (tokenAddress, chain) => {
+    const snapshots = await SnapshotManager.getAll(tokenAddress, chain);
     return snapshots[snapshots.length - 1] || null;
   },
-  
-  getPrevious: (tokenAddress, chain) => {
-    const snapshots = SnapshotManager.getAll(tokenAddress, chain);
+
+  getPrevious: async (tokenAddress, chain) => {
+    const snapshots = await SnapshotManager.getAll(tokenAddress, chain);
     return snapshots[snapshots.length - 2] || null;
   },
+
+  // Snapshot counts plus the browser's storage estimate for this origin
+  getUsage: async () => {
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    const persisted = await navigator.storage?.persisted?.().catch(() => false);
+    let snapshotCount = 0;
+    let tokenCount = 0;
+
+    try {
+      if (await SnapshotManager.open()) {
+        const keys = await SnapshotManager.run('readonly', store => store.getAllKeys());
+        snapshotCount = keys.length;
+        tokenCount = new Set(keys.map(([key]) => key)).size;
+      } else {
+        SnapshotManager.memory.forEach(snapshots => { snapshotCount += snapshots.length; });
+        tokenCount = SnapshotManager.memory.size;
+      }
+    } catch (e) {
+      console.error('Snapshot usage read failed:', e);
+    }
+
+    return {
+      snapshotCount,
+      tokenCount,
+      usage: estimate?.usage || 0,
+      quota: estimate?.quota || 0,
+      persistent: !!(await SnapshotManager.open()),
+      persisted: !!persisted
+    };
+  },
   
   compareSnapshots: (current, previous) => {
     if (!previous || !current) return { newWhales: [], exitedWhales: [], changes: {} };
@@ -247,147 +506,955 @@ const SnapshotManager = {
 };
 
 // ============================================
-// API REQUEST QUEUE
+// TRADE HISTORY
 // ============================================
 
-class RequestQueue {
-  constructor(delay = API_DELAY) {
-    this.queue = [];
-    this.processing = false;
-    this.delay = delay;
-  }
-  
-  async add(fn) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ fn, resolve, reject });
-      this.process();
-    });
+// Buy/sell trades seen for each token, accumulated across refreshes so the
+// top traders leaderboard covers more than the latest page of pool trades.
+// Keyed like snapshots; the oldest trades go once a token passes the limit.
+const TRADE_HISTORY_LIMIT = 5000;
+
+const TradeHistoryManager = {
+  memory: new Map(),
+
+  tradeId: (trade) => `${trade.transaction_hash}:${trade.trader_address.toLowerCase()}:${trade.type}`,
+
+  // Only what the leaderboard reads
+  record: async (token, trades) => {
+    const key = SnapshotManager.getKey(token.address, token.chain);
+    const records = trades
+      .filter(t => (t.type === 'buy' || t.type === 'sell') && t.trader_address && t.transaction_hash)
+      .map(t => ({
+        key,
+        id: TradeHistoryManager.tradeId(t),
+        transaction_hash: t.transaction_hash,
+        block_timestamp: t.block_timestamp,
+        trader_address: t.trader_address,
+        amount: t.amount,
+        usdValue: t.usdValue,
+        type: t.type,
+        pool_address: t.pool_address
+      }));
+    if (records.length === 0) return;
+
+    if (!(await SnapshotManager.open())) {
+      const byId = new Map((TradeHistoryManager.memory.get(key) || []).map(t => [t.id, t]));
+      records.forEach(t => byId.set(t.id, t));
+      TradeHistoryManager.memory.set(key, [...byId.values()]);
+      return;
+    }
+
+    await SnapshotManager.run('readwrite', store => {
+      records.forEach(record => store.put(record));
+    }, SNAPSHOT_DB.tradeStore);
+
+    const stored = await TradeHistoryManager.get(token.address, token.chain);
+    if (stored.length > TRADE_HISTORY_LIMIT) {
+      const drop = stored.slice(0, stored.length - TRADE_HISTORY_LIMIT);
+      await SnapshotManager.run('readwrite', store => {
+        drop.forEach(t => store.delete([key, t.id]));
+      }, SNAPSHOT_DB.tradeStore);
+    }
+  },
+
+  // Oldest first
+  get: async (tokenAddress, chain) => {
+    const key = SnapshotManager.getKey(tokenAddress, chain);
+    try {
+      const records = (await SnapshotManager.open())
+        ? await SnapshotManager.run('readonly', store => store.getAll(IDBKeyRange.bound([key, ''], [key, '\uffff'])), SNAPSHOT_DB.tradeStore)
+        : TradeHistoryManager.memory.get(key) || [];
+      return records
+        .map(({ key: _key, ...trade }) => trade)
+        .sort((a, b) => new Date(a.block_timestamp) - new Date(b.block_timestamp));
+    } catch (e) {
+      console.error('Trade history read failed:', e);
+      return [];
+    }
   }
-  
-  async process() {
-    if (this.processing || this.queue.length === 0) return;
-    
-    this.processing = true;
-    
-    while (this.queue.length > 0) {
-      const { fn, resolve, reject } = this.queue.shift();
-      try {
-        const result = await fn();
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      }
-      
-      if (this.queue.length > 0) {
-        await new Promise(r => setTimeout(r, this.delay));
-      }
+};
+
+// Every transaction row the transactions tab has loaded for a token (trades
+// and transfers, latest pages and backfilled older ones), stored as shown.
+const TRANSFER_HISTORY_LIMIT = 20000;
+
+const TransferHistoryManager = {
+  memory: new Map(),
+
+  transferId: (t) => [
+    t.transaction_hash,
+    t.type,
+    (t.from_address || t.trader_address || '').toLowerCase(),
+    (t.to_address || '').toLowerCase(),
+    t.amount
+  ].join(':'),
+
+  record: async (token, transactions) => {
+    const key = SnapshotManager.getKey(token.address, token.chain);
+    const records = transactions
+      .filter(t => t.transaction_hash && t.block_timestamp)
+      .map(t => ({ ...t, key, id: TransferHistoryManager.transferId(t) }));
+    if (records.length === 0) return;
+
+    if (!(await SnapshotManager.open())) {
+      const byId = new Map((TransferHistoryManager.memory.get(key) || []).map(t => [t.id, t]));
+      records.forEach(t => byId.set(t.id, t));
+      TransferHistoryManager.memory.set(key, [...byId.values()]);
+      return;
+    }
+
+    const range = IDBKeyRange.bound([key, ''], [key, '\uffff']);
+    await SnapshotManager.run('readwrite', store => {
+      records.forEach(record => store.put(record));
+    }, SNAPSHOT_DB.transferStore);
+
+    const count = await SnapshotManager.run('readonly', store => store.count(range), SNAPSHOT_DB.transferStore);
+    if (count > TRANSFER_HISTORY_LIMIT) {
+      const stored = await TransferHistoryManager.get(token.address, token.chain);
+      const drop = stored.slice(0, stored.length - TRANSFER_HISTORY_LIMIT);
+      await SnapshotManager.run('readwrite', store => {
+        drop.forEach(t => store.delete([key, t.id]));
+      }, SNAPSHOT_DB.transferStore);
+    }
+  },
+
+  // Oldest first, with the store's `id` kept for merging
+  get: async (tokenAddress, chain) => {
+    const key = SnapshotManager.getKey(tokenAddress, chain);
+    try {
+      const records = (await SnapshotManager.open())
+        ? await SnapshotManager.run('readonly', store => store.getAll(IDBKeyRange.bound([key, ''], [key, '\uffff'])), SNAPSHOT_DB.transferStore)
+        : TransferHistoryManager.memory.get(key) || [];
+      return records
+        .map(({ key: _key, ...transaction }) => transaction)
+        .sort((a, b) => new Date(a.block_timestamp) - new Date(b.block_timestamp));
+    } catch (e) {
+      console.error('Transfer history read failed:', e);
+      return [];
     }
-    
-    this.processing = false;
   }
-}
+};
 
-const apiQueue = new RequestQueue();
+// DEX trade rows: GeckoTerminal's latest trades per pool, and Moralis swaps
+// for paging further back
+const DEX_SOURCES = ['geckoterminal', 'moralis-swaps'];
+const isDexTrade = (tx) => DEX_SOURCES.includes(tx.source);
+
+// One row per transaction hash across sources and pages, newest first.
+// DEX trade rows win over transfer rows for the same hash since they
+// carry the swap's USD value. Mints and burns are kept alongside, since a
+// swap or transfer can mint or burn in the same transaction.
+const mergeTransactions = (...lists) => {
+  const byHash = new Map();
+  lists.flat().forEach(tx => {
+    const key = isSupplyEvent(tx) ? `${tx.transaction_hash}:${tx.type}` : tx.transaction_hash;
+    const existing = byHash.get(key);
+    if (!existing || (isDexTrade(tx) && !isDexTrade(existing))) {
+      byHash.set(key, tx);
+    }
+  });
+  return [...byHash.values()].sort((a, b) => new Date(b.block_timestamp || 0) - new Date(a.block_timestamp || 0));
+};
 
 // ============================================
-// UTILITY FUNCTIONS
+// ENTITY LABELS
 // ============================================
 
-const formatNumber = (num, decimals = 2) => {
-  const parsed = parseFloat(num);
-  if (num === null || num === undefined || isNaN(parsed)) return '0';
-  if (parsed >= 1e9) return (parsed / 1e9).toFixed(decimals) + 'B';
-  if (parsed >= 1e6) return (parsed / 1e6).toFixed(decimals) + 'M';
-  if (parsed >= 1e3) return (parsed / 1e3).toFixed(decimals) + 'K';
-  return parsed.toFixed(decimals);
-};
-
-const formatUSD = (num) => '$' + formatNumber(num);
+// User labels (added in the UI or imported from CSV) override the bundled
+// dataset. Components read the merged lookup from LabelContext.
+const LabelManager = {
+  getUserLabels: () => {
+    try {
+      return JSON.parse(localStorage.getItem('entityLabels') || '[]');
+    } catch {
+      return [];
+    }
+  },
 
-const formatPercent = (num) => {
-  const parsed = parseFloat(num);
-  if (num === null || num === undefined || isNaN(parsed)) return '0%';
-  const sign = parsed >= 0 ? '+' : '';
-  return sign + parsed.toFixed(2) + '%';
+  saveUserLabels: (labels) => {
+    localStorage.setItem('entityLabels', JSON.stringify(labels));
+  }
 };
 
-const shortenAddress = (addr) => {
-  if (!addr) return '';
-  return addr.slice(0, 6) + '...' + addr.slice(-4);
+const LabelContext = createContext({
+  ...createLabelIndex(LABEL_DATASET),
+  userLabels: [],
+  setUserLabels: () => {}
+});
+
+// Holder/transaction filter values: 'all', 'labeled', 'unlabeled' or a category
+const matchesEntityFilter = (entity, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'labeled') return !!entity;
+  if (filter === 'unlabeled') return !entity;
+  return entity?.category === filter;
 };
 
-const formatTimeRemaining = (ms) => {
-  const hours = Math.floor(ms / (1000 * 60 * 60));
-  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
-  const seconds = Math.floor((ms % (1000 * 60)) / 1000);
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-};
+// ============================================
+// WALLET CLUSTERS
+// ============================================
 
-const formatTimeAgo = (timestamp) => {
-  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
-  if (seconds < 60) return `${seconds}s ago`;
-  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
-  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
-  return `${Math.floor(seconds / 86400)}d ago`;
+// Manual corrections to the clustering heuristics: `merges` are address
+// pairs to join, `splits` addresses to keep out of automatic clusters
+const ClusterManager = {
+  getOverrides: () => {
+    try {
+      return { merges: [], splits: [], ...JSON.parse(localStorage.getItem('walletClusters') || '{}') };
+    } catch {
+      return { merges: [], splits: [] };
+    }
+  },
+
+  saveOverrides: (overrides) => {
+    localStorage.setItem('walletClusters', JSON.stringify(overrides));
+  },
+
+  merge: (overrides, addresses) => {
+    const list = addresses.map(clusterAddress);
+    return {
+      merges: [...overrides.merges, ...list.slice(1).map(a => [list[0], a])],
+      splits: overrides.splits.filter(a => !list.includes(a))
+    };
+  },
+
+  split: (overrides, address) => {
+    const target = clusterAddress(address);
+    return {
+      merges: overrides.merges.filter(pair => !pair.includes(target)),
+      splits: overrides.splits.includes(target) ? overrides.splits : [...overrides.splits, target]
+    };
+  }
 };
 
-const isWithinDays = (timestamp, days) => {
-  const date = new Date(timestamp);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffDays = diffMs / (1000 * 60 * 60 * 24);
-  return diffDays <= days;
+// ============================================
+// SHARED WATCHLIST
+// ============================================
+
+// Tokens the server-side collector snapshots on schedule (see /api/snapshots).
+// Writes need the deployment's WATCHLIST_TOKEN; without one the server
+// answers 503 and the watchlist is read-only.
+const SharedWatchlist = {
+  load: async () => {
+    try {
+      const response = await fetch('/api/snapshots');
+      if (!response.ok) return null;
+      return (await response.json()).watchlist || [];
+    } catch {
+      return null;
+    }
+  },
+
+  update: async (action, token) => {
+    const send = () => fetch('/api/snapshots', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Watchlist-Token': localStorage.getItem('watchlistToken') || ''
+      },
+      body: JSON.stringify({
+        action,
+        token: { address: token.address, chain: token.chain, symbol: token.symbol, coingeckoId: token.coingeckoId }
+      })
+    });
+
+    let response = await send();
+    if (response.status === 401) {
+      const writeToken = window.prompt('This watchlist is write-protected. Enter the watchlist token:');
+      if (!writeToken) throw new Error('Watchlist token required');
+      localStorage.setItem('watchlistToken', writeToken);
+      response = await send();
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Watchlist error: ${response.status}`);
+    return data.watchlist;
+  },
+
+  includes: (watchlist, token) => !!watchlist?.some(t =>
+    t.chain === token.chain && t.address.toLowerCase() === token.address.toLowerCase()
+  )
 };
 
 // ============================================
-// COPY BUTTON COMPONENT
+// ALERT MANAGER
 // ============================================
 
-const CopyButton = ({ text, style = {} }) => {
-  const [copied, setCopied] = useState(false);
+// Alert rules and the alert inbox, both kept in localStorage.
+// Rule evaluation lives in lib/alertRules.js.
+const ALERT_INBOX_LIMIT = 500;
 
-  const handleCopy = async (e) => {
-    e.preventDefault();
-    e.stopPropagation();
+const AlertManager = {
+  getRules: () => {
     try {
-      await navigator.clipboard.writeText(text);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    } catch (err) {
-      console.error('Failed to copy:', err);
+      return JSON.parse(localStorage.getItem('alertRules')) || [];
+    } catch {
+      return [];
     }
-  };
+  },
 
-  return (
-    <button
-      onClick={handleCopy}
-      style={{
-        background: 'none',
-        border: 'none',
-        cursor: 'pointer',
-        padding: '4px',
-        borderRadius: '4px',
-        color: copied ? '#10b981' : '#666',
-        fontSize: '0.75rem',
-        transition: 'all 0.2s ease',
-        ...style
-      }}
-      title={copied ? 'Copied!' : 'Copy to clipboard'}
-    >
-      {copied ? '✓' : '📋'}
-    </button>
-  );
+  saveRules: (rules) => {
+    localStorage.setItem('alertRules', JSON.stringify(rules));
+  },
+
+  getInbox: () => {
+    try {
+      return JSON.parse(localStorage.getItem('alertInbox')) || [];
+    } catch {
+      return [];
+    }
+  },
+
+  saveInbox: (alerts) => {
+    localStorage.setItem('alertInbox', JSON.stringify(alerts.slice(0, ALERT_INBOX_LIMIT)));
+  },
+
+  // Newest first; alerts already in the inbox (same id) are skipped
+  addAlerts: (alerts) => {
+    const inbox = AlertManager.getInbox();
+    const seen = new Set(inbox.map(a => a.id));
+    const fresh = alerts.filter(a => !seen.has(a.id));
+    if (fresh.length === 0) return { inbox, added: [] };
+
+    const updated = [...fresh.sort((a, b) => b.timestamp - a.timestamp), ...inbox];
+    AlertManager.saveInbox(updated);
+    return { inbox: updated.slice(0, ALERT_INBOX_LIMIT), added: fresh };
+  }
+};
+
+// Server-side delivery targets and rules (see /api/alerts). The route needs
+// the deployment's ALERTS_TOKEN and stays closed (503) when none is set.
+const AlertDeliveryApi = {
+  load: async () => {
+    try {
+      const response = await fetch('/api/alerts', {
+        headers: { 'X-Alerts-Token': localStorage.getItem('alertsToken') || '' }
+      });
+      if (response.status === 401) return { locked: true };
+      if (!response.ok) return null;
+      return await response.json();
+    } catch {
+      return null;
+    }
+  },
+
+  post: async (action, payload = {}) => {
+    const send = () => fetch('/api/alerts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Alerts-Token': localStorage.getItem('alertsToken') || ''
+      },
+      body: JSON.stringify({ action, ...payload })
+    });
+
+    let response = await send();
+    if (response.status === 401) {
+      const accessToken = window.prompt('Alert delivery is access-protected. Enter the alerts token:');
+      if (!accessToken) throw new Error('Alerts token required');
+      localStorage.setItem('alertsToken', accessToken);
+      response = await send();
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Alert delivery error: ${response.status}`);
+    return data;
+  },
+
+  // Alerts raised in this browser, pushed when the user opted in. Rules the
+  // server evaluates itself are skipped so targets are not notified twice.
+  push: (alerts, rules) => {
+    if (localStorage.getItem('alertPush') !== 'on') return;
+    const serverRules = new Set(rules.filter(r => r.server).map(r => r.id));
+    const local = alerts.filter(a => !serverRules.has(a.ruleId));
+    if (local.length === 0) return;
+    AlertDeliveryApi.post('deliver', { alerts: local.slice(0, 50) }).catch(err => {
+      console.warn('Alert push failed:', err.message);
+    });
+  }
 };
 
 // ============================================
-// ADDRESS DISPLAY COMPONENT
+// NOTIFICATIONS
 // ============================================
 
-const AddressDisplay = ({ address, chain, label, color = '#58a6ff', badges = [], clickable = true, onClick }) => {
-  const network = NETWORKS[chain] || NETWORKS.eth;
-  const addressPath = chain === 'solana' ? '/account/' : '/address/';
-  
-  const handleClick = (e) => {
+// Background polling and Web Notifications through the service worker
+// (src/sw.js, served as /sw.js). Mutes are keyed per token or wallet and
+// are either `true` or a snooze-until timestamp.
+const NOTIFICATION_POLL_INTERVAL = 15 * 60 * 1000;
+const NOTIFICATION_HEARTBEAT = 5 * 60 * 1000;
+
+const NotificationManager = {
+  registration: null,
+
+  supported: () => 'serviceWorker' in navigator && 'Notification' in window,
+
+  tokenKey: (token) => `token:${token.chain}:${token.address.toLowerCase()}`,
+  walletKey: (wallet) => `wallet:${wallet.address.toLowerCase()}`,
+
+  isMuted: (mutes, key, now = Date.now()) =>
+    mutes[key] === true || (typeof mutes[key] === 'number' && mutes[key] > now),
+
+  getMutes: () => {
+    try {
+      return JSON.parse(localStorage.getItem('notificationMutes')) || {};
+    } catch {
+      return {};
+    }
+  },
+
+  saveMutes: (mutes) => {
+    localStorage.setItem('notificationMutes', JSON.stringify(mutes));
+  },
+
+  isEnabled: () => localStorage.getItem('notifications') === 'on',
+
+  register: () => {
+    NotificationManager.registration = NotificationManager.registration
+      || navigator.serviceWorker.register('/sw.js').then(() => navigator.serviceWorker.ready);
+    return NotificationManager.registration;
+  },
+
+  // Asks for permission; periodic sync is best effort (Chrome, installed app)
+  enable: async () => {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+    const registration = await NotificationManager.register();
+    try {
+      await registration.periodicSync?.register('poll-alerts', { minInterval: NOTIFICATION_POLL_INTERVAL });
+    } catch {
+      // Not granted: polling falls back to the open tab's heartbeat
+    }
+    localStorage.setItem('notifications', 'on');
+  },
+
+  disable: async () => {
+    localStorage.setItem('notifications', 'off');
+    if (!NotificationManager.registration) return;
+    const registration = await NotificationManager.registration;
+    await registration.periodicSync?.unregister('poll-alerts').catch(() => {});
+  },
+
+  post: async (message) => {
+    if (!NotificationManager.registration) return;
+    const registration = await NotificationManager.registration;
+    registration.active?.postMessage(message);
+  }
+};
+
+// ============================================
+// API RATE LIMITER (token bucket per provider)
+// ============================================
+
+// Lower number runs first; FIFO within the same priority
+const PRIORITY = { high: 0, normal: 1, low: 2 };
+
+class TokenBucketScheduler {
+  constructor(limits) {
+    this.buckets = {};
+    this.sequence = 0;
+    Object.entries(limits).forEach(([source, { capacity, refillPerMinute }]) => {
+      this.buckets[source] = {
+        capacity,
+        tokens: capacity,
+        refillPerMs: refillPerMinute / 60000,
+        lastRefill: Date.now(),
+        blockedUntil: 0,
+        queue: [],
+        timer: null
+      };
+    });
+  }
+
+  schedule(source, fn, priority = 'normal') {
+    const bucket = this.buckets[source];
+    if (!bucket) return fn();
+
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({
+        fn,
+        resolve,
+        reject,
+        priority: PRIORITY[priority] ?? PRIORITY.normal,
+        seq: this.sequence++
+      });
+      bucket.queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+      this.drain(source);
+    });
+  }
+
+  // Stop issuing requests for a provider, e.g. after it answered 429
+  pause(source, ms) {
+    const bucket = this.buckets[source];
+    if (!bucket) return;
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+    bucket.tokens = 0;
+    bucket.lastRefill = Date.now();
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+    bucket.lastRefill = now;
+  }
+
+  drain(source) {
+    const bucket = this.buckets[source];
+    if (bucket.timer) return;
+
+    this.refill(bucket);
+    const now = Date.now();
+
+    while (bucket.queue.length > 0 && bucket.tokens >= 1 && now >= bucket.blockedUntil) {
+      const { fn, resolve, reject } = bucket.queue.shift();
+      bucket.tokens -= 1;
+      Promise.resolve().then(fn).then(resolve, reject);
+    }
+
+    if (bucket.queue.length > 0) {
+      const waitForToken = Math.ceil((1 - bucket.tokens) / bucket.refillPerMs);
+      const wait = Math.max(waitForToken, bucket.blockedUntil - now, 0);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.drain(source);
+      }, wait);
+    }
+  }
+}
+
+const apiScheduler = new TokenBucketScheduler(RATE_LIMITS);
+
+// ============================================
+// API CLIENT (proxy calls with retry)
+// ============================================
+
+const SOURCE_NAMES = {
+  coingecko: 'CoinGecko',
+  moralis: 'Moralis',
+  geckoterminal: 'GeckoTerminal',
+  dexscreener: 'DexScreener',
+  covalent: 'Covalent',
+  helius: 'Helius',
+  rpc: 'RPC',
+  pendle: 'Pendle'
+};
+
+// Tracks requests that are currently backing off so the UI can show it
+const RetryMonitor = {
+  active: new Map(),
+  listeners: new Set(),
+  nextId: 1,
+
+  subscribe: (listener) => {
+    RetryMonitor.listeners.add(listener);
+    return () => RetryMonitor.listeners.delete(listener);
+  },
+
+  notify: () => {
+    const snapshot = Array.from(RetryMonitor.active.values());
+    RetryMonitor.listeners.forEach(listener => listener(snapshot));
+  },
+
+  set: (id, state) => {
+    RetryMonitor.active.set(id, state);
+    RetryMonitor.notify();
+  },
+
+  clear: (id) => {
+    if (RetryMonitor.active.delete(id)) RetryMonitor.notify();
+  }
+};
+
+const buildProxyUrl = (source, endpoint, chain) => {
+  let url = `/api/moralis?endpoint=${encodeURIComponent(endpoint)}`;
+  if (source !== 'moralis') url += `&source=${source}`;
+  if (chain === 'solana') url += '&chain=solana';
+  return url;
+};
+
+// The proxy already retries upstream failures within its own budget, so the
+// browser only retries network errors and the 429/503s the proxy hands back
+// with a Retry-After it could not wait out. Other errors (a missing API key,
+// an upstream 500 after retries) would fail the same way again.
+const isProxyRetryable = (response) =>
+  (response.status === 429 || response.status === 503) && response.headers.get('Retry-After') !== null;
+
+// Fetch JSON through the proxy. Every attempt (including retries) waits for
+// a token from the provider's bucket. Throws an Error carrying `status` once
+// the source's retry budget is spent, so callers can surface it instead of
+// rendering an empty table.
+const fetchFromProxy = async (source, endpoint, { chain, priority = 'normal' } = {}) => {
+  const requestId = RetryMonitor.nextId++;
+  const sourceName = SOURCE_NAMES[source] || source;
+  let retriesUsed = 0;
+
+  try {
+    const response = await fetchWithRetry(buildProxyUrl(source, endpoint, chain), {}, {
+      ...getRetryPolicy(source),
+      retryOn: isProxyRetryable,
+      fetchImpl: (url, init) => apiScheduler.schedule(source, () => fetch(url, init), priority),
+      onRetry: ({ attempt, retries, delay, status }) => {
+        retriesUsed = attempt;
+        if (status === 429) apiScheduler.pause(source, delay);
+        RetryMonitor.set(requestId, {
+          source: sourceName,
+          attempt,
+          retries,
+          status,
+          retryAt: Date.now() + delay
+        });
+      }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = response.status === 429
+        ? `${sourceName} rate limit reached${retriesUsed ? ` (gave up after ${retriesUsed} retries)` : ''}`
+        : errorData.error || `API Error: ${response.status}`;
+      const error = new Error(message);
+      error.status = response.status;
+      error.source = source;
+      throw error;
+    }
+
+    return response.json();
+  } finally {
+    RetryMonitor.clear(requestId);
+  }
+};
+
+// One chain's holders from a holder provider, in the Moralis `/owners` shape
+const fetchHolderList = (address, chain, provider, { limit = 100, priority } = {}) => {
+  if (provider === 'helius') return fetchFromProxy('helius', `/holders/${address}`, { priority });
+  if (provider === 'covalent') return fetchFromProxy('covalent', `/holders/${address}?chain=${chain}&limit=${limit}`, { priority });
+  return fetchFromProxy('moralis', `/erc20/${address}/owners?chain=${chain}&limit=${limit}&order=DESC`, { priority });
+};
+
+// Top holders of a token on its own chain plus, when it has a CoinGecko id,
+// the other chains it is deployed on, merged by wallet. `getProvider(chain)`
+// picks each chain's holder provider. This is what a token's snapshots store.
+const fetchTokenHolders = async (token, getProvider, priority = 'normal') => {
+  // Top holders on one chain from the provider chosen for it
+  const chainStats = [];
+  const fetchChainHolders = async (address, chain, limit) => {
+    const provider = getProvider(chain);
+    const data = await fetchHolderList(address, chain, provider, { limit, priority });
+    const chainHolders = (data.result || []).map(h => ({
+      ...h,
+      chain,
+      chainName: NETWORKS[chain]?.name
+    }));
+    chainStats.push({
+      chain,
+      provider,
+      totalHolders: data.total_holders || null,
+      complete: data.complete !== false,
+      distribution: data.distribution || null
+    });
+    return chainHolders;
+  };
+
+  try {
+    // Check if we should do multi-chain aggregation
+    // This requires the token to have a coingeckoId to look up other chain addresses
+    let allHolders = [];
+    let chainsFetched = [token.chain];
+    
+    // Fetch from primary chain first
+    const primaryHolders = await fetchChainHolders(token.address, token.chain, 100);
+    allHolders.push(...primaryHolders);
+    
+    // If token has coingeckoId, try to fetch from other chains too
+    if (token.coingeckoId) {
+      try {
+        const cgData = await fetchFromProxy('coingecko', `/coins/${token.coingeckoId}`, { priority }).catch(() => null);
+        if (cgData) {
+          const platforms = cgData.platforms || {};
+          
+          // Map CoinGecko platform names to our chain keys
+          const platformToChain = {
+            'ethereum': 'eth',
+            'arbitrum-one': 'arbitrum',
+            'base': 'base',
+            'polygon-pos': 'polygon',
+            'binance-smart-chain': 'bsc',
+            'solana': 'solana'
+          };
+          
+          // Fetch from other chains (limit to avoid too many requests)
+          const otherChainPromises = [];
+          for (const [platform, address] of Object.entries(platforms)) {
+            const chainKey = platformToChain[platform];
+            if (chainKey && chainKey !== token.chain && address) {
+              chainsFetched.push(chainKey);
+              otherChainPromises.push(
+                fetchChainHolders(address, chainKey, 50).catch(() => [])
+              );
+            }
+          }
+          
+          if (otherChainPromises.length > 0) {
+            const otherResults = await Promise.all(otherChainPromises);
+            otherResults.forEach(holders => allHolders.push(...holders));
+          }
+        }
+      } catch (e) {
+        console.log('Could not fetch multi-chain data:', e);
+      }
+    }
+    
+    // Aggregate holders by address (same wallet across chains)
+    const holderMap = new Map();
+    allHolders.forEach(h => {
+      const addr = h.owner_address?.toLowerCase();
+      if (!addr) return;
+      
+      if (holderMap.has(addr)) {
+        const existing = holderMap.get(addr);
+        existing.balance = (parseFloat(existing.balance) || 0) + (parseFloat(h.balance) || 0);
+        existing.balance_formatted = (parseFloat(existing.balance_formatted) || 0) + (parseFloat(h.balance_formatted) || 0);
+        existing.percentage_relative_to_total_supply = (parseFloat(existing.percentage_relative_to_total_supply) || 0) + (parseFloat(h.percentage_relative_to_total_supply) || 0);
+        if (!existing.chains.includes(h.chain)) {
+          existing.chains.push(h.chain);
+        }
+      } else {
+        holderMap.set(addr, {
+          ...h,
+          chains: [h.chain]
+        });
+      }
+    });
+    
+    // Convert to array and sort by balance
+    const aggregatedHolders = Array.from(holderMap.values())
+      .sort((a, b) => parseFloat(b.balance_formatted || b.balance || 0) - parseFloat(a.balance_formatted || a.balance || 0))
+      .slice(0, 100);
+    
+    // Add metadata about the fetch
+    aggregatedHolders.chainsFetched = chainsFetched;
+    aggregatedHolders.isMultiChain = chainsFetched.length > 1;
+
+    // True holder counts need a full-list provider on every fetched chain.
+    // Across chains the sum counts a wallet once per chain it holds on.
+    aggregatedHolders.chainStats = chainStats;
+    if (chainStats.length > 0 && chainStats.every(c => c.totalHolders)) {
+      aggregatedHolders.totalHolders = chainStats.reduce((sum, c) => sum + c.totalHolders, 0);
+      aggregatedHolders.holderCountComplete = chainStats.every(c => c.complete);
+    }
+    if (!aggregatedHolders.isMultiChain && chainStats[0]?.distribution) {
+      aggregatedHolders.distribution = chainStats[0].distribution;
+    }
+    
+    return aggregatedHolders;
+  } catch (err) {
+    console.error('Holders fetch error:', err);
+    const empty = [];
+    empty.error = err.message;
+    return empty;
+  }
+};
+
+// USD price and reported supply of any token, from the sources the open
+// token's fetchTokenPrice and fetchTokenInfo use, so snapshots taken for
+// tokens that are not open have the same shape. Either one is null when
+// its source fails.
+const fetchTokenMarket = async (token, priority = 'normal') => {
+  const attempt = (request) => request.catch(err => {
+    console.warn(`Market data unavailable for ${token.symbol || token.address}:`, err.message);
+    return null;
+  });
+
+  if (token.coingeckoId) {
+    const data = await attempt(fetchFromProxy(
+      'coingecko',
+      `/coins/${token.coingeckoId}?localization=false&tickers=false&community_data=false&developer_data=false`,
+      { priority }
+    ));
+    if (data) {
+      return {
+        price: data.market_data?.current_price?.usd ?? null,
+        supply: reportedSupply({ total_supply: data.market_data?.total_supply, circulating_supply: data.market_data?.circulating_supply })
+      };
+    }
+  }
+
+  if (token.chain === 'solana') {
+    const data = await attempt(fetchFromProxy('helius', `/tokens/${token.address}`, { priority }));
+    return { price: data?.usd_price || null, supply: reportedSupply(data) };
+  }
+
+  const [price, metadata] = await Promise.all([
+    attempt(fetchFromProxy('moralis', `/erc20/${token.address}/price?chain=${token.chain}`, { priority })),
+    attempt(fetchFromProxy('moralis', `/erc20/metadata?chain=${token.chain}&addresses[]=${token.address}`, { priority }))
+  ]);
+  return { price: price?.usdPrice || null, supply: reportedSupply(metadata?.[0]) };
+};
+
+// eth_getCode results for holders whose provider does not flag contracts
+// (Covalent, and Moralis rows without `is_contract`), keyed `chain:address`.
+// Code rarely changes, but an empty address can still get a CREATE2
+// deployment, so entries expire after CONTRACT_CODE_TTL.
+const CONTRACT_CODE_TTL = 7 * 24 * 60 * 60 * 1000;
+const CONTRACT_CODE_LIMIT = 5000;
+const CONTRACT_CODE_BATCH = 100;
+
+const ContractCodeCache = {
+  load: () => {
+    try {
+      return JSON.parse(localStorage.getItem('contractCodes') || '{}');
+    } catch {
+      return {};
+    }
+  },
+
+  save: (entries) => {
+    const kept = Object.entries(entries)
+      .sort((a, b) => b[1].at - a[1].at)
+      .slice(0, CONTRACT_CODE_LIMIT);
+    localStorage.setItem('contractCodes', JSON.stringify(Object.fromEntries(kept)));
+  },
+
+  // -> { 'chain:address': true | false } for every address answered, from
+  // the cache where fresh and otherwise one RPC batch per 100 addresses
+  lookup: async (chain, addresses) => {
+    const entries = ContractCodeCache.load();
+    const now = Date.now();
+    const result = {};
+    const missing = [];
+    [...new Set(addresses.map(a => a.toLowerCase()))].forEach(address => {
+      const entry = entries[`${chain}:${address}`];
+      if (entry && now - entry.at < CONTRACT_CODE_TTL) result[`${chain}:${address}`] = entry.contract;
+      else missing.push(address);
+    });
+
+    for (let i = 0; i < missing.length; i += CONTRACT_CODE_BATCH) {
+      const batch = missing.slice(i, i + CONTRACT_CODE_BATCH);
+      const data = await fetchFromProxy('rpc', `/code?chain=${chain}&addresses=${batch.join(',')}`, { priority: 'low' });
+      Object.entries(data.contracts || {}).forEach(([address, contract]) => {
+        entries[`${chain}:${address}`] = { contract, at: now };
+        result[`${chain}:${address}`] = contract;
+      });
+    }
+
+    if (missing.length > 0) ContractCodeCache.save(entries);
+    return result;
+  }
+};
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+const formatNumber = (num, decimals = 2) => {
+  const parsed = parseFloat(num);
+  if (num === null || num === undefined || isNaN(parsed)) return '0';
+  if (parsed >= 1e9) return (parsed / 1e9).toFixed(decimals) + 'B';
+  if (parsed >= 1e6) return (parsed / 1e6).toFixed(decimals) + 'M';
+  if (parsed >= 1e3) return (parsed / 1e3).toFixed(decimals) + 'K';
+  return parsed.toFixed(decimals);
+};
+
+const formatUSD = (num) => '$' + formatNumber(num);
+
+// Signed variant for deltas: formatDelta(-1500) -> "-1.50K", formatDelta(2, formatUSD) -> "+$2.00"
+const formatDelta = (num, format = formatNumber) => {
+  const sign = num > 0 ? '+' : num < 0 ? '-' : '';
+  return sign + format(Math.abs(num));
+};
+
+const formatPercent = (num) => {
+  const parsed = parseFloat(num);
+  if (num === null || num === undefined || isNaN(parsed)) return '0%';
+  const sign = parsed >= 0 ? '+' : '';
+  return sign + parsed.toFixed(2) + '%';
+};
+
+const shortenAddress = (addr) => {
+  if (!addr) return '';
+  return addr.slice(0, 6) + '...' + addr.slice(-4);
+};
+
+const formatTimeRemaining = (ms) => {
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((ms % (1000 * 60)) / 1000);
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+  if (bytes >= 1e3) return `${(bytes / 1e3).toFixed(0)} KB`;
+  return `${bytes} B`;
+};
+
+const formatTimeAgo = (timestamp) => {
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+const isWithinDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffDays = diffMs / (1000 * 60 * 60 * 24);
+  return diffDays <= days;
+};
+
+// ============================================
+// COPY BUTTON COMPONENT
+// ============================================
+
+const CopyButton = ({ text, style = {} }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      style={{
+        background: 'none',
+        border: 'none',
+        cursor: 'pointer',
+        padding: '4px',
+        borderRadius: '4px',
+        color: copied ? '#10b981' : '#666',
+        fontSize: '0.75rem',
+        transition: 'all 0.2s ease',
+        ...style
+      }}
+      title={copied ? 'Copied!' : 'Copy to clipboard'}
+    >
+      {copied ? '✓' : '📋'}
+    </button>
+  );
+};
+
+// ============================================
+// ADDRESS DISPLAY COMPONENT
+// ============================================
+
+const AddressDisplay = ({ address, chain, label, color = '#58a6ff', badges = [], clickable = true, onClick }) => {
+  const network = NETWORKS[chain] || NETWORKS.eth;
+  const entity = useContext(LabelContext).resolve(address, chain);
+  const category = entity ? LABEL_CATEGORIES[entity.category] : null;
+  const labelText = label || entity?.entity;
+  const addressPath = chain === 'solana' ? '/account/' : '/address/';
+  
+  const handleClick = (e) => {
     if (onClick) {
       e.preventDefault();
       e.stopPropagation();
@@ -426,20 +1493,23 @@ const AddressDisplay = ({ address, chain, label, color = '#58a6ff', badges = [],
         </a>
       )}
       <CopyButton text={address} />
-      {label && (
-        <span style={{
-          background: 'rgba(123, 47, 247, 0.2)',
-          color: '#a855f7',
-          padding: '2px 6px',
-          borderRadius: '4px',
-          fontSize: '0.65rem',
-          fontWeight: '600'
-        }}>
-          {label}
-        </span>
-      )}
-      {badges.map((badge, idx) => (
-        <span key={idx} style={{
+      {labelText && (
+        <span
+          title={category ? `${category.label} · ${entity.source === 'user' ? 'your label' : `bundled labels v${LABEL_DATASET.version}`}` : undefined}
+          style={{
+            background: label || !category ? 'rgba(123, 47, 247, 0.2)' : `${category.color}30`,
+            color: label || !category ? '#a855f7' : category.color,
+            padding: '2px 6px',
+            borderRadius: '4px',
+            fontSize: '0.65rem',
+            fontWeight: '600'
+          }}
+        >
+          {labelText}
+        </span>
+      )}
+      {badges.map((badge, idx) => (
+        <span key={idx} style={{
           background: badge.bg || 'rgba(16, 185, 129, 0.2)',
           color: badge.color || '#10b981',
           padding: '2px 6px',
@@ -490,11 +1560,89 @@ const LoadingSpinner = ({ size = 20 }) => (
   }} />
 );
 
+// ============================================
+// RETRY STATUS BANNER
+// ============================================
+
+const RetryStatusBanner = () => {
+  const [retries, setRetries] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => RetryMonitor.subscribe(setRetries), []);
+
+  // Tick the countdown only while something is waiting
+  useEffect(() => {
+    if (retries.length === 0) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retries.length]);
+
+  if (retries.length === 0) return null;
+
+  // One line per source, showing the request that retries soonest
+  const bySource = new Map();
+  retries.forEach(r => {
+    const existing = bySource.get(r.source);
+    if (!existing || r.retryAt < existing.retryAt) bySource.set(r.source, { ...r, count: (existing?.count || 0) + 1 });
+    else existing.count += 1;
+  });
+
+  return (
+    <div style={{
+      background: THEME.bg.tertiary,
+      border: `1px solid ${THEME.accent.warning}40`,
+      borderRadius: '6px',
+      padding: '10px 14px',
+      marginBottom: '20px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px'
+    }}>
+      {Array.from(bySource.values()).map(r => (
+        <div key={r.source} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', color: THEME.accent.warning }}>
+          <LoadingSpinner size={12} />
+          <span>
+            {r.source} {r.status === 429 ? 'rate limited' : r.status ? `error ${r.status}` : 'unreachable'}
+            {' '}— retry {r.attempt}/{r.retries} in {Math.max(0, Math.ceil((r.retryAt - now) / 1000))}s
+            {r.count > 1 && <span style={{ color: THEME.text.muted }}> ({r.count} requests waiting)</span>}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // ============================================
 // TRANSACTION FILTERS COMPONENT
 // ============================================
 
-const TransactionFilters = ({ minAmount, setMinAmount, txType, setTxType }) => (
+const EntityCategoryFilter = ({ value, onChange }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+    <span style={{ fontSize: '0.75rem', color: THEME.text.muted }}>Entity:</span>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{
+        padding: '6px 10px',
+        background: 'rgba(0,0,0,0.3)',
+        border: '1px solid rgba(255,255,255,0.1)',
+        borderRadius: '6px',
+        color: '#fff',
+        fontSize: '0.8rem',
+        cursor: 'pointer'
+      }}
+    >
+      <option value="all">All</option>
+      <option value="unlabeled">Unlabeled</option>
+      <option value="labeled">Any label</option>
+      {Object.entries(LABEL_CATEGORIES).map(([key, category]) => (
+        <option key={key} value={key}>{category.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const TransactionFilters = ({ minAmount, setMinAmount, txType, setTxType, entityFilter, setEntityFilter, range, setRange }) => (
   <div style={{
     display: 'flex',
     gap: '16px',
@@ -521,7 +1669,7 @@ const TransactionFilters = ({ minAmount, setMinAmount, txType, setTxType }) => (
           cursor: 'pointer'
         }}
       >
-        <option value={0}>Top 100 by Value</option>
+        <option value={0}>Top {TX_TOP_BY_VALUE} by Value</option>
         <option value={100}>$100+</option>
         <option value={1000}>$1K+</option>
         <option value={10000}>$10K+</option>
@@ -558,6 +1706,30 @@ const TransactionFilters = ({ minAmount, setMinAmount, txType, setTxType }) => (
         </button>
       ))}
     </div>
+
+    <EntityCategoryFilter value={entityFilter} onChange={setEntityFilter} />
+
+    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: 'auto' }}>
+      <span style={{ fontSize: '0.75rem', color: THEME.text.muted, marginRight: '2px' }}>Range:</span>
+      {Object.entries(TX_RANGES).map(([key, { label }]) => (
+        <button
+          key={key}
+          onClick={() => setRange(key)}
+          style={{
+            padding: '5px 8px',
+            background: range === key ? THEME.accent.primary : THEME.bg.tertiary,
+            border: `1px solid ${range === key ? THEME.accent.primary : THEME.border.default}`,
+            borderRadius: '4px',
+            color: range === key ? '#fff' : THEME.text.secondary,
+            fontSize: '0.7rem',
+            fontWeight: '500',
+            cursor: 'pointer'
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
   </div>
 );
 
@@ -566,6 +1738,10 @@ const TransactionFilters = ({ minAmount, setMinAmount, txType, setTxType }) => (
 // ============================================
 
 const Pagination = ({ currentPage, totalPages, onPageChange }) => {
+  // Up to five page buttons around the current page
+  const first = Math.max(1, Math.min(currentPage - 2, totalPages - 4));
+  const pages = Array.from({ length: Math.min(5, totalPages) }, (_, i) => first + i);
+
   return (
     <div style={{
       display: 'flex',
@@ -591,7 +1767,7 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
         Prev
       </button>
       
-      {[1, 2, 3, 4].map(page => (
+      {pages.map(page => (
         <button
           key={page}
           onClick={() => onPageChange(page)}
@@ -746,7 +1922,15 @@ const PriceChart = ({ data, timeframe, setTimeframe }) => {
 // PHASE 4: TOKEN METRICS CARD
 // ============================================
 
-const TokenMetricsCard = ({ tokenInfo, holders, poolsData }) => {
+// Exact count when a full-list provider reported one, else a lower bound
+const formatHolderCount = (holders) => {
+  if (holders?.totalHolders) {
+    return `${holders.totalHolders.toLocaleString()}${holders.holderCountComplete ? '' : '+'}`;
+  }
+  return holders?.length ? `${holders.length}+` : '-';
+};
+
+const TokenMetricsCard = ({ tokenInfo, holders, poolsData, pendle }) => {
   const formatLargeNumber = (num) => {
     if (!num) return '-';
     if (num >= 1e12) return `$${(num / 1e12).toFixed(2)}T`;
@@ -775,9 +1959,23 @@ const TokenMetricsCard = ({ tokenInfo, holders, poolsData }) => {
     { label: '24h Volume', value: formatLargeNumber(tokenInfo?.total_volume) },
     { label: 'DEX Liquidity', value: formatLargeNumber(totalLiquidity), highlight: true },
     { label: 'Circulating', value: formatSupply(tokenInfo?.circulating_supply) },
-    { label: 'Holders', value: holders?.length ? `${holders.length}+` : '-' },
+    { label: 'Holders', value: formatHolderCount(holders) },
   ];
 
+  // PT/YT/SY/LP tokens also get their market's maturity and yields. SY has
+  // no maturity of its own; it backs every market on the same underlying.
+  const formatApy = (apy) => (apy === null || apy === undefined ? '-' : `${(apy * 100).toFixed(2)}%`);
+  const market = pendle?.market;
+  const expiry = pendle?.kind !== 'sy' ? market?.expiry : null;
+  const days = daysToMaturity(expiry);
+  const pendleMetrics = pendle ? [
+    { label: 'Underlying', value: market?.name || '-' },
+    { label: 'Maturity', value: expiry ? new Date(expiry).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }) : '-' },
+    { label: 'Days to Maturity', value: days === null ? '-' : isMatured(expiry) ? 'Matured' : Math.ceil(days).toLocaleString(), highlight: days !== null && days > 0 && days <= 7 },
+    { label: 'Implied APY', value: formatApy(market?.impliedApy), highlight: true },
+    { label: 'Underlying APY', value: formatApy(market?.underlyingApy) }
+  ] : [];
+
   return (
     <div style={{ marginBottom: '24px' }}>
       {/* Multi-chain indicator */}
@@ -826,6 +2024,42 @@ const TokenMetricsCard = ({ tokenInfo, holders, poolsData }) => {
           </div>
         ))}
       </div>
+
+      {pendle && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <span style={{
+              background: THEME.accent.primary + '20',
+              color: THEME.accent.primary,
+              padding: '2px 8px',
+              borderRadius: '4px',
+              fontSize: '0.7rem',
+              fontWeight: '600'
+            }}>
+              Pendle {PENDLE_TOKEN_KINDS[pendle.kind].label}
+            </span>
+            <span style={{ fontSize: '0.75rem', color: THEME.text.muted }}>{PENDLE_TOKEN_KINDS[pendle.kind].description}</span>
+            {market?.address && (
+              <span style={{ marginLeft: 'auto', fontSize: '0.75rem', color: THEME.text.muted }}>
+                Market <AddressDisplay address={market.address} chain={market.chain} />
+              </span>
+            )}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))', gap: '12px' }}>
+            {pendleMetrics.map(({ label, value, highlight }) => (
+              <div key={label} style={{
+                background: THEME.bg.secondary,
+                border: `1px solid ${highlight ? THEME.accent.primary + '40' : THEME.border.default}`,
+                borderRadius: '8px',
+                padding: '14px'
+              }}>
+                <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '4px' }}>{label}</div>
+                <div style={{ fontSize: '1rem', fontWeight: '600', color: highlight ? THEME.accent.primary : THEME.text.primary }}>{value}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -834,14 +2068,32 @@ const TokenMetricsCard = ({ tokenInfo, holders, poolsData }) => {
 // PHASE 4: HOLDER DISTRIBUTION CHART
 // ============================================
 
-const HolderDistributionChart = ({ holders, tokenInfo }) => {
-  if (!holders || holders.length === 0) return null;
+const HolderDistributionChart = ({ holders: allHolders, classes, tokenInfo }) => {
+  const [circulatingOnly, setCirculatingOnly] = useState(() => localStorage.getItem('excludeNonCirculating') === 'on');
+  if (!allHolders || allHolders.length === 0) return null;
+
+  const toggleCirculatingOnly = () => {
+    localStorage.setItem('excludeNonCirculating', circulatingOnly ? 'off' : 'on');
+    setCirculatingOnly(!circulatingOnly);
+  };
 
   // Check if multi-chain data
-  const isMultiChain = holders.isMultiChain;
-  const chainsFetched = holders.chainsFetched || [];
+  const isMultiChain = allHolders.isMultiChain;
+  const chainsFetched = allHolders.chainsFetched || [];
+
+  // Non-circulating mode recomputes everything over re-based shares
+  const circulating = circulatingOnly && classes ? excludeNonCirculating(allHolders, classes) : null;
+  const holders = circulating ? circulating.holders : allHolders;
 
-  // Calculate percentages from the holder data we have
+  // Full-list providers report tiers computed over every holder
+  const exact = circulating ? null : allHolders.distribution;
+
+  // Gini, HHI, Nakamoto and the Lorenz curve over the same list
+  const rows = createSnapshot(holders).holders;
+  const metrics = concentrationMetrics(rows);
+  const lorenz = lorenzCurve(rows.map(h => h.balance));
+
+  // Otherwise calculate percentages from the holder data we have
   const rawTop10Total = holders.slice(0, 10).reduce((sum, h) => sum + parseFloat(h.percentage_relative_to_total_supply || 0), 0);
   const rawTop25Total = holders.slice(0, 25).reduce((sum, h) => sum + parseFloat(h.percentage_relative_to_total_supply || 0), 0);
   const rawTop50Total = holders.slice(0, 50).reduce((sum, h) => sum + parseFloat(h.percentage_relative_to_total_supply || 0), 0);
@@ -849,10 +2101,10 @@ const HolderDistributionChart = ({ holders, tokenInfo }) => {
   
   // If total exceeds 100%, normalize
   const normalizationFactor = rawTop100Total > 100 ? 100 / rawTop100Total : 1;
-  const top10Total = Math.min(rawTop10Total * normalizationFactor, 100);
-  const top25Total = Math.min(rawTop25Total * normalizationFactor, 100);
-  const top50Total = Math.min(rawTop50Total * normalizationFactor, 100);
-  const top100Total = Math.min(rawTop100Total * normalizationFactor, 100);
+  const top10Total = exact ? exact.top10 : Math.min(rawTop10Total * normalizationFactor, 100);
+  const top25Total = exact ? exact.top25 : Math.min(rawTop25Total * normalizationFactor, 100);
+  const top50Total = exact ? exact.top50 : Math.min(rawTop50Total * normalizationFactor, 100);
+  const top100Total = exact ? exact.top100 : Math.min(rawTop100Total * normalizationFactor, 100);
   const othersPercent = Math.max(0, 100 - top100Total);
 
   const segments = [
@@ -895,6 +2147,12 @@ const HolderDistributionChart = ({ holders, tokenInfo }) => {
             </span>
           )}
         </div>
+        {classes && (
+          <label style={{ marginLeft: 'auto', marginRight: '10px', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem', color: THEME.text.secondary, cursor: 'pointer' }}>
+            <input type="checkbox" checked={circulatingOnly} onChange={toggleCirculatingOnly} />
+            Exclude non-circulating
+          </label>
+        )}
         <div style={{
           background: THEME.bg.tertiary,
           border: `1px solid ${THEME.border.default}`,
@@ -984,10 +2242,1407 @@ const HolderDistributionChart = ({ holders, tokenInfo }) => {
             fontSize: '0.75rem',
             color: THEME.text.muted
           }}>
-            Based on top {holders.length} holders
+            {exact
+              ? `Based on all ${exact.holderCount.toLocaleString()} holders${allHolders.holderCountComplete ? '' : ' fetched'}`
+              : `Based on top ${holders.length} ${circulating ? 'circulating ' : ''}holders`}
             {isHighlyConcentrated && <span style={{ color: THEME.accent.warning }}> • High concentration risk</span>}
+            {circulating && (
+              <div style={{ marginTop: '6px' }}>
+                {circulating.excludedPercent > 0
+                  ? `Excluded ${circulating.excludedPercent.toFixed(1)}% of supply: ${Object.entries(circulating.byClass)
+                    .map(([key, c]) => `${ADDRESS_CLASSES[key].label} ${c.percent.toFixed(1)}% (${c.count})`)
+                    .join(', ')}`
+                  : 'No non-circulating holders found in this list'}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Lorenz curve: the further below the diagonal, the less equal */}
+        <div style={{ width: '160px' }}>
+          <svg width="160" height="120" viewBox="0 0 100 100" preserveAspectRatio="none" style={{ display: 'block', background: THEME.bg.tertiary, borderRadius: '4px' }}>
+            <line x1="0" y1="100" x2="100" y2="0" stroke={THEME.border.default} strokeWidth="1" vectorEffect="non-scaling-stroke" />
+            <path
+              d={lorenz.map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${x * 100} ${100 - y * 100}`).join(' ')}
+              fill="none"
+              stroke={THEME.accent.primary}
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+          <div style={{ fontSize: '0.65rem', color: THEME.text.muted, marginTop: '4px', textAlign: 'center' }}>Lorenz curve (top {rows.length})</div>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginTop: '16px' }}>
+        {['gini', 'hhi', 'nakamoto'].map(key => (
+          <div key={key} title={CONCENTRATION_METRICS[key].description} style={{ background: THEME.bg.tertiary, borderRadius: '4px', padding: '8px 10px' }}>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.muted }}>{CONCENTRATION_METRICS[key].label}</div>
+            <div style={{ fontSize: '0.9rem', fontWeight: '600', color: THEME.text.primary }}>
+              {metrics[key] === null
+                ? (key === 'nakamoto' ? `>${rows.length}` : '-')
+                : CONCENTRATION_METRICS[key].format(metrics[key])}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CONCENTRATION_TRENDS = {
+  decentralizing: { label: 'Decentralizing', color: THEME.accent.success },
+  're-concentrating': { label: 'Re-concentrating', color: THEME.accent.warning },
+  stable: { label: 'Stable', color: THEME.text.secondary }
+};
+
+// Concentration metrics across the token's stored snapshots
+const ConcentrationHistoryChart = ({ token, version }) => {
+  const [snapshots, setSnapshots] = useState(null);
+  const [metric, setMetric] = useState('gini');
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    SnapshotManager.getAll(token.address, token.chain).then(all => {
+      if (!cancelled) setSnapshots(all);
+    });
+    return () => { cancelled = true; };
+  }, [token.address, token.chain, version]);
+
+  const history = useMemo(() => (snapshots ? concentrationHistory(snapshots) : []), [snapshots]);
+  const points = history.filter(p => p[metric] !== null && p[metric] !== undefined);
+  const trend = concentrationTrend(history, metric);
+  const definition = CONCENTRATION_METRICS[metric];
+
+  if (!snapshots || history.length < 2) return null;
+
+  const W = 400;
+  const H = 100;
+  const values = points.map(p => p[metric]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const first = points[0]?.timestamp || 0;
+  const span = Math.max(1, (points[points.length - 1]?.timestamp || 0) - first);
+  const x = (p) => ((p.timestamp - first) / span) * W;
+  const y = (p) => H - 6 - ((p[metric] - min) / range) * (H - 12);
+  const hovered = hoverIndex !== null ? points[hoverIndex] : points[points.length - 1];
+
+  return (
+    <div style={{
+      background: THEME.bg.secondary,
+      border: `1px solid ${THEME.border.default}`,
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Concentration Over Time</h3>
+          {trend && (
+            <span style={{ fontSize: '0.75rem', fontWeight: '500', color: CONCENTRATION_TRENDS[trend.direction].color }}>
+              {CONCENTRATION_TRENDS[trend.direction].label} ({trend.change > 0 ? '+' : ''}{(trend.change * 100).toFixed(1)}%)
+            </span>
+          )}
+        </div>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {Object.entries(CONCENTRATION_METRICS).map(([key, m]) => (
+            <button
+              key={key}
+              onClick={() => setMetric(key)}
+              title={m.description}
+              style={{
+                padding: '5px 10px',
+                background: metric === key ? THEME.accent.primary : THEME.bg.tertiary,
+                border: `1px solid ${metric === key ? THEME.accent.primary : THEME.border.default}`,
+                borderRadius: '4px',
+                color: metric === key ? '#fff' : THEME.text.secondary,
+                fontSize: '0.7rem',
+                cursor: 'pointer'
+              }}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length < 2 ? (
+        <div style={{ fontSize: '0.8rem', color: THEME.text.muted }}>Not enough snapshots with supply shares for {definition.label}.</div>
+      ) : (
+        <>
+          <svg width="100%" height="100" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" onMouseLeave={() => setHoverIndex(null)} style={{ display: 'block', overflow: 'visible' }}>
+            <path d={points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${x(p)} ${y(p)}`).join(' ')} fill="none" stroke={THEME.accent.secondary} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+            {points.map((p, i) => (
+              <circle key={p.timestamp} cx={x(p)} cy={y(p)} r={hoverIndex === i ? 4 : 2} fill={THEME.accent.secondary} onMouseEnter={() => setHoverIndex(i)} style={{ cursor: 'pointer' }} />
+            ))}
+          </svg>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '10px', fontSize: '0.75rem', color: THEME.text.secondary }}>
+            <span>{new Date(hovered.timestamp).toLocaleString()}</span>
+            <span style={{ color: THEME.text.primary, fontWeight: '600' }}>{definition.label} {definition.format(hovered[metric])}</span>
+          </div>
+          <div style={{ marginTop: '6px', fontSize: '0.7rem', color: THEME.text.muted }}>
+            {definition.description}. {points.length} snapshots, range {definition.format(min)} - {definition.format(max)}.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Per-chain holder provider selection shown next to the Holders tab
+const HolderProviderPicker = ({ chains, getProvider, onChange, disabled }) => {
+  const selectable = chains.filter(chain => (NETWORKS[chain]?.holderProviders || []).length > 1);
+  if (selectable.length === 0) return null;
+
+  return (
+    <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '8px' }}>
+      <span style={{ fontSize: '0.75rem', color: THEME.text.muted }}>Holder data</span>
+      {selectable.map(chain => (
+        <select
+          key={chain}
+          value={getProvider(chain)}
+          onChange={(e) => onChange(chain, e.target.value)}
+          disabled={disabled}
+          title={`Holder provider for ${NETWORKS[chain].name}`}
+          style={{
+            padding: '6px 8px',
+            background: THEME.bg.tertiary,
+            border: `1px solid ${THEME.border.default}`,
+            borderRadius: '6px',
+            color: THEME.text.primary,
+            fontSize: '0.75rem'
+          }}
+        >
+          {NETWORKS[chain].holderProviders.map(provider => (
+            <option key={provider} value={provider}>
+              {selectable.length > 1 ? `${NETWORKS[chain].name}: ` : ''}{HOLDER_PROVIDERS[provider].name} ({HOLDER_PROVIDERS[provider].description})
+            </option>
+          ))}
+        </select>
+      ))}
+    </div>
+  );
+};
+
+// One holders-table row for a wallet cluster, plus its members when expanded
+const HolderClusterRows = ({ row, rank, chain, symbol, tokenPrice, expanded, onToggle, selected, onSelect, onSplit, onSelectWallet }) => {
+  const { cluster } = row;
+  const balance = parseFloat(row.balance_formatted) || 0;
+  const pct = parseFloat(row.percentage_relative_to_total_supply) || 0;
+  const confidenceColor = cluster.confidence >= 0.8 ? THEME.accent.success : cluster.confidence >= 0.6 ? THEME.accent.warning : THEME.text.secondary;
+  const cell = { padding: '12px 14px' };
+
+  return (
+    <>
+      <tr style={{ borderBottom: '1px solid rgba(255,255,255,0.05)', background: `${THEME.accent.secondary}08` }}>
+        <td style={cell}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <input type="checkbox" checked={selected} onChange={onSelect} title="Select to merge" />
+            <span style={{ fontSize: '0.7rem', fontWeight: '600', color: THEME.text.muted }}>{rank}</span>
+          </div>
+        </td>
+        <td style={cell}>
+          <button onClick={onToggle} style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: THEME.text.primary, fontSize: '0.8rem', textAlign: 'left' }}>
+            {expanded ? '▾' : '▸'} 🔗 Cluster of {cluster.holders.length} wallets
+          </button>
+          <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginTop: '2px' }}>
+            <span style={{ color: confidenceColor, fontWeight: '600' }}>{Math.round(cluster.confidence * 100)}% confidence</span>
+            {' · '}{cluster.reasons.map(r => CLUSTER_HEURISTICS[r].label).join(', ')}
+          </div>
+        </td>
+        <td style={cell}>
+          <span style={{ fontWeight: '500' }}>{formatNumber(balance)}</span>
+          <span style={{ color: THEME.text.muted, marginLeft: '4px' }}>{symbol}</span>
+        </td>
+        <td style={cell}>
+          <span style={{ color: THEME.accent.success, fontWeight: '500' }}>{formatUSD(balance * tokenPrice)}</span>
+        </td>
+        <td style={cell}>
+          <span style={{ color: THEME.text.secondary, fontSize: '0.75rem' }}>{pct.toFixed(2)}%</span>
+        </td>
+        <td style={cell}>
+          <span style={{ color: '#666', fontSize: '0.8rem' }}>—</span>
+        </td>
+        <td style={{ padding: '14px 16px' }}>
+          <span style={{
+            background: `${THEME.accent.secondary}20`,
+            color: THEME.accent.secondary,
+            padding: '4px 10px',
+            borderRadius: '6px',
+            fontSize: '0.7rem',
+            fontWeight: '600',
+            textTransform: 'uppercase',
+            whiteSpace: 'nowrap'
+          }}>
+            🔗 Cluster
+          </span>
+        </td>
+      </tr>
+      {expanded && cluster.holders.map(member => {
+        const memberBalance = parseFloat(member.balance_formatted || member.balance) || 0;
+        return (
+          <tr key={member.owner_address} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)', background: THEME.bg.tertiary }}>
+            <td style={cell} />
+            <td style={{ ...cell, paddingLeft: '32px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <AddressDisplay address={member.owner_address} chain={chain} onClick={onSelectWallet} />
+                <button
+                  onClick={() => onSplit(member.owner_address)}
+                  title="Take this wallet out of the cluster"
+                  style={{ padding: '2px 8px', background: 'none', border: `1px solid ${THEME.border.default}`, borderRadius: '4px', color: THEME.text.secondary, fontSize: '0.65rem', cursor: 'pointer' }}
+                >
+                  Split
+                </button>
+              </div>
+            </td>
+            <td style={cell}>{formatNumber(memberBalance)}</td>
+            <td style={cell}>{formatUSD(memberBalance * tokenPrice)}</td>
+            <td style={cell}>
+              <span style={{ color: THEME.text.secondary, fontSize: '0.75rem' }}>
+                {(parseFloat(member.percentage_relative_to_total_supply) || 0).toFixed(2)}%
+              </span>
+            </td>
+            <td style={cell} />
+            <td style={cell} />
+          </tr>
+        );
+      })}
+    </>
+  );
+};
+
+// ============================================
+// SNAPSHOT DIFF
+// ============================================
+
+const DIFF_CATEGORIES = [
+  { key: 'entered', label: 'Entered list', color: THEME.accent.success },
+  { key: 'exited', label: 'Left list', color: THEME.accent.error },
+  { key: 'accumulated', label: 'Accumulated', color: THEME.accent.success },
+  { key: 'distributed', label: 'Distributed', color: THEME.accent.error }
+];
+
+const formatSnapshotTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Pick any two stored snapshots and diff them. `version` changes whenever a
+// new snapshot is saved so the list reloads.
+const SnapshotDiffView = ({ token, tokenPrice, version, onSelectWallet }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [fromTs, setFromTs] = useState(null);
+  const [toTs, setToTs] = useState(null);
+  const [category, setCategory] = useState('entered');
+
+  useEffect(() => {
+    let cancelled = false;
+    SnapshotManager.getAll(token.address, token.chain).then(all => {
+      if (cancelled) return;
+      setSnapshots(all);
+      setToTs(all[all.length - 1]?.timestamp ?? null);
+      setFromTs(all[all.length - 2]?.timestamp ?? null);
+    });
+    return () => { cancelled = true; };
+  }, [token.address, token.chain, version]);
+
+  // Always diff older -> newer, whichever way round they were picked
+  const [from, to] = [fromTs, toTs]
+    .map(ts => snapshots.find(s => s.timestamp === ts))
+    .sort((a, b) => (a?.timestamp || 0) - (b?.timestamp || 0));
+  const diff = useMemo(() => (from && to && from !== to ? diffSnapshots(from, to) : null), [from, to]);
+  const price = to?.price || tokenPrice || 0;
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px'
+  };
+  const selectStyle = {
+    padding: '6px 8px',
+    background: THEME.bg.tertiary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '6px',
+    color: THEME.text.primary,
+    fontSize: '0.8rem'
+  };
+
+  if (snapshots.length < 2) {
+    return (
+      <div style={{ ...panelStyle, textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem', padding: '32px' }}>
+        {snapshots.length === 0 ? 'No snapshots stored yet.' : 'Only one snapshot stored so far.'} A new one is taken on every refresh and every 6 hours while the tracker is open.
+      </div>
+    );
+  }
+
+  const first = snapshots[0].timestamp;
+  const span = Math.max(1, snapshots[snapshots.length - 1].timestamp - first);
+
+  // Clicking the timeline moves whichever end is closer in time
+  const pickFromTimeline = (timestamp) => {
+    if (Math.abs(timestamp - fromTs) <= Math.abs(timestamp - toTs)) setFromTs(timestamp);
+    else setToTs(timestamp);
+  };
+
+  const rows = diff ? diff[category] : [];
+  // Outside a snapshot's top list: only an upper bound is known
+  const unlisted = (threshold) => (
+    <span style={{ color: THEME.text.muted }} title="Not in this snapshot's top list; balance unknown">
+      ≤ {formatNumber(threshold)}
+    </span>
+  );
+  const th = { padding: '10px 12px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500', fontSize: '0.75rem' };
+  const td = { padding: '10px 12px', color: THEME.text.primary };
+
+  return (
+    <div style={panelStyle}>
+      {/* Pickers */}
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <span style={{ fontSize: '0.8rem', color: THEME.text.muted }}>Compare</span>
+        <select value={fromTs ?? ''} onChange={(e) => setFromTs(Number(e.target.value))} style={selectStyle}>
+          {snapshots.map(s => <option key={s.timestamp} value={s.timestamp}>{formatSnapshotTime(s.timestamp)}</option>)}
+        </select>
+        <span style={{ fontSize: '0.8rem', color: THEME.text.muted }}>→</span>
+        <select value={toTs ?? ''} onChange={(e) => setToTs(Number(e.target.value))} style={selectStyle}>
+          {snapshots.map(s => <option key={s.timestamp} value={s.timestamp}>{formatSnapshotTime(s.timestamp)}</option>)}
+        </select>
+        <span style={{ marginLeft: 'auto', fontSize: '0.75rem', color: THEME.text.muted }}>
+          {snapshots.length} snapshots since {formatSnapshotTime(first)}
+          {snapshots.some(s => s.shared) && ` · ${snapshots.filter(s => s.shared).length} from shared history`}
+        </span>
+      </div>
+
+      {/* Timeline */}
+      <div style={{ position: 'relative', height: '24px', margin: '0 6px 20px' }}>
+        <div style={{ position: 'absolute', top: '11px', left: 0, right: 0, height: '2px', background: THEME.border.default }} />
+        {snapshots.map(s => {
+          const isFrom = s.timestamp === fromTs;
+          const isTo = s.timestamp === toTs;
+          return (
+            <div
+              key={s.timestamp}
+              title={formatSnapshotTime(s.timestamp)}
+              onClick={() => pickFromTimeline(s.timestamp)}
+              style={{
+                position: 'absolute',
+                top: isFrom || isTo ? '5px' : '8px',
+                left: `calc(${((s.timestamp - first) / span) * 100}% - ${isFrom || isTo ? 7 : 4}px)`,
+                width: isFrom || isTo ? '14px' : '8px',
+                height: isFrom || isTo ? '14px' : '8px',
+                borderRadius: '50%',
+                cursor: 'pointer',
+                background: isTo ? THEME.accent.success : isFrom ? THEME.accent.secondary : THEME.text.muted
+              }}
+            />
+          );
+        })}
+      </div>
+
+      {!diff && (
+        <div style={{ color: THEME.text.secondary, fontSize: '0.85rem' }}>Pick two different snapshots to compare.</div>
+      )}
+
+      {diff && (
+        <>
+          {/* Top N summary */}
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '20px' }}>
+            {diff.summary.map(({ tier, netBalance, netPercentage, unknown, shareBefore, shareAfter }) => (
+              <div key={tier} style={{ background: THEME.bg.tertiary, borderRadius: '6px', padding: '12px' }}>
+                <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '4px' }}>Top {tier} net moved</div>
+                <div style={{ fontSize: '1rem', fontWeight: '600', color: netBalance > 0 ? THEME.accent.success : netBalance < 0 ? THEME.accent.error : THEME.text.primary }}>
+                  {formatDelta(netBalance)} <span style={{ fontSize: '0.8rem', fontWeight: '500' }}>({formatDelta(netBalance * price, formatUSD)})</span>
+                </div>
+                <div style={{ fontSize: '0.7rem', color: THEME.text.secondary, marginTop: '4px' }}>
+                  {formatPercent(netPercentage)} of supply · share {shareBefore.toFixed(2)}% → {shareAfter.toFixed(2)}%
+                </div>
+                {unknown > 0 && (
+                  <div style={{ fontSize: '0.65rem', color: THEME.text.muted, marginTop: '2px' }}>
+                    {unknown} new to the list not counted (earlier balance unknown)
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Category tabs */}
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+            {DIFF_CATEGORIES.map(({ key, label }) => (
+              <button
+                key={key}
+                onClick={() => setCategory(key)}
+                style={{
+                  padding: '6px 12px',
+                  background: category === key ? THEME.accent.primary : THEME.bg.tertiary,
+                  border: `1px solid ${category === key ? THEME.accent.primary : THEME.border.default}`,
+                  borderRadius: '6px',
+                  color: category === key ? '#fff' : THEME.text.secondary,
+                  fontSize: '0.75rem',
+                  fontWeight: '500',
+                  cursor: 'pointer'
+                }}
+              >
+                {label} ({diff[key].length})
+              </button>
+            ))}
+          </div>
+
+          {rows.length === 0 ? (
+            <div style={{ padding: '24px', textAlign: 'center', color: THEME.text.muted, fontSize: '0.8rem' }}>No holders in this category.</div>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                    <th style={th}>Wallet</th>
+                    <th style={th}>Rank</th>
+                    <th style={th}>Before</th>
+                    <th style={th}>After</th>
+                    <th style={th}>Δ Tokens</th>
+                    <th style={th}>Δ USD</th>
+                    <th style={th}>Δ % Supply</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const color = DIFF_CATEGORIES.find(c => c.key === category).color;
+                    return (
+                      <tr key={row.address} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                        <td style={td}>
+                          <AddressDisplay address={row.address} chain={token.chain} onClick={onSelectWallet} />
+                        </td>
+                        <td style={{ ...td, color: THEME.text.secondary }}>
+                          {row.rankBefore ? `#${row.rankBefore}` : '-'} → {row.rankAfter ? `#${row.rankAfter}` : '-'}
+                        </td>
+                        <td style={td}>{row.balanceBefore === null ? unlisted(diff.thresholdBefore) : formatNumber(row.balanceBefore)}</td>
+                        <td style={td}>{row.balanceAfter === null ? unlisted(diff.thresholdAfter) : formatNumber(row.balanceAfter)}</td>
+                        <td style={{ ...td, color }}>{row.delta === null ? '-' : formatDelta(row.delta)}</td>
+                        <td style={{ ...td, color }}>{row.delta === null ? '-' : formatDelta(row.delta * price, formatUSD)}</td>
+                        <td style={{ ...td, color }}>{row.percentageDelta === null ? '-' : formatPercent(row.percentageDelta)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {!to.price && (
+            <div style={{ marginTop: '10px', fontSize: '0.7rem', color: THEME.text.muted }}>
+              USD values use the current price; this snapshot predates stored prices.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// HOLDER COHORTS
+// ============================================
+
+const COHORT_WEEKS_SHOWN = 12;
+const COHORT_COLORS = ['#8b5cf6', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#6366f1', '#84cc16'];
+
+const SEGMENT_COLORS = {
+  diamond: THEME.accent.secondary,
+  churner: THEME.accent.error,
+  steady: THEME.accent.success,
+  recent: THEME.accent.warning
+};
+
+const formatWeek = (week) => new Date(week).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit', timeZone: 'UTC' });
+
+// Holders by entry week from stored snapshots, with first-seen times from
+// loaded transfers and collected trades pulling entries earlier
+const HolderCohortsView = ({ token, transfers, version, onSelectWallet }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [trades, setTrades] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      SnapshotManager.getAll(token.address, token.chain),
+      TradeHistoryManager.get(token.address, token.chain)
+    ]).then(([all, stored]) => {
+      if (cancelled) return;
+      setSnapshots(all);
+      setTrades(stored);
+    });
+    return () => { cancelled = true; };
+  }, [token.address, token.chain, version]);
+
+  const analysis = useMemo(
+    () => buildCohorts(snapshots, { firstSeen: firstSeenTimes(transfers, trades) }),
+    [snapshots, transfers, trades]
+  );
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px',
+    marginBottom: '16px'
+  };
+  const th = { padding: '8px 10px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500', fontSize: '0.7rem' };
+  const td = { padding: '8px 10px', color: THEME.text.primary };
+
+  if (snapshots.length < 2) {
+    return (
+      <div style={{ ...panelStyle, textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem', padding: '32px' }}>
+        Cohorts need snapshot history. {snapshots.length === 0 ? 'No snapshots stored yet.' : 'Only one snapshot stored so far.'}
+      </div>
+    );
+  }
+
+  const latest = snapshots[snapshots.length - 1];
+  const share = new Map(latest.holders.map(h => [h.address.toLowerCase(), h.percentage]));
+  const summary = segmentSummary(analysis.holders, latest);
+  const current = [...analysis.holders]
+    .sort((a, b) => (share.get(b.address.toLowerCase()) || 0) - (share.get(a.address.toLowerCase()) || 0))
+    .slice(0, 20);
+  const cohorts = analysis.cohorts.slice(-COHORT_WEEKS_SHOWN);
+  const weeks = analysis.weeks.slice(-COHORT_WEEKS_SHOWN);
+  const maxShare = Math.max(1, ...weeks.map(w => cohorts.reduce((sum, c) => sum + (c.series.find(p => p.week === w)?.percentage || 0), 0)));
+  const colorOf = (cohort) => COHORT_COLORS[analysis.cohorts.indexOf(cohort) % COHORT_COLORS.length];
+
+  return (
+    <div>
+      {/* Segments */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px', marginBottom: '16px' }}>
+        {Object.entries(HOLDER_SEGMENTS).map(([key, segment]) => (
+          <div key={key} title={segment.description} style={{ ...panelStyle, marginBottom: 0, padding: '14px' }}>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '4px' }}>{segment.label}</div>
+            <div style={{ fontSize: '1.1rem', fontWeight: '600', color: SEGMENT_COLORS[key] }}>{summary[key].count}</div>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.secondary, marginTop: '2px' }}>{summary[key].percentage.toFixed(2)}% of supply</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Retention */}
+      <div style={panelStyle}>
+        <h3 style={{ margin: '0 0 4px 0', fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Retention by Entry Week</h3>
+        <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '12px' }}>
+          Share of each cohort still among the top holders, by weeks since entry. Leaving the list does not always mean selling out.
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                <th style={th}>Entry week</th>
+                <th style={th}>Holders</th>
+                <th style={th}>Still held</th>
+                <th style={th}>Supply now</th>
+                {weeks.map((_, i) => <th key={i} style={{ ...th, textAlign: 'center' }}>W{i}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {[...cohorts].reverse().map(cohort => (
+                <tr key={cohort.week} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                  <td style={td}>
+                    <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '2px', background: colorOf(cohort), marginRight: '6px' }} />
+                    {formatWeek(cohort.week)}
+                  </td>
+                  <td style={td}>{cohort.size}</td>
+                  <td style={td}>{cohort.current}</td>
+                  <td style={td}>{(cohort.series[cohort.series.length - 1]?.percentage || 0).toFixed(2)}%</td>
+                  {weeks.map((_, i) => {
+                    const point = cohort.series[i];
+                    return (
+                      <td key={i} style={{
+                        ...td,
+                        textAlign: 'center',
+                        color: point ? THEME.text.primary : THEME.text.muted,
+                        background: point ? `rgba(139, 92, 246, ${0.1 + point.retained * 0.5})` : 'transparent'
+                      }}>
+                        {point ? `${Math.round(point.retained * 100)}%` : ''}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Share of supply over time */}
+      <div style={panelStyle}>
+        <h3 style={{ margin: '0 0 12px 0', fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Supply Held by Cohort</h3>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px', height: '140px' }}>
+          {weeks.map(week => (
+            <div key={week} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%' }}>
+              <div style={{ flex: 1, width: '100%', display: 'flex', flexDirection: 'column-reverse' }}>
+                {cohorts.map(cohort => {
+                  const point = cohort.series.find(p => p.week === week);
+                  if (!point?.percentage) return null;
+                  return (
+                    <div
+                      key={cohort.week}
+                      title={`Entered ${formatWeek(cohort.week)}: ${point.percentage.toFixed(2)}% of supply`}
+                      style={{ height: `${(point.percentage / maxShare) * 100}%`, background: colorOf(cohort) }}
+                    />
+                  );
+                })}
+              </div>
+              <div style={{ fontSize: '0.6rem', color: THEME.text.muted, marginTop: '4px', whiteSpace: 'nowrap' }}>{formatWeek(week)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Current top holders */}
+      <div style={panelStyle}>
+        <h3 style={{ margin: '0 0 12px 0', fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Current Top Holders by Entry</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+          <thead>
+            <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+              <th style={th}>Wallet</th>
+              <th style={th}>% Supply</th>
+              <th style={th}>Entered</th>
+              <th style={th}>Held</th>
+              <th style={th}>Segment</th>
+            </tr>
+          </thead>
+          <tbody>
+            {current.map(h => (
+              <tr key={h.address} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                <td style={td}><AddressDisplay address={h.address} chain={token.chain} onClick={onSelectWallet} /></td>
+                <td style={td}>{(share.get(h.address.toLowerCase()) || 0).toFixed(2)}%</td>
+                <td style={td}>{new Date(h.entry).toLocaleDateString()}</td>
+                <td style={{ ...td, color: THEME.text.secondary }}>{Math.floor(h.daysHeld)}d</td>
+                <td style={{ ...td, color: SEGMENT_COLORS[h.segment] }}>{HOLDER_SEGMENTS[h.segment].label}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// SUPPLY CHANGES
+// ============================================
+
+const RECONCILE_STATUS = {
+  reconciled: { label: 'Reconciled', color: THEME.accent.success },
+  mismatch: { label: 'Does not reconcile', color: THEME.accent.warning },
+  unknown: { label: 'No baseline yet', color: THEME.text.secondary }
+};
+
+// Mints and burns among the loaded transactions, checked against the total
+// supply reported now and stored with earlier snapshots
+const SupplyChangesView = ({ token, events, tokenInfo, tokenPrice, version, isMultiChain, onSelectWallet, canLoadOlder, loadingOlder, onLoadOlder }) => {
+  const [readings, setReadings] = useState([]);
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+    SnapshotManager.getAll(token.address, token.chain).then(all => {
+      if (cancelled) return;
+      setReadings(all.filter(s => s.supply).map(s => ({ timestamp: s.timestamp, ...s.supply })));
+    });
+    return () => { cancelled = true; };
+  }, [token.address, token.chain, version]);
+
+  useEffect(() => { setPage(1); }, [token.address, token.chain]);
+
+  const totals = useMemo(() => supplyTotals(events), [events]);
+  const series = useMemo(() => supplyChangeSeries(events), [events]);
+  const reconciliation = useMemo(
+    () => reconcileSupply(events, readings, reportedSupply(tokenInfo) || {}),
+    [events, readings, tokenInfo]
+  );
+  const status = RECONCILE_STATUS[reconciliation.status];
+  const symbol = tokenInfo?.symbol || token.symbol;
+  const rows = events.slice((page - 1) * TRANSACTIONS_PER_PAGE, page * TRANSACTIONS_PER_PAGE);
+  const oldest = events.length > 0 ? events[events.length - 1].block_timestamp : null;
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px',
+    marginBottom: '16px'
+  };
+  const th = { padding: '10px 12px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500', fontSize: '0.75rem' };
+  const td = { padding: '10px 12px', color: THEME.text.primary };
+
+  const W = 600;
+  const H = 140;
+  const scale = Math.max(1e-9, ...series.map(p => Math.abs(p.net)), ...series.map(p => Math.abs(p.cumulative)));
+  const mid = H / 2;
+  const barWidth = series.length > 0 ? Math.max(2, W / series.length - 2) : 0;
+  const xOf = (i) => (series.length > 1 ? (i / (series.length - 1)) * (W - barWidth) : (W - barWidth) / 2);
+  const yOf = (value) => mid - (value / scale) * (mid - 6);
+
+  const loadOlderButton = canLoadOlder && (
+    <button
+      onClick={onLoadOlder}
+      disabled={loadingOlder}
+      style={{
+        padding: '5px 10px',
+        background: THEME.bg.tertiary,
+        border: `1px solid ${THEME.border.default}`,
+        borderRadius: '4px',
+        color: THEME.text.secondary,
+        fontSize: '0.75rem',
+        cursor: loadingOlder ? 'wait' : 'pointer'
+      }}
+    >
+      {loadingOlder ? 'Loading older...' : 'Load older'}
+    </button>
+  );
+
+  if (events.length === 0) {
+    return (
+      <div style={{ ...panelStyle, textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem', padding: '32px' }}>
+        <div style={{ marginBottom: '12px' }}>No mints or burns in the loaded transfers.</div>
+        {loadOlderButton}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Totals */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px', marginBottom: '16px' }}>
+        {[
+          { label: 'Minted', value: `${formatNumber(totals.minted)} ${symbol}`, sub: formatUSD(totals.mintedUsd), color: THEME.accent.success },
+          { label: 'Burned', value: `${formatNumber(totals.burned)} ${symbol}`, sub: formatUSD(totals.burnedUsd), color: THEME.accent.error },
+          { label: 'Net supply change', value: `${formatDelta(totals.net)} ${symbol}`, sub: formatDelta(totals.net * tokenPrice, formatUSD), color: totals.net >= 0 ? THEME.accent.success : THEME.accent.error },
+          { label: 'Events', value: events.length, sub: oldest ? `since ${new Date(oldest).toLocaleString()}` : '', color: THEME.text.primary }
+        ].map(card => (
+          <div key={card.label} style={{ ...panelStyle, marginBottom: 0, padding: '14px' }}>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '4px' }}>{card.label}</div>
+            <div style={{ fontSize: '1rem', fontWeight: '600', color: card.color }}>{card.value}</div>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.secondary, marginTop: '2px' }}>{card.sub}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Net change over time */}
+      <div style={panelStyle}>
+        <h3 style={{ margin: '0 0 12px 0', fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Net Supply Change</h3>
+        <svg width="100%" height={H} viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" style={{ display: 'block' }}>
+          <line x1="0" y1={mid} x2={W} y2={mid} stroke={THEME.border.default} strokeWidth="1" vectorEffect="non-scaling-stroke" />
+          {series.map((point, i) => (
+            <rect
+              key={point.timestamp}
+              x={xOf(i)}
+              y={Math.min(mid, yOf(point.net))}
+              width={barWidth}
+              height={Math.max(1, Math.abs(yOf(point.net) - mid))}
+              fill={point.net >= 0 ? THEME.accent.success : THEME.accent.error}
+              opacity="0.7"
+            >
+              <title>{`${new Date(point.timestamp).toLocaleString()}: +${formatNumber(point.minted)} / -${formatNumber(point.burned)} (cumulative ${formatDelta(point.cumulative)})`}</title>
+            </rect>
+          ))}
+          {series.length > 1 && (
+            <path
+              d={series.map((point, i) => `${i === 0 ? 'M' : 'L'} ${xOf(i) + barWidth / 2} ${yOf(point.cumulative)}`).join(' ')}
+              fill="none"
+              stroke={THEME.accent.secondary}
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+        <div style={{ display: 'flex', gap: '16px', marginTop: '8px', fontSize: '0.7rem', color: THEME.text.muted }}>
+          <span><span style={{ color: THEME.accent.success }}>■</span> net minted</span>
+          <span><span style={{ color: THEME.accent.error }}>■</span> net burned</span>
+          <span><span style={{ color: THEME.accent.secondary }}>―</span> cumulative</span>
+        </div>
+      </div>
+
+      {/* Reconciliation */}
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+          <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Reconciliation</h3>
+          <span style={{ fontSize: '0.75rem', fontWeight: '500', color: status.color }}>{status.label}</span>
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px', fontSize: '0.8rem' }}>
+          <div>
+            <div style={{ color: THEME.text.muted, fontSize: '0.7rem' }}>Reported total supply</div>
+            <div style={{ color: THEME.text.primary }}>{reconciliation.total !== null ? formatNumber(reconciliation.total) : '-'}</div>
+          </div>
+          <div>
+            <div style={{ color: THEME.text.muted, fontSize: '0.7rem' }}>Reported circulating</div>
+            <div style={{ color: THEME.text.primary }}>
+              {reconciliation.circulating !== null ? formatNumber(reconciliation.circulating) : '-'}
+              {reconciliation.nonCirculating !== null && (
+                <span style={{ color: THEME.text.muted }}> ({formatNumber(reconciliation.nonCirculating)} not circulating)</span>
+              )}
+            </div>
+          </div>
+          <div>
+            <div style={{ color: THEME.text.muted, fontSize: '0.7rem' }}>Implied supply before loaded events</div>
+            <div style={{ color: THEME.text.primary }}>{reconciliation.impliedStart !== null ? formatNumber(reconciliation.impliedStart) : '-'}</div>
+          </div>
+          {reconciliation.baseline && (
+            <div>
+              <div style={{ color: THEME.text.muted, fontSize: '0.7rem' }}>
+                Expected from {new Date(reconciliation.baseline.timestamp).toLocaleDateString()} snapshot
+              </div>
+              <div style={{ color: THEME.text.primary }}>
+                {formatNumber(reconciliation.expectedTotal)}
+                <span style={{ color: status.color }}> ({formatDelta(reconciliation.difference)} off)</span>
+              </div>
+            </div>
+          )}
+          {reconciliation.circulatingChange !== null && (
+            <div>
+              <div style={{ color: THEME.text.muted, fontSize: '0.7rem' }}>Circulating change vs net minted</div>
+              <div style={{ color: THEME.text.primary }}>
+                {formatDelta(reconciliation.circulatingChange)} vs {formatDelta(reconciliation.netSinceBaseline)}
+              </div>
+            </div>
+          )}
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '0.7rem', color: THEME.text.muted }}>
+          {reconciliation.baseline
+            ? 'Expected supply is the supply stored with the first snapshot inside the loaded events plus every mint and burn since.'
+            : 'Supply is stored with each snapshot; once a snapshot falls inside the loaded events, mints and burns are checked against it.'}
+          {isMultiChain && ' Reported supply spans every chain while events come from this chain only, so bridge mints and burns will not add up.'}
+        </div>
+      </div>
+
+      {/* Events */}
+      <div style={panelStyle}>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                <th style={th}>Type</th>
+                <th style={th}>Wallet</th>
+                <th style={th}>Amount</th>
+                <th style={th}>USD Value</th>
+                <th style={th}>Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(tx => (
+                <tr key={`${tx.transaction_hash}:${tx.type}`} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                  <td style={{ ...td, color: tx.type === 'mint' ? THEME.accent.success : THEME.accent.error, fontWeight: '500' }}>
+                    {SUPPLY_EVENT_TYPES[tx.type].label}
+                  </td>
+                  <td style={td}>
+                    <AddressDisplay address={tx.type === 'mint' ? tx.to_address : tx.from_address} chain={token.chain} onClick={onSelectWallet} />
+                  </td>
+                  <td style={td}>{formatNumber(tx.amount)} <span style={{ color: THEME.text.muted }}>{symbol}</span></td>
+                  <td style={{ ...td, color: THEME.text.secondary }}>{formatUSD(tx.usdValue || 0)}</td>
+                  <td style={{ ...td, color: THEME.text.secondary }}>{new Date(tx.block_timestamp).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {events.length > TRANSACTIONS_PER_PAGE && (
+          <Pagination currentPage={page} totalPages={Math.ceil(events.length / TRANSACTIONS_PER_PAGE)} onPageChange={setPage} />
+        )}
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '12px' }}>{loadOlderButton}</div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// PENDLE POSITIONING
+// ============================================
+
+// Market legs: the PT and YT tokens and the market itself as the LP token
+const PENDLE_LEGS = [
+  { kind: 'pt', addressOf: (market) => market.pt },
+  { kind: 'yt', addressOf: (market) => market.yt },
+  { kind: 'lp', addressOf: (market) => market.address }
+];
+
+// Label categories that hold PT/YT for others rather than a position
+const NOT_A_WALLET = new Set(['cex', 'bridge', 'dex', 'protocol', 'burn']);
+
+// Holders to leave out of a market's positioning and rolls: its own
+// contracts and labelled exchanges, bridges, protocols and burn addresses
+const pendleNonWallet = (market, labels) => {
+  const contracts = new Set([market.address, market.pt, market.yt, market.sy]);
+  return (address) => contracts.has(address) || NOT_A_WALLET.has(labels.resolve(address, market.chain)?.category);
+};
+
+const STANCE_COLORS = {
+  fixed: THEME.accent.secondary,
+  variable: THEME.accent.success,
+  hedged: THEME.text.secondary,
+  liquidity: THEME.accent.warning
+};
+
+// PT, YT and LP holders of one market joined by wallet. Each leg is
+// snapshotted like any tracked token, so rotations show up between loads.
+const PendlePositionsView = ({ market, getProvider, onSelectWallet }) => {
+  const labels = useContext(LabelContext);
+  const [snapshots, setSnapshots] = useState({ pt: [], yt: [], lp: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [stanceFilter, setStanceFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const provider = getProvider(market.chain);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const legs = await Promise.all(PENDLE_LEGS.map(async ({ kind, addressOf }) => {
+        const address = addressOf(market);
+        const data = await fetchHolderList(address, market.chain, provider, { priority: 'high' });
+        return [kind, await SnapshotManager.save(address, market.chain, data.result || [])];
+      }));
+      setSnapshots(Object.fromEntries(legs));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [market, provider]);
+
+  useEffect(() => {
+    setPage(1);
+    load();
+  }, [load]);
+
+  const latest = (kind) => snapshots[kind][snapshots[kind].length - 1] || null;
+  const previous = (kind) => snapshots[kind][snapshots[kind].length - 2] || null;
+  const ignore = useMemo(() => pendleNonWallet(market, labels), [market, labels]);
+  const positions = useMemo(
+    () => marketPositions({ pt: latest('pt'), yt: latest('yt'), lp: latest('lp') }, market, { ignore }),
+    [snapshots, market, ignore]
+  );
+  const rotations = useMemo(
+    () => (previous('pt') && previous('yt')
+      ? findRotations({ pt: previous('pt'), yt: previous('yt') }, { pt: latest('pt'), yt: latest('yt') }, { ignore })
+      : new Map()),
+    [snapshots, ignore]
+  );
+  const summary = useMemo(() => stanceSummary(positions), [positions]);
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px',
+    marginBottom: '16px'
+  };
+  const th = { padding: '10px 12px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500', fontSize: '0.75rem' };
+  const td = { padding: '10px 12px', color: THEME.text.primary };
+  const unit = market.name || 'underlying';
+
+  if (loading && positions.length === 0) return <LoadingSpinner />;
+
+  if (error && positions.length === 0) {
+    return (
+      <div style={{ ...panelStyle, textAlign: 'center', color: THEME.accent.error, fontSize: '0.85rem', padding: '32px' }}>
+        Could not load market holders: {error}
+      </div>
+    );
+  }
+
+  const filtered = stanceFilter === 'all' ? positions : positions.filter(p => p.stance === stanceFilter);
+  const rows = filtered.slice((page - 1) * TRANSACTIONS_PER_PAGE, page * TRANSACTIONS_PER_PAGE);
+  const totalFixed = positions.reduce((sum, p) => sum + p.fixed, 0);
+  const totalVariable = positions.reduce((sum, p) => sum + p.variable, 0);
+  const fixedShare = totalFixed + totalVariable > 0 ? (totalFixed / (totalFixed + totalVariable)) * 100 : 50;
+  const comparedAt = previous('pt')?.timestamp;
+
+  return (
+    <div>
+      {/* Stances */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px', marginBottom: '16px' }}>
+        {Object.entries(POSITION_STANCES).map(([key, stance]) => (
+          <button
+            key={key}
+            title={stance.description}
+            onClick={() => { setStanceFilter(stanceFilter === key ? 'all' : key); setPage(1); }}
+            style={{
+              ...panelStyle,
+              marginBottom: 0,
+              padding: '14px',
+              textAlign: 'left',
+              cursor: 'pointer',
+              borderColor: stanceFilter === key ? STANCE_COLORS[key] : THEME.border.default
+            }}
+          >
+            <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '4px' }}>{stance.label}</div>
+            <div style={{ fontSize: '1rem', fontWeight: '600', color: STANCE_COLORS[key] }}>{summary[key].count} wallets</div>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.secondary, marginTop: '2px' }}>
+              {formatNumber(summary[key].fixed)} fixed / {formatNumber(summary[key].variable)} variable
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Fixed vs variable split */}
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+          <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Fixed vs Variable Yield</h3>
+          <span style={{ fontSize: '0.75rem', color: THEME.text.muted }}>
+            top holders of {PENDLE_TOKEN_KINDS.pt.label}, {PENDLE_TOKEN_KINDS.yt.label} and {PENDLE_TOKEN_KINDS.lp.label} via {HOLDER_PROVIDERS[provider]?.name || provider}
+          </span>
+          <button
+            onClick={load}
+            disabled={loading}
+            style={{
+              marginLeft: 'auto',
+              padding: '5px 10px',
+              background: THEME.bg.tertiary,
+              border: `1px solid ${THEME.border.default}`,
+              borderRadius: '4px',
+              color: THEME.text.secondary,
+              fontSize: '0.75rem',
+              cursor: loading ? 'wait' : 'pointer'
+            }}
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+        <div style={{ display: 'flex', height: '6px', borderRadius: '3px', overflow: 'hidden', background: THEME.bg.tertiary }}>
+          <div style={{ width: `${fixedShare}%`, background: STANCE_COLORS.fixed }} />
+          <div style={{ width: `${100 - fixedShare}%`, background: STANCE_COLORS.variable }} />
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px', fontSize: '0.7rem' }}>
+          <span style={{ color: STANCE_COLORS.fixed }}>{formatNumber(totalFixed)} {unit} fixed ({fixedShare.toFixed(1)}%)</span>
+          <span style={{ color: STANCE_COLORS.variable }}>{formatNumber(totalVariable)} {unit} variable ({(100 - fixedShare).toFixed(1)}%)</span>
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '0.7rem', color: THEME.text.muted }}>
+          Exposure is in {unit} at maturity: PT and the PT inside LP are fixed, YT is variable. Net = variable - fixed.
+          {comparedAt
+            ? ` Rotations compare with the ${new Date(comparedAt).toLocaleString()} snapshot.`
+            : ' Rotations between PT and YT show once a second snapshot of the market is stored.'}
+        </div>
+      </div>
+
+      {/* Positions */}
+      <div style={panelStyle}>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                <th style={th}>#</th>
+                <th style={th}>Wallet</th>
+                <th style={th}>PT</th>
+                <th style={th}>YT</th>
+                <th style={th}>LP</th>
+                <th style={th}>Net Exposure</th>
+                <th style={th}>Stance</th>
+                <th style={th}>Rotation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((position, i) => {
+                const rotation = rotations.get(position.address);
+                return (
+                  <tr key={position.address} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                    <td style={{ ...td, color: THEME.text.muted }}>{(page - 1) * TRANSACTIONS_PER_PAGE + i + 1}</td>
+                    <td style={td}>
+                      <AddressDisplay address={position.address} chain={market.chain} onClick={onSelectWallet} />
+                    </td>
+                    {['pt', 'yt', 'lp'].map(kind => (
+                      <td key={kind} style={{ ...td, color: position[kind] > 0 ? THEME.text.primary : THEME.text.muted }}>
+                        {position[kind] > 0 ? formatNumber(position[kind]) : '-'}
+                        {position[`${kind}Share`] > 0 && (
+                          <span style={{ color: THEME.text.muted, fontSize: '0.7rem' }}> {position[`${kind}Share`].toFixed(2)}%</span>
+                        )}
+                      </td>
+                    ))}
+                    <td style={{ ...td, fontWeight: '500', color: position.net >= 0 ? STANCE_COLORS.variable : STANCE_COLORS.fixed }}>
+                      {formatDelta(position.net)} <span style={{ color: THEME.text.muted, fontWeight: '400' }}>{unit}</span>
+                    </td>
+                    <td style={{ ...td, color: STANCE_COLORS[position.stance] }}>{POSITION_STANCES[position.stance].label}</td>
+                    <td style={td}>
+                      {rotation && (
+                        <span
+                          title={`PT ${formatDelta(rotation.pt)}, YT ${formatDelta(rotation.yt)}`}
+                          style={{
+                            background: THEME.accent.warning + '20',
+                            color: THEME.accent.warning,
+                            padding: '2px 8px',
+                            borderRadius: '4px',
+                            fontSize: '0.7rem',
+                            fontWeight: '500'
+                          }}
+                        >
+                          {ROTATION_DIRECTIONS[rotation.direction].label}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        {filtered.length === 0 && (
+          <div style={{ textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem', padding: '24px' }}>
+            No holders found for this market.
+          </div>
+        )}
+        {filtered.length > TRANSACTIONS_PER_PAGE && (
+          <Pagination currentPage={page} totalPages={Math.ceil(filtered.length / TRANSACTIONS_PER_PAGE)} onPageChange={setPage} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// PENDLE MATURITIES
+// ============================================
+
+const ROLL_TRANSFER_PAGES = 3; // 100 transfers per page, per PT/YT token
+const MATURITY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const ROLL_COLORS = {
+  rolled: THEME.accent.success,
+  redeemed: THEME.accent.secondary,
+  sold: THEME.accent.warning,
+  idle: THEME.text.secondary
+};
+
+const formatMaturity = (expiry) => new Date(expiry).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// Transfers of one token since `from` (ms), newest first, a few pages deep
+const fetchTransfersSince = async (address, chain, from) => {
+  const rows = [];
+  let cursor = null;
+  for (let page = 0; page < ROLL_TRANSFER_PAGES; page++) {
+    const data = await fetchFromProxy(
+      'moralis',
+      `/erc20/${address}/transfers?chain=${chain}&limit=100&order=DESC&from_date=${new Date(from).toISOString()}${cursor ? `&cursor=${cursor}` : ''}`
+    );
+    rows.push(...(data.result || []));
+    cursor = data.cursor;
+    if (!cursor) break;
+  }
+  return rows;
+};
+
+// What the expiring market's top PT/YT holders did around maturity. Holders
+// come from the last PT/YT snapshot before the window opened (or the
+// earliest stored, or a fresh one when the market has no history yet).
+const RollTracker = ({ entry, getProvider, onSelectWallet }) => {
+  const { market, next } = entry;
+  const labels = useContext(LabelContext);
+  const [state, setState] = useState({ loading: true, error: null, rows: [], baselineAt: null });
+  const provider = getProvider(market.chain);
+
+  useEffect(() => {
+    let cancelled = false;
+    const { start } = rollWindow(market);
+
+    const baseline = async (address) => {
+      const all = await SnapshotManager.getAll(address, market.chain);
+      if (all.length > 0) return [...all].reverse().find(s => s.timestamp <= start) || all[0];
+      const data = await fetchHolderList(address, market.chain, provider);
+      const saved = await SnapshotManager.save(address, market.chain, data.result || []);
+      return saved[saved.length - 1];
+    };
+    const transfersOf = (address) => (address ? fetchTransfersSince(address, market.chain, start) : Promise.resolve([]));
+    const ignore = pendleNonWallet(market, labels);
+
+    setState(prev => ({ ...prev, loading: true, error: null }));
+    Promise.all([
+      baseline(market.pt),
+      baseline(market.yt),
+      transfersOf(market.pt),
+      transfersOf(market.yt),
+      transfersOf(next?.pt),
+      transfersOf(next?.yt)
+    ]).then(([pt, yt, ptTx, ytTx, nextPt, nextYt]) => {
+      if (cancelled) return;
+      const candidates = rollCandidates(pt, yt, { ignore });
+      setState({
+        loading: false,
+        error: null,
+        rows: trackRolls(candidates, market, { pt: ptTx, yt: ytTx, nextPt, nextYt }, { since: start }),
+        baselineAt: Math.min(pt.timestamp, yt.timestamp)
+      });
+    }).catch(err => {
+      if (!cancelled) setState({ loading: false, error: err.message, rows: [], baselineAt: null });
+    });
+    return () => { cancelled = true; };
+  }, [market, next, provider, labels]);
+
+  const th = { padding: '8px 10px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500', fontSize: '0.7rem' };
+  const td = { padding: '8px 10px', color: THEME.text.primary };
+
+  if (state.loading) return <LoadingSpinner />;
+  if (state.error) {
+    return <div style={{ padding: '16px', color: THEME.accent.error, fontSize: '0.8rem' }}>Could not track rolls: {state.error}</div>;
+  }
+
+  const summary = rollSummary(state.rows);
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '12px' }}>
+        {Object.entries(ROLL_STATUSES).map(([key, status]) => (
+          <div key={key} title={status.description} style={{ background: THEME.bg.tertiary, borderRadius: '6px', padding: '10px' }}>
+            <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginBottom: '2px' }}>{status.label}</div>
+            <div style={{ fontSize: '0.95rem', fontWeight: '600', color: ROLL_COLORS[key] }}>{summary[key].count}</div>
+            <div style={{ fontSize: '0.65rem', color: THEME.text.secondary }}>
+              {formatNumber(summary[key].pt)} PT / {formatNumber(summary[key].yt)} YT
+            </div>
           </div>
+        ))}
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+          <thead>
+            <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+              <th style={th}>Wallet</th>
+              <th style={th}>PT</th>
+              <th style={th}>YT</th>
+              <th style={th}>Status</th>
+              <th style={th}>Redeemed</th>
+              <th style={th}>Into {next ? formatMaturity(next.expiry) : 'next'}</th>
+              <th style={th}>Last Activity</th>
+            </tr>
+          </thead>
+          <tbody>
+            {state.rows.map(row => (
+              <tr key={row.address} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                <td style={td}>
+                  <AddressDisplay address={row.address} chain={market.chain} onClick={(address) => onSelectWallet(address, market.chain)} />
+                </td>
+                <td style={td}>{row.pt > 0 ? formatNumber(row.pt) : '-'}</td>
+                <td style={td}>{row.yt > 0 ? formatNumber(row.yt) : '-'}</td>
+                <td style={{ ...td, color: ROLL_COLORS[row.status], fontWeight: '500' }}>{ROLL_STATUSES[row.status].label}</td>
+                <td style={{ ...td, color: THEME.text.secondary }}>{row.redeemed > 0 ? formatNumber(row.redeemed) : '-'}</td>
+                <td style={{ ...td, color: THEME.text.secondary }}>{row.rolledInto > 0 ? formatNumber(row.rolledInto) : '-'}</td>
+                <td style={{ ...td, color: THEME.text.secondary }}>{row.lastActivity ? new Date(row.lastActivity).toLocaleString() : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ marginTop: '8px', fontSize: '0.7rem', color: THEME.text.muted }}>
+        Top holders as of {state.baselineAt ? new Date(state.baselineAt).toLocaleString() : '-'}, checked against PT/YT transfers
+        since {new Date(rollWindow(market).start).toLocaleDateString()}.
+        {next ? '' : ' No later maturity is listed for this underlying, so nobody can show as rolled.'}
+      </div>
+    </div>
+  );
+};
+
+// Upcoming expiries of the tracked Pendle tokens' markets. Markets within
+// the roll window of their expiry can be expanded into roll tracking.
+const MaturityCalendarView = ({ calendar, loading, getProvider, onSelectWallet, onOpenToken }) => {
+  const [expanded, setExpanded] = useState(null);
+  const now = Date.now();
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px',
+    marginBottom: '16px'
+  };
+
+  if (loading && calendar.length === 0) return <LoadingSpinner />;
+
+  if (calendar.length === 0) {
+    return (
+      <div style={{ ...panelStyle, marginTop: '24px', textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem', padding: '32px' }}>
+        None of the tracked tokens is a Pendle PT, YT, SY or LP token. Track one to see its market's maturity here.
+      </div>
+    );
+  }
+
+  const months = [];
+  calendar.forEach(entry => {
+    const month = new Date(entry.market.expiry).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    if (months.length === 0 || months[months.length - 1].month !== month) months.push({ month, entries: [] });
+    months[months.length - 1].entries.push(entry);
+  });
+
+  return (
+    <div style={{ marginTop: '24px' }}>
+      {months.map(({ month, entries }) => (
+        <div key={month} style={panelStyle}>
+          <h3 style={{ margin: '0 0 12px 0', fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>{month}</h3>
+          {entries.map(entry => {
+            const key = `${entry.market.chain}:${entry.market.address}`;
+            const near = isNearMaturity(entry.market, now);
+            const matured = entry.daysLeft <= 0;
+            return (
+              <div key={key} style={{ padding: '12px 0', borderTop: `1px solid ${THEME.border.subtle}` }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+                  <div style={{ minWidth: '90px', fontSize: '0.85rem', fontWeight: '600', color: near ? THEME.accent.primary : THEME.text.primary }}>
+                    {formatMaturity(entry.market.expiry)}
+                  </div>
+                  <div style={{ flex: 1, minWidth: '180px' }}>
+                    <div style={{ fontSize: '0.85rem', color: THEME.text.primary }}>
+                      {entry.market.name}
+                      <span style={{ color: THEME.text.muted, fontSize: '0.75rem' }}> on {NETWORKS[entry.market.chain]?.name || entry.market.chain}</span>
+                    </div>
+                    <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginTop: '2px' }}>
+                      {entry.next
+                        ? `Next maturity ${formatMaturity(entry.next.expiry)}${entry.next.impliedApy !== null ? ` at ${(entry.next.impliedApy * 100).toFixed(2)}% implied` : ''}`
+                        : 'No later maturity listed'}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    {entry.tokens.map(({ token, kind }) => (
+                      <button
+                        key={token.address}
+                        onClick={() => onOpenToken(token)}
+                        title={`Open ${token.symbol}`}
+                        style={{
+                          background: THEME.bg.tertiary,
+                          border: `1px solid ${THEME.border.default}`,
+                          borderRadius: '4px',
+                          padding: '2px 8px',
+                          color: THEME.text.secondary,
+                          fontSize: '0.7rem',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {PENDLE_TOKEN_KINDS[kind].label}
+                      </button>
+                    ))}
+                  </div>
+                  <div style={{ minWidth: '90px', textAlign: 'right', fontSize: '0.8rem', color: matured ? THEME.text.muted : near ? THEME.accent.warning : THEME.text.secondary }}>
+                    {matured ? `Matured ${Math.floor(-entry.daysLeft)}d ago` : `${Math.ceil(entry.daysLeft)}d left`}
+                  </div>
+                  <div style={{ minWidth: '80px', textAlign: 'right', fontSize: '0.8rem', color: THEME.text.secondary }}>
+                    {entry.market.impliedApy !== null && entry.market.impliedApy !== undefined ? `${(entry.market.impliedApy * 100).toFixed(2)}%` : '-'}
+                  </div>
+                  {near && (
+                    <button
+                      onClick={() => setExpanded(expanded === key ? null : key)}
+                      style={{
+                        padding: '5px 10px',
+                        background: expanded === key ? THEME.accent.primary : THEME.bg.tertiary,
+                        border: `1px solid ${expanded === key ? THEME.accent.primary : THEME.border.default}`,
+                        borderRadius: '4px',
+                        color: expanded === key ? '#fff' : THEME.text.secondary,
+                        fontSize: '0.75rem',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Rolls
+                    </button>
+                  )}
+                </div>
+                {expanded === key && (
+                  <RollTracker entry={entry} getProvider={getProvider} onSelectWallet={onSelectWallet} />
+                )}
+              </div>
+            );
+          })}
         </div>
+      ))}
+      <div style={{ fontSize: '0.7rem', color: THEME.text.muted }}>
+        Roll tracking opens two weeks before each expiry. Add a "Pendle market matures within N days" rule under Alerts to be notified ahead of it.
       </div>
     </div>
   );
@@ -1141,11 +3796,305 @@ const SocialLinks = ({ links }) => {
   );
 };
 
+// ============================================
+// HOLDER BALANCE TIMELINE
+// ============================================
+
+const TIMELINE_PATTERNS = {
+  accumulating: { label: 'Steady accumulation', color: THEME.accent.success },
+  distributing: { label: 'Steady distribution', color: THEME.accent.error },
+  'single-buy': { label: 'One large buy', color: THEME.accent.success },
+  'single-dump': { label: 'Dumped in one move', color: THEME.accent.error },
+  mixed: { label: 'Mixed activity', color: THEME.accent.warning },
+  flat: { label: 'No change', color: THEME.text.secondary }
+};
+
+// Balance of the selected token for one wallet, from stored snapshots plus
+// the transfers currently loaded for the token
+const HolderTimelineChart = ({ wallet, token, transfers }) => {
+  const [snapshots, setSnapshots] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    SnapshotManager.getAll(token.address, token.chain).then(all => {
+      if (!cancelled) setSnapshots(all);
+    });
+    return () => { cancelled = true; };
+  }, [token.address, token.chain]);
+
+  const points = useMemo(() => (
+    snapshots ? buildHolderTimeline(snapshots, wallet, holderTransferEvents(transfers, wallet)) : []
+  ), [snapshots, wallet, transfers]);
+  const summary = useMemo(() => summarizeTimeline(points), [points]);
+
+  const known = points.filter(p => p.balance !== null);
+  if (!snapshots) return null;
+  if (known.length === 0) {
+    return (
+      <div style={{ background: THEME.bg.tertiary, borderRadius: '8px', padding: '14px', marginBottom: '20px', fontSize: '0.8rem', color: THEME.text.muted }}>
+        No {token.symbol} history for this wallet yet: it has not appeared in a stored snapshot.
+      </div>
+    );
+  }
+
+  const W = 400;
+  const H = 100;
+  const first = points[0].timestamp;
+  const span = Math.max(1, points[points.length - 1].timestamp - first);
+  const maxBalance = Math.max(...known.map(p => p.balance)) || 1;
+  const x = (p) => (points.length === 1 ? W / 2 : ((p.timestamp - first) / span) * W);
+  const y = (p) => H - 6 - (p.balance / maxBalance) * (H - 12);
+  const line = known.map((p, i) => `${i === 0 ? 'M' : 'L'} ${x(p)} ${y(p)}`).join(' ');
+  const hovered = hoverIndex !== null ? points[hoverIndex] : known[known.length - 1];
+  const pattern = summary ? TIMELINE_PATTERNS[summary.pattern] : null;
+
+  return (
+    <div style={{ background: THEME.bg.tertiary, borderRadius: '8px', padding: '14px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '10px', gap: '12px', flexWrap: 'wrap' }}>
+        <h3 style={{ margin: 0, fontSize: '0.8125rem', fontWeight: '600', color: THEME.text.primary }}>{token.symbol} Balance Over Time</h3>
+        {pattern && <span style={{ fontSize: '0.75rem', fontWeight: '500', color: pattern.color }}>{pattern.label}</span>}
+      </div>
+
+      <svg width="100%" height="100" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" onMouseLeave={() => setHoverIndex(null)} style={{ display: 'block', overflow: 'visible' }}>
+        <path d={line} fill="none" stroke={THEME.accent.secondary} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        {points.map((p, i) => p.balance !== null && (
+          <circle
+            key={`${p.timestamp}-${i}`}
+            cx={x(p)}
+            cy={y(p)}
+            r={hoverIndex === i ? 4 : p.source === 'snapshot' ? 2.5 : 1.5}
+            fill={p.source === 'snapshot' ? THEME.accent.secondary : THEME.text.secondary}
+            onMouseEnter={() => setHoverIndex(i)}
+            style={{ cursor: 'pointer' }}
+          />
+        ))}
+      </svg>
+
+      {/* Point details (hovered point, or the latest one) */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginTop: '10px', fontSize: '0.75rem' }}>
+        <div><div style={{ color: THEME.text.muted }}>Date</div><div style={{ color: THEME.text.primary }}>{new Date(hovered.timestamp).toLocaleString()}</div></div>
+        <div><div style={{ color: THEME.text.muted }}>Balance</div><div style={{ color: THEME.text.primary }}>{hovered.balance !== null ? formatNumber(hovered.balance) : 'Outside top list'}</div></div>
+        <div><div style={{ color: THEME.text.muted }}>Rank</div><div style={{ color: THEME.text.primary }}>{hovered.rank ? `#${hovered.rank}` : hovered.source === 'transfer' ? 'Between snapshots' : '-'}</div></div>
+        <div><div style={{ color: THEME.text.muted }}>% Supply</div><div style={{ color: THEME.text.primary }}>{hovered.percentage !== null ? `${hovered.percentage.toFixed(3)}%` : '-'}</div></div>
+      </div>
+
+      {summary && (
+        <div style={{ marginTop: '10px', fontSize: '0.7rem', color: THEME.text.secondary }}>
+          Net {formatDelta(summary.netChange)} ({formatPercent(summary.netPercentage)} of supply) since {new Date(summary.from).toLocaleDateString()}
+          {summary.largestMove && <> · largest move {formatDelta(summary.largestMove.change)} on {new Date(summary.largestMove.timestamp).toLocaleDateString()}</>}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // ============================================
 // PHASE 4: WALLET PROFILER MODAL
 // ============================================
 
-const WalletProfiler = ({ wallet, walletData, loading, onClose, chain }) => {
+// Historical USD prices for the wallet PnL: the most active tokens in the
+// history plus the tracked token, over the span the history covers
+const fetchPnlPriceSeries = async (movements, chain, trackedToken) => {
+  const network = NETWORKS[chain];
+  const counts = new Map();
+  movements.forEach(m => counts.set(m.token, (counts.get(m.token) || 0) + 1));
+  const tokens = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, PNL_PRICED_TOKENS)
+    .map(([token]) => token);
+  const oldest = Math.min(Date.now(), ...movements.map(m => m.timestamp || Date.now()));
+  const days = Math.min(365, Math.max(1, Math.ceil((Date.now() - oldest) / 86400000) + 1));
+
+  const endpoints = tokens.map(token => [token, token === NATIVE_TOKEN
+    ? `/coins/${network.nativeCoingeckoId}/market_chart?vs_currency=usd&days=${days}`
+    : `/coins/${network.coingeckoId}/contract/${token}/market_chart?vs_currency=usd&days=${days}`
+  ]);
+  const trackedKey = trackedToken?.address?.toLowerCase();
+  if (trackedToken?.coingeckoId && trackedToken.chain === chain) {
+    const index = endpoints.findIndex(([token]) => token === trackedKey);
+    const endpoint = `/coins/${trackedToken.coingeckoId}/market_chart?vs_currency=usd&days=${days}`;
+    if (index === -1) endpoints.push([trackedKey, endpoint]);
+    else endpoints[index] = [trackedKey, endpoint];
+  }
+
+  const series = {};
+  await Promise.all(endpoints.map(async ([token, endpoint]) => {
+    try {
+      const data = await fetchFromProxy('coingecko', endpoint, { priority: 'low' });
+      const prices = (data.prices || []).filter(p => p[1] > 0);
+      if (prices.length > 0) series[token] = prices;
+    } catch (e) {
+      // Tokens CoinGecko does not list stay unpriced
+    }
+  }));
+  return series;
+};
+
+const PnlValue = ({ value }) => (
+  value === null
+    ? <span style={{ color: THEME.text.muted }}>-</span>
+    : <span style={{ color: value > 0 ? THEME.accent.success : value < 0 ? THEME.accent.error : THEME.text.secondary }}>{formatDelta(value, formatUSD)}</span>
+);
+
+// Realized/unrealized PnL per token from the wallet's history on its
+// primary chain, plus the tracked token's trades when they are on that chain
+const WalletPnlSection = ({ wallet, pnl, token, transfers }) => {
+  const [method, setMethod] = useState(() => localStorage.getItem('pnlMethod') || 'fifo');
+  const [priceSeries, setPriceSeries] = useState(null);
+
+  const movements = useMemo(() => {
+    const trades = token && token.chain === pnl.chain ? movementsFromTrades(transfers || [], wallet, token) : [];
+    return mergeMovements(pnl.movements, trades);
+  }, [pnl, wallet, token, transfers]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPriceSeries(null);
+    fetchPnlPriceSeries(movements, pnl.chain, token).then(series => {
+      if (!cancelled) setPriceSeries(series);
+    });
+    return () => { cancelled = true; };
+  }, [movements, pnl.chain, token]);
+
+  const result = useMemo(() => {
+    if (!priceSeries) return null;
+    // Prefer the portfolio's live price, fall back to the last chart point
+    const currentPrices = { ...pnl.currentPrices };
+    Object.entries(priceSeries).forEach(([key, series]) => {
+      if (currentPrices[key] == null) currentPrices[key] = series[series.length - 1][1];
+    });
+    return computePnl(movements, { method, priceAt: createPriceLookup(priceSeries), currentPrices });
+  }, [movements, priceSeries, method, pnl.currentPrices]);
+
+  const changeMethod = (value) => {
+    setMethod(value);
+    localStorage.setItem('pnlMethod', value);
+  };
+
+  if (movements.length === 0) return null;
+
+  const rows = result ? result.tokens.filter(t => t.trades > 0 || t.quantity > 0).slice(0, 15) : [];
+  const uncovered = rows.filter(t => t.uncovered > 0).length;
+  const unpriced = rows.filter(t => t.unpriced > 0).length;
+  const cell = { padding: '8px 10px', textAlign: 'right' };
+  const head = { ...cell, color: THEME.text.muted, fontWeight: '500' };
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', gap: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '0.8125rem', fontWeight: '600', color: THEME.text.primary }}>PnL ({NETWORKS[pnl.chain]?.name})</h3>
+        <select value={method} onChange={e => changeMethod(e.target.value)} style={{ background: THEME.bg.tertiary, border: `1px solid ${THEME.border.default}`, borderRadius: '6px', color: THEME.text.primary, padding: '4px 8px', fontSize: '0.75rem' }}>
+          {Object.entries(COST_METHODS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+        </select>
+      </div>
+
+      {!result ? (
+        <div style={{ background: THEME.bg.tertiary, borderRadius: '8px', padding: '14px', fontSize: '0.8rem', color: THEME.text.secondary, display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <LoadingSpinner size={14} /> Loading price history...
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px', marginBottom: '10px' }}>
+            {[['Realized', result.totals.realized], ['Unrealized', result.totals.unrealized], ['Total', result.totals.total]].map(([label, value]) => (
+              <div key={label} style={{ background: THEME.bg.tertiary, borderRadius: '8px', padding: '10px', textAlign: 'center' }}>
+                <div style={{ fontSize: '0.7rem', color: THEME.text.muted }}>{label}</div>
+                <div style={{ fontSize: '1rem', fontWeight: '600' }}><PnlValue value={value} /></div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ background: THEME.bg.tertiary, borderRadius: '8px', overflow: 'hidden' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+              <thead><tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                <th style={{ ...head, textAlign: 'left' }}>Token</th>
+                <th style={head}>Held</th>
+                <th style={head}>Avg Cost</th>
+                <th style={head}>Realized</th>
+                <th style={head}>Unrealized</th>
+              </tr></thead>
+              <tbody>
+                {rows.map(t => (
+                  <tr key={t.token} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                    <td style={{ ...cell, textAlign: 'left', color: THEME.text.primary, fontWeight: '500' }}>
+                      {t.symbol}
+                      {(t.uncovered > 0 || t.unpriced > 0) && <span style={{ color: THEME.accent.warning, marginLeft: '4px' }}>*</span>}
+                    </td>
+                    <td style={{ ...cell, color: THEME.text.secondary }}>{formatNumber(t.quantity)}</td>
+                    <td style={{ ...cell, color: THEME.text.secondary }}>{t.avgCost !== null ? formatUSD(t.avgCost) : '-'}</td>
+                    <td style={cell}><PnlValue value={t.trades > 0 ? t.realized : null} /></td>
+                    <td style={cell}><PnlValue value={t.unrealized} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ marginTop: '8px', fontSize: '0.7rem', color: THEME.text.muted }}>
+            {pnl.movements.length > 0 ? 'Covers the last 100 transactions' : `Covers recent ${token?.symbol} trades`} only; transfers in count at the day's price.
+            {uncovered > 0 && ` * ${uncovered} token${uncovered > 1 ? 's' : ''} sold more than the history shows bought; the excess is left out.`}
+            {unpriced > 0 && ` * ${unpriced} token${unpriced > 1 ? 's have' : ' has'} movements without a price.`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Shows who a wallet is and lets the user (re)label it
+const WalletLabelEditor = ({ wallet, chain }) => {
+  const { resolve, userLabels, setUserLabels } = useContext(LabelContext);
+  const entity = resolve(wallet, chain);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({ entity: '', category: 'other' });
+  const labelChain = chain === 'solana' ? 'solana' : ANY_EVM;
+
+  const startEditing = () => {
+    setDraft({ entity: entity?.entity || '', category: entity?.category || 'other' });
+    setEditing(true);
+  };
+
+  const save = () => {
+    const { label } = normalizeLabel({ address: wallet, chain: labelChain, ...draft });
+    if (!label) return;
+    setUserLabels(mergeLabels(userLabels, [label]));
+    setEditing(false);
+  };
+
+  const remove = () => {
+    setUserLabels(userLabels.filter(l => labelKey(l.address, l.chain) !== labelKey(entity.address, entity.chain)));
+    setEditing(false);
+  };
+
+  const small = { background: THEME.bg.tertiary, border: `1px solid ${THEME.border.default}`, borderRadius: '4px', color: THEME.text.secondary, padding: '2px 8px', fontSize: '0.7rem', cursor: 'pointer' };
+
+  if (editing) {
+    return (
+      <div style={{ display: 'flex', gap: '6px', marginTop: '6px', flexWrap: 'wrap' }}>
+        <input autoFocus value={draft.entity} onChange={e => setDraft({ ...draft, entity: e.target.value })} onKeyPress={e => e.key === 'Enter' && save()} placeholder="Entity name" style={{ ...small, color: THEME.text.primary, cursor: 'text', width: '140px' }} />
+        <select value={draft.category} onChange={e => setDraft({ ...draft, category: e.target.value })} style={small}>
+          {Object.entries(LABEL_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.label}</option>)}
+        </select>
+        <button onClick={save} disabled={!draft.entity.trim()} style={small}>Save</button>
+        {entity?.source === 'user' && <button onClick={remove} style={{ ...small, color: THEME.accent.error }}>Remove</button>}
+        <button onClick={() => setEditing(false)} style={small}>Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px' }}>
+      {entity && (
+        <span style={{ color: LABEL_CATEGORIES[entity.category]?.color, fontSize: '0.75rem', fontWeight: '600' }}>
+          {entity.entity} <span style={{ color: THEME.text.muted, fontWeight: '400' }}>· {LABEL_CATEGORIES[entity.category]?.label}</span>
+        </span>
+      )}
+      <button onClick={startEditing} style={small}>{entity ? 'Edit label' : 'Add label'}</button>
+    </div>
+  );
+};
+
+const WalletProfiler = ({ wallet, walletData, loading, onClose, chain, token, transfers }) => {
   if (!wallet) return null;
   const network = NETWORKS[chain] || NETWORKS.eth;
   const formatUSD = (v) => {
@@ -1172,6 +4121,7 @@ const WalletProfiler = ({ wallet, walletData, loading, onClose, chain }) => {
             <a href={`${network.explorer}/address/${wallet}`} target="_blank" rel="noopener noreferrer" style={{ color: THEME.accent.secondary, fontSize: '0.75rem', textDecoration: 'none' }}>
               {wallet.slice(0, 10)}...{wallet.slice(-8)} ↗
             </a>
+            <WalletLabelEditor wallet={wallet} chain={chain} />
           </div>
           <button onClick={onClose} style={{ background: THEME.bg.tertiary, border: `1px solid ${THEME.border.default}`, borderRadius: '6px', color: THEME.text.secondary, padding: '6px 12px', cursor: 'pointer', fontSize: '0.875rem' }}>Close</button>
         </div>
@@ -1196,6 +4146,11 @@ const WalletProfiler = ({ wallet, walletData, loading, onClose, chain }) => {
                 </div>
               </div>
 
+              {/* Balance timeline for the token being tracked */}
+              {token && <HolderTimelineChart wallet={wallet} token={token} transfers={transfers} />}
+
+              {walletData.pnl && <WalletPnlSection wallet={wallet} pnl={walletData.pnl} token={token} transfers={transfers} />}
+
               {/* Chain Breakdown */}
               {isMultiChain && chainBreakdown.length > 0 && (
                 <div style={{ marginBottom: '20px' }}>
@@ -1279,7 +4234,132 @@ const WalletProfiler = ({ wallet, walletData, loading, onClose, chain }) => {
 // PHASE 4: WALLET TRACKER VIEW
 // ============================================
 
-const WalletTrackerView = ({ onSelectWallet }) => {
+const LABEL_CHAIN_OPTIONS = [[ANY_EVM, 'Any EVM chain'], ...Object.entries(NETWORKS).map(([key, net]) => [key, net.name])];
+
+// User labels: add one, import/export CSV, remove
+const EntityLabelsPanel = () => {
+  const { userLabels, setUserLabels, version, size } = useContext(LabelContext);
+  const [draft, setDraft] = useState({ address: '', entity: '', category: 'cex', chain: ANY_EVM });
+  const [message, setMessage] = useState(null);
+
+  const inputStyle = {
+    padding: '8px 10px',
+    background: THEME.bg.primary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '6px',
+    color: THEME.text.primary,
+    fontSize: '0.8rem',
+    outline: 'none'
+  };
+  const buttonStyle = {
+    padding: '8px 14px',
+    background: THEME.bg.tertiary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '6px',
+    color: THEME.text.secondary,
+    fontSize: '0.8rem',
+    cursor: 'pointer'
+  };
+
+  const handleAdd = () => {
+    // Solana addresses never match the EVM default
+    const chain = draft.address.trim().startsWith('0x') || draft.chain !== ANY_EVM ? draft.chain : 'solana';
+    const { label, error } = normalizeLabel({ ...draft, chain });
+    if (error) {
+      setMessage({ error: true, text: error });
+      return;
+    }
+    setUserLabels(mergeLabels(userLabels, [label]));
+    setDraft({ ...draft, address: '', entity: '' });
+    setMessage({ text: `Labeled ${label.address.slice(0, 10)}... as ${label.entity}` });
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const { labels, errors } = parseLabelCsv(text);
+      if (labels.length > 0) setUserLabels(mergeLabels(userLabels, labels));
+      const skipped = errors.length > 0
+        ? ` ${errors.length} row${errors.length > 1 ? 's' : ''} skipped (line ${errors[0].line}: ${errors[0].message}${errors.length > 1 ? ', ...' : ''}).`
+        : '';
+      setMessage({ error: labels.length === 0, text: `Imported ${labels.length} label${labels.length === 1 ? '' : 's'}.${skipped}` });
+    });
+  };
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([labelsToCsv(userLabels)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'address-labels.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div style={{
+      background: THEME.bg.secondary,
+      border: `1px solid ${THEME.border.default}`,
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>Address Labels</h3>
+        <span style={{ fontSize: '0.7rem', color: THEME.text.muted }}>
+          {size} labeled addresses · bundled set v{version} · {userLabels.length} yours
+        </span>
+      </div>
+      <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', margin: '0 0 12px 0' }}>
+        Your labels override the bundled ones. CSV columns: address, entity, category ({Object.keys(LABEL_CATEGORIES).join(', ')}), chain (optional).
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        <input value={draft.address} onChange={e => setDraft({ ...draft, address: e.target.value })} placeholder="Address" style={{ ...inputStyle, flex: 2, minWidth: '220px' }} />
+        <input value={draft.entity} onChange={e => setDraft({ ...draft, entity: e.target.value })} onKeyPress={e => e.key === 'Enter' && handleAdd()} placeholder="Entity name" style={{ ...inputStyle, flex: 1, minWidth: '140px' }} />
+        <select value={draft.category} onChange={e => setDraft({ ...draft, category: e.target.value })} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {Object.entries(LABEL_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.label}</option>)}
+        </select>
+        <select value={draft.chain} onChange={e => setDraft({ ...draft, chain: e.target.value })} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {LABEL_CHAIN_OPTIONS.map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+        </select>
+        <button onClick={handleAdd} style={{ ...buttonStyle, background: THEME.accent.primary, border: 'none', color: '#fff' }}>Add Label</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <label style={buttonStyle}>
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+        <button onClick={handleExport} disabled={userLabels.length === 0} style={{ ...buttonStyle, opacity: userLabels.length === 0 ? 0.5 : 1 }}>Export CSV</button>
+        {message && (
+          <span style={{ fontSize: '0.75rem', color: message.error ? THEME.accent.error : THEME.text.secondary }}>{message.text}</span>
+        )}
+      </div>
+
+      {userLabels.length > 0 && (
+        <div style={{ marginTop: '12px', maxHeight: '240px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {userLabels.map(l => (
+            <div key={`${l.chain}:${l.address}`} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '6px 10px', background: THEME.bg.tertiary, borderRadius: '6px', fontSize: '0.75rem' }}>
+              <span style={{ fontFamily: 'monospace', color: THEME.text.secondary }}>{shortenAddress(l.address)}</span>
+              <span style={{ color: LABEL_CATEGORIES[l.category]?.color, fontWeight: '600' }}>{l.entity}</span>
+              <span style={{ color: THEME.text.muted }}>{LABEL_CATEGORIES[l.category]?.label} · {l.chain === ANY_EVM ? 'any EVM' : NETWORKS[l.chain]?.name || l.chain}</span>
+              <button
+                onClick={() => setUserLabels(userLabels.filter(other => other !== l))}
+                style={{ marginLeft: 'auto', background: 'none', border: 'none', color: THEME.accent.error, cursor: 'pointer', fontSize: '0.75rem' }}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WalletTrackerView = ({ tokens, selectedToken, tokenPrice, onSelectWallet }) => {
   const [walletSearch, setWalletSearch] = useState('');
   const [selectedChain, setSelectedChain] = useState('eth');
   const [trackedWallets, setTrackedWallets] = useState(() => {
@@ -1288,12 +4368,45 @@ const WalletTrackerView = ({ onSelectWallet }) => {
   });
   const [topTraders, setTopTraders] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [leaderboardTokenKey, setLeaderboardTokenKey] = useState(() => (
+    selectedToken ? snapshotKey(selectedToken.address, selectedToken.chain) : ''
+  ));
+  const [leaderboardWindow, setLeaderboardWindow] = useState('7d');
+  const [leaderboardSort, setLeaderboardSort] = useState('netBought');
+  const [tradeCount, setTradeCount] = useState(0);
+
+  const leaderboardToken = tokens.find(t => snapshotKey(t.address, t.chain) === leaderboardTokenKey) || tokens[0] || null;
 
   // Save tracked wallets to localStorage
   useEffect(() => {
     localStorage.setItem('trackedWallets', JSON.stringify(trackedWallets));
   }, [trackedWallets]);
 
+  // Rebuild the leaderboard from the stored trade history
+  useEffect(() => {
+    if (!leaderboardToken) return;
+    let cancelled = false;
+    setLoading(true);
+    TradeHistoryManager.get(leaderboardToken.address, leaderboardToken.chain).then(trades => {
+      if (cancelled) return;
+      const isSelected = selectedToken && snapshotKey(selectedToken.address, selectedToken.chain) === snapshotKey(leaderboardToken.address, leaderboardToken.chain);
+      const rows = buildLeaderboard(trades, {
+        token: leaderboardToken,
+        window: leaderboardWindow,
+        currentPrice: isSelected && tokenPrice > 0 ? tokenPrice : null
+      });
+      setTradeCount(trades.length);
+      setTopTraders(rankTraders(rows, leaderboardSort).slice(0, LEADERBOARD_SIZE));
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [leaderboardToken?.address, leaderboardToken?.chain, leaderboardWindow, leaderboardSort, selectedToken, tokenPrice]);
+
+  const handleTrackTrader = (address, chain) => {
+    if (trackedWallets.some(w => w.address.toLowerCase() === address.toLowerCase())) return;
+    setTrackedWallets([...trackedWallets, { address, chain, addedAt: new Date().toISOString(), label: '' }]);
+  };
+
   const handleAddWallet = () => {
     if (!walletSearch) return;
     
@@ -1499,23 +4612,138 @@ const WalletTrackerView = ({ onSelectWallet }) => {
         </div>
       )}
 
-      {/* Info Section */}
+      {/* Top Traders Leaderboard */}
       <div style={{
-        background: 'rgba(123, 47, 247, 0.1)',
-        border: '1px solid rgba(123, 47, 247, 0.3)',
-        borderRadius: '16px',
-        padding: '24px',
-        marginBottom: '24px'
+        background: THEME.bg.secondary,
+        border: `1px solid ${THEME.border.default}`,
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '20px'
       }}>
-        <h3 style={{ margin: '0 0 12px 0', fontSize: '1rem', color: '#a855f7' }}>
-          🚀 Coming Soon: Top Traders Leaderboard
-        </h3>
-        <p style={{ color: '#888', fontSize: '0.85rem', margin: 0 }}>
-          Track the most profitable traders based on PnL and portfolio performance. 
-          This feature requires additional API integration for historical trade data.
-        </p>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary }}>
+            Top Traders
+          </h3>
+          {leaderboardToken && (
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+              <select
+                value={snapshotKey(leaderboardToken.address, leaderboardToken.chain)}
+                onChange={(e) => setLeaderboardTokenKey(e.target.value)}
+                style={{ padding: '6px 10px', background: THEME.bg.primary, border: `1px solid ${THEME.border.default}`, borderRadius: '6px', color: THEME.text.primary, fontSize: '0.75rem', cursor: 'pointer' }}
+              >
+                {tokens.map(t => (
+                  <option key={snapshotKey(t.address, t.chain)} value={snapshotKey(t.address, t.chain)}>
+                    {t.symbol} ({NETWORKS[t.chain]?.name || t.chain})
+                  </option>
+                ))}
+              </select>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {Object.entries(LEADERBOARD_WINDOWS).map(([key, w]) => (
+                  <button
+                    key={key}
+                    onClick={() => setLeaderboardWindow(key)}
+                    style={{
+                      padding: '5px 10px',
+                      background: leaderboardWindow === key ? THEME.accent.primary : THEME.bg.tertiary,
+                      border: `1px solid ${leaderboardWindow === key ? THEME.accent.primary : THEME.border.default}`,
+                      borderRadius: '4px',
+                      color: leaderboardWindow === key ? '#fff' : THEME.text.secondary,
+                      fontSize: '0.7rem',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {w.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {!leaderboardToken ? (
+          <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', margin: 0 }}>
+            Track a token to rank its traders. Trades are collected each time the token's data refreshes.
+          </p>
+        ) : loading ? (
+          <div style={{ textAlign: 'center', padding: '20px', color: THEME.text.secondary }}><LoadingSpinner size={18} /></div>
+        ) : topTraders.length === 0 ? (
+          <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', margin: 0 }}>
+            {tradeCount === 0
+              ? `No ${leaderboardToken.symbol} trades collected yet. Open the token in the tracker to start collecting them.`
+              : `No ${leaderboardToken.symbol} trades in this window.`}
+          </p>
+        ) : (
+          <>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${THEME.border.default}` }}>
+                    <th style={{ padding: '8px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500' }}>#</th>
+                    <th style={{ padding: '8px', textAlign: 'left', color: THEME.text.muted, fontWeight: '500' }}>Trader</th>
+                    {Object.entries(LEADERBOARD_SORTS).map(([key, sort]) => (
+                      <th
+                        key={key}
+                        onClick={() => setLeaderboardSort(key)}
+                        style={{ padding: '8px', textAlign: 'right', color: leaderboardSort === key ? THEME.text.primary : THEME.text.muted, fontWeight: '500', cursor: 'pointer', whiteSpace: 'nowrap' }}
+                      >
+                        {sort.label}{leaderboardSort === key && ' ↓'}
+                      </th>
+                    ))}
+                    <th style={{ padding: '8px', textAlign: 'right', color: THEME.text.muted, fontWeight: '500' }}>Trades</th>
+                    <th style={{ padding: '8px' }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {topTraders.map((trader, i) => {
+                    const tracked = trackedWallets.some(w => w.address.toLowerCase() === trader.address.toLowerCase());
+                    const signed = (v) => (v > 0 ? THEME.accent.success : v < 0 ? THEME.accent.error : THEME.text.secondary);
+                    return (
+                      <tr key={trader.address} style={{ borderBottom: `1px solid ${THEME.border.subtle}` }}>
+                        <td style={{ padding: '8px', color: THEME.text.muted }}>{i + 1}</td>
+                        <td style={{ padding: '8px' }}>
+                          <AddressDisplay address={trader.address} chain={leaderboardToken.chain} onClick={(addr) => onSelectWallet(addr, leaderboardToken.chain)} />
+                        </td>
+                        <td style={{ padding: '8px', textAlign: 'right', color: signed(trader.netBought) }}>{formatDelta(trader.netBought, formatUSD)}</td>
+                        <td style={{ padding: '8px', textAlign: 'right', color: trader.closedTrades > 0 ? signed(trader.realized) : THEME.text.muted }}>
+                          {trader.closedTrades > 0 ? formatDelta(trader.realized, formatUSD) : '-'}
+                        </td>
+                        <td style={{ padding: '8px', textAlign: 'right', color: THEME.text.secondary }}>
+                          {trader.winRate !== null ? `${(trader.winRate * 100).toFixed(0)}% (${trader.closedTrades})` : '-'}
+                        </td>
+                        <td style={{ padding: '8px', textAlign: 'right', color: THEME.text.primary }}>{formatUSD(trader.volume)}</td>
+                        <td style={{ padding: '8px', textAlign: 'right', color: THEME.text.secondary, whiteSpace: 'nowrap' }}>{trader.buys}B / {trader.sells}S</td>
+                        <td style={{ padding: '8px', textAlign: 'right' }}>
+                          <button
+                            onClick={() => handleTrackTrader(trader.address, leaderboardToken.chain)}
+                            disabled={tracked}
+                            style={{
+                              padding: '4px 8px',
+                              background: THEME.bg.tertiary,
+                              border: `1px solid ${THEME.border.default}`,
+                              borderRadius: '4px',
+                              color: tracked ? THEME.text.muted : THEME.text.secondary,
+                              fontSize: '0.7rem',
+                              cursor: tracked ? 'default' : 'pointer'
+                            }}
+                          >
+                            {tracked ? 'Tracked' : 'Track'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ marginTop: '10px', fontSize: '0.7rem', color: THEME.text.muted }}>
+              From {tradeCount.toLocaleString()} DEX trades collected in this browser. Realized PnL and win rate use average cost over trades in the window.
+            </div>
+          </>
+        )}
       </div>
 
+      <EntityLabelsPanel />
+
       {/* Empty State */}
       {trackedWallets.length === 0 && (
         <div style={{
@@ -1697,34 +4925,26 @@ const MarketOverview = ({ onTrackToken, trackedTokens }) => {
   const [activeMarketTab, setActiveMarketTab] = useState('gainers');
   const [currentPage, setCurrentPage] = useState(1);
 
-  const fetchMarketData = useCallback(async () => {
+  // Background refreshes yield to whatever the user is looking at
+  const fetchMarketData = useCallback(async (background = false) => {
     setLoading(true);
     setError(null);
 
     try {
       // Fetch top 250 tokens to have enough for filtering
-      const response = await fetch(
-        '/api/moralis?source=coingecko&endpoint=' + encodeURIComponent(
-          '/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=250&page=1&sparkline=false&price_change_percentage=24h'
-        )
+      const data = await fetchFromProxy(
+        'coingecko',
+        '/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=250&page=1&sparkline=false&price_change_percentage=24h',
+        { priority: background ? 'low' : 'high' }
       );
-      
-      if (response.ok) {
-        const data = await response.json();
-        setAllTokens(data || []);
-      } else if (response.status === 429) {
-        console.warn('CoinGecko rate limited, will retry');
-        setError('Rate limited by CoinGecko. Data will refresh automatically.');
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Market data response error:', errorData);
-        throw new Error(errorData.error || 'Failed to fetch market data');
-      }
+      setAllTokens(data || []);
     } catch (err) {
       console.error('Market data error:', err);
       // Only show error if we don't have any data
       if (allTokens.length === 0) {
-        setError('Failed to load market data. CoinGecko API may be rate limited.');
+        setError(err.status === 429
+          ? `${err.message}. Data will refresh automatically.`
+          : 'Failed to load market data. CoinGecko API may be rate limited.');
       }
     } finally {
       setLoading(false);
@@ -1733,7 +4953,7 @@ const MarketOverview = ({ onTrackToken, trackedTokens }) => {
 
   useEffect(() => {
     fetchMarketData();
-    const interval = setInterval(fetchMarketData, MARKET_REFRESH_INTERVAL);
+    const interval = setInterval(() => fetchMarketData(true), MARKET_REFRESH_INTERVAL);
     return () => clearInterval(interval);
   }, [fetchMarketData]);
 
@@ -1751,13 +4971,9 @@ const MarketOverview = ({ onTrackToken, trackedTokens }) => {
   const handleTrack = async (token) => {
     // Fetch detailed token info to get contract addresses
     try {
-      const response = await fetch(
-        '/api/moralis?source=coingecko&endpoint=' + encodeURIComponent(`/coins/${token.id}`)
-      );
+      const data = await fetchFromProxy('coingecko', `/coins/${token.id}`, { priority: 'high' }).catch(() => null);
       
-      if (response.ok) {
-        const data = await response.json();
-        
+      if (data) {
         // Find the first available contract address
         let contractAddress = null;
         let chain = 'eth';
@@ -1917,7 +5133,7 @@ const MarketOverview = ({ onTrackToken, trackedTokens }) => {
         }}>
           {error}
           <button
-            onClick={fetchMarketData}
+            onClick={() => fetchMarketData()}
             style={{
               display: 'block',
               margin: '16px auto 0',
@@ -2020,16 +5236,10 @@ const TokenSearch = ({ tokens, selectedToken, onSelect, onAddToken, onRemoveToke
           setShowResults(true);
         } else {
           // Search by ticker/name using CoinGecko
-          const response = await fetch(
-            '/api/moralis?source=coingecko&endpoint=' + encodeURIComponent(`/search?query=${searchQuery}`)
-          );
-          
-          if (response.ok) {
-            const data = await response.json();
-            const coins = (data.coins || []).slice(0, 10);
-            setSearchResults(coins);
-            setShowResults(coins.length > 0);
-          }
+          const data = await fetchFromProxy('coingecko', `/search?query=${encodeURIComponent(searchQuery)}`, { priority: 'high' });
+          const coins = (data.coins || []).slice(0, 10);
+          setSearchResults(coins);
+          setShowResults(coins.length > 0);
         }
       } catch (err) {
         console.error('Search error:', err);
@@ -2062,13 +5272,9 @@ const TokenSearch = ({ tokens, selectedToken, onSelect, onAddToken, onRemoveToke
         });
       } else {
         // Fetch token details from CoinGecko to get contract address
-        const response = await fetch(
-          '/api/moralis?source=coingecko&endpoint=' + encodeURIComponent(`/coins/${result.id}`)
-        );
+        const data = await fetchFromProxy('coingecko', `/coins/${result.id}`, { priority: 'high' }).catch(() => null);
         
-        if (response.ok) {
-          const data = await response.json();
-          
+        if (data) {
           // Find first available contract address and chain
           let contractAddress = null;
           let actualChain = 'eth';
@@ -2224,89 +5430,784 @@ const TokenSearch = ({ tokens, selectedToken, onSelect, onAddToken, onRemoveToke
             <LoadingSpinner size={20} />
           )}
         </div>
-      </div>
+      </div>
+
+      {/* Tracked Tokens */}
+      {tokens.length > 0 && (
+        <div>
+          <div style={{ 
+            fontSize: '0.75rem', 
+            color: '#888', 
+            marginBottom: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '1px'
+          }}>
+            Your Tracked Tokens ({tokens.length})
+          </div>
+          <div style={{ 
+            display: 'flex', 
+            gap: '8px', 
+            flexWrap: 'wrap',
+            alignItems: 'center'
+          }}>
+            {tokens.map((token) => (
+              <div
+                key={`${token.chain}-${token.address}`}
+                style={{
+                  padding: '8px 12px',
+                  background: selectedToken?.address === token.address ? THEME.accent.primary : THEME.bg.tertiary,
+                  border: `1px solid ${selectedToken?.address === token.address ? THEME.accent.primary : THEME.border.default}`,
+                  borderRadius: '6px',
+                  color: THEME.text.primary,
+                  fontSize: '0.8rem',
+                  fontWeight: '500',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}
+              >
+                <button
+                  onClick={() => onSelect(token)}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: selectedToken?.address === token.address ? '#fff' : THEME.text.primary,
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: 0
+                  }}
+                >
+                  <span style={{ fontSize: '1rem' }}>
+                    {typeof token.logo === 'string' && token.logo.startsWith('http') ? (
+                      <img src={token.logo} alt="" style={{ width: '18px', height: '18px', borderRadius: '50%' }} />
+                    ) : (
+                      token.logo || '🪙'
+                    )}
+                  </span>
+                  <span>{token.symbol}</span>
+                  <NetworkBadge chain={token.chain} small />
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemoveToken(token);
+                  }}
+                  style={{
+                    background: 'transparent',
+                    border: 'none',
+                    borderRadius: '3px',
+                    color: THEME.text.muted,
+                    cursor: 'pointer',
+                    padding: '2px 6px',
+                    fontSize: '0.7rem',
+                    marginLeft: '4px'
+                  }}
+                  title="Remove token"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// ALERTS VIEW
+// ============================================
+
+// Wallet activity alerts carry the wallet's chain instead of a token
+const alertChain = (alertItem) => alertItem.token?.chain || alertItem.chain;
+
+const ALERT_SEVERITY_COLORS = {
+  high: THEME.accent.error,
+  medium: THEME.accent.warning,
+  info: THEME.accent.secondary
+};
+
+const DELIVERY_TARGET_TYPES = {
+  discord: { label: 'Discord webhook', fields: [{ name: 'url', label: 'Webhook URL' }] },
+  slack: { label: 'Slack webhook', fields: [{ name: 'url', label: 'Webhook URL' }] },
+  telegram: {
+    label: 'Telegram bot',
+    fields: [
+      { name: 'botToken', label: 'Bot token' },
+      { name: 'chatId', label: 'Chat id' },
+      { name: 'apiBase', label: 'API base (optional)', placeholder: 'https://api.telegram.org' }
+    ]
+  },
+  webhook: {
+    label: 'JSON webhook',
+    fields: [
+      { name: 'url', label: 'URL' },
+      { name: 'headers', label: 'Headers (JSON, optional)', placeholder: '{"Authorization": "Bearer ..."}' }
+    ]
+  },
+  email: {
+    label: 'Email (SMTP)',
+    fields: [
+      { name: 'host', label: 'SMTP host' },
+      { name: 'port', label: 'Port', placeholder: '587' },
+      { name: 'username', label: 'Username' },
+      { name: 'password', label: 'Password', type: 'password' },
+      { name: 'from', label: 'From', placeholder: 'Tracker <alerts@example.com>' },
+      { name: 'to', label: 'To (comma separated)' }
+    ]
+  }
+};
+
+const DELIVERY_STATUS_COLORS = {
+  sent: THEME.accent.success,
+  failed: THEME.accent.error,
+  duplicate: THEME.text.muted,
+  cooldown: THEME.accent.warning
+};
+
+// Server-side delivery targets, the delivery log and the opt-in for pushing
+// this browser's alerts. Templates use {{message}}, {{scope}}, {{symbol}}, {{chain}},
+// {{wallet}}, {{severity}}, {{time}} and {{link}}.
+const AlertDeliveryPanel = ({ delivery, onReload }) => {
+  const [push, setPush] = useState(() => localStorage.getItem('alertPush') === 'on');
+  const [form, setForm] = useState({ type: 'discord', name: '', config: {}, template: '', minSeverity: 'info', cooldownMinutes: 30 });
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const run = async (action, payload, done) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const data = await AlertDeliveryApi.post(action, payload);
+      if (done) setStatus(done(data));
+      await onReload();
+    } catch (err) {
+      setStatus({ error: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePush = () => {
+    localStorage.setItem('alertPush', push ? 'off' : 'on');
+    setPush(!push);
+  };
+
+  const saveTarget = () => {
+    const config = { ...form.config };
+    if (form.type === 'webhook' && config.headers) {
+      try {
+        config.headers = JSON.parse(config.headers);
+      } catch {
+        setStatus({ error: 'Headers must be valid JSON' });
+        return;
+      }
+    }
+    run('saveTarget', { target: { ...form, config } }, () => {
+      setForm({ ...form, name: '', config: {}, template: '' });
+      return { message: 'Target saved' };
+    });
+  };
+
+  const summarize = ({ results }) => {
+    const failed = results.find(r => r.status === 'failed');
+    return failed ? { error: `Test failed: ${failed.error}` } : { message: 'Test alert sent' };
+  };
+
+  const inputStyle = {
+    padding: '8px 10px',
+    background: THEME.bg.primary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '6px',
+    color: THEME.text.primary,
+    fontSize: '0.8125rem',
+    outline: 'none'
+  };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.7rem', color: THEME.text.muted };
+  const smallButton = (active) => ({
+    padding: '4px 10px',
+    background: active ? THEME.bg.tertiary : 'transparent',
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '4px',
+    color: active ? THEME.text.primary : THEME.text.secondary,
+    fontSize: '0.75rem',
+    cursor: 'pointer'
+  });
+
+  if (delivery.locked) {
+    return (
+      <div style={{ background: THEME.bg.secondary, border: `1px solid ${THEME.border.default}`, borderRadius: '8px', padding: '20px', marginBottom: '20px', fontSize: '0.8125rem', color: THEME.text.secondary }}>
+        Alert delivery is access-protected.{' '}
+        <button
+          onClick={() => {
+            const accessToken = window.prompt('Enter the alerts token:');
+            if (accessToken) {
+              localStorage.setItem('alertsToken', accessToken);
+              onReload();
+            }
+          }}
+          style={smallButton(false)}
+        >
+          Unlock
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ background: THEME.bg.secondary, border: `1px solid ${THEME.border.default}`, borderRadius: '8px', padding: '20px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary, flex: 1 }}>
+          Delivery
+        </h3>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem', color: THEME.text.secondary, cursor: 'pointer' }}>
+          <input type="checkbox" checked={push} onChange={togglePush} />
+          Send alerts raised in this browser
+        </label>
+      </div>
+      <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', margin: '0 0 16px 0' }}>
+        Rules marked Server are checked on every server-collected snapshot. Each target gets an alert once, then waits out its cooldown before the same rule fires again for the same token and wallet.
+      </p>
+
+      {/* Targets */}
+      {delivery.targets.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+          {delivery.targets.map(target => (
+            <div
+              key={target.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '10px 14px',
+                background: THEME.bg.tertiary,
+                borderRadius: '6px',
+                opacity: target.enabled ? 1 : 0.5
+              }}
+            >
+              <span style={{ flex: 1, fontSize: '0.8125rem', color: THEME.text.primary }}>
+                {target.name}
+                <span style={{ marginLeft: '8px', fontSize: '0.7rem', color: THEME.text.muted }}>
+                  {DELIVERY_TARGET_TYPES[target.type]?.label} · {target.minSeverity}+ · {target.cooldownMinutes}m cooldown
+                </span>
+              </span>
+              <button disabled={busy} onClick={() => run('test', { id: target.id }, summarize)} style={smallButton(false)}>
+                Test
+              </button>
+              <button
+                disabled={busy}
+                onClick={() => run('saveTarget', { target: { ...target, enabled: !target.enabled } })}
+                style={smallButton(target.enabled)}
+              >
+                {target.enabled ? 'On' : 'Off'}
+              </button>
+              <button
+                disabled={busy}
+                onClick={() => run('removeTarget', { id: target.id })}
+                style={{ ...smallButton(false), color: THEME.accent.error }}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Add target */}
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <label style={labelStyle}>
+          Type
+          <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value, config: {} })} style={inputStyle}>
+            {Object.entries(DELIVERY_TARGET_TYPES).map(([key, spec]) => (
+              <option key={key} value={key}>{spec.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder={DELIVERY_TARGET_TYPES[form.type].label}
+            style={{ ...inputStyle, width: '140px' }}
+          />
+        </label>
+        {DELIVERY_TARGET_TYPES[form.type].fields.map(field => (
+          <label key={field.name} style={labelStyle}>
+            {field.label}
+            <input
+              type={field.type || 'text'}
+              value={form.config[field.name] || ''}
+              onChange={(e) => setForm({ ...form, config: { ...form.config, [field.name]: e.target.value } })}
+              placeholder={field.placeholder}
+              style={{ ...inputStyle, width: field.name === 'url' ? '280px' : '160px' }}
+            />
+          </label>
+        ))}
+        <label style={labelStyle}>
+          Min severity
+          <select value={form.minSeverity} onChange={(e) => setForm({ ...form, minSeverity: e.target.value })} style={inputStyle}>
+            <option value="info">Info</option>
+            <option value="medium">Medium</option>
+            <option value="high">High</option>
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Cooldown (min)
+          <input
+            type="number"
+            min="0"
+            value={form.cooldownMinutes}
+            onChange={(e) => setForm({ ...form, cooldownMinutes: Math.max(0, Number(e.target.value) || 0) })}
+            style={{ ...inputStyle, width: '90px' }}
+          />
+        </label>
+        <label style={{ ...labelStyle, flexBasis: '100%' }}>
+          Template (optional)
+          <textarea
+            value={form.template}
+            onChange={(e) => setForm({ ...form, template: e.target.value })}
+            placeholder="{{message}} · {{scope}} · {{link}}"
+            rows={2}
+            style={{ ...inputStyle, fontFamily: 'monospace', resize: 'vertical' }}
+          />
+        </label>
+        <button
+          onClick={saveTarget}
+          disabled={busy}
+          style={{
+            padding: '9px 20px',
+            background: THEME.accent.primary,
+            border: 'none',
+            borderRadius: '6px',
+            color: '#fff',
+            fontSize: '0.8125rem',
+            fontWeight: '500',
+            cursor: busy ? 'wait' : 'pointer'
+          }}
+        >
+          Add Target
+        </button>
+        {status && (
+          <span style={{ fontSize: '0.75rem', color: status.error ? THEME.accent.error : THEME.accent.success }}>
+            {status.error || status.message}
+          </span>
+        )}
+      </div>
+
+      {/* Delivery log */}
+      {delivery.log.length > 0 && (
+        <div style={{ marginTop: '20px' }}>
+          <div style={{ fontSize: '0.75rem', color: THEME.text.muted, marginBottom: '8px' }}>Recent deliveries</div>
+          {delivery.log.slice(0, 15).map((entry, i) => (
+            <div key={`${entry.at}-${entry.targetId}-${entry.alertId}-${i}`} style={{ display: 'flex', gap: '12px', padding: '4px 0', fontSize: '0.75rem' }}>
+              <span style={{ color: THEME.text.muted, width: '70px' }}>{formatTimeAgo(entry.at)}</span>
+              <span style={{ color: DELIVERY_STATUS_COLORS[entry.status] || THEME.text.secondary, width: '70px' }}>{entry.status}</span>
+              <span style={{ color: THEME.text.secondary, width: '140px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{entry.targetName}</span>
+              <span style={{ color: THEME.text.primary, flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {entry.error || entry.message}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Background notifications on/off and per token / wallet mute and snooze
+const NotificationSettingsPanel = ({ enabled, onToggle, mutes, onMutesChange, tokens, wallets }) => {
+  const [error, setError] = useState(null);
+  const supported = NotificationManager.supported();
+  const permission = supported ? Notification.permission : 'unsupported';
+  const now = Date.now();
+
+  const toggle = async () => {
+    setError(null);
+    try {
+      await onToggle(!enabled);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setMute = (key, value) => {
+    const next = { ...mutes };
+    if (value === null) delete next[key];
+    else next[key] = value;
+    onMutesChange(next);
+  };
+
+  const items = [
+    ...tokens.filter(t => t.hasContractAddress && t.address).map(t => ({
+      key: NotificationManager.tokenKey(t),
+      label: t.symbol,
+      detail: NETWORKS[t.chain]?.name || t.chain
+    })),
+    ...wallets.map(w => ({
+      key: NotificationManager.walletKey(w),
+      label: w.label || shortenAddress(w.address),
+      detail: `Wallet · ${NETWORKS[w.chain]?.name || w.chain}`
+    }))
+  ];
+
+  const smallButton = (active) => ({
+    padding: '4px 10px',
+    background: active ? THEME.bg.tertiary : 'transparent',
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '4px',
+    color: active ? THEME.text.primary : THEME.text.secondary,
+    fontSize: '0.75rem',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{ background: THEME.bg.secondary, border: `1px solid ${THEME.border.default}`, borderRadius: '8px', padding: '20px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary, flex: 1 }}>
+          Notifications
+        </h3>
+        <span style={{ fontSize: '0.75rem', color: permission === 'denied' ? THEME.accent.error : THEME.text.muted }}>
+          {permission === 'unsupported' ? 'Not supported in this browser' : permission === 'denied' ? 'Blocked in browser settings' : ''}
+        </span>
+        <button
+          onClick={toggle}
+          disabled={!supported || permission === 'denied'}
+          style={{
+            padding: '6px 14px',
+            background: enabled ? THEME.accent.primary : THEME.bg.tertiary,
+            border: 'none',
+            borderRadius: '6px',
+            color: enabled ? '#fff' : THEME.text.secondary,
+            fontSize: '0.8125rem',
+            fontWeight: '500',
+            cursor: supported ? 'pointer' : 'not-allowed'
+          }}
+        >
+          {enabled ? 'On' : 'Off'}
+        </button>
+      </div>
+      <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', margin: '0 0 12px 0' }}>
+        A background worker checks holder, large trade, maturity and wallet activity rules for tracked tokens and wallets every 15 minutes while a tab is open (in the background too, where the browser allows it) and notifies you of matches.
+      </p>
+      {error && <div style={{ fontSize: '0.75rem', color: THEME.accent.error, marginBottom: '12px' }}>{error}</div>}
+
+      {items.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {items.map(item => {
+            const mute = mutes[item.key];
+            const muted = NotificationManager.isMuted(mutes, item.key, now);
+            return (
+              <div key={item.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 12px', background: THEME.bg.tertiary, borderRadius: '6px' }}>
+                <span style={{ flex: 1, fontSize: '0.8125rem', color: muted ? THEME.text.muted : THEME.text.primary }}>
+                  {item.label}
+                  <span style={{ marginLeft: '8px', fontSize: '0.7rem', color: THEME.text.muted }}>{item.detail}</span>
+                </span>
+                <span style={{ fontSize: '0.7rem', color: THEME.accent.warning }}>
+                  {mute === true ? 'Muted' : muted ? `Snoozed until ${new Date(mute).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+                </span>
+                {muted ? (
+                  <button onClick={() => setMute(item.key, null)} style={smallButton(true)}>
+                    {mute === true ? 'Unmute' : 'Resume'}
+                  </button>
+                ) : (
+                  <>
+                    <button onClick={() => setMute(item.key, now + 60 * 60 * 1000)} style={smallButton(false)}>Snooze 1h</button>
+                    <button onClick={() => setMute(item.key, now + 24 * 60 * 60 * 1000)} style={smallButton(false)}>Snooze 24h</button>
+                    <button onClick={() => setMute(item.key, true)} style={smallButton(false)}>Mute</button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rule builder, rule list and the alert inbox. Rules are scoped to one
+// tracked token or all of them, optionally narrowed to one wallet.
+const AlertsView = ({ rules, inbox, tokens, notifications, onRulesChange, onInboxChange, onSelectWallet, onOpenToken }) => {
+  const [type, setType] = useState('balance_change');
+  const [tokenKey, setTokenKey] = useState('');
+  const [wallet, setWallet] = useState('');
+  const [params, setParams] = useState(() => defaultParams('balance_change'));
+  const [filter, setFilter] = useState('all');
+  const [delivery, setDelivery] = useState(null); // null: no delivery API
+
+  const reloadDelivery = useCallback(() => AlertDeliveryApi.load().then(setDelivery), []);
+
+  useEffect(() => {
+    reloadDelivery();
+  }, [reloadDelivery]);
+
+  const trackedWallets = useMemo(() => {
+    try {
+      return JSON.parse(localStorage.getItem('trackedWallets')) || [];
+    } catch {
+      return [];
+    }
+  }, []);
+
+  const tokenOf = (key) => tokens.find(t => `${t.chain}:${t.address}` === key) || null;
+  const unread = inbox.filter(a => !a.read).length;
+  const shown = filter === 'unread' ? inbox.filter(a => !a.read) : inbox;
+
+  const changeType = (next) => {
+    setType(next);
+    setParams(defaultParams(next));
+  };
+
+  const addRule = () => {
+    const trimmed = wallet.trim();
+    if (trimmed && !/^0x[a-fA-F0-9]{40}$/.test(trimmed) && !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(trimmed)) {
+      alert('Invalid wallet address');
+      return;
+    }
+    const token = RULE_TYPES[type].on === 'wallet' ? null : tokenOf(tokenKey);
+    changeRules([...rules, createRule({ type, token, wallet: trimmed, params })]);
+    setWallet('');
+  };
+
+  // Rules marked `server` are also checked by the snapshot collector
+  const changeRules = (next) => {
+    onRulesChange(next);
+    const serverRules = next.filter(r => r.server);
+    if (JSON.stringify(serverRules) !== JSON.stringify(rules.filter(r => r.server))) {
+      AlertDeliveryApi.post('setRules', { rules: serverRules }).catch(err => alert(err.message));
+    }
+  };
+
+  const toggleRule = (id) => changeRules(rules.map(r => (r.id === id ? { ...r, enabled: !r.enabled } : r)));
+  const toggleServerRule = (id) => changeRules(rules.map(r => (r.id === id ? { ...r, server: !r.server } : r)));
+  const removeRule = (id) => changeRules(rules.filter(r => r.id !== id));
+  const markRead = (id) => onInboxChange(inbox.map(a => (a.id === id ? { ...a, read: true } : a)));
+  const markAllRead = () => onInboxChange(inbox.map(a => ({ ...a, read: true })));
+
+  const panelStyle = {
+    background: THEME.bg.secondary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '8px',
+    padding: '20px',
+    marginBottom: '20px'
+  };
+  const inputStyle = {
+    padding: '8px 10px',
+    background: THEME.bg.primary,
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '6px',
+    color: THEME.text.primary,
+    fontSize: '0.8125rem',
+    outline: 'none'
+  };
+  const smallButton = (active) => ({
+    padding: '4px 10px',
+    background: active ? THEME.bg.tertiary : 'transparent',
+    border: `1px solid ${THEME.border.default}`,
+    borderRadius: '4px',
+    color: active ? THEME.text.primary : THEME.text.secondary,
+    fontSize: '0.75rem',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{ marginTop: '24px' }}>
+      {/* Rule Builder */}
+      <div style={panelStyle}>
+        <h2 style={{ margin: '0 0 12px 0', fontSize: '1rem', fontWeight: '600', color: THEME.text.primary }}>
+          Alert Rules
+        </h2>
+        <p style={{ color: THEME.text.secondary, fontSize: '0.8rem', marginBottom: '16px' }}>
+          Holder rules are checked for every tracked token: the open one on each snapshot, the others every 6 hours while the tracker is open (by the background worker instead when notifications are on). Trade rules are checked against the open token's transactions only.
+        </p>
+
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.7rem', color: THEME.text.muted }}>
+            Condition
+            <select value={type} onChange={(e) => changeType(e.target.value)} style={inputStyle}>
+              {Object.entries(RULE_TYPES).map(([key, spec]) => (
+                <option key={key} value={key}>{spec.label}</option>
+              ))}
+            </select>
+          </label>
+          {Object.entries(RULE_TYPES[type].params).map(([name, spec]) => (
+            <label key={name} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.7rem', color: THEME.text.muted }}>
+              {spec.label}
+              <input
+                type="number"
+                min={spec.min}
+                value={params[name]}
+                onChange={(e) => setParams({ ...params, [name]: Math.max(spec.min, Number(e.target.value) || spec.min) })}
+                style={{ ...inputStyle, width: '120px' }}
+              />
+            </label>
+          ))}
+          {RULE_TYPES[type].on !== 'wallet' && (
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.7rem', color: THEME.text.muted }}>
+              Token
+              <select value={tokenKey} onChange={(e) => setTokenKey(e.target.value)} style={inputStyle}>
+                <option value="">All tracked tokens</option>
+                {tokens.map(t => (
+                  <option key={`${t.chain}:${t.address}`} value={`${t.chain}:${t.address}`}>
+                    {t.symbol} ({NETWORKS[t.chain]?.name || t.chain})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {type !== 'concentration' && type !== 'maturity' && (
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.7rem', color: THEME.text.muted, flex: 1, minWidth: '220px' }}>
+              Wallet (optional)
+              <input
+                type="text"
+                list="alert-wallets"
+                value={wallet}
+                onChange={(e) => setWallet(e.target.value)}
+                placeholder={RULE_TYPES[type].on === 'wallet' ? 'Any tracked wallet' : 'Any holder'}
+                style={inputStyle}
+              />
+              <datalist id="alert-wallets">
+                {trackedWallets.map(w => <option key={w.address} value={w.address}>{w.label || shortenAddress(w.address)}</option>)}
+              </datalist>
+            </label>
+          )}
+          <button
+            onClick={addRule}
+            style={{
+              padding: '9px 20px',
+              background: THEME.accent.primary,
+              border: 'none',
+              borderRadius: '6px',
+              color: '#fff',
+              fontSize: '0.8125rem',
+              fontWeight: '500',
+              cursor: 'pointer'
+            }}
+          >
+            Add Rule
+          </button>
+        </div>
 
-      {/* Tracked Tokens */}
-      {tokens.length > 0 && (
-        <div>
-          <div style={{ 
-            fontSize: '0.75rem', 
-            color: '#888', 
-            marginBottom: '12px',
-            textTransform: 'uppercase',
-            letterSpacing: '1px'
-          }}>
-            Your Tracked Tokens ({tokens.length})
-          </div>
-          <div style={{ 
-            display: 'flex', 
-            gap: '8px', 
-            flexWrap: 'wrap',
-            alignItems: 'center'
-          }}>
-            {tokens.map((token) => (
+        {rules.length > 0 && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '16px' }}>
+            {rules.map(rule => (
               <div
-                key={`${token.chain}-${token.address}`}
+                key={rule.id}
                 style={{
-                  padding: '8px 12px',
-                  background: selectedToken?.address === token.address ? THEME.accent.primary : THEME.bg.tertiary,
-                  border: `1px solid ${selectedToken?.address === token.address ? THEME.accent.primary : THEME.border.default}`,
-                  borderRadius: '6px',
-                  color: THEME.text.primary,
-                  fontSize: '0.8rem',
-                  fontWeight: '500',
                   display: 'flex',
                   alignItems: 'center',
-                  gap: '8px'
+                  gap: '12px',
+                  padding: '10px 14px',
+                  background: THEME.bg.tertiary,
+                  borderRadius: '6px',
+                  opacity: rule.enabled ? 1 : 0.5
                 }}
               >
-                <button
-                  onClick={() => onSelect(token)}
-                  style={{
-                    background: 'none',
-                    border: 'none',
-                    color: selectedToken?.address === token.address ? '#fff' : THEME.text.primary,
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '6px',
-                    padding: 0
-                  }}
-                >
-                  <span style={{ fontSize: '1rem' }}>
-                    {typeof token.logo === 'string' && token.logo.startsWith('http') ? (
-                      <img src={token.logo} alt="" style={{ width: '18px', height: '18px', borderRadius: '50%' }} />
-                    ) : (
-                      token.logo || '🪙'
-                    )}
-                  </span>
-                  <span>{token.symbol}</span>
-                  <NetworkBadge chain={token.chain} small />
+                <span style={{ flex: 1, fontSize: '0.8125rem', color: THEME.text.primary }}>{describeRule(rule)}</span>
+                {rule.token && (
+                  <span style={{ fontSize: '0.7rem', color: THEME.text.muted }}>{NETWORKS[rule.token.chain]?.name || rule.token.chain}</span>
+                )}
+                {delivery && !delivery.locked && RULE_TYPES[rule.type]?.on === 'snapshot' && (
+                  <button
+                    onClick={() => toggleServerRule(rule.id)}
+                    title="Also check this rule on server-collected snapshots and deliver matches"
+                    style={smallButton(rule.server)}
+                  >
+                    {rule.server ? 'Server ✓' : 'Server'}
+                  </button>
+                )}
+                <button onClick={() => toggleRule(rule.id)} style={smallButton(rule.enabled)}>
+                  {rule.enabled ? 'On' : 'Off'}
                 </button>
                 <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    onRemoveToken(token);
-                  }}
-                  style={{
-                    background: 'transparent',
-                    border: 'none',
-                    borderRadius: '3px',
-                    color: THEME.text.muted,
-                    cursor: 'pointer',
-                    padding: '2px 6px',
-                    fontSize: '0.7rem',
-                    marginLeft: '4px'
-                  }}
-                  title="Remove token"
+                  onClick={() => removeRule(rule.id)}
+                  style={{ ...smallButton(false), color: THEME.accent.error }}
                 >
-                  ✕
+                  Remove
                 </button>
               </div>
             ))}
           </div>
+        )}
+      </div>
+
+      <NotificationSettingsPanel {...notifications} tokens={tokens} wallets={trackedWallets} />
+
+      {delivery && <AlertDeliveryPanel delivery={delivery} onReload={reloadDelivery} />}
+
+      {/* Inbox */}
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+          <h3 style={{ margin: 0, fontSize: '0.9375rem', fontWeight: '600', color: THEME.text.primary, flex: 1 }}>
+            Inbox {unread > 0 && <span style={{ color: THEME.accent.primary }}>({unread} unread)</span>}
+          </h3>
+          <button onClick={() => setFilter('all')} style={smallButton(filter === 'all')}>All</button>
+          <button onClick={() => setFilter('unread')} style={smallButton(filter === 'unread')}>Unread</button>
+          <button onClick={markAllRead} disabled={unread === 0} style={smallButton(false)}>Mark all read</button>
+          <button
+            onClick={() => window.confirm('Clear all alerts?') && onInboxChange([])}
+            disabled={inbox.length === 0}
+            style={smallButton(false)}
+          >
+            Clear
+          </button>
         </div>
-      )}
+
+        {shown.length === 0 ? (
+          <div style={{ padding: '24px', textAlign: 'center', color: THEME.text.secondary, fontSize: '0.85rem' }}>
+            {rules.length === 0 ? 'Add a rule to start receiving alerts.' : 'No alerts yet.'}
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {shown.map(alertItem => (
+              <div
+                key={alertItem.id}
+                onClick={() => !alertItem.read && markRead(alertItem.id)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '10px 14px',
+                  background: alertItem.read ? 'transparent' : THEME.bg.tertiary,
+                  borderLeft: `3px solid ${ALERT_SEVERITY_COLORS[alertItem.severity] || THEME.border.default}`,
+                  borderRadius: '4px',
+                  cursor: alertItem.read ? 'default' : 'pointer'
+                }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: '0.8125rem', color: alertItem.read ? THEME.text.secondary : THEME.text.primary }}>
+                    {alertItem.message}
+                  </div>
+                  <div style={{ fontSize: '0.7rem', color: THEME.text.muted, marginTop: '2px' }}>
+                    {formatTimeAgo(alertItem.timestamp)} · {alertItem.token ? alertItem.token.symbol || shortenAddress(alertItem.token.address) : shortenAddress(alertItem.wallet)} on {NETWORKS[alertChain(alertItem)]?.name || alertChain(alertItem)}
+                  </div>
+                </div>
+                {alertItem.token && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onOpenToken(alertItem.token); }}
+                    style={smallButton(false)}
+                  >
+                    Token
+                  </button>
+                )}
+                {alertItem.wallet && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onSelectWallet(alertItem.wallet, alertChain(alertItem)); }}
+                    style={smallButton(false)}
+                  >
+                    Wallet
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -2384,9 +6285,11 @@ export default function App() {
 
   // Data state
   const [holders, setHolders] = useState([]);
+  const [holderCode, setHolderCode] = useState({}); // eth_getCode results, `chain:address` -> bool
   const [previousHolders, setPreviousHolders] = useState({});
   const [transfers, setTransfers] = useState([]);
   const [tokenInfo, setTokenInfo] = useState(null);
+  const [pendleToken, setPendleToken] = useState(null);
   const [tokenPrice, setTokenPrice] = useState(0);
   const [snapshotComparison, setSnapshotComparison] = useState({ 
     newWhales: [], 
@@ -2408,8 +6311,17 @@ export default function App() {
   const [error, setError] = useState(null);
   const [lastSnapshot, setLastSnapshot] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(SNAPSHOT_INTERVAL);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [sharedWatchlist, setSharedWatchlist] = useState(null); // null: no shared store
+  const [watchlistBusy, setWatchlistBusy] = useState(false);
+  const [alertRules, setAlertRules] = useState(() => AlertManager.getRules());
+  const [alertInbox, setAlertInbox] = useState(() => AlertManager.getInbox());
+  const alertRulesRef = useRef(alertRules);
+  alertRulesRef.current = alertRules;
   const [sortConfig, setSortConfig] = useState({ key: 'balance', direction: 'desc' });
   const [activeTab, setActiveTab] = useState('holders');
+  const activeTabRef = useRef(activeTab);
+  activeTabRef.current = activeTab;
   
   // Pagination state
   const [holderPage, setHolderPage] = useState(1);
@@ -2418,6 +6330,87 @@ export default function App() {
   // Transaction filter state
   const [txMinAmount, setTxMinAmount] = useState(0);
   const [txType, setTxType] = useState('all');
+  const [txEntityFilter, setTxEntityFilter] = useState('all');
+  const [holderEntityFilter, setHolderEntityFilter] = useState('all');
+
+  // Transaction history beyond the latest page: stored rows for the selected
+  // token, the range shown and where the next older page starts
+  const [txRange, setTxRange] = useState(() => (TX_RANGES[localStorage.getItem('txRange')] ? localStorage.getItem('txRange') : '24h'));
+  const [transferHistory, setTransferHistory] = useState({ key: null, items: [] });
+  const [olderPage, setOlderPage] = useState(null); // { key, transfers, trades, error }, each stream { cursor, toDate } or { exhausted }
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const backfillBudget = useRef(TX_BACKFILL_PAGES);
+  const lastAutoLoad = useRef(null);
+
+  // Entity labels: bundled dataset plus the user's own
+  const [userLabels, setUserLabels] = useState(LabelManager.getUserLabels);
+  const updateUserLabels = useCallback((labels) => {
+    setUserLabels(labels);
+    LabelManager.saveUserLabels(labels);
+  }, []);
+  const labelIndex = useMemo(() => ({
+    ...createLabelIndex(LABEL_DATASET, userLabels),
+    userLabels,
+    setUserLabels: updateUserLabels
+  }), [userLabels, updateUserLabels]);
+
+  // Wallet clusters in the holders table, with the user's merges and splits
+  const [clusterHolders, setClusterHolders] = useState(() => localStorage.getItem('clusterHolders') !== 'false');
+  const [clusterOverrides, setClusterOverrides] = useState(ClusterManager.getOverrides);
+  const [expandedClusters, setExpandedClusters] = useState([]);
+  const [mergeSelection, setMergeSelection] = useState([]);
+  const updateClusterOverrides = (overrides) => {
+    setClusterOverrides(overrides);
+    ClusterManager.saveOverrides(overrides);
+  };
+
+  // Holder provider per chain, e.g. { eth: 'covalent' }
+  const [holderProviders, setHolderProviders] = useState(() => {
+    const saved = localStorage.getItem('holderProviders');
+    return saved ? JSON.parse(saved) : {};
+  });
+  const holderProviderChanged = useRef(false);
+
+  useEffect(() => {
+    localStorage.setItem('holderProviders', JSON.stringify(holderProviders));
+  }, [holderProviders]);
+
+  const getHolderProvider = (chain) => {
+    const available = NETWORKS[chain]?.holderProviders || [];
+    return available.includes(holderProviders[chain]) ? holderProviders[chain] : available[0];
+  };
+
+  const changeHolderProvider = (chain, provider) => {
+    holderProviderChanged.current = true;
+    setHolderProviders(prev => ({ ...prev, [chain]: provider }));
+  };
+
+  const updateAlertRules = (rules) => {
+    AlertManager.saveRules(rules);
+    setAlertRules(rules);
+  };
+
+  const updateAlertInbox = (alerts) => {
+    AlertManager.saveInbox(alerts);
+    setAlertInbox(alerts);
+  };
+
+  // Background notifications (see NotificationManager)
+  const [notificationsEnabled, setNotificationsEnabled] = useState(() =>
+    NotificationManager.supported() && NotificationManager.isEnabled()
+  );
+  const [notificationMutes, setNotificationMutes] = useState(() => NotificationManager.getMutes());
+
+  const updateNotificationMutes = (mutes) => {
+    NotificationManager.saveMutes(mutes);
+    setNotificationMutes(mutes);
+  };
+
+  const toggleNotifications = async (enable) => {
+    if (enable) await NotificationManager.enable();
+    else await NotificationManager.disable();
+    setNotificationsEnabled(enable);
+  };
 
   // Save tokens to localStorage
   useEffect(() => {
@@ -2443,58 +6436,48 @@ export default function App() {
     return token.address.startsWith('0x');
   };
 
-  // API fetch function
-  const fetchFromAPI = async (endpoint, chain) => {
-    const isSolana = chain === 'solana';
-    const url = `/api/moralis?endpoint=${encodeURIComponent(endpoint)}${isSolana ? '&chain=solana' : ''}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API Error: ${response.status}`);
-    }
-    return response.json();
-  };
+  // API fetch function (Moralis via the proxy, with retry)
+  const fetchFromAPI = (endpoint, chain, priority) => fetchFromProxy('moralis', endpoint, { chain, priority });
 
   // Fetch token metadata and market data
-  const fetchTokenInfo = useCallback(async () => {
+  const fetchTokenInfo = useCallback(async (priority = 'normal') => {
     if (!selectedToken || !canFetchFromMoralis(selectedToken)) return null;
     
     // Try CoinGecko first if we have coingeckoId (more reliable for market data)
     if (selectedToken.coingeckoId) {
       try {
-        const response = await fetch(
-          `/api/moralis?source=coingecko&endpoint=${encodeURIComponent(`/coins/${selectedToken.coingeckoId}?localization=false&tickers=false&community_data=false&developer_data=false`)}`
+        const data = await fetchFromProxy(
+          'coingecko',
+          `/coins/${selectedToken.coingeckoId}?localization=false&tickers=false&community_data=false&developer_data=false`,
+          { priority }
         );
-        if (response.ok) {
-          const data = await response.json();
-          return {
-            symbol: data.symbol?.toUpperCase(),
-            name: data.name,
-            decimals: data.detail_platforms?.[NETWORKS[selectedToken.chain]?.coingeckoId]?.decimal_place || 18,
-            logo: data.image?.large || data.image?.small,
-            market_cap: data.market_data?.market_cap?.usd,
-            total_volume: data.market_data?.total_volume?.usd,
-            price_change_24h: data.market_data?.price_change_percentage_24h,
-            circulating_supply: data.market_data?.circulating_supply,
-            total_supply: data.market_data?.total_supply,
-            max_supply: data.market_data?.max_supply,
-            ath: data.market_data?.ath?.usd,
-            ath_date: data.market_data?.ath_date?.usd,
-            atl: data.market_data?.atl?.usd,
-            atl_date: data.market_data?.atl_date?.usd,
-            fully_diluted_valuation: data.market_data?.fully_diluted_valuation?.usd,
-            links: {
-              homepage: data.links?.homepage?.[0],
-              twitter: data.links?.twitter_screen_name ? `https://twitter.com/${data.links.twitter_screen_name}` : null,
-              telegram: data.links?.telegram_channel_identifier ? `https://t.me/${data.links.telegram_channel_identifier}` : null,
-              discord: data.links?.chat_url?.find(u => u.includes('discord')),
-              github: data.links?.repos_url?.github?.[0]
-            },
-            description: data.description?.en?.slice(0, 500),
-            categories: data.categories,
-            contract_address: selectedToken.address
-          };
-        }
+        return {
+          symbol: data.symbol?.toUpperCase(),
+          name: data.name,
+          decimals: data.detail_platforms?.[NETWORKS[selectedToken.chain]?.coingeckoId]?.decimal_place || 18,
+          logo: data.image?.large || data.image?.small,
+          market_cap: data.market_data?.market_cap?.usd,
+          total_volume: data.market_data?.total_volume?.usd,
+          price_change_24h: data.market_data?.price_change_percentage_24h,
+          circulating_supply: data.market_data?.circulating_supply,
+          total_supply: data.market_data?.total_supply,
+          max_supply: data.market_data?.max_supply,
+          ath: data.market_data?.ath?.usd,
+          ath_date: data.market_data?.ath_date?.usd,
+          atl: data.market_data?.atl?.usd,
+          atl_date: data.market_data?.atl_date?.usd,
+          fully_diluted_valuation: data.market_data?.fully_diluted_valuation?.usd,
+          links: {
+            homepage: data.links?.homepage?.[0],
+            twitter: data.links?.twitter_screen_name ? `https://twitter.com/${data.links.twitter_screen_name}` : null,
+            telegram: data.links?.telegram_channel_identifier ? `https://t.me/${data.links.telegram_channel_identifier}` : null,
+            discord: data.links?.chat_url?.find(u => u.includes('discord')),
+            github: data.links?.repos_url?.github?.[0]
+          },
+          description: data.description?.en?.slice(0, 500),
+          categories: data.categories,
+          contract_address: selectedToken.address
+        };
       } catch (err) {
         console.error('CoinGecko token info fetch error:', err);
       }
@@ -2504,7 +6487,9 @@ export default function App() {
     if (selectedToken.chain !== 'solana') {
       try {
         const data = await fetchFromAPI(
-          `/erc20/metadata?chain=${selectedToken.chain}&addresses[]=${selectedToken.address}`
+          `/erc20/metadata?chain=${selectedToken.chain}&addresses[]=${selectedToken.address}`,
+          undefined,
+          priority
         );
         return data[0] || null;
       } catch (err) {
@@ -2513,7 +6498,20 @@ export default function App() {
       }
     }
     
-    // Solana fallback - use basic info from selection
+    // Solana fallback - mint metadata from Helius, else basic info from selection
+    try {
+      const data = await fetchFromProxy('helius', `/tokens/${selectedToken.address}`, { priority });
+      return {
+        symbol: data.symbol?.toUpperCase() || selectedToken.symbol,
+        name: data.name || selectedToken.name,
+        decimals: data.decimals ?? 9,
+        logo: data.logo || selectedToken.logo,
+        total_supply: data.total_supply,
+        contract_address: selectedToken.address
+      };
+    } catch (err) {
+      console.error('Helius token info fetch error:', err);
+    }
     return {
       symbol: selectedToken.symbol,
       name: selectedToken.name,
@@ -2523,32 +6521,45 @@ export default function App() {
   }, [selectedToken]);
 
   // Fetch token price (CoinGecko primary, Moralis fallback for EVM only)
-  const fetchTokenPrice = useCallback(async () => {
+  const fetchTokenPrice = useCallback(async (priority = 'normal') => {
     if (!selectedToken) return 0;
     
     // Try CoinGecko first if we have coingeckoId (works for all chains including Solana)
     if (selectedToken.coingeckoId) {
       try {
-        const response = await fetch(
-          `/api/moralis?source=coingecko&endpoint=${encodeURIComponent(`/simple/price?ids=${selectedToken.coingeckoId}&vs_currencies=usd`)}`
+        const data = await fetchFromProxy(
+          'coingecko',
+          `/simple/price?ids=${selectedToken.coingeckoId}&vs_currencies=usd`,
+          { priority }
         );
-        if (response.ok) {
-          const data = await response.json();
-          if (data[selectedToken.coingeckoId]?.usd) {
-            return data[selectedToken.coingeckoId].usd;
-          }
+        if (data[selectedToken.coingeckoId]?.usd) {
+          return data[selectedToken.coingeckoId].usd;
         }
       } catch (err) {
         console.error('CoinGecko price fetch error:', err);
       }
     }
     
-    // Fallback to Moralis for EVM chains only (Solana API is unreliable)
-    if (!canFetchFromMoralis(selectedToken) || selectedToken.chain === 'solana') return 0;
+    if (!canFetchFromMoralis(selectedToken)) return 0;
+
+    // Solana: Helius price feed (Moralis Solana API is unreliable)
+    if (selectedToken.chain === 'solana') {
+      try {
+        const data = await fetchFromProxy('helius', `/tokens/${selectedToken.address}`, { priority });
+        return data.usd_price || 0;
+      } catch (err) {
+        console.error('Helius price fetch error:', err);
+        return 0;
+      }
+    }
+
+    // Fallback to Moralis for EVM chains
     
     try {
       const data = await fetchFromAPI(
-        `/erc20/${selectedToken.address}/price?chain=${selectedToken.chain}`
+        `/erc20/${selectedToken.address}/price?chain=${selectedToken.chain}`,
+        undefined,
+        priority
       );
       return data.usdPrice || 0;
     } catch (err) {
@@ -2558,133 +6569,25 @@ export default function App() {
   }, [selectedToken]);
 
   // Fetch top holders
-  const fetchHolders = useCallback(async () => {
+  const fetchHolders = useCallback(async (priority = 'normal') => {
     if (!selectedToken || !canFetchFromMoralis(selectedToken)) return [];
-    
-    // For Solana, we can't reliably get holders from Moralis
-    if (selectedToken.chain === 'solana') {
-      console.log('Solana holder data not available via current APIs');
-      return [];
-    }
-    
-    try {
-      // Check if we should do multi-chain aggregation
-      // This requires the token to have a coingeckoId to look up other chain addresses
-      let allHolders = [];
-      let chainsFetched = [selectedToken.chain];
-      
-      // Fetch from primary chain first
-      const primaryData = await fetchFromAPI(
-        `/erc20/${selectedToken.address}/owners?chain=${selectedToken.chain}&limit=100&order=DESC`
-      );
-      const primaryHolders = (primaryData.result || []).map(h => ({
-        ...h,
-        chain: selectedToken.chain,
-        chainName: NETWORKS[selectedToken.chain]?.name
-      }));
-      allHolders.push(...primaryHolders);
-      
-      // If token has coingeckoId, try to fetch from other chains too
-      if (selectedToken.coingeckoId) {
-        try {
-          const coingeckoRes = await fetch(
-            `/api/moralis?source=coingecko&endpoint=${encodeURIComponent(`/coins/${selectedToken.coingeckoId}`)}`
-          );
-          if (coingeckoRes.ok) {
-            const cgData = await coingeckoRes.json();
-            const platforms = cgData.platforms || {};
-            
-            // Map CoinGecko platform names to our chain keys
-            const platformToChain = {
-              'ethereum': 'eth',
-              'arbitrum-one': 'arbitrum',
-              'base': 'base',
-              'polygon-pos': 'polygon',
-              'binance-smart-chain': 'bsc'
-            };
-            
-            // Fetch from other chains (limit to avoid too many requests)
-            const otherChainPromises = [];
-            for (const [platform, address] of Object.entries(platforms)) {
-              const chainKey = platformToChain[platform];
-              if (chainKey && chainKey !== selectedToken.chain && address) {
-                chainsFetched.push(chainKey);
-                otherChainPromises.push(
-                  fetchFromAPI(`/erc20/${address}/owners?chain=${chainKey}&limit=50&order=DESC`)
-                    .then(data => (data.result || []).map(h => ({
-                      ...h,
-                      chain: chainKey,
-                      chainName: NETWORKS[chainKey]?.name
-                    })))
-                    .catch(() => [])
-                );
-              }
-            }
-            
-            if (otherChainPromises.length > 0) {
-              const otherResults = await Promise.all(otherChainPromises);
-              otherResults.forEach(holders => allHolders.push(...holders));
-            }
-          }
-        } catch (e) {
-          console.log('Could not fetch multi-chain data:', e);
-        }
-      }
-      
-      // Aggregate holders by address (same wallet across chains)
-      const holderMap = new Map();
-      allHolders.forEach(h => {
-        const addr = h.owner_address?.toLowerCase();
-        if (!addr) return;
-        
-        if (holderMap.has(addr)) {
-          const existing = holderMap.get(addr);
-          existing.balance = (parseFloat(existing.balance) || 0) + (parseFloat(h.balance) || 0);
-          existing.balance_formatted = (parseFloat(existing.balance_formatted) || 0) + (parseFloat(h.balance_formatted) || 0);
-          existing.percentage_relative_to_total_supply = (parseFloat(existing.percentage_relative_to_total_supply) || 0) + (parseFloat(h.percentage_relative_to_total_supply) || 0);
-          if (!existing.chains.includes(h.chain)) {
-            existing.chains.push(h.chain);
-          }
-        } else {
-          holderMap.set(addr, {
-            ...h,
-            chains: [h.chain]
-          });
-        }
-      });
-      
-      // Convert to array and sort by balance
-      const aggregatedHolders = Array.from(holderMap.values())
-        .sort((a, b) => parseFloat(b.balance_formatted || b.balance || 0) - parseFloat(a.balance_formatted || a.balance || 0))
-        .slice(0, 100);
-      
-      // Add metadata about the fetch
-      aggregatedHolders.chainsFetched = chainsFetched;
-      aggregatedHolders.isMultiChain = chainsFetched.length > 1;
-      
-      return aggregatedHolders;
-    } catch (err) {
-      console.error('Holders fetch error:', err);
-      return [];
-    }
-  }, [selectedToken]);
+    return fetchTokenHolders(selectedToken, getHolderProvider, priority);
+  }, [selectedToken, holderProviders]);
 
   // Fetch recent transactions (transfers + swaps/trades)
-  // Fetch recent trades from GeckoTerminal (free API with direct swap data)
-  const fetchGeckoTerminalTrades = useCallback(async () => {
+  // Fetch recent trades from GeckoTerminal (free API with direct swap data).
+  // Its trades endpoint has no cursor, so older trades come from fetchDexSwaps.
+  const fetchGeckoTerminalTrades = useCallback(async (priority = 'normal') => {
     const network = NETWORKS[selectedToken?.chain];
     if (!network?.geckoTerminalId || !selectedToken?.address) return [];
     
     try {
       // First get pools for this token
-      const poolsUrl = `/api/moralis?source=geckoterminal&endpoint=${encodeURIComponent(
-        `/networks/${network.geckoTerminalId}/tokens/${selectedToken.address}/pools?page=1`
-      )}`;
-      
-      const poolsResponse = await fetch(poolsUrl);
-      if (!poolsResponse.ok) return [];
-      
-      const poolsData = await poolsResponse.json();
+      const poolsData = await fetchFromProxy(
+        'geckoterminal',
+        `/networks/${network.geckoTerminalId}/tokens/${selectedToken.address}/pools?page=1`,
+        { priority }
+      );
       const pools = poolsData?.data || [];
       if (pools.length === 0) return [];
       
@@ -2695,14 +6598,11 @@ export default function App() {
         if (!poolAddress) continue;
         
         try {
-          const tradesUrl = `/api/moralis?source=geckoterminal&endpoint=${encodeURIComponent(
-            `/networks/${network.geckoTerminalId}/pools/${poolAddress}/trades`
-          )}`;
-          
-          const tradesResponse = await fetch(tradesUrl);
-          if (!tradesResponse.ok) continue;
-          
-          const tradesData = await tradesResponse.json();
+          const tradesData = await fetchFromProxy(
+            'geckoterminal',
+            `/networks/${network.geckoTerminalId}/pools/${poolAddress}/trades`,
+            { priority }
+          );
           const trades = tradesData?.data || [];
           
           const mappedTrades = trades.map(trade => {
@@ -2731,7 +6631,28 @@ export default function App() {
       return allTrades;
     } catch (err) {
       console.error('GeckoTerminal error:', err);
-      return [];
+      const empty = [];
+      empty.error = err.message;
+      return empty;
+    }
+  }, [selectedToken]);
+
+  // Fetch DEX trades from Moralis swaps (EVM and Solana), in the shape of the
+  // GeckoTerminal rows. One page of 100, newest first, with `cursor` and
+  // `toDate` as for fetchMoralisTransfers; this is how trades page back.
+  const fetchDexSwaps = useCallback(async (priority = 'normal', { cursor, toDate } = {}) => {
+    if (!selectedToken || !canFetchFromMoralis(selectedToken)) return [];
+
+    try {
+      const swapsData = await fetchFromAPI(swapsEndpoint(selectedToken, { cursor, toDate }), selectedToken.chain, priority);
+      const page = swapRows(swapsData?.result, selectedToken);
+      page.cursor = swapsData?.cursor || null;
+      return page;
+    } catch (err) {
+      console.error('Moralis swaps error:', err);
+      const empty = [];
+      empty.error = err.message;
+      return empty;
     }
   }, [selectedToken]);
 
@@ -2741,14 +6662,7 @@ export default function App() {
     if (!network?.dexScreenerId || !selectedToken?.address) return [];
     
     try {
-      const url = `/api/moralis?source=dexscreener&endpoint=${encodeURIComponent(
-        `/latest/dex/tokens/${selectedToken.address}`
-      )}`;
-      
-      const response = await fetch(url);
-      if (!response.ok) return [];
-      
-      const data = await response.json();
+      const data = await fetchFromProxy('dexscreener', `/latest/dex/tokens/${selectedToken.address}`);
       const pairs = data?.pairs || [];
       
       // DexScreener doesn't provide individual trades in the free API,
@@ -2763,93 +6677,131 @@ export default function App() {
     }
   }, [selectedToken]);
 
-  // Fetch transfers from Moralis (EVM chains only - wallet-to-wallet movements, no mints/burns)
-  const fetchMoralisTransfers = useCallback(async () => {
+  // Fetch transfers from Moralis (EVM chains only). Mints and burns come
+  // back typed 'mint' and 'burn' for the Supply Changes tab.
+  // One page of 100, newest first. `cursor` continues a previous page and
+  // `toDate` starts below a point in time; the result carries the next
+  // page's `cursor` (null on the last page).
+  const fetchMoralisTransfers = useCallback(async (priority = 'normal', { cursor, toDate } = {}) => {
     // Skip Moralis for Solana - use GeckoTerminal trades instead
     if (!selectedToken || !canFetchFromMoralis(selectedToken) || selectedToken.chain === 'solana') {
       return [];
     }
     
     try {
-      const transfersData = await fetchFromAPI(
-        `/erc20/${selectedToken.address}/transfers?chain=${selectedToken.chain}&limit=100`
-      );
+      let endpoint = `/erc20/${selectedToken.address}/transfers?chain=${selectedToken.chain}&limit=100`;
+      if (toDate) endpoint += `&to_date=${encodeURIComponent(toDate)}`;
+      if (cursor) endpoint += `&cursor=${encodeURIComponent(cursor)}`;
+      const transfersData = await fetchFromAPI(endpoint, undefined, priority);
       
       if (!transfersData?.result) return [];
       
       // Filter and map transfers - exclude mints and burns
-      return transfersData.result
-        .filter(t => {
-          const fromLower = (t.from_address || '').toLowerCase();
-          const toLower = (t.to_address || '').toLowerCase();
-          const zeroAddress = '0x0000000000000000000000000000000000000000';
-          // Exclude mints (from zero address) and burns (to zero address)
-          return fromLower !== zeroAddress && toLower !== zeroAddress;
-        })
+      const page = transfersData.result
         .map(t => {
           const decimals = parseInt(t.token_decimals || tokenInfo?.decimals || 18);
           const amount = parseFloat(t.value || 0) / Math.pow(10, decimals);
+          const supplyType = supplyEventType(t.from_address, t.to_address);
           
           return {
             transaction_hash: t.transaction_hash,
             block_timestamp: t.block_timestamp,
+            block_number: t.block_number,
             from_address: t.from_address,
             to_address: t.to_address,
-            trader_address: t.from_address,
+            trader_address: supplyType === 'mint' ? t.to_address : t.from_address,
             amount,
             usdValue: amount * tokenPrice,
-            type: 'transfer',
+            type: supplyType || 'transfer',
             source: 'moralis'
           };
         });
+      page.cursor = transfersData.cursor || null;
+      return page;
     } catch (err) {
       console.error('Moralis transfers error:', err);
-      return [];
+      const empty = [];
+      empty.error = err.message;
+      return empty;
     }
   }, [selectedToken, tokenInfo, tokenPrice]);
 
+  // Fetch parsed SPL token transfers from Helius (Solana counterpart of the Moralis transfers)
+  // `before` is the signature to page back from, as for fetchMoralisTransfers' cursor
+  const fetchSolanaTransfers = useCallback(async (priority = 'normal', { before } = {}) => {
+    if (!selectedToken || !canFetchFromMoralis(selectedToken) || selectedToken.chain !== 'solana') {
+      return [];
+    }
+
+    try {
+      const transfersData = await fetchFromProxy(
+        'helius',
+        `/transfers/${selectedToken.address}?limit=100${before ? `&before=${before}` : ''}`,
+        { priority }
+      );
+
+      // Mints and burns have no wallet on one side; typed like the EVM path
+      const page = (transfersData?.result || [])
+        .filter(t => t.from_address || t.to_address)
+        .map(t => {
+          const amount = parseFloat(t.value_decimal || 0);
+          const supplyType = supplyEventType(t.from_address, t.to_address);
+          return {
+            transaction_hash: t.transaction_hash,
+            block_timestamp: t.block_timestamp,
+            from_address: t.from_address,
+            to_address: t.to_address,
+            trader_address: supplyType === 'mint' ? t.to_address : t.from_address,
+            amount,
+            usdValue: amount * tokenPrice,
+            type: supplyType || 'transfer',
+            source: 'helius'
+          };
+        });
+      page.cursor = transfersData?.cursor || null;
+      return page;
+    } catch (err) {
+      console.error('Helius transfers error:', err);
+      const empty = [];
+      empty.error = err.message;
+      return empty;
+    }
+  }, [selectedToken, tokenPrice]);
+
   // Combined fetch function - gets data from all sources
-  const fetchTransfers = useCallback(async () => {
+  const fetchTransfers = useCallback(async (priority = 'normal') => {
     if (!selectedToken) return [];
     
     try {
       // Fetch from all sources in parallel
-      const [geckoTrades, moralisTransfers] = await Promise.all([
-        fetchGeckoTerminalTrades(),
-        fetchMoralisTransfers()
+      const [geckoTrades, moralisTransfers, solanaTransfers] = await Promise.all([
+        fetchGeckoTerminalTrades(priority),
+        fetchMoralisTransfers(priority),
+        fetchSolanaTransfers(priority)
       ]);
       
-      // Combine all transactions
-      const allTransactions = [...geckoTrades, ...moralisTransfers];
-      
-      // Remove duplicates by transaction hash
-      const uniqueTransactions = allTransactions.reduce((acc, tx) => {
-        const existing = acc.find(t => t.transaction_hash === tx.transaction_hash);
-        if (!existing) {
-          acc.push(tx);
-        } else if (tx.source === 'geckoterminal' && existing.source === 'moralis') {
-          // Prefer GeckoTerminal data for swaps (has better USD values)
-          const idx = acc.indexOf(existing);
-          acc[idx] = tx;
-        }
-        return acc;
-      }, []);
+      // Combine all transactions, one per hash, most recent first
+      const sorted = mergeTransactions(geckoTrades, moralisTransfers, solanaTransfers);
       
-      // Sort by timestamp (most recent first)
-      return uniqueTransactions.sort((a, b) => {
-        const dateA = new Date(a.block_timestamp || 0);
-        const dateB = new Date(b.block_timestamp || 0);
-        return dateB - dateA;
-      });
+      // Keep per-source failures so the table can explain missing rows
+      sorted.errors = [geckoTrades.error, moralisTransfers.error, solanaTransfers.error].filter(Boolean);
+      return sorted;
       
     } catch (err) {
       console.error('Combined fetch error:', err);
       return [];
     }
-  }, [selectedToken, fetchGeckoTerminalTrades, fetchMoralisTransfers]);
+  }, [selectedToken, fetchGeckoTerminalTrades, fetchMoralisTransfers, fetchSolanaTransfers]);
+
+  // Load all data. Scheduled refreshes run at low priority; otherwise the
+  // open tab's data goes to the front of each provider's queue.
+  const storeTransferHistory = useCallback(async (token, rows) => {
+    await TransferHistoryManager.record(token, rows);
+    const items = await TransferHistoryManager.get(token.address, token.chain);
+    setTransferHistory({ key: SnapshotManager.getKey(token.address, token.chain), items });
+  }, []);
 
-  // Load all data
-  const loadSnapshot = useCallback(async () => {
+  const loadSnapshot = useCallback(async (background = false) => {
     if (!selectedToken) return;
     
     if (!canFetchFromMoralis(selectedToken)) {
@@ -2862,18 +6814,19 @@ export default function App() {
     setError(null);
     
     try {
+      const tabPriority = (tab) => background ? 'low' : activeTabRef.current === tab ? 'high' : 'normal';
       const [holdersData, price, transfersData, info] = await Promise.all([
-        fetchHolders(),
-        fetchTokenPrice(),
-        fetchTransfers(),
-        fetchTokenInfo()
+        fetchHolders(tabPriority('holders')),
+        fetchTokenPrice(background ? 'low' : 'high'),
+        fetchTransfers(tabPriority('transfers')),
+        fetchTokenInfo(background ? 'low' : 'high')
       ]);
 
       // Get previous snapshot for comparison before saving new one
-      const previousSnapshot = SnapshotManager.getLatest(selectedToken.address, selectedToken.chain);
+      const previousSnapshot = await SnapshotManager.getLatest(selectedToken.address, selectedToken.chain);
       
       // Save new snapshot
-      const snapshots = SnapshotManager.save(selectedToken.address, selectedToken.chain, holdersData);
+      const snapshots = await SnapshotManager.save(selectedToken.address, selectedToken.chain, holdersData, { price, supply: reportedSupply(info) });
       const currentSnapshot = snapshots[snapshots.length - 1];
       
       // Calculate comparison
@@ -2884,12 +6837,31 @@ export default function App() {
         setSnapshotComparison({ newWhales: [], exitedWhales: [], changes: {} });
       }
 
+      // Run alert rules. The first snapshot of a token is the baseline, and
+      // only trades since the previous snapshot count as new.
+      if (previousSnapshot && currentSnapshot && alertRulesRef.current.length > 0) {
+        const rules = alertRulesRef.current;
+        const newTransfers = transfersData.filter(t => new Date(t.block_timestamp).getTime() > previousSnapshot.timestamp);
+        const { inbox, added } = AlertManager.addAlerts([
+          ...evaluateSnapshotRules(rules, { token: selectedToken, previous: previousSnapshot, current: currentSnapshot }),
+          ...evaluateTransactionRules(rules, { token: selectedToken, transactions: newTransfers })
+        ]);
+        setAlertInbox(inbox);
+        AlertDeliveryApi.push(added, rules);
+      }
+
+      TradeHistoryManager.record(selectedToken, transfersData)
+        .catch(e => console.warn('Could not store trade history:', e));
+      storeTransferHistory(selectedToken, transfersData)
+        .catch(e => console.warn('Could not store transaction history:', e));
+
       setHolders(holdersData);
       setTokenPrice(price);
       setTransfers(transfersData);
       setTokenInfo(info);
       setLastSnapshot(new Date());
       setTimeRemaining(SNAPSHOT_INTERVAL);
+      SnapshotManager.getUsage().then(setStorageUsage);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -2902,20 +6874,15 @@ export default function App() {
     if (!selectedToken?.coingeckoId) return [];
     
     try {
-      const response = await fetch(
-        `/api/moralis?source=coingecko&endpoint=${encodeURIComponent(
-          `/coins/${selectedToken.coingeckoId}/market_chart?vs_currency=usd&days=${days}`
-        )}`
+      const data = await fetchFromProxy(
+        'coingecko',
+        `/coins/${selectedToken.coingeckoId}/market_chart?vs_currency=usd&days=${days}`
       );
-      
-      if (response.ok) {
-        const data = await response.json();
-        return (data.prices || []).map(([timestamp, price]) => ({
-          time: new Date(timestamp).toLocaleDateString(),
-          timestamp,
-          price
-        }));
-      }
+      return (data.prices || []).map(([timestamp, price]) => ({
+        time: new Date(timestamp).toLocaleDateString(),
+        timestamp,
+        price
+      }));
     } catch (err) {
       console.error('Price history fetch error:', err);
     }
@@ -2939,11 +6906,8 @@ export default function App() {
       // If token has coingeckoId, try to get pools from other chains too
       if (selectedToken.coingeckoId) {
         try {
-          const coingeckoRes = await fetch(
-            `/api/moralis?source=coingecko&endpoint=${encodeURIComponent(`/coins/${selectedToken.coingeckoId}`)}`
-          );
-          if (coingeckoRes.ok) {
-            const cgData = await coingeckoRes.json();
+          const cgData = await fetchFromProxy('coingecko', `/coins/${selectedToken.coingeckoId}`).catch(() => null);
+          if (cgData) {
             const platforms = cgData.platforms || {};
             
             const platformToChain = {
@@ -2973,29 +6937,24 @@ export default function App() {
       // Fetch pools from all chains in parallel
       const poolPromises = chainsToFetch.map(async ({ chain, address, network }) => {
         try {
-          const response = await fetch(
-            `/api/moralis?source=geckoterminal&endpoint=${encodeURIComponent(
-              `/networks/${network.geckoTerminalId}/tokens/${address}/pools?page=1`
-            )}`
+          const data = await fetchFromProxy(
+            'geckoterminal',
+            `/networks/${network.geckoTerminalId}/tokens/${address}/pools?page=1`
           );
-          
-          if (response.ok) {
-            const data = await response.json();
-            return (data.data || []).map(pool => ({
-              address: pool.attributes?.address,
-              name: pool.attributes?.name,
-              dex: pool.relationships?.dex?.data?.id,
-              chain: chain,
-              chainName: network.name,
-              price_usd: parseFloat(pool.attributes?.base_token_price_usd) || 0,
-              liquidity_usd: parseFloat(pool.attributes?.reserve_in_usd) || 0,
-              volume_24h: parseFloat(pool.attributes?.volume_usd?.h24) || 0,
-              price_change_24h: parseFloat(pool.attributes?.price_change_percentage?.h24) || 0,
-              transactions_24h: (pool.attributes?.transactions?.h24?.buys || 0) + (pool.attributes?.transactions?.h24?.sells || 0),
-              buys_24h: pool.attributes?.transactions?.h24?.buys || 0,
-              sells_24h: pool.attributes?.transactions?.h24?.sells || 0
-            }));
-          }
+          return (data.data || []).map(pool => ({
+            address: pool.attributes?.address,
+            name: pool.attributes?.name,
+            dex: pool.relationships?.dex?.data?.id,
+            chain: chain,
+            chainName: network.name,
+            price_usd: parseFloat(pool.attributes?.base_token_price_usd) || 0,
+            liquidity_usd: parseFloat(pool.attributes?.reserve_in_usd) || 0,
+            volume_24h: parseFloat(pool.attributes?.volume_usd?.h24) || 0,
+            price_change_24h: parseFloat(pool.attributes?.price_change_percentage?.h24) || 0,
+            transactions_24h: (pool.attributes?.transactions?.h24?.buys || 0) + (pool.attributes?.transactions?.h24?.sells || 0),
+            buys_24h: pool.attributes?.transactions?.h24?.buys || 0,
+            sells_24h: pool.attributes?.transactions?.h24?.sells || 0
+          }));
         } catch (e) {
           console.log(`Pool fetch error for ${chain}:`, e);
         }
@@ -3026,39 +6985,27 @@ export default function App() {
     setWalletLoading(true);
     
     try {
-      // For EVM addresses, fetch from all chains if multiChain is true
+      // For EVM addresses, fetch from all chains if multiChain is true.
+      // Anything else is a Solana wallet, served by Helius.
       const isEvmAddress = walletAddress.startsWith('0x') && walletAddress.length === 42;
       
-      if (!isEvmAddress) {
-        // Solana wallet data - not available via current API
-        setWalletLoading(false);
-        return {
-          address: walletAddress,
-          chains: ['solana'],
-          portfolio: [],
-          total_value: 0,
-          token_count: 0,
-          message: 'Solana wallet data not available via current API'
-        };
-      }
-      
       // Determine which chains to fetch
       const evmChains = ['eth', 'arbitrum', 'base', 'polygon', 'bsc'];
-      const chainsToFetch = multiChain ? evmChains : [chainOverride || selectedToken?.chain || walletViewChain || 'eth'];
+      const evmChain = [chainOverride, selectedToken?.chain, walletViewChain].find(c => c && c !== 'solana') || 'eth';
+      const chainsToFetch = !isEvmAddress ? ['solana'] : multiChain ? evmChains : [evmChain];
       
       // Fetch portfolio from all requested chains in parallel
       const portfolioPromises = chainsToFetch.map(async (chain) => {
         try {
-          const res = await fetch(`/api/moralis?endpoint=${encodeURIComponent(`/wallets/${walletAddress}/tokens?chain=${chain}`)}`);
-          if (res.ok) {
-            const data = await res.json();
-            const tokens = data.result || data || [];
-            return tokens.map(t => ({
-              ...t,
-              chain,
-              chainName: NETWORKS[chain]?.name || chain
-            }));
-          }
+          const data = chain === 'solana'
+            ? await fetchFromProxy('helius', `/wallets/${walletAddress}/tokens`, { priority: 'high' })
+            : await fetchFromProxy('moralis', `/wallets/${walletAddress}/tokens?chain=${chain}`, { priority: 'high' });
+          const tokens = data.result || data || [];
+          return tokens.map(t => ({
+            ...t,
+            chain,
+            chainName: NETWORKS[chain]?.name || chain
+          }));
         } catch (e) {
           console.error(`Error fetching ${chain} portfolio:`, e);
         }
@@ -3110,25 +7057,36 @@ export default function App() {
       const totalValue = aggregatedPortfolio.reduce((sum, t) => sum + t.usd_value, 0);
       
       // Fetch history from primary chain only (to avoid too many requests)
-      const primaryChain = chainOverride || selectedToken?.chain || walletViewChain || 'eth';
+      const primaryChain = isEvmAddress ? evmChain : 'solana';
       let history = [];
+      let movements = [];
       try {
-        const historyRes = await fetch(`/api/moralis?endpoint=${encodeURIComponent(`/wallets/${walletAddress}/history?chain=${primaryChain}&limit=50`)}`);
-        if (historyRes.ok) {
-          const historyData = await historyRes.json();
-          history = (historyData.result || []).slice(0, 30).map(tx => ({
-            hash: tx.hash,
-            timestamp: tx.block_timestamp,
-            type: tx.category || 'transfer',
-            value: tx.value,
-            from: tx.from_address,
-            to: tx.to_address,
-            chain: primaryChain
-          }));
+        const historyData = primaryChain === 'solana'
+          ? await fetchFromProxy('helius', `/wallets/${walletAddress}/history?limit=100`, { priority: 'high' })
+          : await fetchFromProxy('moralis', `/wallets/${walletAddress}/history?chain=${primaryChain}&limit=100`, { priority: 'high' });
+        // Helius history has no per-token legs; Solana PnL comes from trades only
+        if (primaryChain !== 'solana') {
+          movements = movementsFromMoralisHistory(historyData.result || [], { nativeSymbol: NETWORKS[primaryChain].nativeSymbol });
         }
+        history = (historyData.result || []).slice(0, 30).map(tx => ({
+          hash: tx.hash,
+          timestamp: tx.block_timestamp,
+          type: tx.category || 'transfer',
+          value: tx.value,
+          from: tx.from_address,
+          to: tx.to_address,
+          chain: primaryChain
+        }));
       } catch (e) {
         console.error('Error fetching history:', e);
       }
+
+      // Current prices for what the wallet still holds, keyed like movements
+      const currentPrices = {};
+      combinedPortfolio.filter(t => t.chain === primaryChain).forEach(t => {
+        const key = t.native_token ? NATIVE_TOKEN : t.token_address?.toLowerCase();
+        if (key && parseFloat(t.usd_price) > 0) currentPrices[key] = parseFloat(t.usd_price);
+      });
       
       return {
         address: walletAddress,
@@ -3136,6 +7094,7 @@ export default function App() {
         multiChain,
         portfolio: aggregatedPortfolio.slice(0, 50),
         history,
+        pnl: { chain: primaryChain, movements, currentPrices },
         total_value: totalValue,
         token_count: aggregatedPortfolio.length,
         chain_breakdown: chainsToFetch.map(chain => ({
@@ -3180,6 +7139,155 @@ export default function App() {
     }
   }, [selectedToken, activeView]);
 
+  // Stored transaction history for the selected token
+  useEffect(() => {
+    if (!selectedToken) return;
+    const key = SnapshotManager.getKey(selectedToken.address, selectedToken.chain);
+    let cancelled = false;
+    backfillBudget.current = TX_BACKFILL_PAGES;
+    setOlderPage(null);
+    TransferHistoryManager.get(selectedToken.address, selectedToken.chain).then(items => {
+      if (!cancelled) setTransferHistory({ key, items });
+    });
+    return () => { cancelled = true; };
+  }, [selectedToken]);
+
+  // Pendle market behind the selected token, when it is a PT, YT, SY or LP
+  useEffect(() => {
+    setPendleToken(null);
+    if (!selectedToken || !isPendleChain(selectedToken.chain) || !selectedToken.address?.startsWith('0x')) return;
+    let cancelled = false;
+    fetchFromProxy('pendle', `/tokens/${selectedToken.address}?chain=${selectedToken.chain}`)
+      .then(data => { if (!cancelled && data.kind) setPendleToken(data); })
+      .catch(err => console.error('Pendle token lookup error:', err));
+    return () => { cancelled = true; };
+  }, [selectedToken]);
+
+  // The positioning tab only exists for tokens the Pendle API resolved
+  useEffect(() => {
+    if (activeTab === 'pendle' && !pendleToken?.market) setActiveTab('holders');
+  }, [activeTab, pendleToken]);
+
+  // Markets the API no longer lists still carry kind and expiry in the symbol
+  const pendleDetails = useMemo(() => {
+    if (pendleToken) return pendleToken;
+    if (!selectedToken || !isPendleChain(selectedToken.chain)) return null;
+    const parsed = parsePendleSymbol(tokenInfo?.symbol || selectedToken.symbol);
+    return parsed ? { kind: parsed.kind, market: { name: parsed.underlyingSymbol, expiry: parsed.expiry } } : null;
+  }, [pendleToken, selectedToken, tokenInfo]);
+
+  // Pendle markets behind the tracked tokens, for the maturity calendar and
+  // maturity alerts; only looked up while either needs them
+  const [trackedMarkets, setTrackedMarkets] = useState({ loading: false, entries: [], markets: {} });
+  const needsMarkets = activeView === 'maturities' || alertRules.some(r => r.type === 'maturity' && r.enabled !== false);
+  useEffect(() => {
+    if (!needsMarkets) return;
+    const candidates = tokens.filter(t => isPendleChain(t.chain) && t.address?.startsWith('0x'));
+    let cancelled = false;
+    setTrackedMarkets(prev => ({ ...prev, loading: true }));
+    Promise.all([
+      Promise.all(candidates.map(token => fetchFromProxy('pendle', `/tokens/${token.address}?chain=${token.chain}`, { priority: 'low' })
+        .then(data => (data.kind ? { token, kind: data.kind, market: data.market } : null))
+        .catch(() => null))),
+      Promise.all([...new Set(candidates.map(t => t.chain))].map(chain => fetchFromProxy('pendle', `/markets?chain=${chain}`, { priority: 'low' })
+        .then(data => [chain, data.markets || []])
+        .catch(() => [chain, []])))
+    ]).then(([entries, markets]) => {
+      if (!cancelled) setTrackedMarkets({ loading: false, entries: entries.filter(Boolean), markets: Object.fromEntries(markets) });
+    });
+    return () => { cancelled = true; };
+  }, [tokens, needsMarkets]);
+
+  const calendar = useMemo(
+    () => maturityCalendar(trackedMarkets.entries, trackedMarkets.markets),
+    [trackedMarkets]
+  );
+
+  // Maturity rules: checked when the markets load and hourly after that
+  useEffect(() => {
+    if (trackedMarkets.entries.length === 0) return;
+    const check = () => {
+      const alerts = trackedMarkets.entries.flatMap(({ token, market }) => evaluateMaturityRules(alertRulesRef.current, { token, market }));
+      if (alerts.length === 0) return;
+      const { inbox, added } = AlertManager.addAlerts(alerts);
+      if (added.length === 0) return;
+      setAlertInbox(inbox);
+      AlertDeliveryApi.push(added, alertRulesRef.current);
+    };
+    check();
+    const timer = setInterval(check, MATURITY_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [trackedMarkets, alertRules]);
+
+  // Holder rules for the tracked tokens that are not open: each one with a
+  // matching rule gets a snapshot (with price and supply, like the open
+  // token's) once its latest is SNAPSHOT_INTERVAL old, checked against the
+  // one before. With notifications on, the background
+  // worker polls these tokens instead.
+  useEffect(() => {
+    if (notificationsEnabled) return;
+    let cancelled = false;
+    const isOpen = (token) => token.chain === selectedToken?.chain && token.address?.toLowerCase() === selectedToken?.address?.toLowerCase();
+
+    const sweep = async () => {
+      const rules = alertRulesRef.current;
+      const due = tokens.filter(t => canFetchFromMoralis(t) && !isOpen(t) && rulesFor(rules, t, 'snapshot').length > 0);
+      const alerts = [];
+      for (const token of due) {
+        if (cancelled) return;
+        try {
+          const previous = await SnapshotManager.getLatest(token.address, token.chain);
+          if (previous && Date.now() - previous.timestamp < SNAPSHOT_INTERVAL) continue;
+          const holders = await fetchTokenHolders(token, getHolderProvider, 'low');
+          if (holders.error || holders.length === 0) continue;
+          const { price, supply } = await fetchTokenMarket(token, 'low');
+          const snapshots = await SnapshotManager.save(token.address, token.chain, holders, { price, supply });
+          alerts.push(...evaluateSnapshotRules(rules, { token, previous, current: snapshots[snapshots.length - 1] }));
+        } catch (err) {
+          console.warn(`Rule check failed for ${token.symbol || token.address}:`, err.message);
+        }
+      }
+      if (cancelled || alerts.length === 0) return;
+      const { inbox, added } = AlertManager.addAlerts(alerts);
+      if (added.length === 0) return;
+      setAlertInbox(inbox);
+      AlertDeliveryApi.push(added, rules);
+    };
+
+    sweep();
+    const timer = setInterval(sweep, TRACKED_RULE_CHECK_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [tokens, selectedToken, alertRules, holderProviders, notificationsEnabled]);
+
+  // Snapshot storage readout (also runs the localStorage migration on first load)
+  useEffect(() => {
+    SnapshotManager.getUsage().then(setStorageUsage);
+    SharedWatchlist.load().then(setSharedWatchlist);
+  }, []);
+
+  const toggleSharedWatchlist = async () => {
+    if (!selectedToken) return;
+    const action = SharedWatchlist.includes(sharedWatchlist, selectedToken) ? 'remove' : 'add';
+    setWatchlistBusy(true);
+    try {
+      setSharedWatchlist(await SharedWatchlist.update(action, selectedToken));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWatchlistBusy(false);
+    }
+  };
+
+  // Reload holders after switching a chain's holder provider
+  useEffect(() => {
+    if (!holderProviderChanged.current) return;
+    holderProviderChanged.current = false;
+    fetchHolders('high').then(setHolders);
+  }, [fetchHolders]);
+
   // Countdown timer
   useEffect(() => {
     if (activeView !== 'tracker' || !selectedToken) return;
@@ -3187,7 +7295,7 @@ export default function App() {
     const timer = setInterval(() => {
       setTimeRemaining(prev => {
         if (prev <= 1000) {
-          loadSnapshot();
+          loadSnapshot(true);
           return SNAPSHOT_INTERVAL;
         }
         return prev - 1000;
@@ -3232,9 +7340,77 @@ export default function App() {
     }
   };
 
-  // Sort holders
+  // Latest fetch plus the stored history for this token, newest first
+  const historyKey = selectedToken ? SnapshotManager.getKey(selectedToken.address, selectedToken.chain) : null;
+  const transactionHistory = useMemo(() => {
+    const merged = mergeTransactions(transfers, transferHistory.key === historyKey ? transferHistory.items : []);
+    merged.errors = transfers.errors;
+    return merged;
+  }, [transfers, transferHistory, historyKey]);
+
+  // Ask the chain whether top holders the provider did not flag hold code
+  useEffect(() => {
+    const byChain = {};
+    holders.forEach(h => {
+      const chain = h.chain || selectedToken?.chain;
+      if (h.is_contract != null || !NETWORKS[chain] || chain === 'solana') return;
+      (byChain[chain] = byChain[chain] || []).push(h.owner_address);
+    });
+    if (Object.keys(byChain).length === 0) return;
+
+    let cancelled = false;
+    Promise.all(Object.entries(byChain).map(([chain, addresses]) =>
+      ContractCodeCache.lookup(chain, addresses).catch(err => {
+        console.warn(`Contract check failed on ${chain}:`, err.message);
+        return {};
+      })
+    )).then(results => {
+      if (!cancelled) setHolderCode(Object.assign({}, ...results));
+    });
+    return () => { cancelled = true; };
+  }, [holders, selectedToken]);
+
+  // Pools, burn addresses, treasuries, exchanges and other contracts
+  const holderClasses = useMemo(() => classifyHolders(holders, {
+    resolve: labelIndex.resolve,
+    hasCode: (address, chain) => holderCode[`${chain}:${address.toLowerCase()}`],
+    chain: selectedToken?.chain,
+    pools: poolsData.map(p => p.address)
+  }), [holders, holderCode, labelIndex, selectedToken, poolsData]);
+
+  // Wallet holders linked by funding and transfer patterns. Labeled
+  // addresses and contracts are neither clustered nor used as funders.
+  const holderClusters = useMemo(() => {
+    const isWallet = (address) => classOf(holderClasses, address) === 'wallet' && !labelIndex.resolve(address, selectedToken?.chain);
+    const wallets = holders.map(h => h.owner_address).filter(isWallet);
+    const links = findClusterLinks(wallets, transactionHistory, {
+      ignore: (address) => !isWallet(address) || poolsData.some(p => clusterAddress(p.address) === address)
+    });
+    return buildClusters(links, clusterOverrides);
+  }, [holders, transactionHistory, holderClasses, labelIndex, selectedToken, poolsData, clusterOverrides]);
+
+  const toggleClusterHolders = () => {
+    localStorage.setItem('clusterHolders', String(!clusterHolders));
+    setClusterHolders(!clusterHolders);
+    setMergeSelection([]);
+  };
+
+  const toggleMergeSelection = (addresses) => {
+    const allSelected = addresses.every(a => mergeSelection.includes(a));
+    setMergeSelection(allSelected
+      ? mergeSelection.filter(a => !addresses.includes(a))
+      : [...new Set([...mergeSelection, ...addresses])]);
+  };
+
+  const mergeSelected = () => {
+    updateClusterOverrides(ClusterManager.merge(clusterOverrides, mergeSelection));
+    setMergeSelection([]);
+  };
+
+  // Sort holders (clusters sort as one row)
   const sortedHolders = React.useMemo(() => {
-    const sorted = [...holders];
+    const filtered = holders.filter(h => matchesEntityFilter(labelIndex.resolve(h.owner_address, selectedToken?.chain), holderEntityFilter));
+    const sorted = clusterHolders ? groupHolders(filtered, holderClusters) : filtered;
     sorted.sort((a, b) => {
       let aVal, bVal;
       
@@ -3259,49 +7435,255 @@ export default function App() {
       return sortConfig.direction === 'desc' ? bVal - aVal : aVal - bVal;
     });
     return sorted;
-  }, [holders, sortConfig, previousHolders]);
+  }, [holders, sortConfig, previousHolders, labelIndex, holderEntityFilter, selectedToken, clusterHolders, holderClusters]);
 
   const top10PercentCount = Math.max(1, Math.ceil(holders.length * 0.1));
 
-  // Process transactions from all sources
-  const processedTransfers = React.useMemo(() => {
-    if (!transfers || transfers.length === 0) return [];
-    
-    // Data already has USD values from respective sources
-    const withUsdValues = transfers.map(t => ({
-      ...t,
-      usdValue: t.usdValue || 0,
-      amount: t.amount || 0,
-      type: t.type || 'transfer'
-    }));
-    
-    // Sort by USD value (largest first)
-    const sortedByValue = [...withUsdValues].sort((a, b) => b.usdValue - a.usdValue);
-    
-    // Apply filters
-    let filtered = sortedByValue;
-    
-    // Apply minimum USD filter if set
-    if (txMinAmount > 0) {
-      filtered = filtered.filter(t => t.usdValue >= txMinAmount);
-    } else {
-      // Auto mode: show top 100 transactions
-      filtered = sortedByValue.slice(0, 100);
+  // Badge holders at the lowest balance-change rule covering this token
+  const whaleChangeThreshold = useMemo(() => {
+    const thresholds = alertRules
+      .filter(r => r.enabled && r.type === 'balance_change' && !r.wallet && (!r.token || (
+        selectedToken && r.token.chain === selectedToken.chain && r.token.address.toLowerCase() === selectedToken.address.toLowerCase()
+      )))
+      .map(r => r.params.threshold);
+    return thresholds.length > 0 ? Math.min(...thresholds) : WHALE_CHANGE_THRESHOLD;
+  }, [alertRules, selectedToken]);
+
+  const unreadAlerts = alertInbox.filter(a => !a.read).length;
+
+  const openAlertToken = (alertToken) => {
+    const token = tokens.find(t => t.chain === alertToken.chain && t.address.toLowerCase() === alertToken.address.toLowerCase());
+    if (!token) return;
+    setSelectedToken(token);
+    setActiveView('tracker');
+  };
+
+  // Deep links from notifications and delivered alerts: ?token=&chain= opens
+  // (or starts tracking) a token, ?wallet=&chain= the wallet profiler and
+  // ?view=alerts the inbox
+  const openDeepLink = (search) => {
+    const params = new URLSearchParams(search);
+    const chain = NETWORKS[params.get('chain')] ? params.get('chain') : 'eth';
+    const tokenAddress = params.get('token');
+    const wallet = params.get('wallet');
+
+    if (params.get('view') === 'alerts') setActiveView('alerts');
+    if (tokenAddress) {
+      const tracked = tokens.find(t => t.chain === chain && t.address?.toLowerCase() === tokenAddress.toLowerCase());
+      if (tracked) {
+        setSelectedToken(tracked);
+        setActiveView('tracker');
+      } else {
+        handleAddToken({
+          address: tokenAddress,
+          symbol: 'CUSTOM',
+          name: 'Custom Token',
+          chain,
+          logo: '🪙',
+          hasContractAddress: true
+        });
+      }
     }
-    
-    // Apply type filter
-    if (txType !== 'all') {
-      filtered = filtered.filter(t => t.type === txType);
+    if (wallet) {
+      setSelectedWallet(wallet);
+      setWalletViewChain(chain);
+      if (!tokenAddress) setActiveView('wallets');
     }
-    
-    return filtered;
-  }, [transfers, txMinAmount, txType]);
+  };
+  const openDeepLinkRef = useRef(openDeepLink);
+  openDeepLinkRef.current = openDeepLink;
+
+  useEffect(() => {
+    if (!window.location.search) return;
+    openDeepLinkRef.current(window.location.search);
+    window.history.replaceState(null, '', window.location.pathname);
+  }, []);
+
+  // Service worker: pending alerts into the inbox, mutes set from a
+  // notification, notification clicks, and the polling heartbeat
+  useEffect(() => {
+    if (!notificationsEnabled) return;
+
+    NotificationManager.register()
+      .then(() => NotificationManager.post({ type: 'drain' }))
+      .catch(err => console.warn('Service worker registration failed:', err));
+
+    const onMessage = (event) => {
+      const { type } = event.data || {};
+      if (type === 'alerts-pending') {
+        NotificationManager.post({ type: 'drain' });
+      } else if (type === 'alerts') {
+        const { inbox, added } = AlertManager.addAlerts(event.data.alerts);
+        setAlertInbox(inbox);
+        AlertDeliveryApi.push(added, alertRulesRef.current);
+      } else if (type === 'mutes') {
+        NotificationManager.saveMutes(event.data.mutes);
+        setNotificationMutes(event.data.mutes);
+      } else if (type === 'open') {
+        openDeepLinkRef.current(new URL(event.data.url, window.location.origin).search);
+      }
+    };
+
+    navigator.serviceWorker.addEventListener('message', onMessage);
+    const heartbeat = setInterval(() => NotificationManager.post({ type: 'poll' }), NOTIFICATION_HEARTBEAT);
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', onMessage);
+      clearInterval(heartbeat);
+    };
+  }, [notificationsEnabled]);
+
+  // Keep the worker's copy of what to poll current. Tracked wallets live in
+  // the Wallets view, so they are re-read whenever the view changes.
+  useEffect(() => {
+    if (!NotificationManager.registration) return;
+    const wallets = JSON.parse(localStorage.getItem('trackedWallets') || '[]');
+    NotificationManager.post({
+      type: 'config',
+      config: {
+        enabled: notificationsEnabled,
+        interval: NOTIFICATION_POLL_INTERVAL,
+        tokens: tokens.filter(t => t.hasContractAddress && t.address).map(({ address, chain, symbol }) => ({
+          address,
+          chain,
+          symbol,
+          holderProvider: getHolderProvider(chain)
+        })),
+        wallets: wallets.map(({ address, chain, label }) => ({ address, chain, label })),
+        rules: alertRules,
+        mutes: notificationMutes
+      }
+    });
+  }, [notificationsEnabled, tokens, alertRules, notificationMutes, holderProviders, activeView]);
+
+  const supplyEvents = useMemo(() => transactionHistory.filter(isSupplyEvent), [transactionHistory]);
+
+  // The window moves with each refresh of the history, not on every render
+  const txRangeStart = useMemo(
+    () => (TX_RANGES[txRange].ms ? Date.now() - TX_RANGES[txRange].ms : 0),
+    [txRange, transactionHistory]
+  );
+  const oldestLoaded = transactionHistory.length > 0
+    ? new Date(transactionHistory[transactionHistory.length - 1].block_timestamp).getTime()
+    : null;
+
+  // "Load older" pages two streams back: the token's transfers and its DEX
+  // trades. Each keeps its own cursor in `olderPage`.
+  const olderStreams = useMemo(() => ({
+    transfers: [selectedToken?.chain === 'solana' ? 'helius' : 'moralis'],
+    trades: DEX_SOURCES
+  }), [selectedToken]);
+  const olderState = useMemo(() => (olderPage?.key === historyKey ? olderPage : {}), [olderPage, historyKey]);
+  const canLoadOlder = !!selectedToken && canFetchFromMoralis(selectedToken)
+    && !Object.keys(olderStreams).every(name => olderState[name]?.exhausted);
+
+  // History is complete back to the latest of the streams' oldest rows; a
+  // stream with nothing stored yet leaves it unknown (null)
+  const historyCoveredFrom = useMemo(() => {
+    const starts = Object.entries(olderStreams)
+      .filter(([name]) => !olderState[name]?.exhausted)
+      .map(([, sources]) => transactionHistory.filter(t => sources.includes(t.source)).pop())
+      .map(row => (row ? new Date(row.block_timestamp).getTime() : null));
+    return starts.includes(null) ? null : Math.max(0, ...starts);
+  }, [olderStreams, olderState, transactionHistory]);
+
+  const changeTxRange = (range) => {
+    localStorage.setItem('txRange', range);
+    backfillBudget.current = TX_BACKFILL_PAGES;
+    setTxRange(range);
+    setTxPage(1);
+  };
+
+  // Next older page of each stream: continue its cursor, or start below its
+  // oldest stored row. A failed page keeps its cursor so the next call
+  // retries it; a stream is exhausted only when the upstream has no cursor.
+  const loadOlderTransfers = useCallback(async () => {
+    if (!selectedToken || !canFetchFromMoralis(selectedToken)) return;
+    const token = selectedToken;
+    const key = SnapshotManager.getKey(token.address, token.chain);
+    const previous = olderPage?.key === key ? olderPage : {};
+    const fetchPage = {
+      transfers: (position, oldest) => (token.chain === 'solana'
+        ? fetchSolanaTransfers('high', { before: position.cursor || oldest?.transaction_hash })
+        : fetchMoralisTransfers('high', position.cursor ? position : { toDate: oldest?.block_timestamp })),
+      trades: (position, oldest) => fetchDexSwaps('high', position.cursor ? position : { toDate: oldest?.block_timestamp })
+    };
+
+    setLoadingOlder(true);
+    const next = { key };
+    const rows = [];
+    const errors = [];
+    for (const [name, sources] of Object.entries(olderStreams)) {
+      const position = previous[name] || {};
+      next[name] = position;
+      if (position.exhausted) continue;
+      const oldest = transactionHistory.filter(t => sources.includes(t.source)).pop();
+      const page = await fetchPage[name](position, oldest);
+      if (page.error) {
+        errors.push(page.error);
+        continue;
+      }
+      rows.push(...page);
+      next[name] = page.cursor
+        ? { cursor: page.cursor, toDate: position.toDate || oldest?.block_timestamp }
+        : { exhausted: true };
+    }
+
+    try {
+      if (rows.length > 0) await storeTransferHistory(token, mergeTransactions(rows));
+    } catch (err) {
+      // Nothing was kept, so retry the same pages
+      Object.assign(next, previous, { key });
+      errors.push(err.message);
+    }
+    if (errors.length > 0) console.error('Older transfers error:', errors);
+    setOlderPage({ ...next, error: errors.join(' • ') || null });
+    setLoadingOlder(false);
+  }, [selectedToken, olderPage, olderStreams, transactionHistory, fetchMoralisTransfers, fetchSolanaTransfers, fetchDexSwaps, storeTransferHistory]);
+
+  // Process transactions from all sources within the chosen range. Filters
+  // run before the sort; without a minimum USD only the top 100 are shown.
+  const processedTransfers = React.useMemo(() => {
+    const chain = selectedToken?.chain;
+    const filtered = transactionHistory.filter(t => {
+      // Mints and burns have their own tab
+      if (isSupplyEvent(t) || new Date(t.block_timestamp).getTime() < txRangeStart) return false;
+      if (txMinAmount > 0 && (t.usdValue || 0) < txMinAmount) return false;
+      if (txType !== 'all' && (t.type || 'transfer') !== txType) return false;
+      if (txEntityFilter === 'all') return true;
+
+      // Entity filter applies to either side of the transaction
+      const sides = [t.trader_address || t.from_address, t.to_address].filter(Boolean);
+      return txEntityFilter === 'unlabeled'
+        ? sides.every(address => !labelIndex.resolve(address, chain))
+        : sides.some(address => matchesEntityFilter(labelIndex.resolve(address, chain), txEntityFilter));
+    });
+
+    // Data already has USD values from respective sources; largest first
+    const sortedByValue = filtered
+      .map(t => ({ ...t, usdValue: t.usdValue || 0, amount: t.amount || 0, type: t.type || 'transfer' }))
+      .sort((a, b) => b.usdValue - a.usdValue);
+    return txMinAmount > 0 ? sortedByValue : sortedByValue.slice(0, TX_TOP_BY_VALUE);
+  }, [transactionHistory, txRangeStart, txMinAmount, txType, txEntityFilter, labelIndex, selectedToken]);
 
   const paginatedTransfers = React.useMemo(() => {
     const start = (txPage - 1) * TRANSACTIONS_PER_PAGE;
     return processedTransfers.slice(start, start + TRANSACTIONS_PER_PAGE);
   }, [processedTransfers, txPage]);
 
+  // Backfill the range a few pages at a time, then once more each time the
+  // user reaches the last page of what is loaded
+  const txTotalPages = Math.max(1, Math.ceil(processedTransfers.length / TRANSACTIONS_PER_PAGE));
+  useEffect(() => {
+    if (activeTab !== 'transfers' || loading || loadingOlder || !canLoadOlder) return;
+    if (historyCoveredFrom !== null && historyCoveredFrom <= txRangeStart) return;
+    const endKey = `${historyKey}:${txRange}:${txTotalPages}`;
+    const atEnd = txPage >= txTotalPages && lastAutoLoad.current !== endKey;
+    if (backfillBudget.current <= 0 && !atEnd) return;
+    if (backfillBudget.current > 0) backfillBudget.current--;
+    else lastAutoLoad.current = endKey;
+    loadOlderTransfers();
+  }, [activeTab, loading, loadingOlder, canLoadOlder, historyCoveredFrom, txRangeStart, historyKey, txRange, txPage, txTotalPages, loadOlderTransfers]);
+
   const handleSort = (key) => {
     setSortConfig(prev => ({
       key,
@@ -3321,6 +7703,7 @@ export default function App() {
   // ==========================================
 
   return (
+    <LabelContext.Provider value={labelIndex}>
     <div style={{
       minHeight: '100vh',
       background: THEME.bg.primary,
@@ -3418,9 +7801,55 @@ export default function App() {
             >
               Wallets
             </button>
+            <button
+              onClick={() => setActiveView('maturities')}
+              style={{
+                padding: '8px 16px',
+                background: activeView === 'maturities' ? THEME.accent.primary : 'transparent',
+                border: 'none',
+                borderRadius: '6px',
+                color: activeView === 'maturities' ? '#fff' : THEME.text.secondary,
+                fontSize: '0.8125rem',
+                fontWeight: '500',
+                cursor: 'pointer',
+                transition: 'all 0.15s ease'
+              }}
+            >
+              Maturities
+            </button>
+            <button
+              onClick={() => setActiveView('alerts')}
+              style={{
+                padding: '8px 16px',
+                background: activeView === 'alerts' ? THEME.accent.primary : 'transparent',
+                border: 'none',
+                borderRadius: '6px',
+                color: activeView === 'alerts' ? '#fff' : THEME.text.secondary,
+                fontSize: '0.8125rem',
+                fontWeight: '500',
+                cursor: 'pointer',
+                transition: 'all 0.15s ease'
+              }}
+            >
+              Alerts
+              {unreadAlerts > 0 && (
+                <span style={{
+                  marginLeft: '6px',
+                  padding: '1px 6px',
+                  background: activeView === 'alerts' ? 'rgba(255,255,255,0.25)' : THEME.accent.primary,
+                  borderRadius: '8px',
+                  color: '#fff',
+                  fontSize: '0.6875rem'
+                }}>
+                  {unreadAlerts}
+                </span>
+              )}
+            </button>
           </div>
         </div>
 
+        <RetryStatusBanner />
+
         {/* Market Overview View */}
         {activeView === 'market' && (
           <MarketOverview 
@@ -3479,6 +7908,26 @@ export default function App() {
                       {formatTimeRemaining(timeRemaining)}
                     </div>
                   </div>
+                  {storageUsage && (
+                    <div
+                      style={{ textAlign: 'right' }}
+                      title={storageUsage.persistent
+                        ? `${storageUsage.persisted ? 'Persistent storage granted' : 'Best-effort storage (may be evicted under pressure)'}`
+                        : 'IndexedDB unavailable - history is kept for this session only'}
+                    >
+                      <div style={{ fontSize: '0.75rem', color: '#888', marginBottom: '4px' }}>
+                        Snapshot History
+                      </div>
+                      <div style={{ fontSize: '0.9rem' }}>
+                        {storageUsage.snapshotCount} snapshots · {storageUsage.tokenCount} tokens
+                      </div>
+                      {storageUsage.quota > 0 && (
+                        <div style={{ fontSize: '0.7rem', color: THEME.text.muted }}>
+                          {formatBytes(storageUsage.usage)} of {formatBytes(storageUsage.quota)} used
+                        </div>
+                      )}
+                    </div>
+                  )}
                   <div style={{ textAlign: 'right' }}>
                     <div style={{ fontSize: '0.75rem', color: '#888', marginBottom: '4px' }}>
                       Last Updated
@@ -3487,8 +7936,27 @@ export default function App() {
                       {lastSnapshot ? lastSnapshot.toLocaleString() : 'Never'}
                     </div>
                   </div>
+                  {sharedWatchlist && canFetchFromMoralis(selectedToken) && (
+                    <button
+                      onClick={toggleSharedWatchlist}
+                      disabled={watchlistBusy}
+                      title="Tokens on the shared watchlist are snapshotted by the server every 6 hours, even with no browser open"
+                      style={{
+                        padding: '8px 12px',
+                        background: THEME.bg.tertiary,
+                        border: `1px solid ${SharedWatchlist.includes(sharedWatchlist, selectedToken) ? THEME.accent.success : THEME.border.default}`,
+                        borderRadius: '6px',
+                        color: SharedWatchlist.includes(sharedWatchlist, selectedToken) ? THEME.accent.success : THEME.text.secondary,
+                        fontSize: '0.8125rem',
+                        fontWeight: '500',
+                        cursor: watchlistBusy ? 'not-allowed' : 'pointer'
+                      }}
+                    >
+                      {SharedWatchlist.includes(sharedWatchlist, selectedToken) ? '✓ Collected server-side' : 'Collect server-side'}
+                    </button>
+                  )}
                   <button
-                    onClick={loadSnapshot}
+                    onClick={() => loadSnapshot()}
                     disabled={loading || !canFetchFromMoralis(selectedToken)}
                     style={{
                       padding: '8px 16px',
@@ -3545,12 +8013,17 @@ export default function App() {
                     tokenInfo={tokenInfo} 
                     holders={holders}
                     poolsData={poolsData}
+                    pendle={pendleDetails}
                   />
                 )}
 
                 {/* Phase 4: Holder Distribution Chart */}
                 {holders.length > 0 && (
-                  <HolderDistributionChart holders={holders} />
+                  <HolderDistributionChart holders={holders} classes={holderClasses} />
+                )}
+
+                {holders.length > 0 && (
+                  <ConcentrationHistoryChart token={selectedToken} version={lastSnapshot} />
                 )}
 
                 {/* Phase 4: Liquidity & Activity */}
@@ -3595,6 +8068,112 @@ export default function App() {
                     >
                       Recent Transactions ({processedTransfers.length})
                     </button>
+                    <button
+                      onClick={() => setActiveTab('cohorts')}
+                      style={{
+                        padding: '8px 16px',
+                        background: activeTab === 'cohorts' ? THEME.accent.primary : THEME.bg.tertiary,
+                        border: `1px solid ${activeTab === 'cohorts' ? THEME.accent.primary : THEME.border.default}`,
+                        borderRadius: '6px',
+                        color: activeTab === 'cohorts' ? '#fff' : THEME.text.secondary,
+                        fontSize: '0.8125rem',
+                        fontWeight: '500',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Cohorts
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('supply')}
+                      style={{
+                        padding: '8px 16px',
+                        background: activeTab === 'supply' ? THEME.accent.primary : THEME.bg.tertiary,
+                        border: `1px solid ${activeTab === 'supply' ? THEME.accent.primary : THEME.border.default}`,
+                        borderRadius: '6px',
+                        color: activeTab === 'supply' ? '#fff' : THEME.text.secondary,
+                        fontSize: '0.8125rem',
+                        fontWeight: '500',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Supply Changes ({supplyEvents.length})
+                    </button>
+                    {pendleToken?.market && (
+                      <button
+                        onClick={() => setActiveTab('pendle')}
+                        style={{
+                          padding: '8px 16px',
+                          background: activeTab === 'pendle' ? THEME.accent.primary : THEME.bg.tertiary,
+                          border: `1px solid ${activeTab === 'pendle' ? THEME.accent.primary : THEME.border.default}`,
+                          borderRadius: '6px',
+                          color: activeTab === 'pendle' ? '#fff' : THEME.text.secondary,
+                          fontSize: '0.8125rem',
+                          fontWeight: '500',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Pendle Positioning
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setActiveTab('snapshots')}
+                      style={{
+                        padding: '8px 16px',
+                        background: activeTab === 'snapshots' ? THEME.accent.primary : THEME.bg.tertiary,
+                        border: `1px solid ${activeTab === 'snapshots' ? THEME.accent.primary : THEME.border.default}`,
+                        borderRadius: '6px',
+                        color: activeTab === 'snapshots' ? '#fff' : THEME.text.secondary,
+                        fontSize: '0.8125rem',
+                        fontWeight: '500',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Snapshot Diff
+                    </button>
+                    {activeTab === 'holders' && (
+                      <EntityCategoryFilter value={holderEntityFilter} onChange={(value) => { setHolderEntityFilter(value); setHolderPage(1); }} />
+                    )}
+                    {activeTab === 'holders' && (
+                      <button
+                        onClick={toggleClusterHolders}
+                        title="Group wallets that share a funder, trade with each other or were funded together"
+                        style={{
+                          padding: '8px 12px',
+                          background: clusterHolders ? `${THEME.accent.secondary}20` : THEME.bg.tertiary,
+                          border: `1px solid ${clusterHolders ? THEME.accent.secondary : THEME.border.default}`,
+                          borderRadius: '6px',
+                          color: clusterHolders ? THEME.accent.secondary : THEME.text.secondary,
+                          fontSize: '0.75rem',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        🔗 Clusters {clusterHolders ? `(${holderClusters.length})` : 'off'}
+                      </button>
+                    )}
+                    {activeTab === 'holders' && clusterHolders && mergeSelection.length > 1 && (
+                      <button
+                        onClick={mergeSelected}
+                        style={{
+                          padding: '8px 12px',
+                          background: THEME.accent.primary,
+                          border: 'none',
+                          borderRadius: '6px',
+                          color: '#fff',
+                          fontSize: '0.75rem',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Merge {mergeSelection.length} selected
+                      </button>
+                    )}
+                    {activeTab === 'holders' && (
+                      <HolderProviderPicker
+                        chains={holders.chainsFetched || [selectedToken.chain]}
+                        getProvider={getHolderProvider}
+                        onChange={changeHolderProvider}
+                        disabled={loading}
+                      />
+                    )}
                   </div>
                 )}
 
@@ -3614,6 +8193,21 @@ export default function App() {
                   </div>
                 )}
 
+                {/* Holders Unavailable */}
+                {!loading && activeTab === 'holders' && holders.length === 0 && holders.error && (
+                  <div style={{
+                    background: THEME.bg.secondary,
+                    border: `1px solid ${THEME.accent.error}40`,
+                    borderRadius: '8px',
+                    padding: '32px',
+                    textAlign: 'center',
+                    color: THEME.accent.error,
+                    fontSize: '0.85rem'
+                  }}>
+                    Holder data unavailable: {holders.error}
+                  </div>
+                )}
+
                 {/* Holders Table */}
                 {!loading && activeTab === 'holders' && holders.length > 0 && (
                   <div style={{
@@ -3645,10 +8239,33 @@ export default function App() {
                         </thead>
                         <tbody>
                           {sortedHolders.map((holder, idx) => {
+                            if (holder.cluster) {
+                              const members = holder.cluster.holders.map(h => h.owner_address);
+                              return (
+                                <HolderClusterRows
+                                  key={holder.owner_address}
+                                  row={holder}
+                                  rank={idx + 1}
+                                  chain={selectedToken.chain}
+                                  symbol={tokenInfo?.symbol || selectedToken.symbol}
+                                  tokenPrice={tokenPrice}
+                                  expanded={expandedClusters.includes(holder.owner_address)}
+                                  onToggle={() => setExpandedClusters(prev => prev.includes(holder.owner_address)
+                                    ? prev.filter(id => id !== holder.owner_address)
+                                    : [...prev, holder.owner_address])}
+                                  selected={members.every(a => mergeSelection.includes(a))}
+                                  onSelect={() => toggleMergeSelection(members)}
+                                  onSplit={(address) => updateClusterOverrides(ClusterManager.split(clusterOverrides, address))}
+                                  onSelectWallet={(addr) => setSelectedWallet(addr)}
+                                />
+                              );
+                            }
+
                             const balance = parseFloat(holder.balance_formatted || holder.balance) || 0;
                             const usdValue = balance * tokenPrice;
                             const pct = parseFloat(holder.percentage_relative_to_total_supply || 0);
                             const globalIdx = idx;
+                            const holderClass = classOf(holderClasses, holder.owner_address);
                             
                             // Check for badges
                             const isNew = snapshotComparison.newWhales.includes(holder.owner_address);
@@ -3658,7 +8275,7 @@ export default function App() {
                             if (isNew) {
                               badges.push({ text: '🆕 NEW', bg: 'rgba(16, 185, 129, 0.2)', color: '#10b981' });
                             }
-                            if (change && Math.abs(change.changePercent) >= WHALE_CHANGE_THRESHOLD) {
+                            if (change && Math.abs(change.changePercent) >= whaleChangeThreshold) {
                               if (change.changePercent > 0) {
                                 badges.push({ text: `📈 +${change.changePercent.toFixed(1)}%`, bg: 'rgba(16, 185, 129, 0.2)', color: '#10b981' });
                               } else {
@@ -3676,7 +8293,16 @@ export default function App() {
                                 onMouseEnter={e => e.currentTarget.style.background = THEME.bg.hover}
                                 onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
                               >
-                                <td style={{ padding: '12px 14px' }}>
+                                <td style={{ padding: '12px 14px', whiteSpace: 'nowrap' }}>
+                                  {clusterHolders && holderClass === 'wallet' && (
+                                    <input
+                                      type="checkbox"
+                                      checked={mergeSelection.includes(holder.owner_address)}
+                                      onChange={() => toggleMergeSelection([holder.owner_address])}
+                                      title="Select to merge"
+                                      style={{ marginRight: '6px', verticalAlign: 'middle' }}
+                                    />
+                                  )}
                                   <span style={{
                                     display: 'inline-flex',
                                     alignItems: 'center',
@@ -3749,17 +8375,18 @@ export default function App() {
                                 </td>
                                 <td style={{ padding: '14px 16px' }}>
                                   <span style={{
-                                    background: holder.is_contract 
+                                    background: holderClass !== 'wallet'
                                       ? 'rgba(255, 159, 64, 0.2)'
                                       : 'rgba(0, 212, 255, 0.2)',
-                                    color: holder.is_contract ? '#f59e0b' : THEME.accent.secondary,
+                                    color: holderClass !== 'wallet' ? '#f59e0b' : THEME.accent.secondary,
                                     padding: '4px 10px',
                                     borderRadius: '6px',
                                     fontSize: '0.7rem',
                                     fontWeight: '600',
-                                    textTransform: 'uppercase'
+                                    textTransform: 'uppercase',
+                                    whiteSpace: 'nowrap'
                                   }}>
-                                    {holder.is_contract ? '📜 Contract' : '👤 Wallet'}
+                                    {holderClass === 'wallet' ? '👤 Wallet' : `📜 ${ADDRESS_CLASSES[holderClass].label}`}
                                   </span>
                                 </td>
                               </tr>
@@ -3791,6 +8418,51 @@ export default function App() {
                   </div>
                 )}
 
+                {/* Holder Cohorts */}
+                {!loading && activeTab === 'cohorts' && (
+                  <HolderCohortsView
+                    token={selectedToken}
+                    transfers={transactionHistory}
+                    version={lastSnapshot}
+                    onSelectWallet={setSelectedWallet}
+                  />
+                )}
+
+                {/* Supply Changes */}
+                {!loading && activeTab === 'supply' && (
+                  <SupplyChangesView
+                    token={selectedToken}
+                    events={supplyEvents}
+                    tokenInfo={tokenInfo}
+                    tokenPrice={tokenPrice}
+                    version={lastSnapshot}
+                    isMultiChain={holders.isMultiChain}
+                    onSelectWallet={setSelectedWallet}
+                    canLoadOlder={canLoadOlder}
+                    loadingOlder={loadingOlder}
+                    onLoadOlder={loadOlderTransfers}
+                  />
+                )}
+
+                {/* Pendle Positioning */}
+                {!loading && activeTab === 'pendle' && pendleToken?.market && (
+                  <PendlePositionsView
+                    market={pendleToken.market}
+                    getProvider={getHolderProvider}
+                    onSelectWallet={setSelectedWallet}
+                  />
+                )}
+
+                {/* Snapshot Diff */}
+                {!loading && activeTab === 'snapshots' && (
+                  <SnapshotDiffView
+                    token={selectedToken}
+                    tokenPrice={tokenPrice}
+                    version={lastSnapshot}
+                    onSelectWallet={setSelectedWallet}
+                  />
+                )}
+
                 {/* Transactions Table */}
                 {!loading && activeTab === 'transfers' && (
                   <div style={{
@@ -3804,6 +8476,10 @@ export default function App() {
                       setMinAmount={setTxMinAmount}
                       txType={txType}
                       setTxType={setTxType}
+                      entityFilter={txEntityFilter}
+                      setEntityFilter={(value) => { setTxEntityFilter(value); setTxPage(1); }}
+                      range={txRange}
+                      setRange={changeTxRange}
                     />
                     
                     {processedTransfers.length === 0 ? (
@@ -3812,7 +8488,9 @@ export default function App() {
                         textAlign: 'center',
                         color: '#888'
                       }}>
-                        No transactions found with current filters
+                        {transfers.errors?.length > 0 && transfers.length === 0
+                          ? <span style={{ color: THEME.accent.error }}>Transactions unavailable: {transfers.errors.join(' • ')}</span>
+                          : 'No transactions found with current filters'}
                       </div>
                     ) : (
                       <>
@@ -3956,10 +8634,10 @@ export default function App() {
                                         </a>
                                         <span style={{ 
                                           fontSize: '0.6rem', 
-                                          color: transfer.source === 'geckoterminal' ? '#10b981' : THEME.accent.secondary,
+                                          color: isDexTrade(transfer) ? '#10b981' : THEME.accent.secondary,
                                           opacity: 0.7
                                         }}>
-                                          {transfer.source === 'geckoterminal' ? 'DEX' : 'Chain'}
+                                          {isDexTrade(transfer) ? 'DEX' : 'Chain'}
                                         </span>
                                       </div>
                                     </td>
@@ -3974,12 +8652,49 @@ export default function App() {
                         {processedTransfers.length > TRANSACTIONS_PER_PAGE && (
                           <Pagination 
                             currentPage={txPage}
-                            totalPages={Math.ceil(processedTransfers.length / TRANSACTIONS_PER_PAGE)}
+                            totalPages={txTotalPages}
                             onPageChange={setTxPage}
                           />
                         )}
                       </>
                     )}
+
+                    {/* History coverage */}
+                    <div style={{
+                      display: 'flex',
+                      justifyContent: 'center',
+                      alignItems: 'center',
+                      gap: '12px',
+                      padding: '12px 16px',
+                      fontSize: '0.75rem',
+                      color: THEME.text.muted
+                    }}>
+                      <span>
+                        {transactionHistory.length} transactions loaded
+                        {oldestLoaded !== null && ` back to ${new Date(oldestLoaded).toLocaleString()}`}
+                        {olderPage?.key === historyKey && olderPage.error && ` · older pages failed: ${olderPage.error}`}
+                      </span>
+                      {loadingOlder ? (
+                        <span style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                          <LoadingSpinner size={12} /> Loading older...
+                        </span>
+                      ) : canLoadOlder && (
+                        <button
+                          onClick={loadOlderTransfers}
+                          style={{
+                            padding: '5px 10px',
+                            background: THEME.bg.tertiary,
+                            border: `1px solid ${THEME.border.default}`,
+                            borderRadius: '4px',
+                            color: THEME.text.secondary,
+                            fontSize: '0.75rem',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Load older
+                        </button>
+                      )}
+                    </div>
                   </div>
                 )}
               </>
@@ -3990,10 +8705,49 @@ export default function App() {
         {/* Wallet Tracker View */}
         {activeView === 'wallets' && (
           <WalletTrackerView 
+            tokens={tokens}
+            selectedToken={selectedToken}
+            tokenPrice={tokenPrice}
+            onSelectWallet={(addr, chain) => {
+              setSelectedWallet(addr);
+              setWalletViewChain(chain);
+            }}
+          />
+        )}
+
+        {/* Pendle Maturity Calendar */}
+        {activeView === 'maturities' && (
+          <MaturityCalendarView
+            calendar={calendar}
+            loading={trackedMarkets.loading}
+            getProvider={getHolderProvider}
+            onSelectWallet={(addr, chain) => {
+              setSelectedWallet(addr);
+              setWalletViewChain(chain);
+            }}
+            onOpenToken={openAlertToken}
+          />
+        )}
+
+        {/* Alerts View */}
+        {activeView === 'alerts' && (
+          <AlertsView
+            rules={alertRules}
+            inbox={alertInbox}
+            tokens={tokens}
+            notifications={{
+              enabled: notificationsEnabled,
+              onToggle: toggleNotifications,
+              mutes: notificationMutes,
+              onMutesChange: updateNotificationMutes
+            }}
+            onRulesChange={updateAlertRules}
+            onInboxChange={updateAlertInbox}
             onSelectWallet={(addr, chain) => {
               setSelectedWallet(addr);
               setWalletViewChain(chain);
             }}
+            onOpenToken={openAlertToken}
           />
         )}
 
@@ -4020,9 +8774,12 @@ export default function App() {
             loading={walletLoading}
             onClose={() => setSelectedWallet(null)}
             chain={selectedToken?.chain || walletViewChain}
+            token={activeView === 'tracker' ? selectedToken : null}
+            transfers={transactionHistory}
           />
         )}
       </div>
     </div>
+    </LabelContext.Provider>
   );
 }
@@ -0,0 +1,339 @@
+// Background poller for alert notifications. Bundled to /sw.js by the
+// service worker plugin in vite.config.js.
+//
+// The page sends its tracked tokens (with each chain's holder provider),
+// tracked wallets, alert rules and mutes ({ type: 'config' }). The worker
+// polls holders for tokens with holder rules, recent swaps for tokens with
+// large trade rules, the Pendle market for tokens with maturity rules and
+// history for wallets with wallet activity rules. It keeps its own baseline
+// per item in IndexedDB and shows a notification for each new match.
+// Matches also queue up for the page's inbox until a tab drains them.
+//
+// Polls run on Periodic Background Sync where the browser grants it (Chrome,
+// installed app) and on the page's heartbeat ({ type: 'poll' }) while any tab
+// is open, focused or not.
+
+import {
+  evaluateMaturityRules,
+  evaluateSnapshotRules,
+  evaluateTransactionRules,
+  evaluateWalletRules,
+  RULE_TYPES
+} from '../lib/alertRules.js';
+import { isPendleChain } from '../lib/pendle.js';
+import { createSnapshot } from '../lib/snapshots.js';
+import { swapRows, swapsEndpoint } from '../lib/trades.js';
+
+const DB = { name: 'smart-money-tracker-sw', version: 1, store: 'state' };
+const DEFAULT_INTERVAL = 15 * 60 * 1000;
+const PENDING_LIMIT = 200;
+const NOTIFICATIONS_PER_POLL = 5;
+const SNOOZE_MS = 60 * 60 * 1000;
+const MARKET_TTL = 24 * 60 * 60 * 1000;
+const NOTIFIED_LIMIT = 500;
+
+// ============================================
+// STATE
+// ============================================
+
+let dbPromise = null;
+
+const openDb = () => {
+  dbPromise = dbPromise || new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB.name, DB.version);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB.store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+};
+
+const run = async (mode, op) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = op(db.transaction(DB.store, mode).objectStore(DB.store));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const getState = async (key, fallback = null) => (await run('readonly', s => s.get(key))) ?? fallback;
+const setState = (key, value) => run('readwrite', s => s.put(value, key));
+
+// Same keys as the page's NotificationManager
+const tokenMuteKey = (token) => `token:${token.chain}:${token.address.toLowerCase()}`;
+const walletMuteKey = (wallet) => `wallet:${wallet.address.toLowerCase()}`;
+
+// A mute is `true` (until unmuted) or a snooze-until timestamp
+const isMuted = (mutes, key, now = Date.now()) => mutes[key] === true || (typeof mutes[key] === 'number' && mutes[key] > now);
+
+// ============================================
+// FETCHING
+// ============================================
+
+// Same proxy URLs as the page's buildProxyUrl
+const proxyJson = async (source, endpoint, chain) => {
+  let url = `/api/moralis?endpoint=${encodeURIComponent(endpoint)}`;
+  if (source !== 'moralis') url += `&source=${source}`;
+  if (chain === 'solana') url += '&chain=solana';
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Proxy error ${response.status} for ${endpoint}`);
+  return response.json();
+};
+
+// From the holder provider the page uses for the chain, as its fetchHolderList
+const fetchHolders = async (token) => {
+  let data;
+  if (token.chain === 'solana') {
+    data = await proxyJson('helius', `/holders/${token.address}`, 'solana');
+  } else if (token.holderProvider === 'covalent') {
+    data = await proxyJson('covalent', `/holders/${token.address}?chain=${token.chain}&limit=100`);
+  } else {
+    data = await proxyJson('moralis', `/erc20/${token.address}/owners?chain=${token.chain}&limit=100&order=DESC`);
+  }
+  return data.result || [];
+};
+
+const fetchSwaps = async (token) => {
+  const data = await proxyJson('moralis', swapsEndpoint(token), token.chain);
+  return swapRows(data.result, token);
+};
+
+const fetchWalletHistory = async (wallet) => {
+  const data = wallet.chain === 'solana'
+    ? await proxyJson('helius', `/wallets/${wallet.address}/history?limit=25`, 'solana')
+    : await proxyJson('moralis', `/wallets/${wallet.address}/history?chain=${wallet.chain}&limit=25`);
+  return data.result || [];
+};
+
+// ============================================
+// POLLING
+// ============================================
+
+const rulesOn = (rules, on) => rules.filter(r => r.enabled !== false && RULE_TYPES[r.type]?.on === on);
+
+const ruleCoversToken = (rule, token) => !rule.token || (
+  rule.token.chain === token.chain && rule.token.address.toLowerCase() === token.address.toLowerCase()
+);
+
+// The first poll of an item only records a baseline. Holder baselines are
+// per provider, so switching provider never compares two providers' lists.
+const pollToken = async (token, rules) => {
+  const key = `holders:${token.holderProvider || 'default'}:${token.chain}_${token.address.toLowerCase()}`;
+  const previous = await getState(key);
+  const current = createSnapshot(await fetchHolders(token));
+  if (current.holders.length === 0) return [];
+  await setState(key, current);
+  return previous ? evaluateSnapshotRules(rules, { token, previous, current }) : [];
+};
+
+// Trades newer than the newest one seen by the previous poll
+const pollTrades = async (token, rules) => {
+  const key = `trades:${token.chain}_${token.address.toLowerCase()}`;
+  const seenUntil = await getState(key);
+  const trades = await fetchSwaps(token);
+  const newest = Math.max(0, ...trades.map(tx => new Date(tx.block_timestamp).getTime() || 0));
+  if (newest > 0) await setState(key, Math.max(newest, seenUntil || 0));
+  if (seenUntil === null) return [];
+
+  const fresh = trades.filter(tx => new Date(tx.block_timestamp).getTime() > seenUntil);
+  return evaluateTransactionRules(rules, { token, transactions: fresh });
+};
+
+// The token's Pendle market, looked up at most once a day
+const pollMaturity = async (token, rules) => {
+  if (!isPendleChain(token.chain) || !token.address.startsWith('0x')) return [];
+  const key = `market:${token.chain}_${token.address.toLowerCase()}`;
+  let cached = await getState(key);
+  if (!cached || Date.now() - cached.at > MARKET_TTL) {
+    const data = await proxyJson('pendle', `/tokens/${token.address}?chain=${token.chain}`);
+    cached = { at: Date.now(), market: data.kind ? data.market : null };
+    await setState(key, cached);
+  }
+  return cached.market ? evaluateMaturityRules(rules, { token, market: cached.market }) : [];
+};
+
+const pollWallet = async (wallet, rules) => {
+  const key = `wallet:${wallet.chain}_${wallet.address.toLowerCase()}`;
+  const seenUntil = await getState(key);
+  const history = await fetchWalletHistory(wallet);
+  const newest = Math.max(0, ...history.map(tx => new Date(tx.block_timestamp).getTime() || 0));
+  if (newest > 0) await setState(key, Math.max(newest, seenUntil || 0));
+  if (seenUntil === null) return [];
+
+  const fresh = history.filter(tx => new Date(tx.block_timestamp).getTime() > seenUntil);
+  return evaluateWalletRules(rules, { wallet, transactions: fresh });
+};
+
+const deepLink = (alert) => {
+  const params = new URLSearchParams();
+  if (alert.token) params.set('token', alert.token.address);
+  if (alert.wallet) params.set('wallet', alert.wallet);
+  params.set('chain', alert.token?.chain || alert.chain);
+  return `/?${params}`;
+};
+
+const notify = async (alerts) => {
+  const shown = alerts.slice(0, NOTIFICATIONS_PER_POLL);
+  for (const alert of shown) {
+    const muteKey = alert.token ? tokenMuteKey(alert.token) : walletMuteKey({ address: alert.wallet });
+    await self.registration.showNotification(alert.token?.symbol ? `${alert.token.symbol} alert` : 'Wallet activity', {
+      body: alert.message,
+      tag: alert.id,
+      timestamp: alert.timestamp,
+      data: { url: deepLink(alert), muteKey },
+      actions: [
+        { action: 'snooze', title: 'Snooze 1h' },
+        { action: 'mute', title: 'Mute' }
+      ]
+    });
+  }
+  if (alerts.length > shown.length) {
+    await self.registration.showNotification('More alerts', {
+      body: `${alerts.length - shown.length} more alerts in the inbox`,
+      tag: 'alerts-overflow',
+      data: { url: '/?view=alerts' }
+    });
+  }
+};
+
+const broadcast = async (message) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+};
+
+let polling = null;
+
+const poll = async ({ force = false } = {}) => {
+  const config = await getState('config');
+  if (!config?.enabled || self.Notification?.permission !== 'granted') return;
+
+  const now = Date.now();
+  const lastPoll = await getState('lastPoll', 0);
+  if (!force && now - lastPoll < (config.interval || DEFAULT_INTERVAL)) return;
+  await setState('lastPoll', now);
+
+  const mutes = config.mutes || {};
+  const walletRules = rulesOn(config.rules, 'wallet');
+  const tokenPolls = [
+    [rulesOn(config.rules, 'snapshot'), pollToken],
+    [rulesOn(config.rules, 'transactions'), pollTrades],
+    [rulesOn(config.rules, 'maturity'), pollMaturity]
+  ];
+  const found = [];
+
+  // One request at a time keeps the worker well inside the proxy's limits
+  for (const token of config.tokens) {
+    if (isMuted(mutes, tokenMuteKey(token), now)) continue;
+    for (const [ruleSet, pollOne] of tokenPolls) {
+      const rules = ruleSet.filter(r => ruleCoversToken(r, token));
+      if (rules.length === 0) continue;
+      try {
+        found.push(...await pollOne(token, rules));
+      } catch (error) {
+        console.warn(`Background poll failed for ${token.symbol || token.address}:`, error.message);
+      }
+    }
+  }
+
+  if (walletRules.length > 0) {
+    for (const wallet of config.wallets) {
+      if (isMuted(mutes, walletMuteKey(wallet), now)) continue;
+      try {
+        found.push(...await pollWallet(wallet, walletRules));
+      } catch (error) {
+        console.warn(`Background poll failed for wallet ${wallet.address}:`, error.message);
+      }
+    }
+  }
+
+  // Maturity alerts repeat their id on every poll until the market matures
+  const notified = await getState('notified', []);
+  const alerts = found.filter(alert => !notified.includes(alert.id));
+  if (alerts.length === 0) return;
+  await setState('notified', [...alerts.map(a => a.id), ...notified].slice(0, NOTIFIED_LIMIT));
+
+  const pending = await getState('pending', []);
+  await setState('pending', [...alerts, ...pending].slice(0, PENDING_LIMIT));
+  await notify(alerts);
+  await broadcast({ type: 'alerts-pending' });
+};
+
+// Overlapping triggers share one run
+const pollOnce = (options) => {
+  polling = polling || poll(options).finally(() => { polling = null; });
+  return polling;
+};
+
+const setMute = async (key, value) => {
+  const config = await getState('config');
+  if (!config) return;
+  const mutes = { ...config.mutes, [key]: value };
+  await setState('config', { ...config, mutes });
+  await broadcast({ type: 'mutes', mutes });
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+
+  if (type === 'config') {
+    const { tokens = [], wallets = [], rules = [], mutes = {}, enabled = false, interval } = event.data.config || {};
+    event.waitUntil(setState('config', { tokens, wallets, rules, mutes, enabled, interval }).then(() => pollOnce()));
+  }
+
+  if (type === 'poll') {
+    event.waitUntil(pollOnce({ force: !!event.data.force }));
+  }
+
+  // The page adds pending alerts to its inbox (deduplicated by id)
+  if (type === 'drain') {
+    event.waitUntil(getState('pending', []).then(async (alerts) => {
+      if (alerts.length === 0) return;
+      await setState('pending', []);
+      event.source?.postMessage({ type: 'alerts', alerts });
+    }));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'poll-alerts') {
+    event.waitUntil(pollOnce());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { url, muteKey } = event.notification.data || {};
+  event.notification.close();
+
+  if (event.action === 'snooze' && muteKey) {
+    event.waitUntil(setMute(muteKey, Date.now() + SNOOZE_MS));
+    return;
+  }
+  if (event.action === 'mute' && muteKey) {
+    event.waitUntil(setMute(muteKey, true));
+    return;
+  }
+
+  // Reuse an open tab when there is one
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'open', url });
+    } else {
+      await self.clients.openWindow(url || '/');
+    }
+  })());
+});
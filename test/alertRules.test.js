@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRule,
+  evaluateMaturityRules,
+  evaluateSnapshotRules,
+  evaluateTransactionRules,
+  evaluateWalletRules
+} from '../lib/alertRules.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const token = { address: '0xToken', chain: 'eth', symbol: 'TKN' };
+const rule = (type, params, extra = {}) => createRule({ type, params, ...extra }, 1);
+const snapshot = (timestamp, holders) => ({
+  timestamp,
+  holders: holders.map(([address, balance, percentage]) => ({ address, balance, percentage }))
+});
+
+const previous = snapshot(1, [['0xa', 100, 40], ['0xb', 80, 20], ['0xc', 50, 5]]);
+const current = snapshot(2, [['0xa', 150, 45], ['0xc', 90, 10], ['0xb', 10, 2]]);
+const fire = (r) => evaluateSnapshotRules([r], { token, previous, current });
+
+describe('evaluateSnapshotRules', () => {
+  it('balance_change: holders moving more than the threshold', () => {
+    assert.deepEqual(fire(rule('balance_change', { threshold: 60 })).map(a => a.wallet).sort(), ['0xb', '0xc']);
+    assert.deepEqual(fire(rule('balance_change', { threshold: 60 }, { wallet: '0xC' })).map(a => a.wallet), ['0xc']);
+  });
+
+  it('enters_top and exits_top: holders crossing the top N', () => {
+    assert.deepEqual(fire(rule('enters_top', { topN: 2 })).map(a => [a.wallet, a.data.previousRank]), [['0xc', 3]]);
+    assert.deepEqual(fire(rule('exits_top', { topN: 2 })).map(a => [a.wallet, a.data.rank]), [['0xb', 3]]);
+  });
+
+  it('concentration: only when the top 10 share crosses the threshold', () => {
+    assert.equal(fire(rule('concentration', { threshold: 70 })).length, 0);
+    const [alert] = fire(rule('concentration', { threshold: 60 }));
+    assert.equal(alert.severity, 'medium');
+    assert.deepEqual(alert.data, { before: 65, after: 57 });
+  });
+
+  it('skips rules scoped to another token and disabled rules', () => {
+    assert.equal(fire(rule('enters_top', { topN: 2 }, { token: { address: '0xother', chain: 'eth' } })).length, 0);
+    assert.equal(fire({ ...rule('enters_top', { topN: 2 }), enabled: false }).length, 0);
+  });
+});
+
+describe('evaluateTransactionRules', () => {
+  const transactions = [
+    { transaction_hash: '0x1', block_timestamp: '2026-01-01T00:00:00Z', usdValue: 600000, amount: 10, type: 'buy', trader_address: '0xa' },
+    { transaction_hash: '0x2', block_timestamp: '2026-01-01T00:00:00Z', usdValue: 50000, amount: 1, type: 'sell', trader_address: '0xb' },
+    { transaction_hash: '0x3', block_timestamp: '2026-01-01T00:00:00Z', usdValue: 200000, amount: 3, type: 'transfer', from_address: '0xb', to_address: '0xc' }
+  ];
+
+  it('large_trade: trades above the USD threshold, optionally for one wallet', () => {
+    const alerts = evaluateTransactionRules([rule('large_trade', { minUsd: 100000 })], { token, transactions });
+    assert.deepEqual(alerts.map(a => [a.data.hash, a.severity]), [['0x1', 'high'], ['0x3', 'medium']]);
+    const mine = evaluateTransactionRules([rule('large_trade', { minUsd: 100000 }, { wallet: '0xC' })], { token, transactions });
+    assert.deepEqual(mine.map(a => a.data.hash), ['0x3']);
+  });
+});
+
+describe('evaluateWalletRules', () => {
+  it('wallet_activity: one alert per new transaction of a covered wallet', () => {
+    const wallet = { address: '0xA', chain: 'eth', label: 'Fund' };
+    const transactions = [{ hash: '0xh1', block_timestamp: '2026-01-01T00:00:00Z', summary: 'Swapped' }, { block_timestamp: '2026-01-01T00:00:00Z' }];
+    const alerts = evaluateWalletRules([rule('wallet_activity', {})], { wallet, transactions });
+    assert.deepEqual(alerts.map(a => a.message), ['Fund: Swapped']);
+    assert.equal(evaluateWalletRules([rule('wallet_activity', {}, { wallet: '0xb' })], { wallet, transactions }).length, 0);
+  });
+});
+
+describe('evaluateMaturityRules', () => {
+  it('maturity: markets expiring within the window, with an id per market', () => {
+    const now = 1000 * DAY;
+    const market = { address: '0xMarket', name: 'PT-TKN', expiry: now + 3 * DAY };
+    const r = rule('maturity', { days: 7 });
+    const [first] = evaluateMaturityRules([r], { token, market, now });
+    const [again] = evaluateMaturityRules([r], { token, market, now: now + DAY });
+    assert.equal(first.id, again.id);
+    assert.equal(evaluateMaturityRules([rule('maturity', { days: 2 })], { token, market, now }).length, 0);
+    assert.equal(evaluateMaturityRules([r], { token, market: { ...market, expiry: now - 1 }, now }).length, 0);
+  });
+});
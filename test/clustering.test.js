@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildClusters, findClusterLinks, groupHolders } from '../lib/clustering.js';
+
+const FUNDER = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+const A = 'Hn3Ab7kQ2sPq9LmWxYz5TuVc8RdEfGh4JkMnBpC6aZ1';
+const B = '7YtRe5WqAs3DfGh8JkLzXcVb2NmPo9IuTrEwQ4aSd6F';
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+
+describe('clustering Solana holders', () => {
+  it('keeps base58 addresses in their own case', () => {
+    const transfers = [
+      { from_address: FUNDER, to_address: A, block_timestamp: at(0) },
+      { from_address: FUNDER, to_address: B, block_timestamp: at(1) }
+    ];
+    const links = findClusterLinks([A, B], transfers);
+    assert.ok(links.every(link => [A, B].includes(link.a) && [A, B].includes(link.b)));
+
+    const [cluster] = buildClusters(links);
+    assert.deepEqual(cluster.members, [A, B].sort());
+
+    const holders = [{ owner_address: A, balance: '10' }, { owner_address: B, balance: '5' }];
+    const [row] = groupHolders(holders, [cluster]);
+    assert.equal(row.balance_formatted, 15);
+  });
+
+  it('tells apart addresses that differ only in case', () => {
+    const other = A.toLowerCase();
+    const transfers = [
+      { from_address: FUNDER, to_address: A, block_timestamp: at(0) },
+      { from_address: FUNDER, to_address: B, block_timestamp: at(30) }
+    ];
+    assert.equal(findClusterLinks([other, B], transfers).length, 0);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCohorts, firstSeenTimes, segmentSummary, weekStart } from '../lib/cohorts.js';
+
+const at = (day) => Date.UTC(2026, 0, day);
+const snapshot = (day, holders) => ({
+  timestamp: at(day),
+  holders: holders.map(([address, balance, percentage]) => ({ address, balance, percentage }))
+});
+
+// 2026-01-05 and 2026-01-12 are Mondays; day 51 is 2026-02-20
+const snapshots = [
+  snapshot(5, [['0xA', 100, 50], ['0xB', 50, 25]]),
+  snapshot(12, [['0xA', 100, 50], ['0xC', 40, 20]]),
+  snapshot(51, [['0xA', 100, 50], ['0xB', 60, 30], ['0xC', 40, 20], ['0xD', 10, 5]])
+];
+const now = at(51);
+
+describe('weekStart', () => {
+  it('is Monday 00:00 UTC', () => {
+    assert.equal(weekStart(at(8) + 5 * 3600 * 1000), at(5));
+    assert.equal(weekStart(at(12)), at(12));
+  });
+});
+
+describe('buildCohorts', () => {
+  const firstSeen = firstSeenTimes([{ to_address: '0xc', block_timestamp: new Date(at(6)).toISOString() }]);
+  const { cohorts, holders } = buildCohorts(snapshots, { firstSeen, now });
+  const segment = (address) => holders.find(h => h.address === address).segment;
+
+  it('groups holders by entry week, pulled earlier by first-seen times', () => {
+    assert.deepEqual(cohorts.map(c => [c.week, c.size]), [[at(5), 3], [weekStart(at(51)), 1]]);
+    assert.deepEqual(cohorts[0].series.map(p => [p.retained, p.percentage]), [[2 / 3, 75], [2 / 3, 70], [1, 100]]);
+  });
+
+  it('segments the latest holders', () => {
+    assert.equal(segment('0xA'), 'diamond');
+    assert.equal(segment('0xB'), 'churner');
+    assert.equal(segment('0xD'), 'recent');
+  });
+
+  it('sums each segment\'s share of the latest snapshot', () => {
+    const summary = segmentSummary(holders, snapshots[2]);
+    assert.deepEqual(summary.diamond, { count: 2, percentage: 70 });
+    assert.deepEqual(summary.churner, { count: 1, percentage: 30 });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectSnapshots } from '../lib/collector.js';
+import { createSnapshotStoreFromEnv } from '../lib/snapshotStore.js';
+
+const ENV = { MORALIS_API_KEY: 'test' };
+const token = (n) => ({ address: `0x${String(n).padStart(40, '0')}`, chain: 'eth', symbol: `T${n}`, coingeckoId: null });
+
+// In-memory store with the snapshot store interface
+const memoryStore = (watchlist) => {
+  const docs = new Map();
+  const history = new Map();
+  return {
+    history,
+    list: async (key) => history.get(key) || [],
+    append: async (key, snapshot) => {
+      history.set(key, [...(history.get(key) || []), snapshot]);
+      return history.get(key);
+    },
+    getWatchlist: async () => watchlist,
+    setWatchlist: async (tokens) => { watchlist = tokens; },
+    read: async (name, fallback) => (docs.has(name) ? docs.get(name) : fallback),
+    write: async (name, value) => { docs.set(name, value); }
+  };
+};
+
+// Moralis owners and metadata for any token
+const moralisFetch = async (url) => {
+  const body = url.includes('/metadata')
+    ? [{ total_supply: '1000000000000000000000', total_supply_formatted: '1000' }]
+    : { result: [{ owner_address: '0x1111111111111111111111111111111111111111', balance_formatted: '600', percentage_relative_to_total_supply: 60 }] };
+  return new Response(JSON.stringify(body), { status: 200 });
+};
+
+// Clock that moves a minute per call
+const steppingClock = () => {
+  let t = 0;
+  return () => (t += 60 * 1000);
+};
+
+describe('collectSnapshots', () => {
+  it('stores the reported supply with each snapshot', async () => {
+    const store = memoryStore([token(1)]);
+    const [result] = await collectSnapshots({ store, env: ENV, fetchImpl: moralisFetch, log: () => {} });
+
+    assert.equal(result.ok, true);
+    const [snapshot] = [...store.history.values()][0];
+    assert.deepEqual(snapshot.supply, { total: 1000, circulating: null });
+    assert.equal(snapshot.price, null);
+  });
+
+  it('skips tokens past the time budget and starts the next run with them', async () => {
+    const store = memoryStore([token(1), token(2), token(3)]);
+    const run = () => collectSnapshots({ store, env: ENV, fetchImpl: moralisFetch, now: steppingClock(), budgetMs: 3 * 60 * 1000, log: () => {} });
+
+    const first = await run();
+    assert.deepEqual(first.map(r => [r.address.slice(-1), r.ok, !!r.skipped]), [['1', true, false], ['2', false, true], ['3', false, true]]);
+    assert.equal(await store.read('collector_offset'), 1);
+
+    const second = await run();
+    assert.deepEqual(second.map(r => [r.address.slice(-1), !!r.skipped]), [['2', false], ['3', true], ['1', true]]);
+    assert.equal(await store.read('collector_offset'), 2);
+  });
+});
+
+describe('createSnapshotStoreFromEnv', () => {
+  it('refuses to fall back to files on Vercel or with an incomplete Redis setup', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      for (const env of [{ VERCEL: '1' }, { SNAPSHOT_STORE: 'redis' }]) {
+        const store = createSnapshotStoreFromEnv(env);
+        assert.match(store.unavailable, /Snapshot store not configured/);
+        await assert.rejects(store.getWatchlist(), /Snapshot store not configured/);
+      }
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(createSnapshotStoreFromEnv({ SNAPSHOT_STORE_DIR: '/tmp/unused' }).unavailable, undefined);
+  });
+});
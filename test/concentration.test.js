@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { concentrationMetrics, concentrationTrend, gini, hhi, lorenzCurve, nakamoto } from '../lib/concentration.js';
+
+describe('gini', () => {
+  it('is 0 for an equal distribution', () => {
+    assert.equal(gini([25, 25, 25, 25]), 0);
+  });
+
+  it('is (n - 1) / n when a single holder has everything', () => {
+    assert.equal(gini([100, 0, 0, 0]), 0.75);
+    assert.equal(gini([100]), 0);
+  });
+});
+
+describe('hhi and nakamoto', () => {
+  it('score a single holder at the maximum', () => {
+    assert.equal(hhi([100]), 10000);
+    assert.equal(nakamoto([100]), 1);
+  });
+
+  it('count the fewest holders past the threshold', () => {
+    assert.equal(hhi([25, 25, 25, 25]), 2500);
+    assert.equal(nakamoto([25, 25, 25, 25]), 3);
+    assert.equal(nakamoto([20, 20]), null);
+  });
+});
+
+describe('lorenzCurve', () => {
+  it('follows the diagonal for equal holders', () => {
+    assert.deepEqual(lorenzCurve([1, 1, 1, 1], 4), [[0, 0], [0.25, 0.25], [0.5, 0.5], [0.75, 0.75], [1, 1]]);
+  });
+});
+
+describe('concentrationMetrics', () => {
+  it('leaves share-based metrics null without supply shares', () => {
+    const metrics = concentrationMetrics([{ balance: 10 }, { balance: 10 }]);
+    assert.deepEqual(metrics, { gini: 0, hhi: null, nakamoto: null, top10: null, holderCount: 2 });
+  });
+});
+
+describe('concentrationTrend', () => {
+  it('reads a metric rising as re-concentrating and a falling Nakamoto the same way', () => {
+    assert.equal(concentrationTrend([{ gini: 0.5 }, { gini: 0.6 }], 'gini').direction, 're-concentrating');
+    assert.equal(concentrationTrend([{ nakamoto: 10 }, { nakamoto: 5 }], 'nakamoto').direction, 're-concentrating');
+    assert.equal(concentrationTrend([{ hhi: 1000 }, { hhi: 1010 }], 'hhi').direction, 'stable');
+  });
+});
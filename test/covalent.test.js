@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createFixtureFetch } from '../lib/fixtures.js';
+import { ProviderError } from '../lib/providers/common.js';
+import { fetchCovalentHolders } from '../lib/providers/covalent.js';
+
+// Two pages of PENDLE holders on eth in lib/fixtures (6 + 4 holders)
+const fetchImpl = createFixtureFetch({ dir: fileURLToPath(new URL('../lib/fixtures', import.meta.url)) });
+const PENDLE = '0x808507121B80c02388fAd14726482e061B8da827';
+const holders = (options = {}) => fetchCovalentHolders({ chain: 'eth', address: PENDLE, apiKey: 'test', fetchImpl, ...options });
+
+describe('fetchCovalentHolders', () => {
+  it('walks every page and counts all holders', async () => {
+    const result = await holders();
+    assert.equal(result.complete, true);
+    assert.equal(result.total_holders, 10);
+    assert.equal(result.distribution.holderCount, 10);
+    assert.equal(result.block_height, 21000000);
+    assert.equal(result.provider, 'covalent');
+  });
+
+  it('returns the top holders in the Moralis /owners shape', async () => {
+    const { result } = await holders({ limit: 3 });
+    assert.equal(result.length, 3);
+    assert.deepEqual(result[0], {
+      owner_address: '0x8119ec16f0573b7dac7c0cb94eb504fb32456ee1',
+      balance: '61300000000000000000000000',
+      balance_formatted: '61300000',
+      percentage_relative_to_total_supply: 21.774
+    });
+    assert.deepEqual(result.map(r => r.owner_address), [
+      '0x8119ec16f0573b7dac7c0cb94eb504fb32456ee1',
+      '0xf977814e90da44bfa03b6295a0616a897441acec',
+      '0x28c6c06298d514db089934071355e5743bf21d60'
+    ]);
+  });
+
+  it('computes the distribution over every holder', async () => {
+    const { distribution } = await holders();
+    // 97,907,800 of 281,527,448 PENDLE across both pages
+    assert.equal(distribution.top10, 34.7777);
+    assert.equal(distribution.top100, 34.7777);
+  });
+
+  it('flags an incomplete walk and falls back to the reported total', async () => {
+    const result = await holders({ maxPages: 1 });
+    assert.equal(result.complete, false);
+    assert.equal(result.distribution.holderCount, 6);
+    assert.equal(result.total_holders, 10);
+    assert.equal(result.distribution.top10, 34.4548);
+  });
+
+  it('rejects chains Covalent does not serve', async () => {
+    await assert.rejects(holders({ chain: 'solana' }), (error) => error instanceof ProviderError && error.status === 400);
+  });
+
+  it('surfaces a missing response as a ProviderError', async () => {
+    await assert.rejects(
+      holders({ address: '0x0000000000000000000000000000000000000001' }),
+      (error) => error instanceof ProviderError && error.status === 404
+    );
+  });
+});
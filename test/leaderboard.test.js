@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeaderboard, lastTradePrice, rankTraders } from '../lib/leaderboard.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const token = { address: '0xTKN', symbol: 'TKN' };
+const now = 10 * DAY;
+const trade = (type, trader, amount, usdValue, day) => ({
+  type,
+  trader_address: trader,
+  amount,
+  usdValue,
+  block_timestamp: new Date(day * DAY).toISOString(),
+  transaction_hash: `0x${trader}${day}`
+});
+
+// A buys 10 for $10 and sells 5 for $15 later; B buys 2 for $8 last
+const trades = [
+  trade('buy', '0xA', 10, 10, 1),
+  trade('sell', '0xa', 5, 15, 9),
+  trade('buy', '0xB', 2, 8, 9.5),
+  trade('transfer', '0xC', 100, 100, 9)
+];
+
+describe('buildLeaderboard', () => {
+  it('values each trader with average cost and the last trade price', () => {
+    assert.equal(lastTradePrice(trades), 4);
+    const rows = buildLeaderboard(trades, { token, now });
+    const a = rows.find(r => r.address === '0xA');
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual([a.buys, a.sells, a.netBought, a.netAmount], [1, 1, -5, 5]);
+    assert.deepEqual([a.realized, a.unrealized, a.winRate], [10, 15, 1]);
+  });
+
+  it('leaves sells of tokens bought before the window unrealized', () => {
+    const a = buildLeaderboard(trades, { token, now, window: '7d' }).find(r => r.address === '0xa');
+    assert.deepEqual([a.buys, a.realized, a.winRate], [0, 0, null]);
+  });
+});
+
+describe('rankTraders', () => {
+  it('sorts by the chosen column', () => {
+    const rows = buildLeaderboard(trades, { token, now });
+    assert.deepEqual(rankTraders(rows).map(r => r.address), ['0xB', '0xA']);
+    assert.deepEqual(rankTraders(rows, 'realized').map(r => r.address), ['0xA', '0xB']);
+    assert.deepEqual(rankTraders(rows, 'winRate').map(r => r.address), ['0xA', '0xB']);
+  });
+});
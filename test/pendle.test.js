@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createFixtureFetch } from '../lib/fixtures.js';
+import { findPendleToken, normalizeMarket, parsePendleSymbol } from '../lib/pendle.js';
+import { ProviderError } from '../lib/providers/common.js';
+import { fetchPendleMarkets, fetchPendleToken } from '../lib/providers/pendle.js';
+
+// Pendle sample set for eth in lib/fixtures: four active markets (sUSDe and
+// weETH, two expiries each) and two matured ones
+const FIXTURES = fileURLToPath(new URL('../lib/fixtures', import.meta.url));
+const fixtureFetch = createFixtureFetch({ dir: FIXTURES });
+
+// Counts upstream calls by path
+const countingFetch = () => {
+  const calls = [];
+  const fetchImpl = (url, init) => {
+    calls.push(new URL(url).pathname);
+    return fixtureFetch(url, init);
+  };
+  return { calls, fetchImpl };
+};
+
+const fixtureBody = async (name) => JSON.parse(await readFile(`${FIXTURES}/${name}`, 'utf8')).body;
+
+const SUSDE_DEC = {
+  market: '0x8003d46dcc242e814cdb4e36174107c0cb453bd1',
+  pt: '0xef1ac76f1636daa30c9c80aef8fd7647c1208c6e',
+  yt: '0x2b383e25abf4967913178aba081a9b2c8607ddb0',
+  sy: '0x2cf9bb19a3e16cc14751d34e44902d7aef50fd07'
+};
+const MATURED_PT = '0x027265a9f396e83ff226615fb2882de422f9d960';
+
+describe('parsePendleSymbol', () => {
+  it('reads kind, underlying and a 00:00 UTC expiry', () => {
+    assert.deepEqual(parsePendleSymbol('PT-sUSDE-27MAR2025'), { kind: 'pt', underlyingSymbol: 'sUSDE', expiry: Date.UTC(2025, 2, 27) });
+    assert.deepEqual(parsePendleSymbol('YT-weETH-26DEC2024'), { kind: 'yt', underlyingSymbol: 'weETH', expiry: Date.UTC(2024, 11, 26) });
+  });
+
+  it('handles SY, LP and hyphenated underlyings', () => {
+    assert.deepEqual(parsePendleSymbol('SY-sUSDe'), { kind: 'sy', underlyingSymbol: 'sUSDe', expiry: null });
+    assert.deepEqual(parsePendleSymbol('PENDLE-LPT'), { kind: 'lp', underlyingSymbol: null, expiry: null });
+    assert.equal(parsePendleSymbol('PT-USD0-PP-26JUN2025').underlyingSymbol, 'USD0-PP');
+  });
+
+  it('ignores other symbols', () => {
+    ['PENDLE', 'USDC', '', null, 'PTX-foo'].forEach(symbol => assert.equal(parsePendleSymbol(symbol), null));
+  });
+});
+
+describe('normalizeMarket', () => {
+  it('flattens a market row from the API', async () => {
+    const { markets } = await fixtureBody('api-v2.pendle.finance_core_v1_1_markets_active.json');
+    assert.deepEqual(normalizeMarket(markets[0], 'eth'), {
+      chain: 'eth',
+      address: SUSDE_DEC.market,
+      name: 'sUSDe',
+      expiry: Date.UTC(2026, 11, 24),
+      pt: SUSDE_DEC.pt,
+      yt: SUSDE_DEC.yt,
+      sy: SUSDE_DEC.sy,
+      underlying: '0x9d39a5de30e57443bff2a8307a4256c8797a3497',
+      impliedApy: 0.0874,
+      liquidity: 182450311.42,
+      active: true
+    });
+  });
+
+  it('marks inactive rows and tolerates missing details', () => {
+    const market = normalizeMarket({ address: '0xABC', name: 'x', expiry: 'not a date', pt: 'bad' }, 'base', { active: false });
+    assert.equal(market.address, '0xabc');
+    assert.equal(market.expiry, null);
+    assert.equal(market.pt, null);
+    assert.equal(market.impliedApy, null);
+    assert.equal(market.active, false);
+  });
+});
+
+describe('findPendleToken', () => {
+  it('identifies each of a market\'s tokens, case-insensitively', async () => {
+    const { markets } = await fetchPendleMarkets({ chain: 'eth', fetchImpl: fixtureFetch });
+    assert.equal(findPendleToken(markets, SUSDE_DEC.pt.toUpperCase().replace('0X', '0x')).kind, 'pt');
+    assert.equal(findPendleToken(markets, SUSDE_DEC.yt).kind, 'yt');
+    assert.equal(findPendleToken(markets, SUSDE_DEC.market).kind, 'lp');
+    assert.equal(findPendleToken(markets, SUSDE_DEC.yt).market.address, SUSDE_DEC.market);
+  });
+
+  it('returns the first market for an SY shared across expiries', async () => {
+    const { markets } = await fetchPendleMarkets({ chain: 'eth', fetchImpl: fixtureFetch });
+    const match = findPendleToken(markets, SUSDE_DEC.sy);
+    assert.equal(match.kind, 'sy');
+    assert.equal(match.market.address, SUSDE_DEC.market);
+  });
+
+  it('returns null for other addresses', () => {
+    assert.equal(findPendleToken([], SUSDE_DEC.pt), null);
+    assert.equal(findPendleToken([{ address: SUSDE_DEC.market, pt: SUSDE_DEC.pt }], ''), null);
+  });
+});
+
+describe('fetchPendleMarkets', () => {
+  it('lists active markets soonest expiry first', async () => {
+    const { markets, provider } = await fetchPendleMarkets({ chain: 'eth', fetchImpl: fixtureFetch });
+    assert.equal(provider, 'pendle');
+    assert.equal(markets.length, 4);
+    assert.ok(markets.every((m, i) => i === 0 || markets[i - 1].expiry <= m.expiry));
+    assert.ok(markets.every(m => m.active));
+  });
+
+  it('lists matured markets with status inactive', async () => {
+    const { markets } = await fetchPendleMarkets({ chain: 'eth', status: 'inactive', fetchImpl: fixtureFetch });
+    assert.equal(markets.length, 2);
+    assert.ok(markets.every(m => !m.active));
+  });
+
+  it('rejects chains without Pendle markets', async () => {
+    await assert.rejects(fetchPendleMarkets({ chain: 'polygon', fetchImpl: fixtureFetch }), (error) => error instanceof ProviderError && error.status === 400);
+  });
+});
+
+describe('fetchPendleToken', () => {
+  it('resolves a PT with the market\'s current data', async () => {
+    const result = await fetchPendleToken({ chain: 'eth', address: SUSDE_DEC.pt, fetchImpl: fixtureFetch });
+    assert.equal(result.kind, 'pt');
+    assert.equal(result.market.address, SUSDE_DEC.market);
+    assert.equal(result.market.underlyingApy, 0.0713);
+    assert.equal(result.market.ytFloatingApy, -0.1482);
+    assert.equal(result.market.liquidity, 182450311.42);
+    assert.equal(result.market.totalPt, 91203331.52);
+    assert.equal(result.market.totalLp, 87110009.4);
+  });
+
+  it('falls back to the listing for a matured market without data', async () => {
+    const result = await fetchPendleToken({ chain: 'eth', address: MATURED_PT, fetchImpl: fixtureFetch });
+    assert.equal(result.kind, 'pt');
+    assert.equal(result.market.active, false);
+    assert.equal(result.market.impliedApy, 0);
+    assert.equal(result.market.underlyingApy, null);
+  });
+
+  it('returns kind null for tokens Pendle did not issue', async () => {
+    const result = await fetchPendleToken({ chain: 'eth', address: '0x808507121B80c02388fAd14726482e061B8da827', fetchImpl: fixtureFetch });
+    assert.deepEqual(result, { address: '0x808507121b80c02388fad14726482e061b8da827', chain: 'eth', kind: null, market: null, provider: 'pendle' });
+  });
+
+  it('resolves against market lists from loadMarkets when given', async () => {
+    const { calls, fetchImpl } = countingFetch();
+    const lists = {
+      active: (await fetchPendleMarkets({ chain: 'eth', fetchImpl: fixtureFetch })).markets,
+      inactive: (await fetchPendleMarkets({ chain: 'eth', status: 'inactive', fetchImpl: fixtureFetch })).markets
+    };
+    const loadMarkets = async (status) => lists[status];
+
+    await fetchPendleToken({ chain: 'eth', address: '0x808507121b80c02388fad14726482e061b8da827', fetchImpl, loadMarkets });
+    assert.deepEqual(calls, []);
+
+    await fetchPendleToken({ chain: 'eth', address: SUSDE_DEC.yt, fetchImpl, loadMarkets });
+    assert.deepEqual(calls, [`/core/v2/1/markets/${SUSDE_DEC.market}/data`]);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRotations, marketPositions, ptPerLp, stanceSummary } from '../lib/pendlePositions.js';
+
+const MARKET = '0xmarket';
+const snapshot = (holders) => ({ holders: holders.map(([address, balance]) => ({ address, balance, percentage: balance / 10 })) });
+const market = { address: MARKET, totalPt: 300, totalLp: 100 };
+
+// 0xA holds PT, 0xB YT, 0xC both evenly, 0xD only LP; the market holds the pool's PT
+const lists = {
+  pt: snapshot([[MARKET, 1000], ['0xA', 100], ['0xC', 50]]),
+  yt: snapshot([['0xB', 80], ['0xc', 50]]),
+  lp: snapshot([['0xD', 10]])
+};
+const ignore = (address) => address === MARKET;
+
+describe('ptPerLp', () => {
+  it('reads the market totals, else half a PT per LP', () => {
+    assert.equal(ptPerLp(market), 3);
+    assert.equal(ptPerLp({}), 0.5);
+  });
+});
+
+describe('marketPositions', () => {
+  it('joins the lists by wallet with a stance each', () => {
+    const positions = marketPositions(lists, market, { ignore });
+    assert.deepEqual(positions.map(p => [p.address, p.stance, p.net]), [
+      ['0xa', 'fixed', -100],
+      ['0xc', 'hedged', 0],
+      ['0xb', 'variable', 80],
+      ['0xd', 'liquidity', -30]
+    ]);
+    assert.deepEqual(stanceSummary(positions).liquidity, { count: 1, fixed: 30, variable: 0 });
+  });
+
+  it('leaves out ignored holders', () => {
+    assert.ok(marketPositions(lists, market).some(p => p.address === MARKET));
+    assert.ok(!marketPositions(lists, market, { ignore }).some(p => p.address === MARKET));
+  });
+});
+
+describe('findRotations', () => {
+  const previous = { pt: snapshot([[MARKET, 1000], ['0xA', 100], ['0xB', 10]]), yt: snapshot([['0xA', 10], ['0xB', 100]]) };
+  const current = { pt: snapshot([[MARKET, 500], ['0xA', 20], ['0xB', 90]]), yt: snapshot([[MARKET, 400], ['0xA', 90], ['0xB', 20]]) };
+
+  it('finds wallets moving from one leg to the other', () => {
+    const rotations = findRotations(previous, current, { ignore });
+    assert.deepEqual([...rotations.entries()], [
+      ['0xa', { direction: 'toVariable', pt: -80, yt: 80 }],
+      ['0xb', { direction: 'toFixed', pt: 80, yt: -80 }]
+    ]);
+  });
+
+  it('leaves out ignored holders', () => {
+    assert.ok(findRotations(previous, current).has(MARKET));
+    assert.ok(!findRotations(previous, current, { ignore }).has(MARKET));
+  });
+});
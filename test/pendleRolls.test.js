@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isNearMaturity, maturityCalendar, nextMaturity, rollCandidates, rollSummary, trackRolls } from '../lib/pendleRolls.js';
+import { ZERO_ADDRESS } from '../lib/supply.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const expiry = 100 * DAY;
+const market = { chain: 'eth', address: '0xm1', underlying: '0xsteth', expiry, yt: '0xYT1' };
+const markets = [
+  market,
+  { chain: 'eth', address: '0xm3', underlying: '0xsteth', expiry: expiry + 180 * DAY },
+  { chain: 'eth', address: '0xm2', underlying: '0xsteth', expiry: expiry + 90 * DAY },
+  { chain: 'eth', address: '0xother', underlying: '0xusde', expiry: expiry + 30 * DAY },
+  { chain: 'arbitrum', address: '0xarb', underlying: '0xsteth', expiry: expiry + 30 * DAY }
+];
+const snapshot = (holders) => ({ holders: holders.map(([address, balance]) => ({ address, balance })) });
+const transfer = (from, to, amount, day) => ({ from_address: from, to_address: to, value_decimal: String(amount), block_timestamp: new Date(day * DAY).toISOString() });
+
+describe('nextMaturity and isNearMaturity', () => {
+  it('picks the next expiry on the same underlying and chain', () => {
+    assert.equal(nextMaturity(markets, market).address, '0xm2');
+    assert.equal(nextMaturity(markets, markets[1]), null);
+  });
+
+  it('covers the window either side of expiry', () => {
+    assert.equal(isNearMaturity(market, expiry - 13 * DAY), true);
+    assert.equal(isNearMaturity(market, expiry + 15 * DAY), false);
+  });
+});
+
+describe('maturityCalendar', () => {
+  it('groups tracked tokens by market, soonest first', () => {
+    const later = { ...markets[2], chain: 'eth' };
+    const calendar = maturityCalendar([
+      { token: { symbol: 'PT-2' }, kind: 'pt', market: later },
+      { token: { symbol: 'PT-1' }, kind: 'pt', market },
+      { token: { symbol: 'YT-1' }, kind: 'yt', market }
+    ], { eth: markets }, expiry - 10 * DAY);
+    assert.deepEqual(calendar.map(e => [e.market.address, e.tokens.length, e.daysLeft, e.next?.address]), [
+      ['0xm1', 2, 10, '0xm2'],
+      ['0xm2', 1, 100, '0xm3']
+    ]);
+  });
+});
+
+describe('rollCandidates and trackRolls', () => {
+  const candidates = rollCandidates(
+    snapshot([['0xMarket', 5000], ['0xA', 100], ['0xB', 80], ['0xC', 60], ['0xD', 40]]),
+    snapshot([['0xa', 10], ['0xE', 5]]),
+    { topN: 5, ignore: (address) => address === '0xmarket' }
+  );
+
+  it('ranks wallets by combined PT and YT, without ignored holders', () => {
+    assert.deepEqual(candidates.map(c => [c.address, c.pt + c.yt]), [['0xa', 110], ['0xb', 80], ['0xc', 60], ['0xd', 40], ['0xe', 5]]);
+  });
+
+  it('tells rolled, redeemed, sold and idle holders apart', () => {
+    const rows = trackRolls(candidates, market, {
+      pt: [transfer('0xA', '0xrouter', 100, 99), transfer('0xB', '0xyt1', 80, 101), transfer('0xC', '0xrouter', 60, 101), transfer('0xE', ZERO_ADDRESS, 5, 50)],
+      yt: [],
+      nextPt: [transfer('0xrouter', '0xA', 95, 99)],
+      nextYt: []
+    }, { since: expiry - 14 * DAY });
+
+    assert.deepEqual(rows.map(r => [r.address, r.status]), [['0xa', 'rolled'], ['0xb', 'redeemed'], ['0xc', 'sold'], ['0xd', 'idle'], ['0xe', 'idle']]);
+    assert.deepEqual([rows[0].rolledInto, rows[1].redeemed], [95, 80]);
+    assert.deepEqual(rollSummary(rows).idle, { count: 2, pt: 40, yt: 5 });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePnl, movementsFromTrades } from '../lib/pnl.js';
+
+const move = (side, amount, price, day, extra = {}) => ({
+  token: '0xtkn',
+  symbol: 'TKN',
+  amount,
+  side,
+  trade: true,
+  price,
+  timestamp: day * 86400000,
+  hash: `0x${day}`,
+  ...extra
+});
+
+// Buy 10 at $1, buy 10 at $3, sell 10 at $4; 10 left, now worth $4
+const buyBuySell = [move('in', 10, 1, 1), move('in', 10, 3, 2), move('out', 10, 4, 3)];
+const run = (method, movements = buyBuySell) => computePnl(movements, { method, currentPrices: { '0xtkn': 4 } }).tokens[0];
+
+describe('computePnl', () => {
+  it('FIFO sells the oldest lot first', () => {
+    const t = run('fifo');
+    assert.deepEqual([t.realized, t.costBasis, t.unrealized, t.quantity], [30, 30, 10, 10]);
+    assert.deepEqual([t.wins, t.losses], [1, 0]);
+  });
+
+  it('LIFO sells the newest lot first', () => {
+    const t = run('lifo');
+    assert.deepEqual([t.realized, t.costBasis, t.unrealized, t.quantity], [10, 10, 30, 10]);
+  });
+
+  it('average cost pools every lot', () => {
+    const t = run('average');
+    assert.deepEqual([t.realized, t.costBasis, t.avgCost, t.unrealized], [20, 20, 2, 20]);
+  });
+
+  it('leaves sells beyond the known holdings out as uncovered', () => {
+    const t = run('fifo', [move('in', 5, 1, 1), move('out', 8, 2, 2)]);
+    assert.deepEqual([t.realized, t.sold, t.uncovered, t.quantity], [5, 5, 3, 0]);
+  });
+
+  it('moves unpriced transfers in through the books without PnL', () => {
+    const t = run('fifo', [move('in', 10, null, 1, { trade: false }), move('out', 10, 5, 2)]);
+    assert.deepEqual([t.realized, t.unpriced, t.quantity], [0, 1, 0]);
+  });
+});
+
+describe('movementsFromTrades', () => {
+  it('keeps the wallet\'s buys and sells with their unit price', () => {
+    const trades = [
+      { type: 'buy', trader_address: '0xAbC', amount: 4, usdValue: 8, block_timestamp: '2026-01-01T00:00:00Z', transaction_hash: '0x1' },
+      { type: 'sell', trader_address: '0xother', amount: 1, usdValue: 2, block_timestamp: '2026-01-01T00:00:00Z', transaction_hash: '0x2' },
+      { type: 'transfer', trader_address: '0xabc', amount: 1, usdValue: 2, block_timestamp: '2026-01-01T00:00:00Z', transaction_hash: '0x3' }
+    ];
+    const movements = movementsFromTrades(trades, '0xabc', { address: '0xTKN', symbol: 'TKN' });
+    assert.deepEqual(movements.map(m => [m.token, m.side, m.price]), [['0xtkn', 'in', 2]]);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROUTES, validateEndpoint } from '../lib/routes.js';
+
+const EVM = '0x808507121b80c02388fad14726482e061b8da827';
+const SOLANA = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const SIGNATURE = '5'.repeat(88);
+
+const allows = (source, endpoint) => {
+  const result = validateEndpoint(source, endpoint);
+  assert.equal(result.allowed, true, `${source} ${endpoint}: ${result.message}`);
+  return result;
+};
+
+const rejects = (source, endpoint, code) => {
+  const result = validateEndpoint(source, endpoint);
+  assert.equal(result.allowed, false, `${source} ${endpoint} should be rejected`);
+  assert.equal(result.code, code);
+  return result;
+};
+
+// One allowed and one rejected endpoint per source, plus a parameter case
+const CASES = {
+  coingecko: {
+    allow: ['/coins/markets?vs_currency=usd&order=volume_desc&per_page=50&price_change_percentage=1h,24h', '/coins/pendle/market_chart?vs_currency=usd&days=max'],
+    deny: ['/coins/pendle/history'],
+    invalid: '/coins/markets?vs_currency=eur',
+    missing: '/simple/price?ids=pendle'
+  },
+  geckoterminal: {
+    allow: [`/networks/eth/tokens/${EVM}/pools?page=1`, `/networks/solana/pools/${SOLANA}/trades`],
+    deny: [`/networks/eth/pools/${EVM}/ohlcv/day`],
+    invalid: `/networks/eth/tokens/${EVM}/pools?page=11`
+  },
+  dexscreener: {
+    allow: [`/latest/dex/tokens/${EVM}`],
+    deny: ['/latest/dex/search'],
+    extra: `/latest/dex/tokens/${EVM}?q=1`
+  },
+  moralis: {
+    allow: [`/erc20/${EVM}/owners?chain=eth&limit=100&order=DESC`, `/erc20/metadata?chain=eth&addresses[]=${EVM}&addresses[]=${EVM}`, `/erc20/${EVM}/swaps?chain=eth&limit=100&order=DESC&toDate=2025-01-01T00:00:00.000Z`],
+    deny: [`/nft/${EVM}`],
+    invalid: `/erc20/${EVM}/owners?chain=eth&limit=1000`,
+    missing: `/erc20/${EVM}/price`
+  },
+  'moralis-solana': {
+    allow: [`/token/mainnet/${SOLANA}/price`, `/token/mainnet/${SOLANA}/swaps?limit=100&order=DESC&cursor=abc.def`],
+    deny: [`/token/devnet/${SOLANA}/price`],
+    extra: `/token/mainnet/${SOLANA}/price?network=mainnet`
+  },
+  covalent: {
+    allow: [`/holders/${EVM}?chain=eth&limit=100`],
+    deny: [`/holders/${SOLANA}?chain=eth`],
+    invalid: `/holders/${EVM}?chain=solana`,
+    missing: `/holders/${EVM}`
+  },
+  helius: {
+    allow: [`/transfers/${SOLANA}?limit=50&before=${SIGNATURE}`, `/wallets/${SOLANA}/history`],
+    deny: [`/holders/${EVM}`],
+    invalid: `/transfers/${SOLANA}?before=not-a-signature`
+  },
+  rpc: {
+    allow: [`/code?chain=base&addresses=${EVM},0x0000000000000000000000000000000000000001`],
+    deny: [`/code/${EVM}?chain=eth`],
+    invalid: `/code?chain=eth&addresses=${EVM},${SOLANA}`,
+    missing: '/code?chain=eth'
+  },
+  pendle: {
+    allow: ['/markets?chain=arbitrum', `/tokens/${EVM}?chain=eth`],
+    deny: [`/markets/${EVM}`],
+    invalid: '/markets?chain=polygon',
+    missing: `/tokens/${EVM}`
+  }
+};
+
+describe('validateEndpoint', () => {
+  it('has cases for every source in the route table', () => {
+    assert.deepEqual(Object.keys(CASES).sort(), Object.keys(ROUTES).sort());
+  });
+
+  for (const [source, cases] of Object.entries(CASES)) {
+    describe(source, () => {
+      it('allows the listed endpoints', () => {
+        cases.allow.forEach(endpoint => allows(source, endpoint));
+      });
+
+      it('rejects endpoints outside the table', () => {
+        cases.deny.forEach(endpoint => rejects(source, endpoint, 'ENDPOINT_NOT_ALLOWED'));
+      });
+
+      if (cases.invalid) {
+        it('rejects invalid parameter values', () => {
+          rejects(source, cases.invalid, 'PARAM_INVALID');
+        });
+      }
+
+      if (cases.missing) {
+        it('requires required parameters', () => {
+          rejects(source, cases.missing, 'PARAM_MISSING');
+        });
+      }
+
+      it('rejects unknown parameters', () => {
+        rejects(source, cases.extra || `${cases.allow[0]}${cases.allow[0].includes('?') ? '&' : '?'}api_key=x`, 'PARAM_NOT_ALLOWED');
+      });
+    });
+  }
+
+  it('rejects unknown sources', () => {
+    const result = rejects('etherscan', '/api', 'SOURCE_NOT_ALLOWED');
+    assert.deepEqual(result.detail, { source: 'etherscan' });
+    rejects('__proto__', '/markets', 'SOURCE_NOT_ALLOWED');
+  });
+
+  it('rejects malformed endpoints and path traversal', () => {
+    ['markets', '//evil.example/x', `/erc20/../${EVM}/owners?chain=eth`, '/erc20/%2e%2e/owners?chain=eth'].forEach(endpoint =>
+      rejects('moralis', endpoint, 'ENDPOINT_NOT_ALLOWED'));
+    rejects('moralis', null, 'ENDPOINT_NOT_ALLOWED');
+  });
+
+  it('caps repeated parameters', () => {
+    const query = Array.from({ length: 26 }, () => `addresses[]=${EVM}`).join('&');
+    rejects('moralis', `/erc20/metadata?chain=eth&${query}`, 'PARAM_NOT_ALLOWED');
+    rejects('moralis', `/erc20/${EVM}/owners?chain=eth&chain=base`, 'PARAM_NOT_ALLOWED');
+  });
+
+  it('rebuilds the query from validated values only', () => {
+    const result = allows('moralis', `/erc20/${EVM}/owners?limit=10&chain=eth`);
+    assert.equal(result.route, '/erc20/:evmAddress/owners');
+    assert.equal(result.endpoint, `/erc20/${EVM}/owners?limit=10&chain=eth`);
+    assert.equal(allows('pendle', '/markets?chain=eth').endpoint, '/markets?chain=eth');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyHolders } from '../lib/classification.js';
+import { ProviderError } from '../lib/providers/common.js';
+import { fetchContractCodes, RPC_URLS } from '../lib/providers/rpc.js';
+
+const WALLET = '0x808507121b80c02388fad14726482e061b8da827';
+const CONTRACT = '0x8119ec16f0573b7dac7c0cb94eb504fb32456ee1';
+const DELEGATED = '0x00000000000000000000000000000000000000aa';
+
+const CODE = {
+  [WALLET]: '0x',
+  [CONTRACT]: '0x6080604052',
+  [DELEGATED]: '0xef0100' + '63c0c19a282a1b52b07dd5a65b58948a07dae32b'
+};
+
+// Answers an eth_getCode batch from CODE, in reverse order
+const rpcFetch = () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const batch = JSON.parse(init.body);
+    calls.push({ url, batch });
+    const replies = batch.map(({ id, params: [address] }) => (
+      address in CODE ? { jsonrpc: '2.0', id, result: CODE[address] } : { jsonrpc: '2.0', id, error: { code: -32000 } }
+    ));
+    return new Response(JSON.stringify(replies.reverse()), { status: 200 });
+  };
+  return { calls, fetchImpl };
+};
+
+describe('fetchContractCodes', () => {
+  it('sends one batch and tells contracts from wallets', async () => {
+    const { calls, fetchImpl } = rpcFetch();
+    const data = await fetchContractCodes({
+      chain: 'eth',
+      addresses: [WALLET, CONTRACT.toUpperCase().replace('0X', '0x'), DELEGATED, WALLET],
+      fetchImpl
+    });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, RPC_URLS.eth);
+    assert.equal(calls[0].batch.length, 3);
+    assert.ok(calls[0].batch.every(call => call.method === 'eth_getCode'));
+    assert.deepEqual(data, {
+      chain: 'eth',
+      contracts: { [WALLET]: false, [CONTRACT]: true, [DELEGATED]: false },
+      provider: 'rpc'
+    });
+  });
+
+  it('leaves addresses the node could not answer unknown', async () => {
+    const unknown = '0x0000000000000000000000000000000000000001';
+    const data = await fetchContractCodes({ chain: 'base', addresses: [CONTRACT, unknown], fetchImpl: rpcFetch().fetchImpl });
+    assert.deepEqual(data.contracts, { [CONTRACT]: true });
+  });
+
+  it('uses the configured endpoint', async () => {
+    const { calls, fetchImpl } = rpcFetch();
+    await fetchContractCodes({ chain: 'eth', addresses: [WALLET], rpcUrl: 'https://rpc.example/eth', fetchImpl });
+    assert.equal(calls[0].url, 'https://rpc.example/eth');
+  });
+
+  it('rejects chains without an endpoint', async () => {
+    await assert.rejects(
+      fetchContractCodes({ chain: 'solana', addresses: [WALLET], fetchImpl: rpcFetch().fetchImpl }),
+      (err) => err instanceof ProviderError && err.status === 400
+    );
+  });
+});
+
+describe('classifyHolders with eth_getCode results', () => {
+  it('marks holders with code as contracts when the provider has no flag', () => {
+    const holders = [{ owner_address: WALLET }, { owner_address: CONTRACT }, { owner_address: DELEGATED, is_contract: false }];
+    const code = { [`eth:${CONTRACT}`]: true, [`eth:${WALLET}`]: false };
+    const classes = classifyHolders(holders, { chain: 'eth', hasCode: (address, chain) => code[`${chain}:${address}`] });
+
+    assert.equal(classes.get(WALLET), 'wallet');
+    assert.equal(classes.get(CONTRACT), 'contract');
+    assert.equal(classes.get(DELEGATED), 'wallet');
+  });
+
+  it('keeps the provider flag when the lookup finds code', () => {
+    const holders = [{ owner_address: DELEGATED, is_contract: false }, { owner_address: CONTRACT, is_contract: 'false' }];
+    const classes = classifyHolders(holders, { chain: 'eth', hasCode: () => true });
+
+    assert.equal(classes.get(DELEGATED), 'wallet');
+    assert.equal(classes.get(CONTRACT), 'wallet');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots } from '../lib/snapshots.js';
+
+const snapshot = (timestamp, holders) => ({
+  timestamp,
+  holders: holders.map(([address, balance]) => ({ address, balance, percentage: balance / 10 }))
+});
+
+describe('diffSnapshots', () => {
+  const from = snapshot(1, [['a', 500], ['b', 300], ['c', 100]]);
+  const to = snapshot(2, [['a', 550], ['d', 400], ['b', 250]]);
+  const diff = diffSnapshots(from, to);
+
+  it('leaves the unlisted side of entered and exited holders unknown', () => {
+    assert.deepEqual(diff.entered.map(r => [r.address, r.balanceBefore, r.balanceAfter, r.delta]), [['d', null, 400, null]]);
+    assert.deepEqual(diff.exited.map(r => [r.address, r.balanceBefore, r.balanceAfter, r.delta]), [['c', 100, null, null]]);
+    assert.equal(diff.thresholdBefore, 100);
+    assert.equal(diff.thresholdAfter, 250);
+  });
+
+  it('nets top N flows over holders listed in both snapshots', () => {
+    assert.deepEqual(diff.accumulated.map(r => [r.address, r.delta]), [['a', 50]]);
+    assert.deepEqual(diff.distributed.map(r => [r.address, r.delta]), [['b', -50]]);
+    const [top10] = diff.summary;
+    assert.equal(top10.netBalance, 0);
+    assert.equal(top10.unknown, 1);
+    assert.equal(top10.shareAfter, 120);
+  });
+});
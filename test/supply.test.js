@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileSupply, reportedSupply, supplyChangeSeries, supplyEventType, supplyTotals, ZERO_ADDRESS } from '../lib/supply.js';
+
+const HOUR = 60 * 60 * 1000;
+const event = (type, amount, hour, usdValue = 0) => ({ type, amount, usdValue, block_timestamp: new Date(hour * HOUR).toISOString() });
+
+// Mint 1000 at hour 1, burn 200 at hour 3, mint 50 at hour 3
+const events = [event('mint', 1000, 1, 10), event('burn', 200, 3, 2), event('mint', 50, 3.5)];
+
+describe('supplyEventType', () => {
+  it('reads mints and burns from the zero address side', () => {
+    assert.equal(supplyEventType(ZERO_ADDRESS, '0xabc'), 'mint');
+    assert.equal(supplyEventType('0xabc', null), 'burn');
+    assert.equal(supplyEventType('0xabc', '0xdef'), null);
+  });
+});
+
+describe('supplyTotals and supplyChangeSeries', () => {
+  it('sum and bucket the events', () => {
+    assert.deepEqual(supplyTotals(events), { minted: 1050, burned: 200, mintedUsd: 10, burnedUsd: 2, net: 850 });
+    assert.deepEqual(supplyChangeSeries(events).map(b => [b.timestamp / HOUR, b.net, b.cumulative]), [[1, 1000, 1000], [3, -150, 850]]);
+  });
+});
+
+describe('reportedSupply', () => {
+  it('prefers the formatted Moralis total and needs a total', () => {
+    assert.deepEqual(reportedSupply({ total_supply: '1000000', total_supply_formatted: '1', circulating_supply: 0.5 }), { total: 1, circulating: 0.5 });
+    assert.equal(reportedSupply({ circulating_supply: 5 }), null);
+  });
+});
+
+describe('reconcileSupply', () => {
+  it('checks the reported total against a baseline plus later events', () => {
+    const readings = [{ timestamp: 2 * HOUR, total: 5000, circulating: 4000 }];
+    const result = reconcileSupply(events, readings, { total: 4850, circulating: 4100 });
+    assert.deepEqual(
+      [result.netSinceBaseline, result.expectedTotal, result.difference, result.status, result.circulatingChange],
+      [-150, 4850, 0, 'reconciled', 100]
+    );
+    assert.equal(reconcileSupply(events, readings, { total: 6000 }).status, 'mismatch');
+  });
+
+  it('only implies the starting supply without a baseline', () => {
+    const result = reconcileSupply(events, [], { total: 4850 });
+    assert.deepEqual([result.impliedStart, result.expectedTotal, result.status], [4000, null, 'unknown']);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { swapRows, swapsEndpoint } from '../lib/trades.js';
+
+const MINT = 'So1anaMintAddre55xyzABC';
+const swap = (bought, sold, extra = {}) => ({
+  transactionHash: '0xhash',
+  blockTimestamp: '2026-01-01T00:00:00.000Z',
+  walletAddress: '0xtrader',
+  totalValueUsd: '-250.5',
+  bought,
+  sold,
+  ...extra
+});
+
+describe('swapRows', () => {
+  it('reads the side of the tracked token and drops other pairs', () => {
+    const token = { chain: 'eth', address: '0xAbC0000000000000000000000000000000000001' };
+    const rows = swapRows([
+      swap({ address: '0xabc0000000000000000000000000000000000001', amount: '10' }, { address: '0xweth', amount: '-1' }),
+      swap({ address: '0xweth', amount: '1' }, { address: '0xABC0000000000000000000000000000000000001', amount: '-4' }),
+      swap({ address: '0xother', amount: '1' }, { address: '0xweth', amount: '-1' })
+    ], token);
+
+    assert.deepEqual(rows.map(r => [r.type, r.amount, r.usdValue]), [['buy', 10, 250.5], ['sell', 4, 250.5]]);
+    assert.equal(rows[0].source, 'moralis-swaps');
+  });
+
+  it('matches Solana mints case-sensitively', () => {
+    const token = { chain: 'solana', address: MINT };
+    const rows = swapRows([
+      swap({ address: MINT, amount: '5' }, { address: 'USDC', amount: '-5' }),
+      swap({ address: MINT.toLowerCase(), amount: '5' }, { address: 'USDC', amount: '-5' })
+    ], token);
+    assert.equal(rows.length, 1);
+  });
+});
+
+describe('swapsEndpoint', () => {
+  it('pages with an encoded cursor and date', () => {
+    assert.equal(
+      swapsEndpoint({ chain: 'solana', address: MINT }, { limit: 50, cursor: 'a b', toDate: '2026-01-01T00:00:00Z' }),
+      `/token/mainnet/${MINT}/swaps?limit=50&order=DESC&toDate=2026-01-01T00%3A00%3A00Z&cursor=a%20b`
+    );
+  });
+});
@@ -1,6 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { build } from 'esbuild'
+
+// Bundles src/sw.js and what it imports from lib/ into one classic script at
+// /sw.js: built on request by the dev server, emitted unhashed on build so
+// the registration URL never changes
+const serviceWorker = ({ entry = 'src/sw.js', fileName = 'sw.js' } = {}) => {
+  const bundle = async (minify) => {
+    const result = await build({
+      entryPoints: [entry],
+      bundle: true,
+      format: 'iife',
+      target: 'es2020',
+      minify,
+      write: false
+    })
+    return result.outputFiles[0].text
+  }
+
+  return {
+    name: 'service-worker',
+
+    configureServer(server) {
+      server.middlewares.use(`/${fileName}`, async (req, res, next) => {
+        try {
+          const code = await bundle(false)
+          res.setHeader('Content-Type', 'application/javascript')
+          res.end(code)
+        } catch (error) {
+          next(error)
+        }
+      })
+    },
+
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName, source: await bundle(true) })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), serviceWorker()]
 })